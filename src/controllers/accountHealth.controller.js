@@ -0,0 +1,334 @@
+/**
+* Controlador para la salud de las cuentas y la planificación de mug bets
+*
+* Las mug bets (betType 'mugBet') son apuestas "normales" que se hacen para que
+* la cuenta no parezca de matched betting. La puntuación de salud de cada casa
+* de apuestas se calcula con utils/accountHealth.js sobre las apuestas del
+* periodo analizado (sin contar las lay, que se hacen en los exchanges).
+*
+* Índice de funciones:
+*
+* - getAccountHealth()
+* Obtiene la puntuación de salud de las casas de apuestas (de peor a mejor)
+* Query: {
+*   days: number (días analizados, default: 90),
+*   status: string (estados de cuenta separados por comas)
+* }
+*
+* - getAccountHealthById( idBookMaker )
+* Obtiene la puntuación de salud de una casa de apuestas
+* Params: idBookMaker - ID de la casa de apuestas
+* Query: { days: number }
+*
+* - getMugBetPlan()
+* Sugiere qué cuentas necesitan mug bets en una semana y con qué stake
+* Query: { date: string (cualquier día de la semana, default: hoy), days: number }
+*/
+
+
+import { dbAll } from '../utils/helpers.js';
+import { calculateHealthScore, suggestMugBets } from '../utils/accountHealth.js';
+import {
+    INACTIVE_ACCOUNT_STATUSES,
+    accountMaxStakeSql,
+    accountStatusSql,
+    parseAccountStatuses
+} from '../utils/accountStatus.js';
+import { addDays, startOfWeek } from '../utils/dates.js';
+import { add, multiply, toMoney } from '../utils/money.js';
+
+
+/**
+ * Días analizados por defecto
+ */
+const DEFAULT_HEALTH_DAYS = 90;
+
+/**
+ * Valida el parámetro days
+ *
+ * @param {string} [days] - Días recibidos en la consulta
+ * @returns {number|null} Días a analizar o null si no es válido
+ */
+const parseHealthDays = ( days ) => {
+    if ( days === undefined ) {
+        return DEFAULT_HEALTH_DAYS;
+    }
+    const value = Number( days );
+    return Number.isInteger( value ) && value > 0 && value <= 3650 ? value : null;
+};
+
+/**
+ * Obtiene las estadísticas de salud de las casas de apuestas regulares
+ *
+ * @param {Object} options - Opciones de la consulta
+ * @param {number} options.days - Días analizados hasta hoy
+ * @param {number} [options.idBookMaker] - Solo esta casa de apuestas
+ * @param {Array<string>} [options.statuses] - Solo cuentas en estos estados
+ * @param {string} [options.weekStart] - Lunes de la semana en la que contar las mug bets ya hechas
+ * @returns {Promise<Array<Object>>} Filas con las estadísticas de cada casa de apuestas
+ */
+const findHealthStats = ( { days, idBookMaker, statuses, weekStart } ) => {
+    let sql = `
+        SELECT
+            bm.id as idBookMaker, bm.name as bookMakerName, bm.currency,
+            ${ accountStatusSql( 'bm.id' ) } as accountStatus,
+            ${ accountMaxStakeSql( 'bm.id' ) } as maxStake,
+            COUNT(b.id) as totalBets,
+            SUM(CASE WHEN b.betType = 'mugBet' THEN 1 ELSE 0 END) as mugBets,
+            SUM(CASE WHEN b.bank = 'freebet' THEN 1 ELSE 0 END) as freebetBets,
+            SUM(CASE WHEN MOD(b.stake, 5) = 0 THEN 1 ELSE 0 END) as roundStakeBets,
+            SUM(CASE WHEN b.betType = 'mugBet' AND b.betDate BETWEEN ? AND ? THEN 1 ELSE 0 END) as mugBetsThisWeek,
+            AVG(CASE WHEN b.bank = 'real' THEN b.stake END) as averageStake,
+            DATEDIFF(CURDATE(), (
+                SELECT MAX(m.betDate) FROM bets m
+                WHERE m.idBookMaker = bm.id AND m.betType = 'mugBet'
+            )) as daysSinceLastMug
+        FROM bookMakers bm
+        LEFT JOIN bets b ON b.idBookMaker = bm.id
+            AND b.betType <> 'layBet'
+            AND b.betDate >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        WHERE bm.type = 'regular'
+    `;
+    const params = [ weekStart || null, weekStart ? addDays( weekStart, 6 ) : null, days ];
+
+    if ( idBookMaker ) {
+        sql += ' AND bm.id = ?';
+        params.push( idBookMaker );
+    }
+
+    if ( statuses ) {
+        sql += ` AND ${ accountStatusSql( 'bm.id' ) } IN (?)`;
+        params.push( statuses );
+    }
+
+    sql += ' GROUP BY bm.id';
+
+    return dbAll( sql, params );
+};
+
+/**
+ * Une los datos de la casa de apuestas con su puntuación de salud
+ *
+ * @param {Object} row - Fila de findHealthStats
+ * @returns {Object} Casa de apuestas con score, level, factors y warnings
+ */
+const toHealthResult = ( row ) => ( {
+    idBookMaker: row.idBookMaker,
+    bookMakerName: row.bookMakerName,
+    currency: row.currency,
+    accountStatus: row.accountStatus,
+    maxStake: row.maxStake,
+    totalBets: Number( row.totalBets ),
+    mugBets: Number( row.mugBets ),
+    ...calculateHealthScore( row )
+} );
+
+
+/**
+ * getAccountHealth
+ *
+ * Obtiene la puntuación de salud de las casas de apuestas regulares
+ * Ordenadas de peor a mejor (las cuentas sin apuestas al principio)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.days=90] - Días analizados
+ * @param {string} [req.query.status] - Estados de cuenta separados por comas
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Periodo analizado y puntuación de cada casa de apuestas
+ *
+ * @example
+ * GET /api/account-health?days=60&status=active,stake-limited
+ */
+const getAccountHealth = async ( req, res ) => {
+    try {
+        const days = parseHealthDays( req.query.days );
+        const { statuses, error: statusError } = parseAccountStatuses( req.query.status );
+
+        if ( !days ) {
+            return res.status(400).json( {
+                message: 'Los días deben ser un número entero entre 1 y 3650'
+            } );
+        }
+
+        if ( statusError ) {
+            return res.status(400).json( {
+                message: statusError
+            } );
+        }
+
+        const rows = await findHealthStats( { days, statuses } );
+
+        if ( !rows.length ) {
+            return res.status(204).send();
+        }
+
+        const accounts = rows
+            .map( toHealthResult )
+            .sort( ( a, b ) => ( a.score ?? -1 ) - ( b.score ?? -1 ) );
+
+        res.status(200).json( {
+            days,
+            accounts
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener salud de las cuentas:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la salud de las cuentas',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getAccountHealthById
+ *
+ * Obtiene la puntuación de salud de una casa de apuestas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.idBookMaker - ID de la casa de apuestas
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.days=90] - Días analizados
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Puntuación, factores y avisos de la cuenta
+ */
+const getAccountHealthById = async ( req, res ) => {
+    try {
+        const { idBookMaker } = req.params;
+        const days = parseHealthDays( req.query.days );
+
+        if ( !Number.isInteger( Number( idBookMaker ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        if ( !days ) {
+            return res.status(400).json( {
+                message: 'Los días deben ser un número entero entre 1 y 3650'
+            } );
+        }
+
+        const [ row ] = await findHealthStats( { days, idBookMaker } );
+
+        if ( !row ) {
+            return res.status(404).json( {
+                message: `No se encontró la Casa de Apuestas regular con ID ${ idBookMaker }`
+            } );
+        }
+
+        res.status(200).json( {
+            days,
+            ...toHealthResult( row )
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener salud de la cuenta:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la salud de la cuenta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getMugBetPlan
+ *
+ * Sugiere qué cuentas necesitan mug bets en una semana (lunes a domingo),
+ * cuántas y con qué stake. No incluye las cuentas cerradas o sin promociones
+ * ni las que ya han hecho las mug bets sugeridas esa semana
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.date] - Cualquier día de la semana (YYYY-MM-DD, default: hoy)
+ * @param {number} [req.query.days=90] - Días analizados para la puntuación
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Semana y mug bets sugeridas por cuenta
+ *
+ * @example
+ * GET /api/account-health/mug-plan?date=2024-03-13
+ */
+const getMugBetPlan = async ( req, res ) => {
+    try {
+        const { date } = req.query;
+        const days = parseHealthDays( req.query.days );
+
+        if ( date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) {
+            return res.status(400).json( {
+                message: 'La fecha debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        if ( !days ) {
+            return res.status(400).json( {
+                message: 'Los días deben ser un número entero entre 1 y 3650'
+            } );
+        }
+
+        const weekStart = startOfWeek( date || new Date() );
+        const weekEnd = addDays( weekStart, 6 );
+
+        const rows = await findHealthStats( { days, weekStart } );
+
+        const suggestions = rows
+            .filter( row => !INACTIVE_ACCOUNT_STATUSES.includes( row.accountStatus ) )
+            .map( row => {
+                const account = toHealthResult( row );
+                const { count, stake } = account.needsMugBets ? suggestMugBets( row ) : { count: 0, stake: 0 };
+                return {
+                    idBookMaker: account.idBookMaker,
+                    bookMakerName: account.bookMakerName,
+                    currency: account.currency,
+                    accountStatus: account.accountStatus,
+                    score: account.score,
+                    level: account.level,
+                    daysSinceLastMug: account.factors.daysSinceLastMug,
+                    mugBetsThisWeek: Number( row.mugBetsThisWeek ),
+                    suggestedBets: count,
+                    suggestedStake: stake,
+                    reasons: account.warnings
+                };
+            } )
+            .filter( suggestion => suggestion.suggestedBets > 0 )
+            .sort( ( a, b ) => ( a.score ?? -1 ) - ( b.score ?? -1 ) );
+
+        if ( !suggestions.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( {
+            weekStart,
+            weekEnd,
+            suggestions,
+            summary: {
+                accounts: suggestions.length,
+                totalBets: suggestions.reduce( ( total, s ) => total + s.suggestedBets, 0 ),
+                stakeByCurrency: suggestions.reduce( ( totals, s ) => ( {
+                    ...totals,
+                    [ s.currency ]: toMoney( add( totals[ s.currency ] || 0, multiply( s.suggestedBets, s.suggestedStake ) ) )
+                } ), {} )
+            }
+        } );
+
+    } catch (error) {
+        console.error('Error al planificar mug bets:', error);
+        res.status(500).json( {
+            message: 'Error al planificar las mug bets',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getAccountHealth,
+    getAccountHealthById,
+    getMugBetPlan
+};
@@ -1,5 +1,22 @@
-import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
-import { calculateLiability, calculateResult } from '../utils/betCalculations.js';
+import { dbAll, dbGet, dbRun, dbStream, dbTransaction } from '../utils/helpers.js';
+import {
+    BET_STATUSES,
+    SETTLED_STATUSES,
+    INVALID_ODDS_MESSAGE,
+    calculateBetFigures,
+    calculateFillFigures,
+    getMatchStatus,
+    getStatusForOutcome,
+    parseOdds,
+    parsePlaceFraction,
+    validateEachWay
+} from '../utils/betCalculations.js';
+import { betsInCurrencySql, getBaseCurrency, getFxConversionError } from '../utils/currency.js';
+import { add, average, compare, max, subtract, toMoney, toOdds } from '../utils/money.js';
+import { getWageringViolations } from '../utils/wagering.js';
+import { calculateStatusRates, stakedSql, statusAggregateColumns } from '../utils/betStats.js';
+import { findPromotionError } from '../utils/promotions.js';
+import { periodSql } from '../utils/reports.js';
 
 
 
@@ -11,7 +28,8 @@ import { calculateLiability, calculateResult } from '../utils/betCalculations.js
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.query - Parámetros de consulta
  * @param {number} [req.query.page=1] - Número de página
- * @param {number} [req.query.limit=10] - Límite de resultados por página
+ * @param {number} [req.query.limit=10] - Límite de resultados por página (en CSV se exporta
+ *                                        la lista completa salvo que se indique)
  * @param {string} [req.query.betType] - Tipo de apuesta
  * @param {string} [req.query.status] - Estado de la apuesta
  * @param {Object} res - Objeto de respuesta HTTP
@@ -41,8 +59,17 @@ const getBets = async ( req, res ) => {
             params.push( status );
         }
 
-        sql += ' ORDER BY betDate DESC LIMIT ? OFFSET ?';
-        params.push( parseInt( limit ), parseInt( offset ) );
+        sql += ' ORDER BY betDate DESC';
+
+        // En CSV se exporta la lista completa, salvo que se pida un límite
+        if ( !res.csvRows || req.query.limit !== undefined ) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push( parseInt( limit ), parseInt( offset ) );
+        }
+
+        if ( res.csvRows ) {
+            return await res.csvRows( dbStream( sql, params ) );
+        }
 
         const bets = await dbAll( sql, params );
 
@@ -125,18 +152,29 @@ const getBetById = async ( req, res ) => {
  * @param {string} req.body.event - Evento
  * @param {string} req.body.bet - Apuesta realizada
  * @param {number} req.body.stake - Cantidad apostada
- * @param {number} req.body.odds - Cuota
+ * @param {number|string} req.body.odds - Cuota en formato decimal (3.5), fraccionario ("5/2") o americano ("+250")
  * @param {string} req.body.status - Estado de la apuesta
+ * @param {number} [req.body.idMB] - ID del matched bet al que pertenece
+ * @param {boolean} [req.body.eachWay=false] - Si la apuesta es each-way (stake por parte)
+ * @param {number|string} [req.body.placeFraction] - Fracción de colocado (0.2 o "1/5"), obligatoria si es each-way
+ * @param {number} [req.body.places] - Plazas pagadas, obligatorio si es each-way
+ * @param {string} [req.body.market='win'] - Mercado de la apuesta (win/place)
+ * @param {string} [req.body.matchStatus='matched'] - Ejecución de una layBet (matched/unmatched);
+ *   una orden 'unmatched' se va casando con POST /api/bets/:id/fills
+ * @param {number} [req.body.idPromotion] - ID de la promoción (de la misma casa de apuestas)
  * @param {string} [req.body.info] - Información adicional
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
- * @returns {Object} Datos de la apuesta creada
+ * @returns {Object} Datos de la apuesta creada; si no cumple los requisitos de su
+ *   promoción se crea igualmente y se devuelven los motivos en promoWarnings
  */
 const createBet = async ( req, res ) => {
     try {
         const { 
             idBookMaker, bank, betType, betDate, eventDate, 
-            event, bet, stake, odds, status, info 
+            event, bet, stake, odds, status, idMB, info,
+            eachWay = false, placeFraction, places, market = 'win',
+            matchStatus = 'matched', idPromotion
         } = req.body;
 
         // Validaciones básicas
@@ -163,12 +201,46 @@ const createBet = async ( req, res ) => {
         }
 
         // Validar status
-        if ( !['pending', 'won', 'lost'].includes( status ) ) {
+        if ( !BET_STATUSES.includes( status ) ) {
             return res.status(400).json( {
                 message: 'Estado de apuesta no válido'
             } );
         }
 
+        // Validar cuota en cualquier formato y guardarla en decimal
+        const parsedOdds = parseOdds( odds );
+        if ( !parsedOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+
+        // Validar condiciones each-way y mercado
+        const eachWayError = validateEachWay( {
+            eachWay, betType, status, placeFraction, places, market
+        } );
+        if ( eachWayError ) {
+            return res.status(400).json( {
+                message: eachWayError
+            } );
+        }
+        const placeTerms = eachWay
+            ? { placeFraction: parsePlaceFraction( placeFraction ), places: Number( places ) }
+            : null;
+
+        // Validar ejecución en el exchange
+        if ( !['matched', 'unmatched'].includes( matchStatus ) ) {
+            return res.status(400).json( {
+                message: 'El estado de ejecución inicial debe ser "matched" o "unmatched"'
+            } );
+        }
+
+        if ( matchStatus === 'unmatched' && ( betType !== 'layBet' || status !== 'pending' ) ) {
+            return res.status(400).json( {
+                message: 'Solo una layBet pendiente puede crearse sin casar'
+            } );
+        }
+
         // Validar que la casa de apuestas existe
         const bookMaker = await dbGet(
             'SELECT * FROM bookMakers WHERE id = ?',
@@ -181,35 +253,86 @@ const createBet = async ( req, res ) => {
             } );
         }
 
-        // Calcular liability y result
-        const liability = calculateLiability( status, betType, stake, odds );
-        const result = calculateResult( 
-            status, 
-            betType, 
-            stake, 
-            odds, 
-            liability,
-            bookMaker.commission  
-        );
+        // Validar la promoción si se indica
+        if ( idPromotion ) {
+            const promotionError = await findPromotionError( idPromotion, idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        // Validar que el matched bet existe si se indica
+        if ( idMB ) {
+            const matchedBet = await dbGet(
+                'SELECT id FROM matchedBets WHERE id = ?',
+                [ idMB ]
+            );
+
+            if ( !matchedBet ) {
+                return res.status(404).json( {
+                    message: 'El matched bet especificado no existe'
+                } );
+            }
+        }
+
+        // Calcular liability y result (una orden sin casar no tiene responsabilidad)
+        const { liability, result, winResult, placeResult } = matchStatus === 'unmatched'
+            ? calculateFillFigures( status, betType, [], bookMaker.comission )
+            : calculateBetFigures(
+                status,
+                betType,
+                stake,
+                parsedOdds.decimal,
+                bookMaker.comission,
+                placeTerms
+            );
+
+        const isLay = betType === 'layBet';
+        const matchedStake = isLay ? ( matchStatus === 'matched' ? stake : 0 ) : null;
+        const unmatchedStake = isLay ? ( matchStatus === 'matched' ? 0 : stake ) : null;
 
         const sql = `
             INSERT INTO bets (
                 idBookMaker, bank, betType, betDate, eventDate,
-                event, bet, stake, odds, status, liability,
-                result, info
+                event, bet, stake, odds, oddsFraction, status,
+                liability, result, eachWay, placeFraction, places,
+                market, winResult, placeResult, matchStatus,
+                matchedStake, unmatchedStake, idMB, idPromotion, info
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const insertResult = await dbRun(
             sql,
             [ 
                 idBookMaker, bank, betType, betDate, eventDate,
-                event, bet, stake, odds, status, liability,
-                result, info 
+                event, bet, stake, parsedOdds.decimal, parsedOdds.fraction,
+                status, liability, result, Boolean( eachWay ), placeTerms?.placeFraction ?? null,
+                placeTerms?.places ?? null, market, winResult ?? null,
+                placeResult ?? null, matchStatus, matchedStake, unmatchedStake,
+                idMB || null, idPromotion || null, info 
             ]
         );
 
+        // Avisar si la apuesta no cuenta para los requisitos de su promoción
+        const requirements = idPromotion
+            ? await dbAll(
+                'SELECT * FROM wageringRequirements WHERE idPromotion = ?',
+                [ idPromotion ]
+            )
+            : [];
+        const promoWarnings = requirements
+            .map( requirement => ({
+                idRequirement: requirement.id,
+                idPromotion: requirement.idPromotion,
+                reasons: getWageringViolations( requirement, {
+                    betType, bank, status, stake, odds: parsedOdds.decimal, market, betDate, eachWay
+                } )
+            }) )
+            .filter( warning => warning.reasons.length );
+
         res.status(201).json( {
             message: 'Apuesta creada con éxito',
             data: {
@@ -222,12 +345,25 @@ const createBet = async ( req, res ) => {
                 event,
                 bet,
                 stake,
-                odds,
+                odds: parsedOdds.decimal,
+                oddsFraction: parsedOdds.fraction,
                 status,
                 liability,
                 result,
+                eachWay: Boolean( eachWay ),
+                placeFraction: placeTerms?.placeFraction ?? null,
+                places: placeTerms?.places ?? null,
+                market,
+                winResult: winResult ?? null,
+                placeResult: placeResult ?? null,
+                matchStatus,
+                matchedStake,
+                unmatchedStake,
+                idMB: idMB || null,
+                idPromotion: idPromotion || null,
                 info
-            }
+            },
+            ...( promoWarnings.length && { promoWarnings } )
         } );
 
     } catch (error) {
@@ -258,7 +394,8 @@ const updateBet = async ( req, res ) => {
         const { id } = req.params;
         const { 
             idBookMaker, bank, betType, betDate, eventDate,
-            event, bet, stake, odds, status, info 
+            event, bet, stake, odds, status, info,
+            eachWay, placeFraction, places, market, idPromotion
         } = req.body;
  
         // Validar que id sea un número
@@ -280,19 +417,35 @@ const updateBet = async ( req, res ) => {
             } );
         }
  
-        // Si se proporciona idBookMaker, verificar que existe
-        if ( idBookMaker ) {
-            const bookMaker = await dbGet(
-                'SELECT * FROM bookMakers WHERE id = ?',
-                [ idBookMaker ]
-            );
-            if ( !bookMaker ) {
-                return res.status(404).json( {
-                    message: 'La casa de apuestas especificada no existe'
+        // Las múltiples derivan cuota y estado de sus selecciones
+        if ( existingBet.isMultiple && ( status || odds || eachWay ) ) {
+            return res.status(400).json( {
+                message: 'La cuota y el estado de una múltiple se gestionan a través de sus selecciones'
+            } );
+        }
+ 
+        // Obtener la casa de apuestas final (la nueva si se proporciona)
+        const bookMaker = await dbGet(
+            'SELECT * FROM bookMakers WHERE id = ?',
+            [ idBookMaker || existingBet.idBookMaker ]
+        );
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas especificada no existe'
+            } );
+        }
+ 
+        // La promoción (nueva o actual) debe ser de la casa de apuestas final
+        const finalPromotion = idPromotion || existingBet.idPromotion;
+        if ( finalPromotion ) {
+            const promotionError = await findPromotionError( finalPromotion, bookMaker.id );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
                 } );
             }
         }
- 
+
         // Validaciones de los campos si están presentes
         if ( bank && !['real', 'freebet'].includes( bank ) ) {
             return res.status(400).json( {
@@ -306,27 +459,55 @@ const updateBet = async ( req, res ) => {
             } );
         }
  
-        if ( status && !['pending', 'won', 'lost'].includes( status ) ) {
+        if ( status && !BET_STATUSES.includes( status ) ) {
             return res.status(400).json( {
                 message: 'Estado de apuesta no válido'
             } );
         }
  
+        const parsedOdds = odds ? parseOdds( odds ) : null;
+        if ( odds && !parsedOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+ 
         // Preparar datos finales para la actualización
         const finalBetType = betType || existingBet.betType;
         const finalStake = stake || existingBet.stake;
-        const finalOdds = odds || existingBet.odds;
+        const finalOdds = parsedOdds?.decimal ?? existingBet.odds;
+        const finalOddsFraction = parsedOdds ? parsedOdds.fraction : existingBet.oddsFraction;
         const finalStatus = status || existingBet.status;
+        const finalEachWay = eachWay ?? Boolean( existingBet.eachWay );
+        const finalPlaceFraction = placeFraction ?? existingBet.placeFraction;
+        const finalPlaces = places ?? existingBet.places;
+ 
+        // Validar condiciones each-way y mercado con los datos finales
+        const eachWayError = validateEachWay( {
+            eachWay: finalEachWay,
+            betType: finalBetType,
+            status: finalStatus,
+            placeFraction: finalPlaceFraction,
+            places: finalPlaces,
+            market: market || existingBet.market
+        } );
+        if ( eachWayError ) {
+            return res.status(400).json( {
+                message: eachWayError
+            } );
+        }
+        const placeTerms = finalEachWay
+            ? { placeFraction: parsePlaceFraction( finalPlaceFraction ), places: Number( finalPlaces ) }
+            : null;
  
         // Calcular liability y result con los datos finales
-        const liability = calculateLiability( status, betType, stake, odds );
-        const result = calculateResult( 
-            status, 
-            betType, 
-            stake, 
-            odds, 
-            liability,
-            bookMaker.commission  
+        const { liability, result, winResult, placeResult } = calculateBetFigures(
+            finalStatus,
+            finalBetType,
+            finalStake,
+            finalOdds,
+            bookMaker.comission,
+            placeTerms
         );
  
         const sql = `
@@ -339,22 +520,41 @@ const updateBet = async ( req, res ) => {
                 event = COALESCE(?, event),
                 bet = COALESCE(?, bet),
                 stake = COALESCE(?, stake),
-                odds = COALESCE(?, odds),
+                odds = ?,
+                oddsFraction = ?,
                 status = COALESCE(?, status),
                 liability = ?,
                 result = ?,
+                eachWay = ?,
+                placeFraction = ?,
+                places = ?,
+                market = COALESCE(?, market),
+                winResult = ?,
+                placeResult = ?,
+                idPromotion = COALESCE(?, idPromotion),
                 info = COALESCE(?, info)
             WHERE id = ?
         `;
  
-        await dbRun(
-            sql,
-            [ 
-                idBookMaker, bank, betType, betDate, eventDate,
-                event, bet, stake, odds, status, liability,
-                result, info, id 
-            ]
-        );
+        // La actualización y el recálculo de la parte casada van en la misma
+        // transacción para que matchedStake/unmatchedStake no queden desfasados del stake
+        await dbTransaction( async ( tx ) => {
+            await tx.dbRun(
+                sql,
+                [ 
+                    idBookMaker, bank, betType, betDate, eventDate,
+                    event, bet, stake, finalOdds, finalOddsFraction, status,
+                    liability, result, finalEachWay, placeTerms?.placeFraction ?? null,
+                    placeTerms?.places ?? null, market, winResult, placeResult,
+                    idPromotion, info, id 
+                ]
+            );
+ 
+            // Recalcular la parte casada si es una orden del exchange
+            if ( finalBetType === 'layBet' ) {
+                await refreshLayOrder( tx, id );
+            }
+        } );
  
         // Obtener la apuesta actualizada
         const updatedBet = await dbGet(
@@ -380,6 +580,706 @@ const updateBet = async ( req, res ) => {
  };
 
 
+/**
+ * Obtiene las apuestas con la comisión de su casa de apuestas
+ *
+ * @param {Function} get - Función de consulta (dbAll o tx.dbAll)
+ * @param {string} where - Condición SQL sobre la tabla bets (alias b)
+ * @param {Array} params - Parámetros de la condición
+ * @returns {Promise<Array<Object>>} Apuestas encontradas
+ */
+const getBetsWithCommission = ( get, where, params ) => get(
+    `SELECT b.*, bm.comission
+     FROM bets b
+     JOIN bookMakers bm ON b.idBookMaker = bm.id
+     WHERE ${ where }`,
+    params
+);
+
+
+/**
+ * Recalcula la parte casada, la responsabilidad y el resultado de una
+ * layBet a partir de sus tramos (fills) dentro de una transacción.
+ * Una layBet sin tramos y con matchStatus 'matched' se considera casada
+ * por completo a su stake y su cuota.
+ *
+ * @param {Object} tx - Transacción de dbTransaction
+ * @param {number} id - ID de la layBet
+ * @returns {Promise<Object>} { matchStatus, matchedStake, unmatchedStake, averageOdds, liability, result }
+ */
+const refreshLayOrder = async ( tx, id ) => {
+    const [ bet ] = await getBetsWithCommission( tx.dbAll, 'b.id = ?', [ id ] );
+    const fills = await tx.dbAll( 'SELECT * FROM betFills WHERE idBet = ?', [ id ] );
+
+    if ( !fills.length && bet.matchStatus === 'matched' ) {
+        await tx.dbRun(
+            'UPDATE bets SET matchedStake = stake, unmatchedStake = 0 WHERE id = ?',
+            [ id ]
+        );
+
+        return {
+            matchStatus: 'matched',
+            matchedStake: Number( bet.stake ),
+            unmatchedStake: 0,
+            averageOdds: Number( bet.odds ),
+            liability: Number( bet.liability ),
+            result: Number( bet.result )
+        };
+    }
+
+    const { matchedStake, averageOdds, liability, result } = calculateFillFigures(
+        bet.status,
+        bet.betType,
+        fills,
+        bet.comission
+    );
+    const unmatchedStake = toMoney( max( subtract( bet.stake, matchedStake ), 0 ) );
+    const matchStatus = getMatchStatus( bet.stake, matchedStake );
+
+    await tx.dbRun(
+        `UPDATE bets
+         SET matchStatus = ?, matchedStake = ?, unmatchedStake = ?, liability = ?, result = ?
+         WHERE id = ?`,
+        [ matchStatus, matchedStake, unmatchedStake, liability, result, id ]
+    );
+
+    return { matchStatus, matchedStake, unmatchedStake, averageOdds, liability, result };
+};
+
+
+/**
+ * Comprueba si un estado final es válido para una apuesta guardada
+ *
+ * @param {Object} bet - Apuesta guardada
+ * @param {string} status - Estado final propuesto
+ * @returns {string|null} Mensaje de error o null si es válido
+ */
+const getSettlementError = ( bet, status ) => {
+    if ( bet.isMultiple ) {
+        return 'Las múltiples se resuelven a través de sus selecciones (/api/multiples)';
+    }
+
+    return validateEachWay( {
+        eachWay: Boolean( bet.eachWay ),
+        betType: bet.betType,
+        status,
+        placeFraction: bet.placeFraction,
+        places: bet.places,
+        market: bet.market
+    } );
+};
+
+
+/**
+ * Resuelve una apuesta dentro de una transacción recalculando
+ * liability y result con la comisión de su casa de apuestas
+ *
+ * @param {Object} tx - Transacción de dbTransaction
+ * @param {Object} bet - Apuesta con la comisión de su casa (getBetsWithCommission)
+ * @param {string} status - Nuevo estado de la apuesta
+ * @returns {Promise<Object>} Apuesta con los datos de la resolución
+ */
+const applySettlement = async ( tx, bet, status ) => {
+    let { liability, result, winResult, placeResult } = calculateBetFigures(
+        status,
+        bet.betType,
+        bet.stake,
+        bet.odds,
+        bet.comission,
+        bet.eachWay ? { placeFraction: bet.placeFraction } : null
+    );
+
+    await tx.dbRun(
+        `UPDATE bets
+         SET status = ?, liability = ?, result = ?, winResult = ?, placeResult = ?
+         WHERE id = ?`,
+        [ status, liability, result, winResult, placeResult, bet.id ]
+    );
+
+    // En las órdenes del exchange solo cuenta la parte casada
+    if ( bet.betType === 'layBet' ) {
+        ( { liability, result } = await refreshLayOrder( tx, bet.id ) );
+    }
+
+    return {
+        id: bet.id,
+        idBookMaker: bet.idBookMaker,
+        betType: bet.betType,
+        event: bet.event,
+        bet: bet.bet,
+        status,
+        liability,
+        result,
+        winResult,
+        placeResult
+    };
+};
+
+
+/**
+ * settleBet
+ *
+ * Resuelve una apuesta con cualquier estado final, recalculando
+ * liability y result con la comisión de su casa de apuestas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la apuesta a resolver
+ * @param {Object} req.body - Datos de la resolución
+ * @param {string} req.body.status - Estado final (won/lost/placed/void/push/half-won/half-lost)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la apuesta resuelta
+ *
+ * @example
+ * POST /api/bets/12/settle
+ * Body: { "status": "won" }
+ */
+const settleBet = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        if ( !SETTLED_STATUSES.includes( status ) ) {
+            return res.status(400).json( {
+                message: `El estado de resolución debe ser uno de: ${ SETTLED_STATUSES.join(', ') }`
+            } );
+        }
+
+        const settled = await dbTransaction( async ( tx ) => {
+            const [ bet ] = await getBetsWithCommission( tx.dbAll, 'b.id = ? FOR UPDATE', [ id ] );
+
+            if ( !bet ) {
+                return null;
+            }
+
+            const settlementError = getSettlementError( bet, status );
+            if ( settlementError ) {
+                return { settlementError };
+            }
+
+            return applySettlement( tx, bet, status );
+        } );
+
+        if ( !settled ) {
+            return res.status(404).json( {
+                message: `No se encontró la apuesta con ID ${ id }`
+            } );
+        }
+
+        if ( settled.settlementError ) {
+            return res.status(400).json( {
+                message: settled.settlementError
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Apuesta resuelta con éxito',
+            data: settled
+        } );
+
+    } catch (error) {
+        console.error('Error al resolver apuesta:', error);
+        res.status(500).json( {
+            message: 'Error al resolver la apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * settleBets
+ *
+ * Resuelve varias apuestas en una única transacción. Admite dos modos:
+ * - Lista explícita: body.bets con { id, status } por apuesta. Si alguna no
+ *   existe se responde 404 con sus IDs y no se resuelve ninguna
+ * - Por evento: todas las apuestas pendientes de body.event (y opcionalmente
+ *   de la selección body.bet) según el resultado de la selección. Las apuestas
+ *   a favor toman ese resultado y las layBet el contrario según su mercado
+ *   (win/place), de modo que 'placed' resuelve las apuestas each-way.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la resolución
+ * @param {Array<Object>} [req.body.bets] - Apuestas a resolver ({ id, status })
+ * @param {string} [req.body.event] - Evento cuyas apuestas pendientes se resuelven
+ * @param {string} [req.body.bet] - Selección dentro del evento
+ * @param {string} [req.body.outcome] - Resultado de la selección (won/lost/placed/void/push/half-won/half-lost)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Apuestas resueltas y resultado total
+ *
+ * @example
+ * POST /api/bets/settle
+ * Body: { "event": "Real Madrid - Barcelona", "bet": "Real Madrid", "outcome": "won" }
+ */
+const settleBets = async ( req, res ) => {
+    try {
+        const { bets, event, bet, outcome } = req.body;
+
+        if ( !bets && !event ) {
+            return res.status(400).json( {
+                message: 'Debe indicarse la lista bets o el evento a resolver'
+            } );
+        }
+
+        if ( bets ) {
+            if ( !Array.isArray( bets ) || !bets.length ) {
+                return res.status(400).json( {
+                    message: 'El campo bets debe ser una lista no vacía'
+                } );
+            }
+
+            const invalid = bets.find( b =>
+                !Number.isInteger( Number( b.id ) ) || !SETTLED_STATUSES.includes( b.status ) );
+            if ( invalid ) {
+                return res.status(400).json( {
+                    message: `Cada apuesta requiere un id entero y un status de: ${ SETTLED_STATUSES.join(', ') }`
+                } );
+            }
+        }
+        else if ( !SETTLED_STATUSES.includes( outcome ) ) {
+            return res.status(400).json( {
+                message: `El resultado de la selección debe ser uno de: ${ SETTLED_STATUSES.join(', ') }`
+            } );
+        }
+
+        const settled = await dbTransaction( async ( tx ) => {
+            let targets;
+
+            if ( bets ) {
+                const rows = await getBetsWithCommission(
+                    tx.dbAll,
+                    'b.id IN (?) FOR UPDATE',
+                    [ bets.map( b => b.id ) ]
+                );
+
+                // Si falta alguna de las apuestas indicadas no se resuelve ninguna
+                const found = new Set( rows.map( row => row.id ) );
+                const missing = [ ...new Set( bets.map( b => Number( b.id ) ) ) ].filter( id => !found.has( id ) );
+                if ( missing.length ) {
+                    return { missing };
+                }
+
+                const statusById = Object.fromEntries( bets.map( b => [ Number( b.id ), b.status ] ) );
+                targets = rows.map( row => ({ row, status: statusById[ row.id ] }) );
+            }
+            else {
+                let where = 'b.event = ? AND b.status = \'pending\' AND b.isMultiple = FALSE';
+                const params = [ event ];
+
+                if ( bet ) {
+                    where += ' AND b.bet = ?';
+                    params.push( bet );
+                }
+
+                const rows = await getBetsWithCommission( tx.dbAll, `${ where } FOR UPDATE`, params );
+                targets = rows.map( row => ({
+                    row,
+                    status: getStatusForOutcome( outcome, {
+                        betType: row.betType,
+                        eachWay: Boolean( row.eachWay ),
+                        market: row.market
+                    } )
+                }) );
+            }
+
+            const invalid = targets
+                .map( ({ row, status }) => ({ id: row.id, error: getSettlementError( row, status ) }) )
+                .filter( target => target.error );
+            if ( invalid.length ) {
+                return { invalid };
+            }
+
+            const results = [];
+            for ( const { row, status } of targets ) {
+                results.push( await applySettlement( tx, row, status ) );
+            }
+            return results;
+        } );
+
+        if ( settled.missing ) {
+            return res.status(404).json( {
+                message: 'No se encontraron algunas de las apuestas indicadas',
+                missing: settled.missing
+            } );
+        }
+
+        if ( settled.invalid ) {
+            return res.status(400).json( {
+                message: 'Algunas apuestas no admiten el estado indicado',
+                invalid: settled.invalid
+            } );
+        }
+
+        if ( !settled.length ) {
+            return res.status(404).json( {
+                message: 'No se encontraron apuestas para resolver'
+            } );
+        }
+
+        const totalResult = add( ...settled.map( b => b.result ) );
+
+        res.status(200).json( {
+            message: 'Apuestas resueltas con éxito',
+            totalSettled: settled.length,
+            totalResult: toMoney( totalResult ),
+            data: settled
+        } );
+
+    } catch (error) {
+        console.error('Error al resolver apuestas:', error);
+        res.status(500).json( {
+            message: 'Error al resolver las apuestas',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * Obtiene una layBet con la comisión de su casa de apuestas y bloquea la fila
+ * Devuelve un objeto de error con su código HTTP si no es una orden del exchange
+ *
+ * @param {Object} tx - Transacción de dbTransaction
+ * @param {number} id - ID de la apuesta
+ * @returns {Promise<Object>} { bet } o { status, message }
+ */
+const findLayOrder = async ( tx, id ) => {
+    const [ bet ] = await getBetsWithCommission( tx.dbAll, 'b.id = ? FOR UPDATE', [ id ] );
+
+    if ( !bet ) {
+        return { status: 404, message: `No se encontró la apuesta con ID ${ id }` };
+    }
+
+    if ( bet.betType !== 'layBet' ) {
+        return { status: 400, message: 'Solo las layBet admiten tramos casados' };
+    }
+
+    return { bet };
+};
+
+
+/**
+ * getBetFills
+ *
+ * Obtiene los tramos casados de una layBet junto con su estado de ejecución
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la layBet
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Estado de la orden y lista de tramos
+ */
+const getBetFills = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const bet = await dbGet( 'SELECT * FROM bets WHERE id = ?', [ id ] );
+
+        if ( !bet ) {
+            return res.status(404).json( {
+                message: `No se encontró la apuesta con ID ${ id }`
+            } );
+        }
+
+        const fills = await dbAll(
+            'SELECT * FROM betFills WHERE idBet = ? ORDER BY fillDate, id',
+            [ id ]
+        );
+
+        res.status(200).json( {
+            message: 'Tramos obtenidos con éxito',
+            data: {
+                idBet: bet.id,
+                stake: Number( bet.stake ),
+                matchStatus: bet.matchStatus,
+                matchedStake: Number( bet.matchedStake ),
+                unmatchedStake: Number( bet.unmatchedStake ),
+                fills
+            }
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener tramos:', error);
+        res.status(500).json( {
+            message: 'Error al obtener los tramos de la apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createBetFill
+ *
+ * Registra un tramo casado de una layBet. La liability y el result de la
+ * apuesta pasan a ser la suma de los de cada tramo, y matchStatus se
+ * actualiza a 'partially-matched' o 'matched' según la cantidad casada
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la layBet
+ * @param {Object} req.body - Datos del tramo
+ * @param {number} req.body.stake - Stake casado en el tramo
+ * @param {number|string} req.body.odds - Cuota a la que se casó el tramo (decimal, fraccionaria o americana)
+ * @param {string} [req.body.fillDate] - Fecha en que se casó el tramo
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Tramo creado y estado actualizado de la orden
+ *
+ * @example
+ * POST /api/bets/12/fills
+ * Body: { "stake": 40, "odds": 3.1 }
+ */
+const createBetFill = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { stake, odds, fillDate = new Date() } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        if ( !( Number( stake ) > 0 ) ) {
+            return res.status(400).json( {
+                message: 'El stake debe ser mayor que 0'
+            } );
+        }
+
+        const parsedOdds = parseOdds( odds );
+        if ( !parsedOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+
+        const created = await dbTransaction( async ( tx ) => {
+            const { bet, ...lookupError } = await findLayOrder( tx, id );
+
+            if ( !bet ) {
+                return { error: lookupError };
+            }
+
+            if ( bet.status !== 'pending' ) {
+                return { error: { status: 400, message: 'No se pueden añadir tramos a una apuesta ya resuelta' } };
+            }
+
+            const { total } = await tx.dbGet(
+                'SELECT COALESCE(SUM(stake), 0) as total FROM betFills WHERE idBet = ?',
+                [ id ]
+            );
+
+            if ( bet.matchStatus === 'matched' ) {
+                return { error: { status: 400, message: 'La orden ya está casada por completo' } };
+            }
+
+            if ( compare( add( total, toMoney( stake ) ), bet.stake ) > 0 ) {
+                return { error: {
+                    status: 400,
+                    message: `El stake casado no puede superar el de la orden (${ Number( bet.stake ) })`
+                } };
+            }
+
+            const insertResult = await tx.dbRun(
+                'INSERT INTO betFills (idBet, fillDate, stake, odds, oddsFraction) VALUES (?, ?, ?, ?, ?)',
+                [ id, fillDate, stake, parsedOdds.decimal, parsedOdds.fraction ]
+            );
+
+            const order = await refreshLayOrder( tx, id );
+
+            return {
+                fill: {
+                    id: insertResult.insertId,
+                    idBet: Number( id ),
+                    fillDate,
+                    stake,
+                    odds: parsedOdds.decimal,
+                    oddsFraction: parsedOdds.fraction
+                },
+                order
+            };
+        } );
+
+        if ( created.error ) {
+            return res.status( created.error.status ).json( {
+                message: created.error.message
+            } );
+        }
+
+        res.status(201).json( {
+            message: 'Tramo registrado con éxito',
+            data: created
+        } );
+
+    } catch (error) {
+        console.error('Error al registrar tramo:', error);
+        res.status(500).json( {
+            message: 'Error al registrar el tramo',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteBetFill
+ *
+ * Elimina un tramo casado de una layBet pendiente y recalcula la orden
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la layBet
+ * @param {number} req.params.idFill - ID del tramo a eliminar
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Estado actualizado de la orden
+ */
+const deleteBetFill = async ( req, res ) => {
+    try {
+        const { id, idFill } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) || !Number.isInteger( Number( idFill ) ) ) {
+            return res.status(400).json( {
+                message: 'Los IDs deben ser números enteros'
+            } );
+        }
+
+        const deleted = await dbTransaction( async ( tx ) => {
+            const { bet, ...lookupError } = await findLayOrder( tx, id );
+
+            if ( !bet ) {
+                return { error: lookupError };
+            }
+
+            if ( bet.status !== 'pending' ) {
+                return { error: { status: 400, message: 'No se pueden eliminar tramos de una apuesta ya resuelta' } };
+            }
+
+            const deleteResult = await tx.dbRun(
+                'DELETE FROM betFills WHERE id = ? AND idBet = ?',
+                [ idFill, id ]
+            );
+
+            if ( deleteResult.affectedRows === 0 ) {
+                return { error: { status: 404, message: `No se encontró el tramo con ID ${ idFill }` } };
+            }
+
+            // Sin tramos la orden vuelve a quedar sin casar, no casada por completo
+            await tx.dbRun( "UPDATE bets SET matchStatus = 'unmatched' WHERE id = ?", [ id ] );
+
+            return { order: await refreshLayOrder( tx, id ) };
+        } );
+
+        if ( deleted.error ) {
+            return res.status( deleted.error.status ).json( {
+                message: deleted.error.message
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Tramo eliminado con éxito',
+            deletedId: idFill,
+            data: deleted.order
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar tramo:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el tramo',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * cancelUnmatched
+ *
+ * Cancela la parte no casada de una layBet: el stake de la orden queda
+ * reducido a lo casado y la cuota pasa a ser la media ponderada de los tramos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la layBet
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Estado actualizado de la orden
+ */
+const cancelUnmatched = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const cancelled = await dbTransaction( async ( tx ) => {
+            const { bet, ...lookupError } = await findLayOrder( tx, id );
+
+            if ( !bet ) {
+                return { error: lookupError };
+            }
+
+            if ( bet.status !== 'pending' ) {
+                return { error: { status: 400, message: 'La apuesta ya está resuelta' } };
+            }
+
+            if ( bet.matchStatus !== 'partially-matched' ) {
+                return { error: {
+                    status: 400,
+                    message: 'Solo se puede cancelar la parte no casada de una orden parcialmente casada'
+                } };
+            }
+
+            const { matchedStake, averageOdds } = await refreshLayOrder( tx, id );
+
+            await tx.dbRun(
+                'UPDATE bets SET stake = ?, odds = ?, oddsFraction = NULL WHERE id = ?',
+                [ matchedStake, averageOdds, id ]
+            );
+
+            return { order: await refreshLayOrder( tx, id ) };
+        } );
+
+        if ( cancelled.error ) {
+            return res.status( cancelled.error.status ).json( {
+                message: cancelled.error.message
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Parte no casada cancelada con éxito',
+            data: cancelled.order
+        } );
+
+    } catch (error) {
+        console.error('Error al cancelar la parte no casada:', error);
+        res.status(500).json( {
+            message: 'Error al cancelar la parte no casada',
+            error: error.message
+        } );
+    }
+};
+
+
  /**
 * deleteBet
 * 
@@ -416,17 +1316,25 @@ const deleteBet = async ( req, res ) => {
         }
  
         // Verificar el estado de la apuesta
-        if ( bet.status === 'won' || bet.status === 'lost' ) {
+        if ( bet.isMultiple ) {
+            return res.status(400).json( {
+                message: 'Las múltiples se eliminan a través de /api/multiples'
+            } );
+        }
+ 
+        if ( bet.status !== 'pending' ) {
             return res.status(400).json( {
                 message: 'No se puede eliminar una apuesta ya resuelta'
             } );
         }
  
-        // Proceder con la eliminación
-        const deleteResult = await dbRun(
-            'DELETE FROM bets WHERE id = ?',
-            [ id ]
-        );
+        // Proceder con la eliminación (junto con sus tramos casados y sus vínculos con freebets)
+        const deleteResult = await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM betFills WHERE idBet = ?', [ id ] );
+            await tx.dbRun( 'DELETE FROM freebetUsages WHERE idBet = ?', [ id ] );
+            await tx.dbRun( 'UPDATE freebets SET idQualifyingBet = NULL WHERE idQualifyingBet = ?', [ id ] );
+            return tx.dbRun( 'DELETE FROM bets WHERE id = ?', [ id ] );
+        } );
  
         if ( deleteResult.affectedRows === 0 ) {
             return res.status(404).json( {
@@ -506,40 +1414,42 @@ const getBetsByBookMaker = async ( req, res ) => {
  * getBetStats
  * 
  * Obtiene estadísticas generales de apuestas por casa de apuestas
+ * con los importes convertidos a la divisa base
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base (por defecto BASE_CURRENCY o EUR)
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Estadísticas de apuestas por casa de apuestas
  */
 const getBetStats = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, betsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
-                bm.name as bookMakerName,
+                b.bookMakerName,
                 COUNT(*) as totalBets,
-                SUM(CASE WHEN b.status = 'won' THEN 1 ELSE 0 END) as wonBets,
-                SUM(CASE WHEN b.status = 'lost' THEN 1 ELSE 0 END) as lostBets,
+                ${ statusAggregateColumns( 'b.' ) },
                 SUM(CASE WHEN b.status = 'pending' THEN 1 ELSE 0 END) as pendingBets,
-                SUM(b.stake) as totalStaked,
-                SUM(CASE 
-                    WHEN b.status = 'won' THEN b.result 
-                    WHEN b.status = 'lost' THEN b.result
-                    ELSE 0 
-                END) as totalResult,
+                SUM(${ stakedSql( 'b.' ) }) as totalStaked,
+                SUM(CASE WHEN b.status != 'pending' THEN b.result ELSE 0 END) as totalResult,
                 SUM(CASE
                     WHEN b.betType = 'layBet' THEN b.liability
-                    ELSE b.stake
+                    ELSE ${ stakedSql( 'b.' ) }
                 END) as totalLiability,
                 MIN(b.betDate) as firstBet,
                 MAX(b.betDate) as lastBet
-            FROM bets b
-            JOIN bookMakers bm ON b.idBookMaker = bm.id
-            GROUP BY bm.id, bm.name
-            ORDER BY bm.name
+            FROM ( ${ betsInCurrencySql } ) b
+            GROUP BY b.idBookMaker, b.bookMakerName
+            ORDER BY b.bookMakerName
         `;
 
-        const stats = await dbAll( sql );
+        const stats = await dbAll( sql, [ baseCurrency ] );
         
         if ( !stats.length ) {
             return res.status(204).send();
@@ -548,9 +1458,13 @@ const getBetStats = async ( req, res ) => {
         // Calcular estadísticas adicionales para cada casa de apuestas
         const enhancedStats = stats.map( stat => ({
             ...stat,
-            winRate: Number(((stat.wonBets / (stat.wonBets + stat.lostBets)) * 100 || 0).toFixed(2)),
-            avgStake: Number((stat.totalStaked / stat.totalBets).toFixed(2)),
-            roi: Number(((stat.totalResult / stat.totalStaked) * 100 || 0).toFixed(2))
+            ...calculateStatusRates( stat ),
+            currency: baseCurrency,
+            totalStaked: toMoney( stat.totalStaked ),
+            settledStaked: toMoney( stat.settledStaked ),
+            totalResult: toMoney( stat.totalResult ),
+            totalLiability: toMoney( stat.totalLiability ),
+            avgStake: average( stat.totalStaked, stat.totalBets )
         }));
 
         res.status(200).json( enhancedStats );
@@ -572,7 +1486,7 @@ const getBetStats = async ( req, res ) => {
  *
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.params - Parámetros de la solicitud 
- * @param {string} req.params.status - Estado de las apuestas a buscar (pending/won/lost)
+ * @param {string} req.params.status - Estado de las apuestas a buscar (pending/won/lost/placed/void/push/half-won/half-lost)
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Lista de apuestas del estado especificado
@@ -582,9 +1496,9 @@ const getBetsByStatus = async ( req, res ) => {
         const { status } = req.params;
 
         // Validar estado
-        if ( !['pending', 'won', 'lost'].includes( status ) ) {
+        if ( !BET_STATUSES.includes( status ) ) {
             return res.status(400).json( {
-                message: 'Estado no válido. Debe ser: pending, won o lost'
+                message: `Estado no válido. Debe ser: ${ BET_STATUSES.join(', ') }`
             } );
         }
 
@@ -658,29 +1572,35 @@ const getBetsByPeriod = async ( req, res ) => {
 /**
  * getDailyBetsSummary
  * 
- * Obtiene un resumen de las apuestas agrupadas por día
+ * Obtiene un resumen de las apuestas agrupadas por día en la divisa base
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base (por defecto BASE_CURRENCY o EUR)
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Resumen diario de apuestas
  */
 const getDailyBetsSummary = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, betsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
                 DATE(betDate) as date,
                 COUNT(*) as totalBets,
-                SUM(stake) as totalStaked,
-                SUM(CASE WHEN status = 'won' THEN 1 ELSE 0 END) as wonBets,
-                SUM(CASE WHEN status = 'lost' THEN 1 ELSE 0 END) as lostBets,
+                SUM(${ stakedSql() }) as totalStaked,
+                ${ statusAggregateColumns() },
                 SUM(result) as totalResult
-            FROM bets
+            FROM ( ${ betsInCurrencySql } ) b
             GROUP BY DATE(betDate)
             ORDER BY DATE(betDate) DESC
         `;
 
-        const summary = await dbAll( sql );
+        const summary = await dbAll( sql, [ baseCurrency ] );
 
         if ( !summary.length ) {
             return res.status(204).send();
@@ -689,10 +1609,12 @@ const getDailyBetsSummary = async ( req, res ) => {
         // Enriquecer datos con cálculos adicionales
         const enrichedSummary = summary.map( day => ({
             ...day,
-            winRate: Number(((day.wonBets / (day.wonBets + day.lostBets)) * 100 || 0).toFixed(2)),
-            avgStake: Number((day.totalStaked / day.totalBets).toFixed(2)),
-            totalStaked: Number(day.totalStaked.toFixed(2)),
-            totalResult: Number(day.totalResult.toFixed(2))
+            ...calculateStatusRates( day ),
+            currency: baseCurrency,
+            avgStake: average( day.totalStaked, day.totalBets ),
+            totalStaked: toMoney( day.totalStaked ),
+            settledStaked: toMoney( day.settledStaked ),
+            totalResult: toMoney( day.totalResult )
         }));
 
         res.status(200).json( enrichedSummary );
@@ -709,30 +1631,36 @@ const getDailyBetsSummary = async ( req, res ) => {
 /**
  * getMonthlyBetsSummary
  * 
- * Obtiene un resumen de las apuestas agrupadas por mes
+ * Obtiene un resumen de las apuestas agrupadas por mes en la divisa base
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base (por defecto BASE_CURRENCY o EUR)
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Resumen mensual de apuestas
  */
 const getMonthlyBetsSummary = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, betsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
-                strftime('%Y-%m', betDate) as month,
+                ${ periodSql( 'betDate' ) } as month,
                 COUNT(*) as totalBets,
-                SUM(stake) as totalStaked,
-                SUM(CASE WHEN status = 'won' THEN 1 ELSE 0 END) as wonBets,
-                SUM(CASE WHEN status = 'lost' THEN 1 ELSE 0 END) as lostBets,
+                SUM(${ stakedSql() }) as totalStaked,
+                ${ statusAggregateColumns() },
                 SUM(result) as totalResult,
                 AVG(odds) as avgOdds
-            FROM bets
-            GROUP BY strftime('%Y-%m', betDate)
+            FROM ( ${ betsInCurrencySql } ) b
+            GROUP BY month
             ORDER BY month DESC
         `;
 
-        const summary = await dbAll( sql );
+        const summary = await dbAll( sql, [ baseCurrency ] );
 
         if ( !summary.length ) {
             return res.status(204).send();
@@ -741,12 +1669,13 @@ const getMonthlyBetsSummary = async ( req, res ) => {
         // Enriquecer datos con cálculos adicionales
         const enrichedSummary = summary.map( month => ({
             ...month,
-            winRate: Number(((month.wonBets / (month.wonBets + month.lostBets)) * 100 || 0).toFixed(2)),
-            avgStake: Number((month.totalStaked / month.totalBets).toFixed(2)),
-            roi: Number(((month.totalResult / month.totalStaked) * 100 || 0).toFixed(2)),
-            totalStaked: Number(month.totalStaked.toFixed(2)),
-            totalResult: Number(month.totalResult.toFixed(2)),
-            avgOdds: Number(month.avgOdds.toFixed(2))
+            ...calculateStatusRates( month ),
+            currency: baseCurrency,
+            avgStake: average( month.totalStaked, month.totalBets ),
+            totalStaked: toMoney( month.totalStaked ),
+            settledStaked: toMoney( month.settledStaked ),
+            totalResult: toMoney( month.totalResult ),
+            avgOdds: toOdds( month.avgOdds )
         }));
 
         res.status(200).json( enrichedSummary );
@@ -808,4 +1737,25 @@ const getBetsByType = async ( req, res ) => {
             error: error.message
         } );
     }
-};
\ No newline at end of file
+};
+
+export {
+    getBets,
+    getBetById,
+    createBet,
+    updateBet,
+    settleBet,
+    settleBets,
+    getBetFills,
+    createBetFill,
+    deleteBetFill,
+    cancelUnmatched,
+    deleteBet,
+    getBetsByBookMaker,
+    getBetStats,
+    getBetsByStatus,
+    getBetsByPeriod,
+    getDailyBetsSummary,
+    getMonthlyBetsSummary,
+    getBetsByType
+};
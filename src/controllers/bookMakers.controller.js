@@ -5,7 +5,8 @@
 * 
 * Operaciones CRUD:
 * - getBookMakers()
-*   Obtiene todas las casas de apuestas
+*   Obtiene todas las casas de apuestas con el estado actual de la cuenta
+*   Query: { status: string ('active'|'promo-restricted'|'stake-limited'|'closed', varios separados por comas) }
 * 
 * - getBookMakerById( id )
 *   Obtiene una casa de apuestas específica
@@ -18,6 +19,7 @@
 *     type: string ('regular'|'exchange'),
 *     comission: number (0-100),
 *     initialBalance: number (por defecto 0)
+*     currency: string (ISO 4217, por defecto 'EUR')
 *     info: string
 *   }
 * 
@@ -29,28 +31,119 @@
 * - deleteBookMaker( id )
 *   Elimina una casa de apuestas
 *   Params: id - ID de la casa de apuestas
+*
+* Saldo:
+* - getBookMakerBalance( id )
+*   Obtiene el saldo calculado, actual o en una fecha, y el último saldo real
+*   Params: id - ID de la casa de apuestas
+*   Query: { date: string (YYYY-MM-DD) }
+*
+* - getBookMakerBalanceHistory( id )
+*   Obtiene la serie diaria del saldo y la responsabilidad abierta
+*   Params: id - ID de la casa de apuestas
+*   Query: { startDate: string, endDate: string }
+*
+* - getBalanceHistory()
+*   Obtiene la serie diaria del saldo de todas las casas de apuestas
+*   Query: { startDate: string, endDate: string }
+*
+* - getBookMakerBalanceSnapshots( id )
+*   Obtiene los saldos reales registrados
+*   Params: id - ID de la casa de apuestas
+*
+* - createBookMakerBalanceSnapshot( id )
+*   Registra el saldo real leído en la web de la casa de apuestas
+*   Params: id - ID de la casa de apuestas
+*   Body: { balance: number, date: string (YYYY-MM-DD, por defecto hoy), info: string }
+*
+* - deleteBookMakerBalanceSnapshot( id, idSnapshot )
+*   Elimina un saldo real registrado
+*   Params: id - ID de la casa de apuestas, idSnapshot - ID del registro
+*
+* - getBookMakerReconciliation( id )
+*   Compara cada saldo real con el calculado en su fecha y marca las diferencias
+*   Params: id - ID de la casa de apuestas
+*   Query: { startDate: string, endDate: string, tolerance: number (default: 0.01) }
+*
+* Estado de la cuenta:
+* - getBookMakerStatusHistory( id )
+*   Obtiene el historial de estados de la cuenta
+*   Params: id - ID de la casa de apuestas
+*
+* - createBookMakerStatus( id )
+*   Registra un cambio de estado de la cuenta
+*   Params: id - ID de la casa de apuestas
+*   Body: {
+*     status: string ('active'|'promo-restricted'|'stake-limited'|'closed'),
+*     date: string (YYYY-MM-DD, por defecto hoy),
+*     maxStake: number (obligatorio si está limitada),
+*     reason: string
+*   }
+*
+* - deleteBookMakerStatus( id, idStatus )
+*   Elimina un registro del historial de estados
+*   Params: id - ID de la casa de apuestas, idStatus - ID del registro
 */
 
 
-import { dbAll, dbGet, dbRun } from '../utils/helpers'
+import { dbAll, dbGet, dbRun, dbStream, dbTransaction } from '../utils/helpers.js'
+import { REFERENCE_CURRENCY, isCurrencyCode } from '../utils/currency.js'
+import { add, compare, percentage, subtract, toMoney, toOdds } from '../utils/money.js'
+import { BALANCE_TOLERANCE, buildBalanceSeries, calculateBookMakerBalance } from '../utils/balance.js'
+import { addDays, today } from '../utils/dates.js'
+import { settledTransactionSql } from '../utils/transactions.js'
+import {
+    ACCOUNT_STATUSES,
+    accountMaxStakeSql,
+    accountStatusSql,
+    parseAccountStatuses
+} from '../utils/accountStatus.js'
+
+/**
+ * Columnas con el estado actual de la cuenta y su stake máximo
+ */
+const currentStatusColumns = `
+    ${ accountStatusSql( 'bm.id' ) } as accountStatus,
+    ${ accountMaxStakeSql( 'bm.id' ) } as maxStake`;
 
 /**
  * getBookMakers
  *
- * Obtiene todas las casas de apuestas
+ * Obtiene todas las casas de apuestas con el estado actual de su cuenta
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.status] - Estados de cuenta a incluir (separados por comas)
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Lista de todas las casas de apuestas
  *
  * @example
- * GET /api/bookMakers
+ * GET /api/bookMakers?status=active,stake-limited
  */
 const getBookMakers = async ( req, res ) => {
     try {
-        const sql = 'SELECT * FROM bookMakers';
-        const bookMakers = await dbAll( sql );  
+        const { statuses, error: statusError } = parseAccountStatuses( req.query.status );
+
+        if ( statusError ) {
+            return res.status(400).json( {
+                message: statusError
+            } );
+        }
+
+        let sql = `SELECT bm.*, ${ currentStatusColumns } FROM bookMakers bm`;
+        const params = [];
+
+        if ( statuses ) {
+            sql += ` WHERE ${ accountStatusSql( 'bm.id' ) } IN (?)`;
+            params.push( statuses );
+        }
+
+        if ( res.csvRows ) {
+            return await res.csvRows( dbStream( sql, params ) );
+        }
+
+        const bookMakers = await dbAll( sql, params );  
         
         if (!bookMakers.length) {
             return res.status(204).send(); 
@@ -93,7 +186,7 @@ const getBookMakerById = async (req, res) => {
             } );
         }
 
-        const sql = 'SELECT * FROM bookMakers WHERE id = ?'; 
+        const sql = `SELECT bm.*, ${ currentStatusColumns } FROM bookMakers bm WHERE bm.id = ?`; 
         const bookMaker = await dbGet( sql, [ id ] );
 
         if (!bookMaker) {
@@ -123,6 +216,7 @@ const getBookMakerById = async (req, res) => {
  * @param {string} req.body.type - Tipo de la casa de apuestas
  * @param {number} req.body.comission - Comisión de la casa de apuestas
  * @param {number} req.body.initialBalance - Saldo inicial de la casa de apuestas
+ * @param {string} [req.body.currency='EUR'] - Divisa de la cuenta (ISO 4217)
  * @param {string} req.body.info - Información extra sobre la casa de apuestas
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
@@ -136,13 +230,14 @@ const getBookMakerById = async (req, res) => {
  *   "type": "regular",
  *   "comission": 0,
  *   "initialBalance": 120.30,
+ *   "currency": "EUR",
  *   "info": "Muy buenas promociones"
  * }
  * 
  */
 const createBookMaker = async ( req, res ) => {
     try {
-        const { name, type, comission, info, initialBalance } = req.body;
+        const { name, type, comission, info, initialBalance, currency = REFERENCE_CURRENCY } = req.body;
 
         // validación de campos requeridos
         if ( !name || !type || comission === undefined || initialBalance === undefined) {
@@ -173,6 +268,13 @@ const createBookMaker = async ( req, res ) => {
             } );
         }
 
+        // validación de divisa
+        if ( !isCurrencyCode( currency ) ) {
+            return res.status(400).json( {
+                message: 'La divisa debe ser un código ISO de 3 letras en mayúsculas (EUR, GBP, USD...)'
+            } );
+        }
+
         // validación de longitudes de strings
         if ( name && name.length > 100 ) {
             return res.status(400).json( {
@@ -201,13 +303,13 @@ const createBookMaker = async ( req, res ) => {
         // inserción en la BBDD
 
         const sql = `
-            INSERT INTO bookMakers (name, type, comission, info, initialBalance) 
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO bookMakers (name, type, comission, info, initialBalance, currency) 
+            VALUES (?, ?, ?, ?, ?, ?)
         `;
         
         const result = await dbRun( 
             sql,
-            [ name, type, comission, info, initialBalance ] 
+            [ name, type, comission, info, initialBalance, currency ] 
         );
 
         res.status(201).json( {
@@ -217,6 +319,7 @@ const createBookMaker = async ( req, res ) => {
                 name, 
                 type,
                 comission, 
+                currency,
                 info
             }
         });
@@ -245,6 +348,7 @@ const createBookMaker = async ( req, res ) => {
  * @param {string} [req.body.type] - Nuevo tipo de la casa de apuestas
  * @param {number} [req.body.comission] - Nueva comisión de la casa de apuestas
  * @param {number} [req.body.initialBalance] - Nuevo saldo inicial
+ * @param {string} [req.body.currency] - Nueva divisa (solo sin apuestas ni transacciones)
  * @param {string} [req.body.info] - Nueva info de la casa de apuestas
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
@@ -253,7 +357,7 @@ const createBookMaker = async ( req, res ) => {
 const updateBookMaker = async ( req, res ) => {
     try {
         const { id } = req.params;
-        const { name, type, comission, info, initialBalance } = req.body;
+        const { name, type, comission, info, initialBalance, currency } = req.body;
 
         // Validar que id sea un número
         if ( !Number.isInteger( Number( id ) ) ) {
@@ -295,6 +399,29 @@ const updateBookMaker = async ( req, res ) => {
             } );
         }
 
+        if ( currency !== undefined && !isCurrencyCode( currency ) ) {
+            return res.status(400).json( {
+                message: 'La divisa debe ser un código ISO de 3 letras en mayúsculas (EUR, GBP, USD...)'
+            } );
+        }
+
+        // Los importes guardados están en la divisa de la cuenta
+        if ( currency && currency !== existingBookMaker.currency ) {
+            const movements = await dbGet(
+                `SELECT
+                    (SELECT COUNT(*) FROM bets WHERE idBookMaker = ?) +
+                    (SELECT COUNT(*) FROM transactions WHERE idBookMaker = ?) as count`,
+                [ id, id ]
+            );
+
+            if ( movements.count > 0 ) {
+                return res.status(409).json( {
+                    message: 'No se puede cambiar la divisa de una Casa de Apuestas con apuestas o transacciones',
+                    associatedMovements: movements.count
+                } );
+            }
+        }
+
         if ( name ) {
             const nameExists = await dbGet(
                 'SELECT id FROM bookMakers WHERE name = ? AND id != ?', 
@@ -313,13 +440,14 @@ const updateBookMaker = async ( req, res ) => {
                 type = COALESCE(?, type),
                 comission = COALESCE(?, comission),
                 initialBalance = COALESCE(?, initialBalance),
+                currency = COALESCE(?, currency),
                 info = COALESCE(?, info)
             WHERE id = ?
         `;
 
         await dbRun(
             sql, 
-            [ name, type, comission, initialBalance, info, id ] 
+            [ name, type, comission, initialBalance, currency, info, id ] 
         );
 
         // Obtener la casa de apuestas actualizada
@@ -418,12 +546,39 @@ const deleteBookMaker = async ( req, res ) => {
             } );
         }
 
-        // Proceder con la eliminación
-        const deleteResult = await dbRun(
-            'DELETE FROM bookMakers WHERE id = ?',
+        // Verificar promociones asociadas
+        const [ promotionCount ] = await dbAll(
+            'SELECT COUNT(*) as count FROM promotions WHERE idBookMaker = ?',
             [ id ]
         );
 
+        if ( promotionCount.count > 0 ) {
+            return res.status(409).json( {
+                message: 'No se puede eliminar la Casa de Apuestas porque tiene promociones asociadas',
+                associatedPromotions: promotionCount.count
+            } );
+        }
+
+        // Verificar ofertas recurrentes asociadas
+        const [ offerTemplateCount ] = await dbAll(
+            'SELECT COUNT(*) as count FROM offerTemplates WHERE idBookMaker = ?',
+            [ id ]
+        );
+
+        if ( offerTemplateCount.count > 0 ) {
+            return res.status(409).json( {
+                message: 'No se puede eliminar la Casa de Apuestas porque tiene ofertas recurrentes asociadas',
+                associatedOfferTemplates: offerTemplateCount.count
+            } );
+        }
+
+        // Proceder con la eliminación (junto con su historial de estados y saldos reales)
+        const deleteResult = await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM bookMakerStatuses WHERE idBookMaker = ?', [ id ] );
+            await tx.dbRun( 'DELETE FROM bookMakerBalances WHERE idBookMaker = ?', [ id ] );
+            return tx.dbRun( 'DELETE FROM bookMakers WHERE id = ?', [ id ] );
+        } );
+
         if ( deleteResult.affectedRows === 0 ) {
             return res.status(404).json( {
                 message: `No se pudo eliminar la casa de apuestas con ID ${id}`
@@ -457,12 +612,17 @@ export {
 /**
  * getBookMakerBalance
  * 
- * Obtiene el saldo actual de una casa de apuestas específica
+ * Obtiene el saldo calculado de una casa de apuestas específica, actual o en una fecha
  * calculado como: depósitos - retiros + resultados - responsabilidades pendientes
+ * En las layBet solo cuenta la responsabilidad de la parte casada; el stake
+ * sin casar se muestra aparte en el desglose
+ * Incluye el último saldo real registrado hasta esa fecha y su diferencia
  *
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.params - Parámetros de la solicitud
  * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.date] - Fecha del saldo (YYYY-MM-DD, por defecto el actual)
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Object} Saldo y desglose de la casa de apuestas
@@ -470,6 +630,7 @@ export {
 const getBookMakerBalance = async ( req, res ) => {
     try {
         const { id } = req.params;
+        const { date } = req.query;
 
         // Validar que id sea un número
         if ( !Number.isInteger( Number( id ) ) ) {
@@ -478,6 +639,12 @@ const getBookMakerBalance = async ( req, res ) => {
             } );
         }
 
+        if ( date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) {
+            return res.status(400).json( {
+                message: 'La fecha debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
         // Verificar si existe la casa de apuestas
         const bookMaker = await dbGet(
             'SELECT * FROM bookMakers WHERE id = ?',
@@ -490,44 +657,27 @@ const getBookMakerBalance = async ( req, res ) => {
             } );
         }
 
-        // Obtener totales de transacciones
-        const transactionsSql = `
-            SELECT
-                SUM(CASE WHEN type = 'deposit' THEN amount ELSE 0 END) as totalDeposits,
-                SUM(CASE WHEN type = 'withdrawal' THEN amount ELSE 0 END) as totalWithdrawals
-            FROM transactions
-            WHERE idBookMaker = ?
-        `;
-        const transactionsResult = await dbGet( transactionsSql, [ id ] );
-
-        // Obtener totales de apuestas
-        const betsSql = `
-            SELECT
-                SUM(result) as totalResults,
-                SUM(CASE WHEN status = 'pending' THEN liability ELSE 0 END) as totalLiability
-            FROM bets
-            WHERE idBookMaker = ?
-        `;
-        const betsResult = await dbGet( betsSql, [ id ] );
-
-        // Calcular saldo
-        const totalDeposits = transactionsResult.totalDeposits || 0;
-        const totalWithdrawals = transactionsResult.totalWithdrawals || 0;
-        const totalResults = betsResult.totalResults || 0;
-        const totalLiability = betsResult.totalLiability || 0;
+        const { balance, breakdown } = await calculateBookMakerBalance( bookMaker, date || null );
 
-        const balance = bookMaker.initialBalance + totalDeposits - totalWithdrawals + totalResults - totalLiability;
+        // Último saldo real registrado hasta la fecha
+        const snapshot = await dbGet(
+            `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, balance
+             FROM bookMakerBalances
+             WHERE idBookMaker = ? AND date <= COALESCE(?, CURDATE())
+             ORDER BY date DESC
+             LIMIT 1`,
+            [ id, date || null ]
+        );
 
         res.status(200).json( {
             bookMakerName: bookMaker.name,
-            balance: Number(balance.toFixed(2)),
-            breakdown: {
-                initialBalance: Number(bookMaker.initialBalance.toFixed(2)),
-                totalDeposits: Number(totalDeposits.toFixed(2)),
-                totalWithdrawals: Number(totalWithdrawals.toFixed(2)),
-                totalResults: Number(totalResults.toFixed(2)),
-                totalLiability: Number(totalLiability.toFixed(2))
-            }
+            currency: bookMaker.currency,
+            date: date || 'Actual',
+            balance,
+            breakdown,
+            lastSnapshot: snapshot
+                ? { ...snapshot, difference: toMoney( subtract( snapshot.balance, balance ) ) }
+                : null
         } );
 
     } catch (error) {
@@ -647,6 +797,8 @@ const getBookMakerActivity = async ( req, res ) => {
  * @param {Object} req.query - Parámetros de consulta
  * @param {string} [req.query.startDate] - Fecha inicial para el análisis
  * @param {string} [req.query.endDate] - Fecha final para el análisis
+ * @param {string} [req.query.status] - Solo las apuestas hechas con la cuenta en estos
+ *   estados (separados por comas), por ejemplo 'stake-limited'
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Object} Métricas de rendimiento de la casa de apuestas
@@ -655,6 +807,13 @@ const getBookMakerPerformance = async ( req, res ) => {
     try {
         const { id } = req.params;
         const { startDate, endDate } = req.query;
+        const { statuses, error: statusError } = parseAccountStatuses( req.query.status );
+
+        if ( statusError ) {
+            return res.status(400).json( {
+                message: statusError
+            } );
+        }
 
         // Validar que id sea un número
         if ( !Number.isInteger( Number( id ) ) ) {
@@ -665,7 +824,7 @@ const getBookMakerPerformance = async ( req, res ) => {
 
         // Verificar si existe la casa de apuestas
         const bookMaker = await dbGet(
-            'SELECT * FROM bookMakers WHERE id = ?',
+            `SELECT bm.*, ${ currentStatusColumns } FROM bookMakers bm WHERE bm.id = ?`,
             [ id ]
         );
 
@@ -683,6 +842,12 @@ const getBookMakerPerformance = async ( req, res ) => {
             params.push( startDate, endDate );
         }
 
+        // Estado de la cuenta en la fecha de cada apuesta
+        if ( statuses ) {
+            dateFilter += ` AND ${ accountStatusSql( 'bets.idBookMaker', 'bets.betDate' ) } IN (?)`;
+            params.push( statuses );
+        }
+
         const sql = `
             SELECT 
                 COUNT(*) as totalBets,
@@ -704,20 +869,24 @@ const getBookMakerPerformance = async ( req, res ) => {
         // Calcular métricas adicionales
         const enrichedPerformance = {
             ...performance,
-            winRate: Number(((performance.wonBets / (performance.wonBets + performance.lostBets)) * 100 || 0).toFixed(2)),
-            roi: Number(((performance.totalProfit / performance.totalStaked) * 100 || 0).toFixed(2)),
-            avgStake: Number(performance.avgStake?.toFixed(2) || 0),
-            avgOdds: Number(performance.avgOdds?.toFixed(2) || 0),
-            totalProfit: Number(performance.totalProfit?.toFixed(2) || 0),
-            totalStaked: Number(performance.totalStaked?.toFixed(2) || 0)
+            winRate: percentage( performance.wonBets, performance.wonBets + performance.lostBets ),
+            roi: percentage( performance.totalProfit, performance.totalStaked ),
+            avgStake: toMoney( performance.avgStake ),
+            avgOdds: toOdds( performance.avgOdds ),
+            totalProfit: toMoney( performance.totalProfit ),
+            totalStaked: toMoney( performance.totalStaked )
         };
 
         res.status(200).json( {
             bookMakerName: bookMaker.name,
+            currency: bookMaker.currency,
+            accountStatus: bookMaker.accountStatus,
+            maxStake: bookMaker.maxStake,
             period: {
                 startDate: startDate || 'All time',
                 endDate: endDate || 'All time'
             },
+            statuses: statuses || 'All',
             performance: enrichedPerformance
         } );
 
@@ -730,8 +899,708 @@ const getBookMakerPerformance = async ( req, res ) => {
     }
 };
 
+
+/**
+ * Máximo de días de una serie de saldo
+ */
+const MAX_HISTORY_DAYS = 3660;
+
+/**
+ * Valida el periodo de una serie de saldo
+ *
+ * @param {Object} query - Parámetros de consulta ({ startDate, endDate })
+ * @returns {string|null} Mensaje de error o null si es válido
+ */
+const validateHistoryPeriod = ( { startDate, endDate } ) => {
+    if ( [ startDate, endDate ].some( date => date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) ) {
+        return 'Las fechas deben tener el formato YYYY-MM-DD';
+    }
+    if ( startDate && endDate && endDate < startDate ) {
+        return 'La fecha final no puede ser anterior a la inicial';
+    }
+    if ( startDate && addDays( startDate, MAX_HISTORY_DAYS - 1 ) < ( endDate || today() ) ) {
+        return `El periodo no puede superar los ${ MAX_HISTORY_DAYS } días`;
+    }
+    return null;
+};
+
+/**
+ * Reproduce el saldo diario de varias casas de apuestas
+ * Sin startDate la serie empieza con el primer movimiento (como mucho
+ * MAX_HISTORY_DAYS días antes de endDate); sin endDate termina hoy
+ *
+ * @param {Array<Object>} bookMakers - Casas de apuestas ({ id, name, currency, initialBalance })
+ * @param {string} [startDate] - Primer día (YYYY-MM-DD)
+ * @param {string} [endDate] - Último día (YYYY-MM-DD)
+ * @returns {Promise<Object>} { startDate, endDate, accounts: [{ idBookMaker, bookMakerName, currency, series }] }
+ */
+const findBalanceHistory = async ( bookMakers, startDate, endDate ) => {
+    const ids = bookMakers.map( bookMaker => bookMaker.id );
+    const to = endDate || today();
+
+    const transactions = await dbAll(
+        `SELECT idBookMaker, DATE_FORMAT(date, '%Y-%m-%d') as date, type, amount
+         FROM transactions
+         WHERE idBookMaker IN (?) AND date <= ?
+         AND ${ settledTransactionSql() }`,
+        [ ids, to ]
+    );
+
+    const bets = await dbAll(
+        `SELECT idBookMaker, DATE_FORMAT(betDate, '%Y-%m-%d') as betDate,
+                DATE_FORMAT(eventDate, '%Y-%m-%d') as eventDate,
+                status, result, liability, unmatchedStake
+         FROM bets
+         WHERE idBookMaker IN (?) AND betDate <= ?`,
+        [ ids, to ]
+    );
+
+    const firstMovement = [ ...transactions.map( t => t.date ), ...bets.map( b => b.betDate ) ]
+        .reduce( ( first, date ) => date < first ? date : first, to );
+    const earliest = addDays( to, 1 - MAX_HISTORY_DAYS );
+    const from = startDate || ( firstMovement < earliest ? earliest : firstMovement );
+
+    const accounts = bookMakers.map( bookMaker => ( {
+        idBookMaker: bookMaker.id,
+        bookMakerName: bookMaker.name,
+        currency: bookMaker.currency,
+        series: buildBalanceSeries( {
+            initialBalance: bookMaker.initialBalance,
+            transactions: transactions.filter( t => t.idBookMaker === bookMaker.id ),
+            bets: bets.filter( b => b.idBookMaker === bookMaker.id ),
+            startDate: from,
+            endDate: to
+        } )
+    } ) );
+
+    return { startDate: from, endDate: to, accounts };
+};
+
+/**
+ * getBookMakerBalanceHistory
+ *
+ * Obtiene la serie diaria del saldo de una casa de apuestas, reproduciendo
+ * el saldo inicial, las transacciones y los resultados de las apuestas
+ * La responsabilidad de las apuestas abiertas se muestra aparte (openLiability)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.startDate] - Primer día (por defecto el del primer movimiento)
+ * @param {string} [req.query.endDate] - Último día (por defecto hoy)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Serie diaria del saldo
+ *
+ * @example
+ * GET /api/bookMakers/1/balance-history?startDate=2024-01-01&endDate=2024-03-31
+ */
+const getBookMakerBalanceHistory = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { startDate, endDate } = req.query;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const periodError = validateHistoryPeriod( req.query );
+
+        if ( periodError ) {
+            return res.status(400).json( {
+                message: periodError
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT * FROM bookMakers WHERE id = ?', [ id ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: `No se encontró la Casa de Apuestas con ID ${ id }`
+            } );
+        }
+
+        const history = await findBalanceHistory( [ bookMaker ], startDate, endDate );
+        const [ account ] = history.accounts;
+
+        res.status(200).json( {
+            ...account,
+            startDate: history.startDate,
+            endDate: history.endDate
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener historial de saldo:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el historial de saldo',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * getBalanceHistory
+ *
+ * Obtiene la serie diaria del saldo de todas las casas de apuestas y los
+ * totales diarios por divisa (los saldos no se convierten entre divisas)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.startDate] - Primer día (por defecto el del primer movimiento)
+ * @param {string} [req.query.endDate] - Último día (por defecto hoy)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Series por casa de apuestas y totales por divisa
+ *
+ * @example
+ * GET /api/bookMakers/balance-history?startDate=2024-01-01
+ */
+const getBalanceHistory = async ( req, res ) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const periodError = validateHistoryPeriod( req.query );
+
+        if ( periodError ) {
+            return res.status(400).json( {
+                message: periodError
+            } );
+        }
+
+        const bookMakers = await dbAll( 'SELECT * FROM bookMakers ORDER BY name' );
+
+        if ( !bookMakers.length ) {
+            return res.status(204).send();
+        }
+
+        const history = await findBalanceHistory( bookMakers, startDate, endDate );
+
+        // Totales diarios por divisa
+        const totalsByCurrency = {};
+        for ( const account of history.accounts ) {
+            const totals = totalsByCurrency[ account.currency ] ||= account.series.map( day => ( {
+                date: day.date,
+                balance: 0,
+                openLiability: 0
+            } ) );
+
+            account.series.forEach( ( day, index ) => {
+                totals[ index ].balance = toMoney( add( totals[ index ].balance, day.balance ) );
+                totals[ index ].openLiability = toMoney( add( totals[ index ].openLiability, day.openLiability ) );
+            } );
+        }
+
+        res.status(200).json( {
+            ...history,
+            totalsByCurrency
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener historial de saldos:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el historial de saldos',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getBookMakerBalanceSnapshots
+ *
+ * Obtiene los saldos reales registrados de una casa de apuestas (del más reciente al más antiguo)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Saldos reales registrados
+ */
+const getBookMakerBalanceSnapshots = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        const snapshots = await dbAll(
+            `SELECT id, idBookMaker, DATE_FORMAT(date, '%Y-%m-%d') as date, balance, info
+             FROM bookMakerBalances
+             WHERE idBookMaker = ?
+             ORDER BY date DESC`,
+            [ id ]
+        );
+
+        if ( !snapshots.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( snapshots );
+
+    } catch (error) {
+        console.error('Error al obtener saldos reales:', error);
+        res.status(500).json( {
+            message: 'Error al obtener los saldos reales',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * createBookMakerBalanceSnapshot
+ *
+ * Registra el saldo real de una casa de apuestas tal como aparece en su web
+ * Solo se admite un saldo por día; devuelve también el calculado para compararlos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} req.body - Datos del saldo
+ * @param {number} req.body.balance - Saldo real
+ * @param {string} [req.body.date] - Fecha del saldo (YYYY-MM-DD, por defecto hoy)
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Saldo registrado con el calculado y su diferencia
+ *
+ * @example
+ * POST /api/bookMakers/1/balance/snapshots
+ * Body: { "balance": 152.30, "date": "2024-03-15" }
+ */
+const createBookMakerBalanceSnapshot = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { balance, date, info } = req.body;
+
+        if ( balance === undefined || balance === null || balance === '' || isNaN( Number( balance ) ) ) {
+            return res.status(400).json( {
+                message: 'El saldo es obligatorio y debe ser un número'
+            } );
+        }
+
+        if ( date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) {
+            return res.status(400).json( {
+                message: 'La fecha debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        if ( info && info.length > 500 ) {
+            return res.status(400).json( {
+                message: 'La información adicional no puede exceder los 500 caracteres'
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT * FROM bookMakers WHERE id = ?', [ id ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: `No se encontró la Casa de Apuestas con ID ${ id }`
+            } );
+        }
+
+        const existing = await dbGet(
+            'SELECT id FROM bookMakerBalances WHERE idBookMaker = ? AND date = COALESCE(?, CURDATE())',
+            [ id, date || null ]
+        );
+
+        if ( existing ) {
+            return res.status(409).json( {
+                message: 'Ya hay un saldo real registrado para esa fecha',
+                idSnapshot: existing.id
+            } );
+        }
+
+        const result = await dbRun(
+            `INSERT INTO bookMakerBalances (idBookMaker, date, balance, info)
+             VALUES (?, COALESCE(?, CURDATE()), ?, ?)`,
+            [ id, date || null, toMoney( balance ), info || null ]
+        );
+
+        const snapshot = await dbGet(
+            `SELECT id, idBookMaker, DATE_FORMAT(date, '%Y-%m-%d') as date, balance, info
+             FROM bookMakerBalances WHERE id = ?`,
+            [ result.insertId ]
+        );
+        const computed = await calculateBookMakerBalance( bookMaker, snapshot.date );
+
+        res.status(201).json( {
+            message: 'Saldo real registrado con éxito',
+            data: snapshot,
+            computedBalance: computed.balance,
+            difference: toMoney( subtract( snapshot.balance, computed.balance ) )
+        } );
+
+    } catch (error) {
+        console.error('Error al registrar saldo real:', error);
+        res.status(500).json( {
+            message: 'Error al registrar el saldo real',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * deleteBookMakerBalanceSnapshot
+ *
+ * Elimina un saldo real registrado
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {number} req.params.idSnapshot - ID del registro
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteBookMakerBalanceSnapshot = async ( req, res ) => {
+    try {
+        const { id, idSnapshot } = req.params;
+
+        const deleteResult = await dbRun(
+            'DELETE FROM bookMakerBalances WHERE id = ? AND idBookMaker = ?',
+            [ idSnapshot, id ]
+        );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró el saldo real con ID ${ idSnapshot }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Saldo real eliminado con éxito',
+            deletedId: idSnapshot
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar saldo real:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el saldo real',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * getBookMakerReconciliation
+ *
+ * Compara cada saldo real registrado con el saldo calculado en su fecha
+ * Una diferencia que cambia entre dos saldos reales indica apuestas o
+ * transacciones que faltan (o sobran) entre esas dos fechas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.startDate] - Fecha inicial
+ * @param {string} [req.query.endDate] - Fecha final
+ * @param {number} [req.query.tolerance=0.01] - Diferencia admitida
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Conciliación por fecha y resumen de discrepancias
+ *
+ * @example
+ * GET /api/bookMakers/1/reconciliation?startDate=2024-01-01&endDate=2024-03-31
+ */
+const getBookMakerReconciliation = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { startDate, endDate, tolerance = BALANCE_TOLERANCE } = req.query;
+
+        if ( [ startDate, endDate ].some( date => date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) ) {
+            return res.status(400).json( {
+                message: 'Las fechas deben tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        if ( isNaN( Number( tolerance ) ) || Number( tolerance ) < 0 ) {
+            return res.status(400).json( {
+                message: 'La tolerancia debe ser un número mayor o igual que 0'
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT * FROM bookMakers WHERE id = ?', [ id ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: `No se encontró la Casa de Apuestas con ID ${ id }`
+            } );
+        }
+
+        let sql = `
+            SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, balance, info
+            FROM bookMakerBalances
+            WHERE idBookMaker = ?
+        `;
+        const params = [ id ];
+
+        if ( startDate ) {
+            sql += ' AND date >= ?';
+            params.push( startDate );
+        }
+
+        if ( endDate ) {
+            sql += ' AND date <= ?';
+            params.push( endDate );
+        }
+
+        sql += ' ORDER BY date';
+
+        const snapshots = await dbAll( sql, params );
+
+        if ( !snapshots.length ) {
+            return res.status(204).send();
+        }
+
+        const isDiscrepancy = ( value ) =>
+            compare( Math.abs( value ), tolerance ) > 0;
+
+        let previousDifference = null;
+        const reconciliation = [];
+
+        for ( const snapshot of snapshots ) {
+            const { balance: computedBalance } = await calculateBookMakerBalance( bookMaker, snapshot.date );
+            const difference = toMoney( subtract( snapshot.balance, computedBalance ) );
+            const differenceChange = previousDifference === null
+                ? difference
+                : toMoney( subtract( difference, previousDifference ) );
+
+            reconciliation.push( {
+                idSnapshot: snapshot.id,
+                date: snapshot.date,
+                snapshotBalance: toMoney( snapshot.balance ),
+                computedBalance,
+                difference,
+                differenceChange,
+                flagged: isDiscrepancy( difference ),
+                newDiscrepancy: isDiscrepancy( differenceChange ),
+                info: snapshot.info
+            } );
+
+            previousDifference = difference;
+        }
+
+        const flagged = reconciliation.filter( item => item.flagged );
+
+        res.status(200).json( {
+            bookMakerName: bookMaker.name,
+            currency: bookMaker.currency,
+            tolerance: Number( tolerance ),
+            reconciliation,
+            summary: {
+                snapshots: reconciliation.length,
+                flagged: flagged.length,
+                newDiscrepancies: reconciliation
+                    .filter( item => item.newDiscrepancy )
+                    .map( ( { date, differenceChange } ) => ( { date, differenceChange } ) ),
+                lastDifference: reconciliation[ reconciliation.length - 1 ].difference
+            }
+        } );
+
+    } catch (error) {
+        console.error('Error al conciliar saldos:', error);
+        res.status(500).json( {
+            message: 'Error al conciliar los saldos',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getBookMakerStatusHistory
+ *
+ * Obtiene el historial de estados de la cuenta de una casa de apuestas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Estado actual e historial (del más reciente al más antiguo)
+ */
+const getBookMakerStatusHistory = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const bookMaker = await dbGet(
+            `SELECT bm.id, bm.name, ${ currentStatusColumns } FROM bookMakers bm WHERE bm.id = ?`,
+            [ id ]
+        );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: `No se encontró la Casa de Apuestas con ID ${ id }`
+            } );
+        }
+
+        const history = await dbAll(
+            'SELECT * FROM bookMakerStatuses WHERE idBookMaker = ? ORDER BY date DESC, id DESC',
+            [ id ]
+        );
+
+        res.status(200).json( {
+            bookMakerName: bookMaker.name,
+            accountStatus: bookMaker.accountStatus,
+            maxStake: bookMaker.maxStake,
+            history
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener historial de estados:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el historial de estados',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * createBookMakerStatus
+ *
+ * Registra un cambio de estado de la cuenta de una casa de apuestas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {Object} req.body - Datos del cambio de estado
+ * @param {string} req.body.status - Nuevo estado
+ * @param {string} [req.body.date] - Fecha del cambio (YYYY-MM-DD, por defecto hoy)
+ * @param {number} [req.body.maxStake] - Stake máximo (obligatorio si status es 'stake-limited')
+ * @param {string} [req.body.reason] - Motivo
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Registro creado
+ *
+ * @example
+ * POST /api/bookMakers/1/status
+ * Body: { "status": "stake-limited", "date": "2024-03-15", "maxStake": 2.5, "reason": "Tras 3 boosts" }
+ */
+const createBookMakerStatus = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { status, date, maxStake, reason } = req.body;
+
+        if ( !ACCOUNT_STATUSES.includes( status ) ) {
+            return res.status(400).json( {
+                message: `El estado debe ser uno de: ${ ACCOUNT_STATUSES.join( ', ' ) }`
+            } );
+        }
+
+        if ( date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) {
+            return res.status(400).json( {
+                message: 'La fecha debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        if ( status === 'stake-limited' && !( Number( maxStake ) > 0 ) ) {
+            return res.status(400).json( {
+                message: 'Una cuenta limitada requiere un maxStake mayor que 0'
+            } );
+        }
+
+        if ( status !== 'stake-limited' && maxStake !== undefined && maxStake !== null ) {
+            return res.status(400).json( {
+                message: 'El stake máximo solo se indica en cuentas con stake limitado'
+            } );
+        }
+
+        if ( reason && reason.length > 500 ) {
+            return res.status(400).json( {
+                message: 'El motivo no puede exceder los 500 caracteres'
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT id FROM bookMakers WHERE id = ?', [ id ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: `No se encontró la Casa de Apuestas con ID ${ id }`
+            } );
+        }
+
+        const result = await dbRun(
+            `INSERT INTO bookMakerStatuses (idBookMaker, status, date, maxStake, reason)
+             VALUES (?, ?, COALESCE(?, CURDATE()), ?, ?)`,
+            [ id, status, date || null, status === 'stake-limited' ? toMoney( maxStake ) : null, reason || null ]
+        );
+
+        const created = await dbGet( 'SELECT * FROM bookMakerStatuses WHERE id = ?', [ result.insertId ] );
+
+        res.status(201).json( {
+            message: 'Estado de la cuenta registrado con éxito',
+            data: created
+        } );
+
+    } catch (error) {
+        console.error('Error al registrar estado de la cuenta:', error);
+        res.status(500).json( {
+            message: 'Error al registrar el estado de la cuenta',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * deleteBookMakerStatus
+ *
+ * Elimina un registro del historial de estados (por ejemplo, uno registrado por error)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la casa de apuestas
+ * @param {number} req.params.idStatus - ID del registro
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteBookMakerStatus = async ( req, res ) => {
+    try {
+        const { id, idStatus } = req.params;
+
+        const deleteResult = await dbRun(
+            'DELETE FROM bookMakerStatuses WHERE id = ? AND idBookMaker = ?',
+            [ idStatus, id ]
+        );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró el registro de estado con ID ${ idStatus }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Registro de estado eliminado con éxito',
+            deletedId: idStatus
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar estado de la cuenta:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el registro de estado',
+            error: error.message
+        } );
+    }
+};
+
 export {
     // ... exports previos
     getBookMakerActivity,
-    getBookMakerPerformance
+    getBookMakerPerformance,
+    getBookMakerBalance,
+    getBookMakerBalanceHistory,
+    getBalanceHistory,
+    getBookMakerBalanceSnapshots,
+    createBookMakerBalanceSnapshot,
+    deleteBookMakerBalanceSnapshot,
+    getBookMakerReconciliation,
+    getBookMakerStatusHistory,
+    createBookMakerStatus,
+    deleteBookMakerStatus
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+* Controlador para las calculadoras de matched betting
+*
+* Índice de funciones:
+*
+* - calculateQualifyingBet()
+* Calcula la apuesta lay para una apuesta de calificación
+*
+* - calculateSnrFreebet()
+* Calcula la apuesta lay para una freebet sin devolución del stake
+*
+* - calculateSrFreebet()
+* Calcula la apuesta lay para una freebet con devolución del stake
+*
+* Body (común a todas): {
+*   backStake: number (> 0),
+*   backOdds: number|string (decimal > 1, fraccionaria "5/2" o americana "+250"),
+*   layOdds: number|string (decimal > 1, fraccionaria "5/2" o americana "+250"),
+*   commission: number (0-100, default: 0)
+* }
+*/
+
+
+import { INVALID_ODDS_MESSAGE, calculateLayStake, parseOdds } from '../utils/betCalculations.js';
+
+
+
+/**
+ * Valida los datos de entrada y responde con el cálculo del modo indicado
+ *
+ * @param {string} mode - Modo de cálculo ('qualifying'|'snr'|'sr')
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ */
+const respondWithLayStake = ( mode, req, res ) => {
+    try {
+        const { backStake, backOdds, layOdds, commission = 0 } = req.body;
+
+        // Validaciones
+        if ( backStake === undefined || backOdds === undefined || layOdds === undefined ) {
+            return res.status(400).json( {
+                message: 'Los campos backStake, backOdds y layOdds son obligatorios'
+            } );
+        }
+
+        if ( typeof backStake !== 'number' || backStake <= 0 ) {
+            return res.status(400).json( {
+                message: 'El stake debe ser un número mayor que 0'
+            } );
+        }
+
+        const parsedBackOdds = parseOdds( backOdds );
+        const parsedLayOdds = parseOdds( layOdds );
+        if ( !parsedBackOdds || !parsedLayOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+
+        if ( typeof commission !== 'number' || commission < 0 || commission > 100 ) {
+            return res.status(400).json( {
+                message: 'La comisión debe ser un número entre 0 y 100'
+            } );
+        }
+
+        const calculation = calculateLayStake(
+            mode,
+            backStake,
+            parsedBackOdds.decimal,
+            parsedLayOdds.decimal,
+            commission
+        );
+
+        res.status(200).json( {
+            mode,
+            backStake,
+            backOdds: parsedBackOdds.decimal,
+            layOdds: parsedLayOdds.decimal,
+            commission,
+            ...calculation
+        } );
+
+    } catch (error) {
+        console.error('Error al calcular la apuesta lay:', error);
+        res.status(500).json( {
+            message: 'Error al calcular la apuesta lay',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * calculateQualifyingBet
+ *
+ * Calcula el stake lay óptimo, la responsabilidad y el beneficio por
+ * resultado de una apuesta de calificación
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la apuesta
+ * @param {number} req.body.backStake - Cantidad apostada a favor
+ * @param {number} req.body.backOdds - Cuota a favor
+ * @param {number} req.body.layOdds - Cuota en contra
+ * @param {number} [req.body.commission=0] - Comisión del exchange
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Resultado del cálculo
+ *
+ * @example
+ * POST /api/calculators/qualifying
+ * Body: { "backStake": 10, "backOdds": 2.1, "layOdds": 2.14, "commission": 2 }
+ */
+const calculateQualifyingBet = ( req, res ) => respondWithLayStake( 'qualifying', req, res );
+
+
+/**
+ * calculateSnrFreebet
+ *
+ * Calcula el stake lay óptimo, la responsabilidad y el beneficio por
+ * resultado de una freebet sin devolución del stake (SNR)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la freebet (mismos campos que calculateQualifyingBet)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Resultado del cálculo
+ *
+ * @example
+ * POST /api/calculators/snr
+ * Body: { "backStake": 10, "backOdds": 5, "layOdds": 5.2, "commission": 2 }
+ */
+const calculateSnrFreebet = ( req, res ) => respondWithLayStake( 'snr', req, res );
+
+
+/**
+ * calculateSrFreebet
+ *
+ * Calcula el stake lay óptimo, la responsabilidad y el beneficio por
+ * resultado de una freebet con devolución del stake (SR)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la freebet (mismos campos que calculateQualifyingBet)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Resultado del cálculo
+ *
+ * @example
+ * POST /api/calculators/sr
+ * Body: { "backStake": 10, "backOdds": 3, "layOdds": 3.1, "commission": 2 }
+ */
+const calculateSrFreebet = ( req, res ) => respondWithLayStake( 'sr', req, res );
+
+
+export {
+    calculateQualifyingBet,
+    calculateSnrFreebet,
+    calculateSrFreebet
+};
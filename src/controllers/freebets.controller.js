@@ -23,14 +23,20 @@
 *   amount: number,
 *   event: string,
 *   bet: string,
-*   requirements: string,
-*   status: string ('received'|'pending'|'rejected'|'claiming'|'other')
+*   idPromotion: number (promoción de la misma casa de apuestas),
+*   requirements: {
+*     idPromotion: number, rolloverMultiple: number, minOdds: number|string,
+*     minStake: number, markets: Array<string>, deadline: string, info: string
+*   } (requisito de apuesta; importe y promoción por defecto, los de la freebet),
+*   status: string ('received'|'pending'|'rejected'|'claiming'|'expired'|'other'),
+*   expiresAt: string (YYYY-MM-DD HH:mm:ss, fecha de caducidad),
+*   idQualifyingBet: number (apuesta que generó la freebet)
 * }
 *
 * - updateFreebet( id )
 * Actualiza una freebet existente
 * Params: id - ID de la freebet
-* Body: campos a actualizar (todos opcionales)
+* Body: campos a actualizar (todos opcionales; requirements: null elimina el requisito)
 *
 * - deleteFreebet( id )
 * Elimina una freebet
@@ -41,6 +47,10 @@
 * Obtiene freebets de una casa de apuestas específica
 * Params: idBookMaker - ID de la casa de apuestas
 *
+* - getFreebetsByStatus( status )
+* Obtiene las freebets en un estado
+* Params: status - 'received'|'pending'|'rejected'|'claiming'|'expired'|'other'
+*
 * - getFreebetStats()
 * Obtiene estadísticas generales de freebets
 * Returns: {
@@ -52,13 +62,186 @@
 *     pending: number,
 *     rejected: number,
 *     claiming: number,
+*     expired: number,
 *     other: number
 *   }
 * }
+*
+* Caducidad:
+* - getExpiringFreebets()
+* Obtiene las freebets activas que caducan pronto, por tiempo restante y valor
+* Query: { days: number (default: 7) }
+*
+* - runFreebetExpiry()
+* Caduca en el momento las freebets vencidas (la tarea periódica hace lo mismo)
+*
+* Uso de freebets:
+* - getFreebetUsages( id )
+* Obtiene las apuestas que han usado una freebet y su conversión
+* Params: id - ID de la freebet
+*
+* - createFreebetUsage( id )
+* Vincula una apuesta que usa (total o parcialmente) una freebet
+* Params: id - ID de la freebet
+* Body: { idBet: number, amount: number (por defecto, el saldo disponible) }
+*
+* - deleteFreebetUsage( id, idUsage )
+* Desvincula una apuesta de la freebet y devuelve el importe al saldo
+* Params: id - ID de la freebet, idUsage - ID del uso
+*
+* - getUnusedFreebets()
+* Obtiene el saldo de freebets recibidas sin usar por casa de apuestas
+* Query: { idBookMaker: number }
 */
 
 
-import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
+import { dbAll, dbGet, dbRun, dbStream, dbTransaction } from '../utils/helpers.js';
+import { calculateFreebetConversion } from '../utils/betCalculations.js';
+import { add, average, compare, min, percentage, subtract, toMoney } from '../utils/money.js';
+import { EXPIRABLE_FREEBET_STATUSES, expireFreebets } from '../jobs/freebetExpiry.js';
+import { findPromotionError } from '../utils/promotions.js';
+import {
+    findWageringProgress,
+    normalizeWageringRequirement,
+    parseMarkets,
+    validateWageringRequirement
+} from '../utils/wagering.js';
+
+
+
+/**
+ * Obtiene los usos de un grupo de freebets con los datos de cada apuesta
+ * y, si la apuesta es de un matched bet, el resultado de sus layBet y el
+ * importe de freebets usado en todo el grupo
+ *
+ * @param {Function} get - Función de consulta (dbAll o tx.dbAll)
+ * @param {Array<number>} ids - IDs de las freebets
+ * @returns {Promise<Array<Object>>} Usos ordenados por fecha de la apuesta
+ */
+const findUsages = ( get, ids ) => get(
+    `SELECT
+        u.*, b.betDate, b.betType, b.event, b.bet, b.stake, b.odds,
+        b.status, b.result, b.idMB,
+        COALESCE((
+            SELECT SUM(l.result) FROM bets l
+            WHERE l.idMB = b.idMB AND l.betType = 'layBet'
+        ), 0) as layResult,
+        (
+            SELECT SUM(gu.amount) FROM freebetUsages gu
+            JOIN bets gb ON gu.idBet = gb.id
+            WHERE gb.idMB = b.idMB
+        ) as groupFreebetAmount
+     FROM freebetUsages u
+     JOIN bets b ON u.idBet = b.id
+     WHERE u.idFreebet IN (?)
+     ORDER BY b.betDate, u.id`,
+    [ ids ]
+);
+
+/**
+ * Valida la fecha de caducidad de una freebet
+ *
+ * @param {string} expiresAt - Fecha de caducidad
+ * @param {string} date - Fecha en la que se concedió la freebet
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+const validateExpiresAt = ( expiresAt, date ) => {
+    if ( Number.isNaN( new Date( expiresAt ).getTime() ) ) {
+        return 'La fecha de caducidad no es válida';
+    }
+    if ( date && new Date( expiresAt ) < new Date( date ) ) {
+        return 'La fecha de caducidad no puede ser anterior a la de la freebet';
+    }
+    return null;
+};
+
+/**
+ * Busca la apuesta de calificación de una freebet y comprueba que es de la misma casa
+ *
+ * @param {number} idQualifyingBet - ID de la apuesta de calificación
+ * @param {number} idBookMaker - ID de la casa de apuestas de la freebet
+ * @returns {Promise<Object|null>} { status, message } con el error o null si es válida
+ */
+const validateQualifyingBet = async ( idQualifyingBet, idBookMaker ) => {
+    const qualifyingBet = await dbGet(
+        'SELECT id, idBookMaker FROM bets WHERE id = ?',
+        [ idQualifyingBet ]
+    );
+
+    if ( !qualifyingBet ) {
+        return { status: 404, message: 'La apuesta de calificación especificada no existe' };
+    }
+
+    if ( Number( qualifyingBet.idBookMaker ) !== Number( idBookMaker ) ) {
+        return { status: 400, message: 'La apuesta de calificación debe ser de la misma casa de apuestas' };
+    }
+
+    return null;
+};
+
+/**
+ * Completa el requisito de apuesta de una freebet con su importe y su promoción
+ *
+ * @param {Object} requirements - Reglas del requisito (ver validateWageringRequirement)
+ * @param {Object} freebet - Freebet ({ amount, idPromotion })
+ * @returns {Object} Reglas con el importe y la promoción por defecto
+ */
+const withFreebetDefaults = ( requirements, freebet ) => ({
+    ...requirements,
+    amount: requirements.amount ?? freebet.amount,
+    idPromotion: requirements.idPromotion ?? freebet.idPromotion
+});
+
+/**
+ * Valida el requisito de apuesta enviado con una freebet
+ *
+ * @param {*} requirements - Reglas del requisito (ver validateWageringRequirement)
+ * @param {Object} freebet - Freebet ({ idBookMaker, amount, idPromotion })
+ * @returns {Promise<Object|null>} { status, message } con el error o null si es válido
+ */
+const validateFreebetRequirements = async ( requirements, freebet ) => {
+    if ( typeof requirements !== 'object' || Array.isArray( requirements ) ) {
+        return { status: 400, message: 'Los requisitos deben ser un objeto con las reglas de apuesta' };
+    }
+
+    const rules = withFreebetDefaults( requirements, freebet );
+    const validationError = validateWageringRequirement( rules );
+    if ( validationError ) {
+        return { status: 400, message: validationError };
+    }
+
+    return findPromotionError( rules.idPromotion, freebet.idBookMaker );
+};
+
+/**
+ * Crea o actualiza el requisito de apuesta vinculado a una freebet
+ *
+ * @param {Object} tx - Transacción (ver dbTransaction)
+ * @param {Object} freebet - Freebet ({ id, idBookMaker, amount, idPromotion })
+ * @param {Object} requirements - Reglas del requisito ya validadas
+ * @returns {Promise<Object>} Resultado de la consulta
+ */
+const saveFreebetRequirements = ( tx, freebet, requirements ) => {
+    const requirement = normalizeWageringRequirement( withFreebetDefaults( requirements, freebet ) );
+
+    return tx.dbRun(
+        `INSERT INTO wageringRequirements (
+            idBookMaker, idFreebet, idPromotion, amount, rolloverMultiple,
+            minOdds, minStake, markets, deadline, info
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            idBookMaker = VALUES(idBookMaker), idPromotion = VALUES(idPromotion), amount = VALUES(amount),
+            rolloverMultiple = VALUES(rolloverMultiple), minOdds = VALUES(minOdds),
+            minStake = VALUES(minStake), markets = VALUES(markets),
+            deadline = VALUES(deadline), info = VALUES(info)`,
+        [
+            freebet.idBookMaker, freebet.id, requirement.idPromotion, requirement.amount,
+            requirement.rolloverMultiple, requirement.minOdds, requirement.minStake,
+            requirement.markets, requirement.deadline, requirement.info
+        ]
+    );
+};
 
 
 
@@ -70,7 +253,8 @@ import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.query - Parámetros de consulta
  * @param {number} [req.query.page=1] - Número de página
- * @param {number} [req.query.limit=10] - Límite de resultados por página
+ * @param {number} [req.query.limit=10] - Límite de resultados por página (en CSV se exporta
+ *                                        la lista completa salvo que se indique)
  * @param {string} [req.query.type] - Tipo de freebet
  * @param {string} [req.query.status] - Estado de la freebet
  * @param {Object} res - Objeto de respuesta HTTP
@@ -100,8 +284,17 @@ const getFreebets = async ( req, res ) => {
             params.push( status );
         }
 
-        sql += ' ORDER BY date DESC LIMIT ? OFFSET ?';
-        params.push( parseInt( limit ), parseInt( offset ) );
+        sql += ' ORDER BY date DESC';
+
+        // En CSV se exporta la lista completa, salvo que se pida un límite
+        if ( !res.csvRows || req.query.limit !== undefined ) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push( parseInt( limit ), parseInt( offset ) );
+        }
+
+        if ( res.csvRows ) {
+            return await res.csvRows( dbStream( sql, params ) );
+        }
 
         const freebets = await dbAll( sql, params );
 
@@ -144,7 +337,7 @@ const getFreebetById = async ( req, res ) => {
         }
 
         const sql = `
-            SELECT f.*, b.name as bookMakerName 
+            SELECT f.*, b.name as bookMakerName, b.currency
             FROM freebets f
             JOIN bookMakers b ON f.idBookMaker = b.id
             WHERE f.id = ?
@@ -157,7 +350,31 @@ const getFreebetById = async ( req, res ) => {
             } );
         }
 
-        res.status(200).json( freebet );
+        const qualifyingBet = freebet.idQualifyingBet
+            ? await dbGet(
+                'SELECT id, betDate, betType, event, bet, stake, odds, status, result FROM bets WHERE id = ?',
+                [ freebet.idQualifyingBet ]
+            )
+            : null;
+        const usages = await findUsages( dbAll, [ freebet.id ] );
+        const requirement = await dbGet(
+            'SELECT * FROM wageringRequirements WHERE idFreebet = ?',
+            [ freebet.id ]
+        );
+
+        res.status(200).json( {
+            ...freebet,
+            qualifyingBet,
+            requirements: requirement
+                ? {
+                    ...requirement,
+                    markets: parseMarkets( requirement.markets ),
+                    progress: await findWageringProgress( requirement, freebet.currency )
+                }
+                : null,
+            usages,
+            conversion: calculateFreebetConversion( freebet.amount, usages )
+        } );
 
     } catch (error) {
         console.error('Error al obtener freebet:', error);
@@ -183,14 +400,20 @@ const getFreebetById = async ( req, res ) => {
  * @param {string} req.body.event - Evento asociado
  * @param {string} req.body.status - Estado de la freebet
  * @param {string} [req.body.bet] - Apuesta asociada
- * @param {string} [req.body.requirements] - Requisitos de la freebet
+ * @param {number} [req.body.idPromotion] - ID de la promoción que concedió la freebet
+ * @param {Object} [req.body.requirements] - Requisito de apuesta (ver validateWageringRequirement)
+ * @param {string} [req.body.expiresAt] - Fecha de caducidad
+ * @param {number} [req.body.idQualifyingBet] - ID de la apuesta que generó la freebet
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Object} Datos de la freebet creada
  */
 const createFreebet = async ( req, res ) => {
     try {
-        const { idBookMaker, type, amount, date, event, bet, requirements, status } = req.body;
+        const {
+            idBookMaker, type, amount, date, event, bet, requirements, status, expiresAt, idQualifyingBet,
+            idPromotion
+        } = req.body;
 
         // Validaciones
         if ( !idBookMaker || !type || !amount || !date || !event || !status ) {
@@ -208,13 +431,21 @@ const createFreebet = async ( req, res ) => {
         }
 
         // Validar status
-        const validStatus = ['received', 'pending', 'rejected', 'claiming', 'other'];
+        const validStatus = ['received', 'pending', 'rejected', 'claiming', 'expired', 'other'];
         if ( !validStatus.includes( status ) ) {
             return res.status(400).json( {
                 message: 'Estado de freebet no válido'
             } );
         }
 
+        // Validar caducidad si se indica
+        const expiresAtError = expiresAt ? validateExpiresAt( expiresAt, date ) : null;
+        if ( expiresAtError ) {
+            return res.status(400).json( {
+                message: expiresAtError
+            } );
+        }
+
         // Validar casa de apuestas existe
         const bookMaker = await dbGet(
             'SELECT id FROM bookMakers WHERE id = ?',
@@ -227,18 +458,66 @@ const createFreebet = async ( req, res ) => {
             } );
         }
 
+        // Validar la promoción y el requisito de apuesta si se indican
+        if ( idPromotion ) {
+            const promotionError = await findPromotionError( idPromotion, idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        if ( requirements ) {
+            const requirementsError = await validateFreebetRequirements(
+                requirements,
+                { idBookMaker, amount, idPromotion }
+            );
+            if ( requirementsError ) {
+                return res.status( requirementsError.status ).json( {
+                    message: requirementsError.message
+                } );
+            }
+        }
+
+        // Validar la apuesta de calificación si se indica
+        if ( idQualifyingBet ) {
+            const qualifyingError = await validateQualifyingBet( idQualifyingBet, idBookMaker );
+            if ( qualifyingError ) {
+                return res.status( qualifyingError.status ).json( {
+                    message: qualifyingError.message
+                } );
+            }
+        }
+
         const sql = `
             INSERT INTO freebets (
                 idBookMaker, type, amount, date, 
-                event, bet, requirements, status
+                event, bet, status, expiresAt, idQualifyingBet, idPromotion
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
-        const result = await dbRun(
-            sql,
-            [ idBookMaker, type, amount, date, event, bet, requirements, status ]
-        );
+        // Crear la freebet junto con su requisito de apuesta
+        const result = await dbTransaction( async ( tx ) => {
+            const inserted = await tx.dbRun(
+                sql,
+                [
+                    idBookMaker, type, amount, date, event, bet, status,
+                    expiresAt || null, idQualifyingBet || null, idPromotion || null
+                ]
+            );
+
+            if ( requirements ) {
+                await saveFreebetRequirements(
+                    tx,
+                    { id: inserted.insertId, idBookMaker, amount, idPromotion },
+                    requirements
+                );
+            }
+
+            return inserted;
+        } );
 
         res.status(201).json( {
             message: 'Freebet creada con éxito',
@@ -250,8 +529,11 @@ const createFreebet = async ( req, res ) => {
                 date,
                 event,
                 bet,
-                requirements,
-                status
+                requirements: requirements || null,
+                status,
+                expiresAt: expiresAt || null,
+                idQualifyingBet: idQualifyingBet || null,
+                idPromotion: idPromotion || null
             }
         } );
 
@@ -281,7 +563,10 @@ const createFreebet = async ( req, res ) => {
 const updateFreebet = async ( req, res ) => {
     try {
         const { id } = req.params;
-        const { idBookMaker, type, amount, date, event, bet, requirements, status } = req.body;
+        const {
+            idBookMaker, type, amount, date, event, bet, requirements, status, expiresAt, idQualifyingBet,
+            idPromotion
+        } = req.body;
 
         // Validar que id sea un número
         if ( !Number.isInteger( Number( id ) ) ) {
@@ -314,7 +599,7 @@ const updateFreebet = async ( req, res ) => {
 
         // Validar status si se proporciona
         if ( status ) {
-            const validStatus = ['received', 'pending', 'rejected', 'claiming', 'other'];
+            const validStatus = ['received', 'pending', 'rejected', 'claiming', 'expired', 'other'];
             if ( !validStatus.includes( status ) ) {
                 return res.status(400).json( {
                     message: 'Estado de freebet no válido'
@@ -322,6 +607,86 @@ const updateFreebet = async ( req, res ) => {
             }
         }
 
+        // Validar caducidad si se proporciona
+        const expiresAtError = expiresAt ? validateExpiresAt( expiresAt, date || existingFreebet.date ) : null;
+        if ( expiresAtError ) {
+            return res.status(400).json( {
+                message: expiresAtError
+            } );
+        }
+
+        // Los usos vinculados limitan el importe y la casa de apuestas
+        const { usedAmount } = await dbGet(
+            'SELECT COALESCE(SUM(amount), 0) as usedAmount FROM freebetUsages WHERE idFreebet = ?',
+            [ id ]
+        );
+
+        if ( amount && compare( amount, usedAmount ) < 0 ) {
+            return res.status(409).json( {
+                message: `El importe no puede ser menor que lo ya usado (${ toMoney( usedAmount ) })`
+            } );
+        }
+
+        if ( idBookMaker && Number( idBookMaker ) !== Number( existingFreebet.idBookMaker )
+            && compare( usedAmount, 0 ) > 0 ) {
+            return res.status(409).json( {
+                message: 'No se puede cambiar la casa de apuestas de una freebet ya usada'
+            } );
+        }
+
+        if ( idQualifyingBet ) {
+            const qualifyingError = await validateQualifyingBet(
+                idQualifyingBet,
+                idBookMaker || existingFreebet.idBookMaker
+            );
+            if ( qualifyingError ) {
+                return res.status( qualifyingError.status ).json( {
+                    message: qualifyingError.message
+                } );
+            }
+        }
+
+        // La promoción (nueva o actual) debe ser de la casa de apuestas final
+        const finalFreebet = {
+            idBookMaker: idBookMaker || existingFreebet.idBookMaker,
+            amount: amount || existingFreebet.amount,
+            idPromotion: idPromotion || existingFreebet.idPromotion
+        };
+
+        if ( finalFreebet.idPromotion ) {
+            const promotionError = await findPromotionError( finalFreebet.idPromotion, finalFreebet.idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        // Las reglas enviadas se combinan con las del requisito existente,
+        // que se vuelve a validar por si cambia la casa de apuestas
+        const existingRequirement = await dbGet(
+            'SELECT * FROM wageringRequirements WHERE idFreebet = ?',
+            [ id ]
+        );
+        const mergedRequirements = requirements !== null && ( requirements || existingRequirement )
+            ? {
+                ...( existingRequirement && {
+                    ...existingRequirement,
+                    markets: parseMarkets( existingRequirement.markets )
+                } ),
+                ...requirements
+            }
+            : null;
+
+        if ( mergedRequirements ) {
+            const requirementsError = await validateFreebetRequirements( mergedRequirements, finalFreebet );
+            if ( requirementsError ) {
+                return res.status( requirementsError.status ).json( {
+                    message: requirementsError.message
+                } );
+            }
+        }
+
         const sql = `
             UPDATE freebets 
             SET idBookMaker = COALESCE(?, idBookMaker),
@@ -330,25 +695,41 @@ const updateFreebet = async ( req, res ) => {
                 date = COALESCE(?, date),
                 event = COALESCE(?, event),
                 bet = COALESCE(?, bet),
-                requirements = COALESCE(?, requirements),
-                status = COALESCE(?, status)
+                status = COALESCE(?, status),
+                expiresAt = COALESCE(?, expiresAt),
+                idQualifyingBet = COALESCE(?, idQualifyingBet),
+                idPromotion = COALESCE(?, idPromotion)
             WHERE id = ?
         `;
 
-        await dbRun(
-            sql,
-            [ idBookMaker, type, amount, date, event, bet, requirements, status, id ]
-        );
+        // Actualizar la freebet y su requisito de apuesta
+        const { updatedFreebet, updatedRequirement } = await dbTransaction( async ( tx ) => {
+            await tx.dbRun(
+                sql,
+                [ idBookMaker, type, amount, date, event, bet, status, expiresAt, idQualifyingBet, idPromotion, id ]
+            );
 
-        // Obtener la freebet actualizada
-        const updatedFreebet = await dbGet(
-            'SELECT * FROM freebets WHERE id = ?',
-            [ id ]
-        );
+            const freebet = await tx.dbGet( 'SELECT * FROM freebets WHERE id = ?', [ id ] );
+
+            if ( requirements === null ) {
+                await tx.dbRun( 'DELETE FROM wageringRequirements WHERE idFreebet = ?', [ id ] );
+            } else if ( mergedRequirements ) {
+                await saveFreebetRequirements( tx, freebet, mergedRequirements );
+            }
+
+            const requirement = await tx.dbGet( 'SELECT * FROM wageringRequirements WHERE idFreebet = ?', [ id ] );
+
+            return { updatedFreebet: freebet, updatedRequirement: requirement };
+        } );
 
         res.status(200).json( {
             message: 'Freebet actualizada con éxito',
-            data: updatedFreebet
+            data: {
+                ...updatedFreebet,
+                requirements: updatedRequirement
+                    ? { ...updatedRequirement, markets: parseMarkets( updatedRequirement.markets ) }
+                    : null
+            }
         } );
 
     } catch (error) {
@@ -396,11 +777,13 @@ const deleteFreebet = async ( req, res ) => {
             } );
         }
 
-        // Proceder con la eliminación
-        const deleteResult = await dbRun(
-            'DELETE FROM freebets WHERE id = ?',
-            [ id ]
-        );
+        // Eliminar la freebet junto con sus usos y su requisito de apuesta
+        const deleteResult = await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM freebetUsages WHERE idFreebet = ?', [ id ] );
+            await tx.dbRun( 'DELETE FROM wageringRequirements WHERE idFreebet = ?', [ id ] );
+            await tx.dbRun( 'UPDATE offerInstances SET idFreebet = NULL WHERE idFreebet = ?', [ id ] );
+            return tx.dbRun( 'DELETE FROM freebets WHERE id = ?', [ id ] );
+        } );
 
         if ( deleteResult.affectedRows === 0 ) {
             return res.status(404).json( {
@@ -477,6 +860,59 @@ const getFreebetsByBookMaker = async ( req, res ) => {
 };
 
 
+/**
+ * getFreebetsByStatus
+ * 
+ * Obtiene todas las freebets en un estado
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {string} req.params.status - Estado de la freebet
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de freebets en el estado indicado
+ *
+ * @example
+ * GET /api/freebets/status/received
+ */
+const getFreebetsByStatus = async ( req, res ) => {
+    try {
+        const { status } = req.params;
+
+        const validStatus = ['received', 'pending', 'rejected', 'claiming', 'expired', 'other'];
+        if ( !validStatus.includes( status ) ) {
+            return res.status(400).json( {
+                message: 'Estado de freebet no válido',
+                validStatus
+            } );
+        }
+
+        const sql = `
+            SELECT f.*, b.name as bookMakerName 
+            FROM freebets f 
+            JOIN bookMakers b ON f.idBookMaker = b.id 
+            WHERE f.status = ?
+            ORDER BY f.date DESC
+        `;
+
+        const freebets = await dbAll( sql, [ status ] );
+
+        if ( !freebets.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( freebets );
+
+    } catch (error) {
+        console.error('Error al obtener freebets por estado:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las freebets',
+            error: error.message
+        } );
+    }
+};
+
+
 /**
  * getFreebetStats
  * 
@@ -498,6 +934,7 @@ const getFreebetStats = async ( req, res ) => {
                 SUM(CASE WHEN f.status = 'pending' THEN 1 ELSE 0 END) as pending,
                 SUM(CASE WHEN f.status = 'rejected' THEN 1 ELSE 0 END) as rejected,
                 SUM(CASE WHEN f.status = 'claiming' THEN 1 ELSE 0 END) as claiming,
+                SUM(CASE WHEN f.status = 'expired' THEN 1 ELSE 0 END) as expired,
                 SUM(CASE WHEN f.status = 'other' THEN 1 ELSE 0 END) as other
             FROM freebets f
             JOIN bookMakers b ON f.idBookMaker = b.id
@@ -523,45 +960,64 @@ export {
     updateFreebet,
     deleteFreebet,
     getFreebetsByBookMaker,
+    getFreebetsByStatus,
     getFreebetStats
 };
 
 /**
  * getExpiringFreebets
  * 
- * Obtiene las freebets próximas a caducar
- * Por defecto muestra las que caducan en los próximos 7 días
+ * Obtiene las freebets activas que caducan en los próximos días
+ * Se ordenan por tiempo restante y, a igualdad, por saldo sin usar,
+ * para priorizar las que antes se pierden y más valen
  *
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.query - Parámetros de consulta
  * @param {number} [req.query.days=7] - Días para considerar próximas a caducar
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
- * @returns {Array<Object>} Lista de freebets próximas a caducar
+ * @returns {Object} Freebets próximas a caducar con su posición, horas restantes y saldo
  */
 const getExpiringFreebets = async ( req, res ) => {
     try {
         const { days = 7 } = req.query;
 
+        if ( !Number.isInteger( Number( days ) ) || Number( days ) < 1 ) {
+            return res.status(400).json( {
+                message: 'El número de días debe ser un entero mayor que 0'
+            } );
+        }
+
         const sql = `
-            SELECT f.*, bm.name as bookMakerName
+            SELECT
+                f.*, bm.name as bookMakerName, bm.currency,
+                TIMESTAMPDIFF(HOUR, NOW(), f.expiresAt) as hoursLeft,
+                f.amount - COALESCE((
+                    SELECT SUM(u.amount) FROM freebetUsages u WHERE u.idFreebet = f.id
+                ), 0) as remainingAmount
             FROM freebets f
             JOIN bookMakers bm ON f.idBookMaker = bm.id
-            WHERE f.status = 'pending'
-            AND date <= date('now', '+' || ? || ' days')
-            AND date >= date('now')
-            ORDER BY f.date ASC
+            WHERE f.status IN (?)
+            AND f.expiresAt > NOW()
+            AND f.expiresAt <= NOW() + INTERVAL ? DAY
+            HAVING remainingAmount > 0
+            ORDER BY f.expiresAt ASC, remainingAmount DESC
         `;
 
-        const freebets = await dbAll( sql, [ days ] );
+        const freebets = await dbAll( sql, [ EXPIRABLE_FREEBET_STATUSES, Number( days ) ] );
 
         if ( !freebets.length ) {
             return res.status(204).send();
         }
 
         res.status(200).json( {
-            daysConsidered: days,
-            freebets
+            daysConsidered: Number( days ),
+            totalRemainingAmount: toMoney( add( ...freebets.map( f => f.remainingAmount ) ) ),
+            freebets: freebets.map( ( f, index ) => ({
+                rank: index + 1,
+                ...f,
+                remainingAmount: toMoney( f.remainingAmount )
+            }) )
         } );
 
     } catch (error) {
@@ -573,6 +1029,35 @@ const getExpiringFreebets = async ( req, res ) => {
     }
 };
 
+/**
+ * runFreebetExpiry
+ *
+ * Caduca en el momento las freebets activas cuya fecha de caducidad ha pasado
+ * (la misma pasada que ejecuta periódicamente startFreebetExpiryJob)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Número de freebets caducadas
+ */
+const runFreebetExpiry = async ( req, res ) => {
+    try {
+        const expired = await expireFreebets();
+
+        res.status(200).json( {
+            message: 'Caducidad de freebets procesada con éxito',
+            expired
+        } );
+
+    } catch (error) {
+        console.error('Error al caducar freebets:', error);
+        res.status(500).json( {
+            message: 'Error al caducar las freebets',
+            error: error.message
+        } );
+    }
+};
+
 /**
  * getFreebetsByValue
  * 
@@ -628,6 +1113,8 @@ const getFreebetsByValue = async ( req, res ) => {
  * getFreebetConversionRate
  * 
  * Obtiene estadísticas de conversión de freebets a dinero real
+ * El beneficio se calcula con las apuestas vinculadas a cada freebet
+ * (ver calculateFreebetConversion) y la conversión sobre el importe usado
  *
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} res - Objeto de respuesta HTTP
@@ -636,52 +1123,74 @@ const getFreebetsByValue = async ( req, res ) => {
  */
 const getFreebetConversionRate = async ( req, res ) => {
     try {
-        const sql = `
-            SELECT 
-                bm.name as bookMakerName,
-                COUNT(*) as totalFreebets,
-                SUM(f.amount) as totalFreebetAmount,
-                AVG(f.amount) as avgFreebetAmount,
-                COUNT(CASE WHEN f.status = 'received' THEN 1 END) as receivedFreebets,
-                COUNT(CASE WHEN f.status = 'rejected' THEN 1 END) as rejectedFreebets,
-                (
-                    SELECT SUM(b.result)
-                    FROM bets b
-                    WHERE b.betType = 'freeBet'
-                    AND b.idBookMaker = bm.id
-                    AND b.status != 'pending'
-                ) as totalProfit
-            FROM freebets f
-            JOIN bookMakers bm ON f.idBookMaker = bm.id
-            GROUP BY bm.id, bm.name
-            ORDER BY totalFreebetAmount DESC
-        `;
-
-        const stats = await dbAll( sql );
+        const freebets = await dbAll(
+            `SELECT f.id, f.idBookMaker, f.amount, f.status, bm.name as bookMakerName, bm.currency
+             FROM freebets f
+             JOIN bookMakers bm ON f.idBookMaker = bm.id`
+        );
 
-        if ( !stats.length ) {
+        if ( !freebets.length ) {
             return res.status(204).send();
         }
 
-        const enrichedStats = stats.map( s => ({
-            ...s,
-            totalFreebetAmount: Number(s.totalFreebetAmount?.toFixed(2) || 0),
-            avgFreebetAmount: Number(s.avgFreebetAmount?.toFixed(2) || 0),
-            totalProfit: Number(s.totalProfit?.toFixed(2) || 0),
-            conversionRate: Number(((s.totalProfit / s.totalFreebetAmount) * 100)?.toFixed(2) || 0),
-            successRate: Number(((s.receivedFreebets / s.totalFreebets) * 100)?.toFixed(2) || 0)
-        }));
+        const usages = await findUsages( dbAll, freebets.map( f => f.id ) );
+
+        // Agrupar por casa de apuestas con la conversión exacta de cada freebet
+        const byBookMaker = {};
+        freebets.forEach( f => {
+            const conversion = calculateFreebetConversion(
+                f.amount,
+                usages.filter( usage => usage.idFreebet === f.id )
+            );
+
+            byBookMaker[ f.idBookMaker ] ??= {
+                bookMakerName: f.bookMakerName,
+                currency: f.currency,
+                totalFreebets: 0,
+                totalFreebetAmount: 0n,
+                receivedFreebets: 0,
+                rejectedFreebets: 0,
+                usedAmount: 0n,
+                remainingAmount: 0n,
+                totalProfit: 0n
+            };
+
+            const stats = byBookMaker[ f.idBookMaker ];
+            stats.totalFreebets += 1;
+            stats.totalFreebetAmount = add( stats.totalFreebetAmount, f.amount );
+            stats.receivedFreebets += f.status === 'received' ? 1 : 0;
+            stats.rejectedFreebets += f.status === 'rejected' ? 1 : 0;
+            stats.usedAmount = add( stats.usedAmount, conversion.usedAmount );
+            stats.remainingAmount = add( stats.remainingAmount,
+                f.status === 'received' ? conversion.remainingAmount : 0 );
+            stats.totalProfit = add( stats.totalProfit, conversion.profit );
+        } );
+
+        const enrichedStats = Object.values( byBookMaker )
+            .map( s => ({
+                ...s,
+                totalFreebetAmount: toMoney( s.totalFreebetAmount ),
+                avgFreebetAmount: average( s.totalFreebetAmount, s.totalFreebets ),
+                usedAmount: toMoney( s.usedAmount ),
+                remainingAmount: toMoney( s.remainingAmount ),
+                totalProfit: toMoney( s.totalProfit ),
+                conversionRate: percentage( s.totalProfit, s.usedAmount ),
+                successRate: percentage( s.receivedFreebets, s.totalFreebets )
+            }) )
+            .sort( ( a, b ) => b.totalFreebetAmount - a.totalFreebetAmount );
 
         // Calcular totales generales
         const totals = enrichedStats.reduce((acc, curr) => ({
             totalFreebets: acc.totalFreebets + curr.totalFreebets,
-            totalAmount: acc.totalAmount + curr.totalFreebetAmount,
-            totalProfit: acc.totalProfit + curr.totalProfit,
+            totalAmount: toMoney( add( acc.totalAmount, curr.totalFreebetAmount ) ),
+            usedAmount: toMoney( add( acc.usedAmount, curr.usedAmount ) ),
+            totalProfit: toMoney( add( acc.totalProfit, curr.totalProfit ) ),
             receivedFreebets: acc.receivedFreebets + curr.receivedFreebets,
             rejectedFreebets: acc.rejectedFreebets + curr.rejectedFreebets
         }), {
             totalFreebets: 0,
             totalAmount: 0,
+            usedAmount: 0,
             totalProfit: 0,
             receivedFreebets: 0,
             rejectedFreebets: 0
@@ -690,8 +1199,8 @@ const getFreebetConversionRate = async ( req, res ) => {
         res.status(200).json( {
             totals: {
                 ...totals,
-                overallConversionRate: Number(((totals.totalProfit / totals.totalAmount) * 100).toFixed(2)),
-                overallSuccessRate: Number(((totals.receivedFreebets / totals.totalFreebets) * 100).toFixed(2))
+                overallConversionRate: percentage( totals.totalProfit, totals.usedAmount ),
+                overallSuccessRate: percentage( totals.receivedFreebets, totals.totalFreebets )
             },
             byBookMaker: enrichedStats
         } );
@@ -703,4 +1212,340 @@ const getFreebetConversionRate = async ( req, res ) => {
             error: error.message
         } );
     }
-};
\ No newline at end of file
+};
+
+
+/**
+ * getFreebetUsages
+ *
+ * Obtiene las apuestas que han usado una freebet y su conversión
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la freebet
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Usos de la freebet, importe usado, saldo y beneficio
+ */
+const getFreebetUsages = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const freebet = await dbGet( 'SELECT id, amount FROM freebets WHERE id = ?', [ id ] );
+
+        if ( !freebet ) {
+            return res.status(404).json( {
+                message: `No se encontró la freebet con ID ${ id }`
+            } );
+        }
+
+        const usages = await findUsages( dbAll, [ freebet.id ] );
+
+        res.status(200).json( {
+            idFreebet: freebet.id,
+            amount: toMoney( freebet.amount ),
+            ...calculateFreebetConversion( freebet.amount, usages ),
+            usages
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener usos de la freebet:', error);
+        res.status(500).json( {
+            message: 'Error al obtener los usos de la freebet',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createFreebetUsage
+ *
+ * Vincula una apuesta que usa (total o parcialmente) una freebet
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la freebet
+ * @param {Object} req.body - Datos del uso
+ * @param {number} req.body.idBet - ID de la apuesta que usa la freebet
+ * @param {number} [req.body.amount] - Importe usado (por defecto, todo el saldo que admita la apuesta)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Uso creado y saldo restante de la freebet
+ *
+ * @example
+ * POST /api/freebets/3/usages
+ * Body: { "idBet": 42, "amount": 5 }
+ *
+ * Validaciones:
+ * - La freebet debe estar recibida ('received')
+ * - La apuesta debe ser de la misma casa y de tipo freeBet o banca freebet
+ * - El importe no puede superar el saldo de la freebet ni el stake libre de la apuesta
+ */
+const createFreebetUsage = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { idBet, amount } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) || !Number.isInteger( Number( idBet ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID de la freebet y el idBet deben ser números enteros'
+            } );
+        }
+
+        if ( amount !== undefined && !( Number( amount ) > 0 ) ) {
+            return res.status(400).json( {
+                message: 'El importe usado debe ser mayor que 0'
+            } );
+        }
+
+        const created = await dbTransaction( async ( tx ) => {
+            // Bloquear la freebet y la apuesta hasta el final: dos usos a la vez no
+            // pueden ver el mismo saldo disponible
+            const freebet = await tx.dbGet( 'SELECT * FROM freebets WHERE id = ? FOR UPDATE', [ id ] );
+
+            if ( !freebet ) {
+                return { error: { status: 404, message: `No se encontró la freebet con ID ${ id }` } };
+            }
+
+            if ( freebet.status !== 'received' ) {
+                return { error: { status: 400, message: 'Solo se pueden usar freebets recibidas' } };
+            }
+
+            if ( freebet.expiresAt && new Date( freebet.expiresAt ) <= new Date() ) {
+                return { error: { status: 400, message: 'La freebet ha caducado' } };
+            }
+
+            const bet = await tx.dbGet( 'SELECT * FROM bets WHERE id = ? FOR UPDATE', [ idBet ] );
+
+            if ( !bet ) {
+                return { error: { status: 404, message: `No se encontró la apuesta con ID ${ idBet }` } };
+            }
+
+            if ( Number( bet.idBookMaker ) !== Number( freebet.idBookMaker ) ) {
+                return { error: { status: 400, message: 'La apuesta debe ser de la misma casa de apuestas que la freebet' } };
+            }
+
+            if ( bet.betType !== 'freeBet' && bet.bank !== 'freebet' ) {
+                return { error: { status: 400, message: 'La apuesta debe ser de tipo freeBet o de banca freebet' } };
+            }
+
+            const existing = await tx.dbGet(
+                'SELECT id FROM freebetUsages WHERE idFreebet = ? AND idBet = ?',
+                [ id, idBet ]
+            );
+
+            if ( existing ) {
+                return { error: { status: 409, message: 'La apuesta ya está vinculada a esta freebet' } };
+            }
+
+            const [ { freebetUsed }, { betUsed } ] = await Promise.all( [
+                tx.dbGet( 'SELECT COALESCE(SUM(amount), 0) as freebetUsed FROM freebetUsages WHERE idFreebet = ?', [ id ] ),
+                tx.dbGet( 'SELECT COALESCE(SUM(amount), 0) as betUsed FROM freebetUsages WHERE idBet = ?', [ idBet ] )
+            ] );
+
+            const available = min(
+                subtract( freebet.amount, freebetUsed ),
+                subtract( bet.stake, betUsed )
+            );
+            const usedAmount = amount === undefined ? toMoney( available ) : toMoney( amount );
+
+            if ( compare( usedAmount, 0 ) <= 0 || compare( usedAmount, available ) > 0 ) {
+                return { error: {
+                    status: 409,
+                    message: `El importe usado no puede superar el saldo disponible (${ toMoney( available ) })`
+                } };
+            }
+
+            const insertResult = await tx.dbRun(
+                'INSERT INTO freebetUsages (idFreebet, idBet, amount) VALUES (?, ?, ?)',
+                [ id, idBet, usedAmount ]
+            );
+
+            return {
+                usage: {
+                    id: insertResult.insertId,
+                    idFreebet: Number( id ),
+                    idBet: Number( idBet ),
+                    amount: usedAmount
+                },
+                remainingAmount: toMoney( subtract( subtract( freebet.amount, freebetUsed ), usedAmount ) )
+            };
+        } );
+
+        if ( created.error ) {
+            return res.status( created.error.status ).json( {
+                message: created.error.message
+            } );
+        }
+
+        res.status(201).json( {
+            message: 'Uso de la freebet registrado con éxito',
+            data: created
+        } );
+
+    } catch (error) {
+        console.error('Error al registrar uso de la freebet:', error);
+        res.status(500).json( {
+            message: 'Error al registrar el uso de la freebet',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteFreebetUsage
+ *
+ * Desvincula una apuesta de la freebet y devuelve el importe al saldo
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la freebet
+ * @param {number} req.params.idUsage - ID del uso
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteFreebetUsage = async ( req, res ) => {
+    try {
+        const { id, idUsage } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) || !Number.isInteger( Number( idUsage ) ) ) {
+            return res.status(400).json( {
+                message: 'Los IDs deben ser números enteros'
+            } );
+        }
+
+        const deleteResult = await dbRun(
+            'DELETE FROM freebetUsages WHERE id = ? AND idFreebet = ?',
+            [ idUsage, id ]
+        );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró el uso ${ idUsage } de la freebet ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Uso de la freebet eliminado con éxito',
+            deletedId: idUsage
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar uso de la freebet:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el uso de la freebet',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getUnusedFreebets
+ *
+ * Obtiene el saldo de freebets recibidas pendiente de usar, agrupado por casa de apuestas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Saldo sin usar por casa de apuestas con el detalle de cada freebet
+ *
+ * @example
+ * GET /api/freebets/unused?idBookMaker=2
+ */
+const getUnusedFreebets = async ( req, res ) => {
+    try {
+        const { idBookMaker } = req.query;
+
+        if ( idBookMaker && !Number.isInteger( Number( idBookMaker ) ) ) {
+            return res.status(400).json( {
+                message: 'El idBookMaker debe ser un número entero'
+            } );
+        }
+
+        let sql = `
+            SELECT
+                f.id, f.idBookMaker, f.date, f.expiresAt, f.type, f.event, f.amount,
+                bm.name as bookMakerName, bm.currency,
+                COALESCE(SUM(u.amount), 0) as usedAmount,
+                f.amount - COALESCE(SUM(u.amount), 0) as remainingAmount
+            FROM freebets f
+            JOIN bookMakers bm ON f.idBookMaker = bm.id
+            LEFT JOIN freebetUsages u ON u.idFreebet = f.id
+            WHERE f.status = 'received'
+            AND ( f.expiresAt IS NULL OR f.expiresAt > NOW() )
+        `;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND f.idBookMaker = ?';
+            params.push( idBookMaker );
+        }
+
+        sql += `
+            GROUP BY f.id, f.idBookMaker, f.date, f.expiresAt, f.type, f.event, f.amount, bm.name, bm.currency
+            HAVING remainingAmount > 0
+            ORDER BY bm.name, f.date
+        `;
+
+        const freebets = await dbAll( sql, params );
+
+        if ( !freebets.length ) {
+            return res.status(204).send();
+        }
+
+        const byBookMaker = {};
+        freebets.forEach( ( { bookMakerName, currency, ...f } ) => {
+            byBookMaker[ f.idBookMaker ] ??= {
+                idBookMaker: f.idBookMaker,
+                bookMakerName,
+                currency,
+                totalFreebets: 0,
+                remainingAmount: 0,
+                freebets: []
+            };
+
+            const group = byBookMaker[ f.idBookMaker ];
+            group.totalFreebets += 1;
+            group.remainingAmount = toMoney( add( group.remainingAmount, f.remainingAmount ) );
+            group.freebets.push( {
+                ...f,
+                amount: toMoney( f.amount ),
+                usedAmount: toMoney( f.usedAmount ),
+                remainingAmount: toMoney( f.remainingAmount )
+            } );
+        } );
+
+        res.status(200).json( Object.values( byBookMaker ) );
+
+    } catch (error) {
+        console.error('Error al obtener freebets sin usar:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el saldo de freebets sin usar',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getExpiringFreebets,
+    runFreebetExpiry,
+    getFreebetsByValue,
+    getFreebetConversionRate,
+    getFreebetUsages,
+    createFreebetUsage,
+    deleteFreebetUsage,
+    getUnusedFreebets
+};
@@ -0,0 +1,387 @@
+/**
+* Controlador para las fuentes de fondos (cuentas bancarias, monederos
+* electrónicos y tarjetas) desde las que se deposita o a las que se retira
+*
+* Índice de funciones:
+*
+* Operaciones CRUD:
+* - getFundingSources()
+* Obtiene las fuentes de fondos con sus totales depositados, retirados y comisiones
+* Query: { type: string ('bank'|'e-wallet'|'card'|'other'), active: boolean }
+*
+* - getFundingSourceById( id )
+* Obtiene una fuente de fondos con sus retiros en curso
+* Params: id - ID de la fuente de fondos
+*
+* - createFundingSource()
+* Crea una fuente de fondos
+* Body: {
+*   name: string,
+*   type: string ('bank'|'e-wallet'|'card'|'other'),
+*   currency: string (default: 'EUR'),
+*   withdrawalDays: number (días habituales de un retiro, default: 3),
+*   info: string
+* }
+*
+* - updateFundingSource( id )
+* Actualiza una fuente de fondos (active: false la desactiva)
+* Params: id - ID de la fuente de fondos
+* Body: campos a actualizar (todos opcionales)
+*
+* - deleteFundingSource( id )
+* Elimina una fuente de fondos sin transacciones
+* Params: id - ID de la fuente de fondos
+*/
+
+
+import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
+import { FUNDING_SOURCE_TYPES } from '../utils/transactions.js';
+import { isCurrencyCode } from '../utils/currency.js';
+
+
+/**
+ * Valida los datos de una fuente de fondos
+ *
+ * @param {Object} source - Datos de la fuente (los ausentes no se validan)
+ * @returns {string|null} Mensaje de error o null si son válidos
+ */
+const validateFundingSource = ( { name, type, currency, withdrawalDays, info } ) => {
+    if ( name !== undefined && ( !name || String( name ).length > 100 ) ) {
+        return 'El nombre es obligatorio (máximo 100 caracteres)';
+    }
+    if ( type !== undefined && !FUNDING_SOURCE_TYPES.includes( type ) ) {
+        return `El tipo debe ser uno de: ${ FUNDING_SOURCE_TYPES.join( ', ' ) }`;
+    }
+    if ( currency !== undefined && !isCurrencyCode( currency ) ) {
+        return 'La divisa debe ser un código ISO 4217 de 3 letras (EUR, GBP, USD...)';
+    }
+    if ( withdrawalDays !== undefined && !( Number.isInteger( Number( withdrawalDays ) ) && Number( withdrawalDays ) >= 0 ) ) {
+        return 'Los días de retiro deben ser un número entero mayor o igual que 0';
+    }
+    if ( info && info.length > 500 ) {
+        return 'La información adicional no puede exceder los 500 caracteres';
+    }
+    return null;
+};
+
+
+/**
+ * getFundingSources
+ *
+ * Obtiene las fuentes de fondos con sus totales depositados y retirados
+ * (en la divisa de cada casa de apuestas, sin contar los retiros revertidos)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.type] - Tipo de fuente
+ * @param {string} [req.query.active] - 'true' o 'false' para filtrar por estado
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de fuentes de fondos
+ */
+const getFundingSources = async ( req, res ) => {
+    try {
+        const { type, active } = req.query;
+
+        let sql = `
+            SELECT fs.*,
+                COUNT(t.id) as totalTransactions,
+                COALESCE(SUM(CASE WHEN t.type = 'deposit' THEN t.amount ELSE 0 END), 0) as totalDeposited,
+                COALESCE(SUM(CASE WHEN t.type = 'withdrawal' AND t.status <> 'reversed' THEN t.amount ELSE 0 END), 0) as totalWithdrawn,
+                COALESCE(SUM(CASE WHEN t.status <> 'reversed' THEN t.fee ELSE 0 END), 0) as totalFees,
+                SUM(CASE WHEN t.status IN ('requested', 'processing') THEN 1 ELSE 0 END) as inFlightWithdrawals
+            FROM fundingSources fs
+            LEFT JOIN transactions t ON t.idFundingSource = fs.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if ( type ) {
+            sql += ' AND fs.type = ?';
+            params.push( type );
+        }
+
+        if ( active !== undefined ) {
+            sql += ' AND fs.active = ?';
+            params.push( active === 'true' );
+        }
+
+        sql += ' GROUP BY fs.id ORDER BY fs.name';
+
+        const sources = await dbAll( sql, params );
+
+        if ( !sources.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( sources );
+
+    } catch (error) {
+        console.error('Error al obtener fuentes de fondos:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las fuentes de fondos',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getFundingSourceById
+ *
+ * Obtiene una fuente de fondos con sus retiros en curso
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la fuente de fondos
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Fuente de fondos
+ */
+const getFundingSourceById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const source = await dbGet( 'SELECT * FROM fundingSources WHERE id = ?', [ id ] );
+
+        if ( !source ) {
+            return res.status(404).json( {
+                message: `No se encontró la fuente de fondos con ID ${ id }`
+            } );
+        }
+
+        const inFlightWithdrawals = await dbAll(
+            `SELECT t.*, b.name as bookMakerName
+             FROM transactions t
+             JOIN bookMakers b ON t.idBookMaker = b.id
+             WHERE t.idFundingSource = ? AND t.status IN ('requested', 'processing')
+             ORDER BY t.expectedDate`,
+            [ id ]
+        );
+
+        res.status(200).json( {
+            ...source,
+            inFlightWithdrawals
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener fuente de fondos:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la fuente de fondos',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createFundingSource
+ *
+ * Crea una fuente de fondos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la fuente de fondos
+ * @param {string} req.body.name - Nombre (único)
+ * @param {string} req.body.type - Tipo de fuente
+ * @param {string} [req.body.currency='EUR'] - Divisa
+ * @param {number} [req.body.withdrawalDays=3] - Días habituales de un retiro
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Fuente de fondos creada
+ *
+ * @example
+ * POST /api/funding-sources
+ * Body: { "name": "Skrill", "type": "e-wallet", "currency": "EUR", "withdrawalDays": 1 }
+ */
+const createFundingSource = async ( req, res ) => {
+    try {
+        const { name, type, currency = 'EUR', withdrawalDays = 3, info } = req.body;
+
+        if ( !name || !type ) {
+            return res.status(400).json( {
+                message: 'Los campos name y type son obligatorios'
+            } );
+        }
+
+        const validationError = validateFundingSource( { name, type, currency, withdrawalDays, info } );
+
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        const existing = await dbGet( 'SELECT id FROM fundingSources WHERE name = ?', [ name ] );
+
+        if ( existing ) {
+            return res.status(409).json( {
+                message: `Ya existe una fuente de fondos con el nombre ${ name }`
+            } );
+        }
+
+        const result = await dbRun(
+            `INSERT INTO fundingSources (name, type, currency, withdrawalDays, info)
+             VALUES (?, ?, ?, ?, ?)`,
+            [ name, type, currency, Number( withdrawalDays ), info || null ]
+        );
+
+        const created = await dbGet( 'SELECT * FROM fundingSources WHERE id = ?', [ result.insertId ] );
+
+        res.status(201).json( {
+            message: 'Fuente de fondos creada con éxito',
+            data: created
+        } );
+
+    } catch (error) {
+        console.error('Error al crear fuente de fondos:', error);
+        res.status(500).json( {
+            message: 'Error al crear la fuente de fondos',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * updateFundingSource
+ *
+ * Actualiza una fuente de fondos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la fuente de fondos
+ * @param {Object} req.body - Campos a actualizar (todos opcionales)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Fuente de fondos actualizada
+ */
+const updateFundingSource = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { name, type, currency, withdrawalDays, active, info } = req.body;
+
+        const existing = await dbGet( 'SELECT * FROM fundingSources WHERE id = ?', [ id ] );
+
+        if ( !existing ) {
+            return res.status(404).json( {
+                message: `No se encontró la fuente de fondos con ID ${ id }`
+            } );
+        }
+
+        const validationError = validateFundingSource( { name, type, currency, withdrawalDays, info } );
+
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        if ( name && name !== existing.name ) {
+            const duplicate = await dbGet( 'SELECT id FROM fundingSources WHERE name = ? AND id <> ?', [ name, id ] );
+            if ( duplicate ) {
+                return res.status(409).json( {
+                    message: `Ya existe una fuente de fondos con el nombre ${ name }`
+                } );
+            }
+        }
+
+        await dbRun(
+            `UPDATE fundingSources
+             SET name = COALESCE(?, name),
+                 type = COALESCE(?, type),
+                 currency = COALESCE(?, currency),
+                 withdrawalDays = COALESCE(?, withdrawalDays),
+                 active = COALESCE(?, active),
+                 info = COALESCE(?, info)
+             WHERE id = ?`,
+            [
+                name, type, currency,
+                withdrawalDays === undefined ? null : Number( withdrawalDays ),
+                active === undefined ? null : Boolean( active ),
+                info, id
+            ]
+        );
+
+        const updated = await dbGet( 'SELECT * FROM fundingSources WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Fuente de fondos actualizada con éxito',
+            data: updated
+        } );
+
+    } catch (error) {
+        console.error('Error al actualizar fuente de fondos:', error);
+        res.status(500).json( {
+            message: 'Error al actualizar la fuente de fondos',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteFundingSource
+ *
+ * Elimina una fuente de fondos que no tenga transacciones
+ * (si las tiene, se puede desactivar con active: false)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la fuente de fondos
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteFundingSource = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        const { count } = await dbGet(
+            'SELECT COUNT(*) as count FROM transactions WHERE idFundingSource = ?',
+            [ id ]
+        );
+
+        if ( count > 0 ) {
+            return res.status(409).json( {
+                message: 'No se puede eliminar la fuente de fondos porque tiene transacciones; desactívela',
+                associatedTransactions: count
+            } );
+        }
+
+        const deleteResult = await dbRun( 'DELETE FROM fundingSources WHERE id = ?', [ id ] );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró la fuente de fondos con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Fuente de fondos eliminada con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar fuente de fondos:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar la fuente de fondos',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getFundingSources,
+    getFundingSourceById,
+    createFundingSource,
+    updateFundingSource,
+    deleteFundingSource
+};
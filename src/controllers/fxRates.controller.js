@@ -0,0 +1,279 @@
+/**
+* Controlador para la gestión de tipos de cambio
+*
+* Los tipos indican cuántas unidades de cada divisa equivalen a 1 EUR
+* en una fecha y se usan para convertir los resúmenes a una divisa base.
+*
+* Índice de funciones:
+*
+* - getFxRates()
+* Obtiene los tipos de cambio guardados
+* Query: {
+*   currency: string (ISO 4217),
+*   startDate: string (YYYY-MM-DD),
+*   endDate: string (YYYY-MM-DD)
+* }
+*
+* - createFxRates()
+* Guarda uno o varios tipos de cambio (sustituye los de la misma fecha y divisa)
+* Body: { date, currency, rate } o { base, rates: Array<{ date, currency, rate }> }
+*
+* - importFxRates()
+* Carga los tipos de cambio de la fuente configurada en FX_RATES_SOURCE
+* (ruta de un fichero CSV/JSON local o URL que devuelva CSV/JSON)
+*
+* - deleteFxRate( id )
+* Elimina un tipo de cambio
+* Params: id - ID del tipo de cambio
+*/
+
+
+import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
+import { normalizeFxRates, parseFxRates, readFxRatesSource } from '../utils/currency.js';
+
+
+
+/**
+ * Guarda una lista de tipos de cambio normalizados
+ * Los tipos existentes de la misma fecha y divisa se sustituyen
+ *
+ * @param {Array<Object>} rates - Tipos normalizados ({ date, currency, rate })
+ * @returns {Promise<Object>} Resultado de la operación
+ */
+const saveFxRates = ( rates ) => dbRun(
+    `INSERT INTO fxRates (date, currency, rate)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE rate = VALUES(rate)`,
+    [ rates.map( ( { date, currency, rate } ) => [ date, currency, rate ] ) ]
+);
+
+
+/**
+ * getFxRates
+ *
+ * Obtiene los tipos de cambio con filtros opcionales
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.currency] - Divisa
+ * @param {string} [req.query.startDate] - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Fecha final (YYYY-MM-DD)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de tipos de cambio
+ *
+ * @example
+ * GET /api/fx-rates?currency=GBP&startDate=2024-01-01
+ */
+const getFxRates = async ( req, res ) => {
+    try {
+        const { currency, startDate, endDate } = req.query;
+
+        let sql = 'SELECT * FROM fxRates WHERE 1=1';
+        const params = [];
+
+        if ( currency ) {
+            sql += ' AND currency = ?';
+            params.push( String( currency ).toUpperCase() );
+        }
+
+        if ( startDate ) {
+            sql += ' AND date >= ?';
+            params.push( startDate );
+        }
+
+        if ( endDate ) {
+            sql += ' AND date <= ?';
+            params.push( endDate );
+        }
+
+        sql += ' ORDER BY date DESC, currency';
+
+        const rates = await dbAll( sql, params );
+
+        if ( !rates.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( rates );
+
+    } catch (error) {
+        console.error('Error al obtener tipos de cambio:', error);
+        res.status(500).json( {
+            message: 'Error al obtener los tipos de cambio',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createFxRates
+ *
+ * Guarda uno o varios tipos de cambio
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Tipo de cambio ({ date, currency, rate }) o lista ({ base, rates })
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Tipos de cambio guardados
+ *
+ * @example
+ * POST /api/fx-rates
+ * Body: { "date": "2024-03-15", "currency": "GBP", "rate": 0.8553 }
+ */
+const createFxRates = async ( req, res ) => {
+    try {
+        const { base, rates = [ req.body ] } = req.body;
+
+        if ( !Array.isArray( rates ) || !rates.length ) {
+            return res.status(400).json( {
+                message: 'Se requiere al menos un tipo de cambio ({ date, currency, rate })'
+            } );
+        }
+
+        let normalized;
+        try {
+            normalized = normalizeFxRates( rates, base && String( base ).toUpperCase() );
+        } catch (error) {
+            return res.status(400).json( {
+                message: error.message
+            } );
+        }
+
+        if ( !normalized.length ) {
+            return res.status(400).json( {
+                message: 'El EUR es la divisa de referencia y no necesita tipo de cambio'
+            } );
+        }
+
+        await saveFxRates( normalized );
+
+        res.status(201).json( {
+            message: 'Tipos de cambio guardados con éxito',
+            data: normalized
+        } );
+
+    } catch (error) {
+        console.error('Error al guardar tipos de cambio:', error);
+        res.status(500).json( {
+            message: 'Error al guardar los tipos de cambio',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * importFxRates
+ *
+ * Carga los tipos de cambio de la fuente configurada en FX_RATES_SOURCE
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Número de tipos importados y rango de fechas
+ *
+ * @example
+ * POST /api/fx-rates/import
+ */
+const importFxRates = async ( req, res ) => {
+    try {
+        const source = process.env.FX_RATES_SOURCE;
+
+        if ( !source ) {
+            return res.status(400).json( {
+                message: 'No hay ninguna fuente configurada en FX_RATES_SOURCE'
+            } );
+        }
+
+        let rates;
+        try {
+            rates = parseFxRates( await readFxRatesSource( source ) );
+        } catch (error) {
+            return res.status(422).json( {
+                message: 'No se pudieron leer los tipos de cambio de la fuente',
+                error: error.message
+            } );
+        }
+
+        if ( !rates.length ) {
+            return res.status(422).json( {
+                message: 'La fuente no contiene tipos de cambio'
+            } );
+        }
+
+        await saveFxRates( rates );
+
+        const dates = rates.map( rate => rate.date ).sort();
+
+        res.status(200).json( {
+            message: 'Tipos de cambio importados con éxito',
+            imported: rates.length,
+            currencies: [ ...new Set( rates.map( rate => rate.currency ) ) ],
+            period: { startDate: dates[0], endDate: dates[ dates.length - 1 ] }
+        } );
+
+    } catch (error) {
+        console.error('Error al importar tipos de cambio:', error);
+        res.status(500).json( {
+            message: 'Error al importar los tipos de cambio',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteFxRate
+ *
+ * Elimina un tipo de cambio
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID del tipo de cambio
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteFxRate = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const rate = await dbGet( 'SELECT id FROM fxRates WHERE id = ?', [ id ] );
+
+        if ( !rate ) {
+            return res.status(404).json( {
+                message: `No se encontró el tipo de cambio con ID ${ id }`
+            } );
+        }
+
+        await dbRun( 'DELETE FROM fxRates WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Tipo de cambio eliminado con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar tipo de cambio:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el tipo de cambio',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getFxRates,
+    createFxRates,
+    importFxRates,
+    deleteFxRate
+};
@@ -0,0 +1,494 @@
+/**
+* Controlador para la gestión de apuestas emparejadas (matched bets)
+*
+* Un matched bet agrupa la apuesta a favor (back), la apuesta en contra (lay)
+* y las piernas extra opcionales que comparten el mismo idMB en la tabla bets.
+*
+* Índice de funciones:
+*
+* Operaciones CRUD:
+* - getMatchedBets()
+* Obtiene todos los grupos con sus piernas y su resumen
+* Query: {
+*   page: number (default: 1),
+*   limit: number (default: 10)
+* }
+*
+* - getMatchedBetById( id )
+* Obtiene un grupo específico con sus piernas y su resumen
+* Params: id - ID del matched bet
+*
+* - createMatchedBet()
+* Crea el grupo y todas sus piernas en una única transacción
+* Body: {
+*   date: string (YYYY-MM-DD),
+*   event: string,
+*   info: string,
+*   backLeg: Object (datos de apuesta, betType por defecto 'backBet'),
+*   layLeg: Object (datos de apuesta, betType siempre 'layBet'),
+*   extraLegs: Array<Object> (opcional, betType obligatorio)
+* }
+* Para una apuesta each-way, backLeg lleva eachWay, placeFraction y places,
+* layLeg cubre el mercado ganador y una pierna extra layBet con
+* market 'place' cubre el mercado de colocado.
+*
+* - deleteMatchedBet( id )
+* Elimina el grupo y sus piernas si ninguna está resuelta
+* Params: id - ID del matched bet
+*/
+
+
+import { dbAll, dbGet, dbTransaction } from '../utils/helpers.js';
+import {
+    BET_STATUSES,
+    INVALID_ODDS_MESSAGE,
+    calculateBetFigures,
+    calculateMatchedBetSummary,
+    parseOdds,
+    parsePlaceFraction,
+    validateEachWay
+} from '../utils/betCalculations.js';
+import { findPromotionError } from '../utils/promotions.js';
+
+
+
+/**
+ * Valida los datos de una pierna del matched bet
+ *
+ * @param {Object} leg - Datos de la pierna
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+const validateLeg = ( leg ) => {
+    const { idBookMaker, bank, betType, betDate, eventDate, event, bet, stake, odds, status } = leg;
+
+    if ( !idBookMaker || !bank || !betType || !betDate || !eventDate ||
+         !event || !bet || !stake || !odds || !status ) {
+        return 'Cada pierna requiere idBookMaker, bank, betType, betDate, eventDate, event, bet, stake, odds y status';
+    }
+
+    if ( !['real', 'freebet'].includes( bank ) ) {
+        return 'El tipo de banca debe ser "real" o "freebet"';
+    }
+
+    const validTypes = ['backBet', 'layBet', 'mugBet', 'freeBet', 'personal', 'other'];
+    if ( !validTypes.includes( betType ) ) {
+        return 'Tipo de apuesta no válido';
+    }
+
+    if ( !BET_STATUSES.includes( status ) ) {
+        return 'Estado de apuesta no válido';
+    }
+
+    if ( typeof stake !== 'number' || stake <= 0 ) {
+        return 'El stake debe ser un número mayor que 0';
+    }
+
+    if ( !parseOdds( odds ) ) {
+        return INVALID_ODDS_MESSAGE;
+    }
+
+    return validateEachWay( leg );
+};
+
+
+/**
+ * Construye la respuesta de un grupo a partir de sus piernas
+ *
+ * @param {Object} matchedBet - Registro de la tabla matchedBets
+ * @param {Array<Object>} legs - Piernas del grupo con la comisión de su casa
+ * @returns {Object} Grupo con sus piernas y su resumen
+ */
+const buildMatchedBet = ( matchedBet, legs ) => {
+    const summary = calculateMatchedBetSummary( legs.map( leg => ({
+        status: leg.status,
+        betType: leg.betType,
+        stake: Number( leg.stake ),
+        odds: Number( leg.odds ),
+        commission: Number( leg.comission ),
+        eachWay: Boolean( leg.eachWay ),
+        placeFraction: Number( leg.placeFraction ),
+        market: leg.market
+    }) ) );
+
+    return {
+        ...matchedBet,
+        legs,
+        summary
+    };
+};
+
+
+/**
+ * Obtiene las piernas (con la comisión de su casa) de varios grupos
+ *
+ * @param {Array<number>} ids - IDs de los matched bets
+ * @returns {Promise<Array<Object>>} Piernas de los grupos
+ */
+const getLegs = async ( ids ) => {
+    if ( !ids.length ) {
+        return [];
+    }
+
+    const sql = `
+        SELECT b.*, bm.name as bookMakerName, bm.comission
+        FROM bets b
+        JOIN bookMakers bm ON b.idBookMaker = bm.id
+        WHERE b.idMB IN (?)
+        ORDER BY b.id ASC
+    `;
+
+    return dbAll( sql, [ ids ] );
+};
+
+
+/**
+ * getMatchedBets
+ *
+ * Obtiene todos los matched bets con sus piernas y su resumen
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.page=1] - Número de página
+ * @param {number} [req.query.limit=10] - Límite de resultados por página
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de matched bets
+ *
+ * @example
+ * GET /api/matched-bets?page=1&limit=10
+ */
+const getMatchedBets = async ( req, res ) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const offset = ( page - 1 ) * limit;
+
+        const matchedBets = await dbAll(
+            'SELECT * FROM matchedBets ORDER BY date DESC, id DESC LIMIT ? OFFSET ?',
+            [ parseInt( limit ), parseInt( offset ) ]
+        );
+
+        if ( !matchedBets.length ) {
+            return res.status(204).send();
+        }
+
+        const legs = await getLegs( matchedBets.map( mb => mb.id ) );
+
+        const groups = matchedBets.map( mb =>
+            buildMatchedBet( mb, legs.filter( leg => leg.idMB === mb.id ) )
+        );
+
+        res.status(200).json( groups );
+
+    } catch (error) {
+        console.error('Error al obtener matched bets:', error);
+        res.status(500).json( {
+            message: 'Error al obtener los matched bets',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getMatchedBetById
+ *
+ * Obtiene un matched bet específico con sus piernas y su resumen
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID del matched bet
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos del matched bet encontrado
+ *
+ * @example
+ * GET /api/matched-bets/1
+ */
+const getMatchedBetById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const matchedBet = await dbGet(
+            'SELECT * FROM matchedBets WHERE id = ?',
+            [ id ]
+        );
+
+        if ( !matchedBet ) {
+            return res.status(404).json( {
+                message: `No se encontró el matched bet con ID ${ id }`
+            } );
+        }
+
+        const legs = await getLegs( [ matchedBet.id ] );
+
+        res.status(200).json( buildMatchedBet( matchedBet, legs ) );
+
+    } catch (error) {
+        console.error('Error al obtener matched bet:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el matched bet',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createMatchedBet
+ *
+ * Crea un matched bet con su pierna back, su pierna lay y las piernas
+ * extra opcionales en una única transacción
+ *
+ * Los campos betDate, event y status de cada pierna toman por defecto
+ * la fecha del grupo, el evento del grupo y 'pending'.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos del matched bet
+ * @param {string} req.body.date - Fecha del matched bet (YYYY-MM-DD)
+ * @param {string} req.body.event - Evento
+ * @param {Object} req.body.backLeg - Apuesta a favor
+ * @param {Object} req.body.layLeg - Apuesta en contra
+ * @param {Array<Object>} [req.body.extraLegs] - Piernas adicionales
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos del matched bet creado
+ *
+ * @example
+ * POST /api/matched-bets
+ * Body: {
+ *   "date": "2024-03-15",
+ *   "event": "Real Madrid - Barcelona",
+ *   "backLeg": { "idBookMaker": 1, "bank": "real", "eventDate": "2024-03-16",
+ *                "bet": "Real Madrid", "stake": 10, "odds": "11/10" },
+ *   "layLeg": { "idBookMaker": 2, "bank": "real", "eventDate": "2024-03-16",
+ *               "bet": "Real Madrid", "stake": 10.2, "odds": 2.14 }
+ * }
+ *
+ * Restricciones:
+ * - Los campos date, event, backLeg y layLeg son obligatorios
+ * - La pierna back no puede ser de tipo layBet
+ * - Las cuotas pueden ser decimales, fraccionarias o americanas
+ * - Las casas de apuestas de todas las piernas deben existir
+ * - La promoción de una pierna (idPromotion) debe ser de su casa de apuestas
+ */
+const createMatchedBet = async ( req, res ) => {
+    try {
+        const { date, event, info, backLeg, layLeg, extraLegs = [] } = req.body;
+
+        // Validaciones
+        if ( !date || !event || !backLeg || !layLeg ) {
+            return res.status(400).json( {
+                message: 'Los campos date, event, backLeg y layLeg son obligatorios'
+            } );
+        }
+
+        if ( !Array.isArray( extraLegs ) ) {
+            return res.status(400).json( {
+                message: 'El campo extraLegs debe ser una lista'
+            } );
+        }
+
+        if ( backLeg.betType === 'layBet' ) {
+            return res.status(400).json( {
+                message: 'La pierna back no puede ser de tipo layBet'
+            } );
+        }
+
+        const withDefaults = ( leg ) => ({
+            betDate: date,
+            event,
+            status: 'pending',
+            eachWay: false,
+            market: 'win',
+            ...leg
+        });
+
+        const legs = [
+            withDefaults( { betType: 'backBet', ...backLeg } ),
+            withDefaults( { ...layLeg, betType: 'layBet' } ),
+            ...extraLegs.map( withDefaults )
+        ];
+
+        for ( const leg of legs ) {
+            const legError = validateLeg( leg );
+            if ( legError ) {
+                return res.status(400).json( {
+                    message: legError
+                } );
+            }
+        }
+
+        // Validar que las casas de apuestas existen
+        const bookMakerIds = [ ...new Set( legs.map( leg => leg.idBookMaker ) ) ];
+        const bookMakers = await dbAll(
+            'SELECT id, comission FROM bookMakers WHERE id IN (?)',
+            [ bookMakerIds ]
+        );
+
+        if ( bookMakers.length !== bookMakerIds.length ) {
+            return res.status(404).json( {
+                message: 'Alguna de las casas de apuestas especificadas no existe'
+            } );
+        }
+
+        // Validar las promociones de las piernas que la indican
+        for ( const leg of legs.filter( leg => leg.idPromotion ) ) {
+            const promotionError = await findPromotionError( leg.idPromotion, leg.idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        const commissionById = Object.fromEntries(
+            bookMakers.map( bm => [ bm.id, Number( bm.comission ) ] )
+        );
+
+        const idMB = await dbTransaction( async ( tx ) => {
+            const { insertId } = await tx.dbRun(
+                'INSERT INTO matchedBets (date, event, info) VALUES (?, ?, ?)',
+                [ date, event, info ]
+            );
+
+            for ( const leg of legs ) {
+                const placeFraction = leg.eachWay ? parsePlaceFraction( leg.placeFraction ) : null;
+                const odds = parseOdds( leg.odds );
+                const { liability, result, winResult, placeResult } = calculateBetFigures(
+                    leg.status,
+                    leg.betType,
+                    leg.stake,
+                    odds.decimal,
+                    commissionById[ leg.idBookMaker ],
+                    leg.eachWay ? { placeFraction } : null
+                );
+
+                await tx.dbRun(
+                    `INSERT INTO bets (
+                        idBookMaker, bank, betType, betDate, eventDate,
+                        event, bet, stake, odds, oddsFraction, status,
+                        liability, result, eachWay, placeFraction, places,
+                        market, winResult, placeResult, idMB, idPromotion, info
+                    )
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        leg.idBookMaker, leg.bank, leg.betType, leg.betDate, leg.eventDate,
+                        leg.event, leg.bet, leg.stake, odds.decimal, odds.fraction, leg.status, liability,
+                        result, Boolean( leg.eachWay ), placeFraction,
+                        leg.eachWay ? Number( leg.places ) : null, leg.market,
+                        winResult, placeResult, insertId, leg.idPromotion || null, leg.info
+                    ]
+                );
+            }
+
+            return insertId;
+        } );
+
+        const matchedBet = await dbGet(
+            'SELECT * FROM matchedBets WHERE id = ?',
+            [ idMB ]
+        );
+        const createdLegs = await getLegs( [ idMB ] );
+
+        res.status(201).json( {
+            message: 'Matched bet creado con éxito',
+            data: buildMatchedBet( matchedBet, createdLegs )
+        } );
+
+    } catch (error) {
+        console.error('Error al crear matched bet:', error);
+        res.status(500).json( {
+            message: 'Error al crear el matched bet',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteMatchedBet
+ *
+ * Elimina un matched bet y todas sus piernas en una única transacción
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID del matched bet a eliminar
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ *
+ * @example
+ * DELETE /api/matched-bets/1
+ *
+ * Restricciones:
+ * - Ninguna de las piernas puede estar resuelta
+ */
+const deleteMatchedBet = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const matchedBet = await dbGet(
+            'SELECT * FROM matchedBets WHERE id = ?',
+            [ id ]
+        );
+
+        if ( !matchedBet ) {
+            return res.status(404).json( {
+                message: `No se encontró el matched bet con ID ${ id }`
+            } );
+        }
+
+        const legs = await getLegs( [ matchedBet.id ] );
+
+        if ( legs.some( leg => leg.status !== 'pending' ) ) {
+            return res.status(400).json( {
+                message: 'No se puede eliminar un matched bet con piernas ya resueltas'
+            } );
+        }
+
+        await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM betFills WHERE idBet IN (SELECT id FROM bets WHERE idMB = ?)', [ id ] );
+            await tx.dbRun( 'DELETE FROM freebetUsages WHERE idBet IN (SELECT id FROM bets WHERE idMB = ?)', [ id ] );
+            await tx.dbRun(
+                'UPDATE freebets SET idQualifyingBet = NULL WHERE idQualifyingBet IN (SELECT id FROM bets WHERE idMB = ?)',
+                [ id ]
+            );
+            await tx.dbRun( 'DELETE FROM bets WHERE idMB = ?', [ id ] );
+            await tx.dbRun( 'DELETE FROM matchedBets WHERE id = ?', [ id ] );
+        } );
+
+        res.status(200).json( {
+            message: 'Matched bet eliminado con éxito',
+            deletedId: id,
+            deletedLegs: legs.length
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar matched bet:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el matched bet',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getMatchedBets,
+    getMatchedBetById,
+    createMatchedBet,
+    deleteMatchedBet
+};
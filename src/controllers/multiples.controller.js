@@ -0,0 +1,768 @@
+/**
+* Controlador para la gestión de apuestas múltiples (acumuladas)
+*
+* Una múltiple es una apuesta de la tabla bets con isMultiple = TRUE cuyas
+* selecciones se guardan en betSelections. La cuota combinada, el estado,
+* la responsabilidad y el resultado de la múltiple se derivan de sus
+* selecciones. Las layBet de cada selección (lay-as-you-go) apuntan a la
+* selección mediante bets.idSelection.
+*
+* Índice de funciones:
+*
+* Operaciones CRUD:
+* - getMultiples()
+* Obtiene todas las múltiples con sus selecciones
+* Query: {
+*   page: number (default: 1),
+*   limit: number (default: 10)
+* }
+*
+* - getMultipleById( id )
+* Obtiene una múltiple con sus selecciones y sus layBet
+* Params: id - ID de la múltiple
+*
+* - createMultiple()
+* Crea la múltiple y sus selecciones en una única transacción
+* Body: {
+*   idBookMaker: number,
+*   bank: string ('real'|'freebet'),
+*   betType: string (cualquiera excepto 'layBet'),
+*   betDate: string (YYYY-MM-DD),
+*   stake: number,
+*   idPromotion: number,
+*   info: string,
+*   selections: Array<{ eventDate, event, bet, odds, status }> (mínimo 2)
+* }
+*
+* - deleteMultiple( id )
+* Elimina una múltiple pendiente sin layBet asociadas
+* Params: id - ID de la múltiple
+*
+* Operaciones adicionales:
+* - settleSelection( id, idSelection )
+* Resuelve una selección, recalcula la múltiple y resuelve sus layBet pendientes
+* Body: { status: string ('won'|'lost'|'void') }
+*
+* - createSelectionLay( id, idSelection )
+* Registra una layBet que cubre una selección (lay-as-you-go)
+* Body: { idBookMaker, bank, betDate, stake, odds, matchStatus, info }
+*/
+
+
+import { dbAll, dbGet, dbRun, dbTransaction } from '../utils/helpers.js';
+import {
+    INVALID_ODDS_MESSAGE,
+    SELECTION_STATUSES,
+    calculateBetFigures,
+    calculateFillFigures,
+    calculateMultipleOdds,
+    getMultipleStatus,
+    getOppositeStatus,
+    parseOdds
+} from '../utils/betCalculations.js';
+import { add, multiply, toMoney } from '../utils/money.js';
+import { findPromotionError } from '../utils/promotions.js';
+
+
+
+/**
+ * Obtiene las selecciones de varias múltiples
+ *
+ * @param {Function} get - Función de consulta (dbAll o tx.dbAll)
+ * @param {Array<number>} ids - IDs de las múltiples
+ * @returns {Promise<Array<Object>>} Selecciones
+ */
+const getSelections = ( get, ids ) => get(
+    'SELECT * FROM betSelections WHERE idBet IN (?) ORDER BY id ASC',
+    [ ids ]
+);
+
+
+/**
+ * Obtiene las layBet que cubren un conjunto de selecciones
+ *
+ * @param {Function} get - Función de consulta (dbAll o tx.dbAll)
+ * @param {Array<number>} selectionIds - IDs de las selecciones
+ * @returns {Promise<Array<Object>>} LayBet con la comisión de su casa
+ */
+const getSelectionLays = async ( get, selectionIds ) => {
+    if ( !selectionIds.length ) {
+        return [];
+    }
+
+    return get(
+        `SELECT b.*, bm.name as bookMakerName, bm.comission
+         FROM bets b
+         JOIN bookMakers bm ON b.idBookMaker = bm.id
+         WHERE b.idSelection IN (?)
+         ORDER BY b.id ASC`,
+        [ selectionIds ]
+    );
+};
+
+
+/**
+ * Construye la respuesta de una múltiple con sus selecciones y layBet
+ *
+ * @param {Object} multiple - Apuesta múltiple
+ * @param {Array<Object>} selections - Selecciones de la múltiple
+ * @param {Array<Object>} lays - LayBet de las selecciones
+ * @returns {Object} Múltiple con selecciones, layBet y resumen
+ */
+const buildMultiple = ( multiple, selections, lays ) => {
+    const layResult = add( ...lays.map( lay => lay.result ) );
+    const layLiability = add( ...lays.map( lay => lay.liability ) );
+
+    return {
+        ...multiple,
+        selections: selections.map( selection => ({
+            ...selection,
+            lays: lays.filter( lay => lay.idSelection === selection.id )
+        }) ),
+        summary: {
+            combinedOdds: calculateMultipleOdds( selections ),
+            potentialReturn: toMoney( multiply( multiple.stake, calculateMultipleOdds( selections ) ) ),
+            layLiability: toMoney( layLiability ),
+            layResult: toMoney( layResult ),
+            totalResult: toMoney( add( multiple.result, layResult ) )
+        }
+    };
+};
+
+
+/**
+ * Recalcula cuota, estado, liability y result de una múltiple a partir
+ * de sus selecciones dentro de una transacción
+ *
+ * @param {Object} tx - Transacción de dbTransaction
+ * @param {number} id - ID de la múltiple
+ * @returns {Promise<void>}
+ */
+const recalculateMultiple = async ( tx, id ) => {
+    const multiple = await tx.dbGet(
+        `SELECT b.*, bm.comission
+         FROM bets b
+         JOIN bookMakers bm ON b.idBookMaker = bm.id
+         WHERE b.id = ?`,
+        [ id ]
+    );
+    const selections = await getSelections( tx.dbAll, [ id ] );
+
+    const status = getMultipleStatus( selections );
+    // Si todas las selecciones se anulan la cuota combinada sería 1, se mantiene la guardada
+    const odds = status === 'void' ? multiple.odds : calculateMultipleOdds( selections );
+    const { liability, result } = calculateBetFigures(
+        status,
+        multiple.betType,
+        multiple.stake,
+        odds,
+        multiple.comission
+    );
+
+    await tx.dbRun(
+        'UPDATE bets SET odds = ?, status = ?, liability = ?, result = ? WHERE id = ?',
+        [ odds, status, liability, result, id ]
+    );
+};
+
+
+/**
+ * Obtiene una múltiple con sus selecciones y sus layBet
+ *
+ * @param {number} id - ID de la múltiple
+ * @returns {Promise<Object|undefined>} Múltiple o undefined si no existe
+ */
+const findMultiple = async ( id ) => {
+    const multiple = await dbGet(
+        `SELECT b.*, bm.name as bookMakerName
+         FROM bets b
+         JOIN bookMakers bm ON b.idBookMaker = bm.id
+         WHERE b.id = ? AND b.isMultiple = TRUE`,
+        [ id ]
+    );
+
+    if ( !multiple ) {
+        return undefined;
+    }
+
+    const selections = await getSelections( dbAll, [ multiple.id ] );
+    const lays = await getSelectionLays( dbAll, selections.map( s => s.id ) );
+
+    return buildMultiple( multiple, selections, lays );
+};
+
+
+/**
+ * getMultiples
+ *
+ * Obtiene todas las apuestas múltiples con sus selecciones
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.page=1] - Número de página
+ * @param {number} [req.query.limit=10] - Límite de resultados por página
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de múltiples
+ *
+ * @example
+ * GET /api/multiples?page=1&limit=10
+ */
+const getMultiples = async ( req, res ) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const offset = ( page - 1 ) * limit;
+
+        const multiples = await dbAll(
+            `SELECT b.*, bm.name as bookMakerName
+             FROM bets b
+             JOIN bookMakers bm ON b.idBookMaker = bm.id
+             WHERE b.isMultiple = TRUE
+             ORDER BY b.betDate DESC
+             LIMIT ? OFFSET ?`,
+            [ parseInt( limit ), parseInt( offset ) ]
+        );
+
+        if ( !multiples.length ) {
+            return res.status(204).send();
+        }
+
+        const selections = await getSelections( dbAll, multiples.map( m => m.id ) );
+        const lays = await getSelectionLays( dbAll, selections.map( s => s.id ) );
+
+        const result = multiples.map( multiple => {
+            const own = selections.filter( s => s.idBet === multiple.id );
+            const ownIds = own.map( s => s.id );
+            return buildMultiple(
+                multiple,
+                own,
+                lays.filter( lay => ownIds.includes( lay.idSelection ) )
+            );
+        } );
+
+        res.status(200).json( result );
+
+    } catch (error) {
+        console.error('Error al obtener múltiples:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las múltiples',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getMultipleById
+ *
+ * Obtiene una apuesta múltiple con sus selecciones y sus layBet
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la múltiple
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la múltiple
+ *
+ * @example
+ * GET /api/multiples/5
+ */
+const getMultipleById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const multiple = await findMultiple( id );
+
+        if ( !multiple ) {
+            return res.status(404).json( {
+                message: `No se encontró la múltiple con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( multiple );
+
+    } catch (error) {
+        console.error('Error al obtener múltiple:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la múltiple',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createMultiple
+ *
+ * Crea una apuesta múltiple y sus selecciones en una única transacción.
+ * La cuota combinada, el estado y el resultado se derivan de las selecciones.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la múltiple
+ * @param {number} req.body.idBookMaker - ID de la casa de apuestas
+ * @param {string} req.body.bank - Tipo de banca (real/freebet)
+ * @param {string} req.body.betType - Tipo de apuesta (no puede ser layBet)
+ * @param {string} req.body.betDate - Fecha de la apuesta
+ * @param {number} req.body.stake - Cantidad apostada
+ * @param {Array<Object>} req.body.selections - Selecciones ({ eventDate, event, bet, odds, status })
+ * @param {number} [req.body.idPromotion] - ID de la promoción asociada (de la misma casa de apuestas)
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la múltiple creada
+ *
+ * @example
+ * POST /api/multiples
+ * Body: {
+ *   "idBookMaker": 1, "bank": "real", "betType": "backBet",
+ *   "betDate": "2024-03-15", "stake": 5,
+ *   "selections": [
+ *     { "eventDate": "2024-03-16", "event": "Betis - Sevilla", "bet": "Betis", "odds": 2.2 },
+ *     { "eventDate": "2024-03-16", "event": "Celta - Vigo B", "bet": "Celta", "odds": "4/5" }
+ *   ]
+ * }
+ */
+const createMultiple = async ( req, res ) => {
+    try {
+        const { idBookMaker, bank, betType, betDate, stake, selections, idPromotion, info } = req.body;
+
+        // Validaciones
+        if ( !idBookMaker || !bank || !betType || !betDate || !stake || !selections ) {
+            return res.status(400).json( {
+                message: 'Los campos idBookMaker, bank, betType, betDate, stake y selections son obligatorios'
+            } );
+        }
+
+        if ( !['real', 'freebet'].includes( bank ) ) {
+            return res.status(400).json( {
+                message: 'El tipo de banca debe ser "real" o "freebet"'
+            } );
+        }
+
+        const validTypes = ['backBet', 'mugBet', 'freeBet', 'personal', 'other'];
+        if ( !validTypes.includes( betType ) ) {
+            return res.status(400).json( {
+                message: 'Tipo de apuesta no válido para una múltiple'
+            } );
+        }
+
+        if ( typeof stake !== 'number' || stake <= 0 ) {
+            return res.status(400).json( {
+                message: 'El stake debe ser un número mayor que 0'
+            } );
+        }
+
+        if ( !Array.isArray( selections ) || selections.length < 2 ) {
+            return res.status(400).json( {
+                message: 'Una múltiple requiere al menos 2 selecciones'
+            } );
+        }
+
+        // Las cuotas se guardan en decimal junto con su fracción exacta
+        const legs = selections.map( selection => {
+            const odds = parseOdds( selection.odds );
+            return { status: 'pending', ...selection, odds: odds?.decimal, oddsFraction: odds?.fraction };
+        } );
+
+        const invalidLeg = legs.find( leg =>
+            !leg.eventDate || !leg.event || !leg.bet || !leg.odds ||
+            !SELECTION_STATUSES.includes( leg.status ) );
+        if ( invalidLeg ) {
+            return res.status(400).json( {
+                message: `Cada selección requiere eventDate, event, bet, una cuota válida (decimal, fraccionaria o americana) y un status de: ${ SELECTION_STATUSES.join(', ') }`
+            } );
+        }
+
+        // Validar que la casa de apuestas existe
+        const bookMaker = await dbGet(
+            'SELECT id FROM bookMakers WHERE id = ?',
+            [ idBookMaker ]
+        );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas especificada no existe'
+            } );
+        }
+
+        // Validar la promoción si se indica
+        if ( idPromotion ) {
+            const promotionError = await findPromotionError( idPromotion, idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        const event = `Múltiple: ${ legs.map( leg => leg.event ).join( ' / ' ) }`.slice( 0, 200 );
+        const eventDate = legs.map( leg => leg.eventDate ).sort().pop();
+
+        const id = await dbTransaction( async ( tx ) => {
+            const { insertId } = await tx.dbRun(
+                `INSERT INTO bets (
+                    idBookMaker, bank, betType, betDate, eventDate,
+                    event, bet, stake, odds, status, liability,
+                    result, isMultiple, idPromotion, info
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, 0, TRUE, ?, ?)`,
+                [
+                    idBookMaker, bank, betType, betDate, eventDate,
+                    event, `${ legs.length } selecciones`, stake,
+                    calculateMultipleOdds( legs ), idPromotion || null, info
+                ]
+            );
+
+            for ( const leg of legs ) {
+                await tx.dbRun(
+                    `INSERT INTO betSelections (idBet, eventDate, event, bet, odds, oddsFraction, status)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [ insertId, leg.eventDate, leg.event, leg.bet, leg.odds, leg.oddsFraction, leg.status ]
+                );
+            }
+
+            await recalculateMultiple( tx, insertId );
+
+            return insertId;
+        } );
+
+        res.status(201).json( {
+            message: 'Múltiple creada con éxito',
+            data: await findMultiple( id )
+        } );
+
+    } catch (error) {
+        console.error('Error al crear múltiple:', error);
+        res.status(500).json( {
+            message: 'Error al crear la múltiple',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * settleSelection
+ *
+ * Resuelve una selección de una múltiple en una única transacción:
+ * actualiza la selección, recalcula la múltiple y resuelve con el estado
+ * contrario las layBet pendientes que cubren esa selección
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la múltiple
+ * @param {number} req.params.idSelection - ID de la selección
+ * @param {Object} req.body - Datos de la resolución
+ * @param {string} req.body.status - Estado de la selección (won/lost/void)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Múltiple actualizada
+ *
+ * @example
+ * POST /api/multiples/5/selections/12/settle
+ * Body: { "status": "won" }
+ */
+const settleSelection = async ( req, res ) => {
+    try {
+        const { id, idSelection } = req.params;
+        const { status } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) || !Number.isInteger( Number( idSelection ) ) ) {
+            return res.status(400).json( {
+                message: 'Los IDs deben ser números enteros'
+            } );
+        }
+
+        const settledStatuses = SELECTION_STATUSES.filter( s => s !== 'pending' );
+        if ( !settledStatuses.includes( status ) ) {
+            return res.status(400).json( {
+                message: `El estado de la selección debe ser uno de: ${ settledStatuses.join(', ') }`
+            } );
+        }
+
+        const selection = await dbGet(
+            'SELECT * FROM betSelections WHERE id = ? AND idBet = ?',
+            [ idSelection, id ]
+        );
+
+        if ( !selection ) {
+            return res.status(404).json( {
+                message: `No se encontró la selección con ID ${ idSelection } en la múltiple ${ id }`
+            } );
+        }
+
+        await dbTransaction( async ( tx ) => {
+            await tx.dbRun(
+                'UPDATE betSelections SET status = ? WHERE id = ?',
+                [ status, idSelection ]
+            );
+
+            await recalculateMultiple( tx, id );
+
+            const lays = await getSelectionLays( tx.dbAll, [ selection.id ] );
+            const layStatus = getOppositeStatus( status );
+
+            for ( const lay of lays.filter( l => l.status === 'pending' ) ) {
+                // Como en las órdenes del exchange, si la layBet tiene tramos solo cuenta la parte casada
+                const fills = await tx.dbAll( 'SELECT * FROM betFills WHERE idBet = ?', [ lay.id ] );
+                const { liability, result } = fills.length || lay.matchStatus !== 'matched'
+                    ? calculateFillFigures( layStatus, lay.betType, fills, lay.comission )
+                    : calculateBetFigures(
+                        layStatus,
+                        lay.betType,
+                        lay.stake,
+                        lay.odds,
+                        lay.comission
+                    );
+
+                await tx.dbRun(
+                    'UPDATE bets SET status = ?, liability = ?, result = ? WHERE id = ?',
+                    [ layStatus, liability, result, lay.id ]
+                );
+            }
+        } );
+
+        res.status(200).json( {
+            message: 'Selección resuelta con éxito',
+            data: await findMultiple( id )
+        } );
+
+    } catch (error) {
+        console.error('Error al resolver selección:', error);
+        res.status(500).json( {
+            message: 'Error al resolver la selección',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createSelectionLay
+ *
+ * Registra una layBet que cubre una selección pendiente de una múltiple
+ * (lay-as-you-go). La layBet toma el evento, la selección y la fecha del
+ * evento de la selección.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la múltiple
+ * @param {number} req.params.idSelection - ID de la selección
+ * @param {Object} req.body - Datos de la layBet
+ * @param {number} req.body.idBookMaker - ID del exchange
+ * @param {string} req.body.betDate - Fecha de la apuesta
+ * @param {number} req.body.stake - Stake lay
+ * @param {number|string} req.body.odds - Cuota lay (decimal, fraccionaria o americana)
+ * @param {string} [req.body.bank='real'] - Tipo de banca
+ * @param {string} [req.body.matchStatus='matched'] - Ejecución de la layBet (matched/unmatched);
+ *   una orden 'unmatched' se va casando con POST /api/bets/:id/fills
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Múltiple actualizada
+ *
+ * @example
+ * POST /api/multiples/5/selections/12/lay
+ * Body: { "idBookMaker": 2, "betDate": "2024-03-16", "stake": 10.5, "odds": 2.3 }
+ */
+const createSelectionLay = async ( req, res ) => {
+    try {
+        const { id, idSelection } = req.params;
+        const { idBookMaker, bank = 'real', betDate, stake, odds, matchStatus = 'matched', info } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) || !Number.isInteger( Number( idSelection ) ) ) {
+            return res.status(400).json( {
+                message: 'Los IDs deben ser números enteros'
+            } );
+        }
+
+        if ( !idBookMaker || !betDate || !stake || !odds ) {
+            return res.status(400).json( {
+                message: 'Los campos idBookMaker, betDate, stake y odds son obligatorios'
+            } );
+        }
+
+        if ( !['real', 'freebet'].includes( bank ) ) {
+            return res.status(400).json( {
+                message: 'El tipo de banca debe ser "real" o "freebet"'
+            } );
+        }
+
+        if ( typeof stake !== 'number' || stake <= 0 ) {
+            return res.status(400).json( {
+                message: 'El stake debe ser un número mayor que 0'
+            } );
+        }
+
+        const parsedOdds = parseOdds( odds );
+        if ( !parsedOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+
+        if ( !['matched', 'unmatched'].includes( matchStatus ) ) {
+            return res.status(400).json( {
+                message: 'El estado de ejecución inicial debe ser "matched" o "unmatched"'
+            } );
+        }
+
+        const selection = await dbGet(
+            'SELECT * FROM betSelections WHERE id = ? AND idBet = ?',
+            [ idSelection, id ]
+        );
+
+        if ( !selection ) {
+            return res.status(404).json( {
+                message: `No se encontró la selección con ID ${ idSelection } en la múltiple ${ id }`
+            } );
+        }
+
+        if ( selection.status !== 'pending' ) {
+            return res.status(400).json( {
+                message: 'Solo se pueden cubrir selecciones pendientes'
+            } );
+        }
+
+        const bookMaker = await dbGet(
+            'SELECT * FROM bookMakers WHERE id = ?',
+            [ idBookMaker ]
+        );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas especificada no existe'
+            } );
+        }
+
+        // Igual que en createBet: una orden sin casar no tiene responsabilidad
+        const { liability, result } = matchStatus === 'unmatched'
+            ? calculateFillFigures( 'pending', 'layBet', [], bookMaker.comission )
+            : calculateBetFigures(
+                'pending',
+                'layBet',
+                stake,
+                parsedOdds.decimal,
+                bookMaker.comission
+            );
+        const matchedStake = matchStatus === 'matched' ? stake : 0;
+        const unmatchedStake = matchStatus === 'matched' ? 0 : stake;
+
+        await dbRun(
+            `INSERT INTO bets (
+                idBookMaker, bank, betType, betDate, eventDate,
+                event, bet, stake, odds, oddsFraction, status,
+                liability, result, matchStatus, matchedStake,
+                unmatchedStake, idSelection, info
+            )
+            VALUES (?, ?, 'layBet', ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                idBookMaker, bank, betDate, selection.eventDate,
+                selection.event, selection.bet, stake, parsedOdds.decimal,
+                parsedOdds.fraction, liability, result, matchStatus,
+                matchedStake, unmatchedStake, selection.id, info
+            ]
+        );
+
+        res.status(201).json( {
+            message: 'LayBet de la selección creada con éxito',
+            data: await findMultiple( id )
+        } );
+
+    } catch (error) {
+        console.error('Error al crear layBet de selección:', error);
+        res.status(500).json( {
+            message: 'Error al crear la layBet de la selección',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteMultiple
+ *
+ * Elimina una múltiple pendiente y sus selecciones
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la múltiple a eliminar
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ *
+ * @example
+ * DELETE /api/multiples/5
+ *
+ * Restricciones:
+ * - La múltiple no puede estar resuelta
+ * - Ninguna selección puede tener layBet asociadas
+ */
+const deleteMultiple = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const multiple = await findMultiple( id );
+
+        if ( !multiple ) {
+            return res.status(404).json( {
+                message: `No se encontró la múltiple con ID ${ id }`
+            } );
+        }
+
+        if ( multiple.status !== 'pending' ) {
+            return res.status(400).json( {
+                message: 'No se puede eliminar una múltiple ya resuelta'
+            } );
+        }
+
+        const layCount = multiple.selections.reduce( ( total, s ) => total + s.lays.length, 0 );
+        if ( layCount > 0 ) {
+            return res.status(409).json( {
+                message: 'No se puede eliminar la múltiple porque tiene layBet asociadas',
+                associatedLays: layCount
+            } );
+        }
+
+        await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM betSelections WHERE idBet = ?', [ id ] );
+            await tx.dbRun( 'DELETE FROM freebetUsages WHERE idBet = ?', [ id ] );
+            await tx.dbRun( 'UPDATE freebets SET idQualifyingBet = NULL WHERE idQualifyingBet = ?', [ id ] );
+            await tx.dbRun( 'DELETE FROM bets WHERE id = ?', [ id ] );
+        } );
+
+        res.status(200).json( {
+            message: 'Múltiple eliminada con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar múltiple:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar la múltiple',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getMultiples,
+    getMultipleById,
+    createMultiple,
+    settleSelection,
+    createSelectionLay,
+    deleteMultiple
+};
@@ -0,0 +1,702 @@
+/**
+* Controlador para las ofertas recurrentes y su calendario semanal
+*
+* Una plantilla describe una oferta que se repite cada semana en una casa de
+* apuestas ("apuesta 10 el sábado en carreras y recibe 5 gratis"). Las
+* plantillas generan una oferta concreta (instancia) por cada fecha.
+*
+* Índice de funciones:
+*
+* Plantillas:
+* - getOfferTemplates()
+* Obtiene las plantillas de ofertas
+* Query: { idBookMaker: number, active: boolean }
+*
+* - createOfferTemplate()
+* Crea una plantilla de oferta recurrente
+* Body: {
+*   idBookMaker: number,
+*   idPromotion: number (promoción de la misma casa de apuestas),
+*   name: string,
+*   freebetType: string ('bet-and-get'|'loyalty', default: 'bet-and-get'),
+*   weekdays: Array<number> (1 = lunes ... 7 = domingo),
+*   qualifyingStake: number,
+*   minOdds: number|string,
+*   rewardAmount: number,
+*   startDate: string (YYYY-MM-DD),
+*   endDate: string (YYYY-MM-DD),
+*   info: string
+* }
+*
+* - updateOfferTemplate( id )
+* Actualiza una plantilla (active: false la desactiva)
+* Params: id - ID de la plantilla
+* Body: campos a actualizar (todos opcionales)
+*
+* - deleteOfferTemplate( id )
+* Elimina una plantilla y sus ofertas pendientes
+* Params: id - ID de la plantilla
+*
+* Calendario:
+* - generateOfferInstances()
+* Genera las ofertas de las plantillas activas en un periodo
+* Body: { startDate: string, endDate: string }
+*
+* - getOfferCalendar()
+* Obtiene las ofertas de una semana agrupadas por día
+* Query: { date: string (cualquier día de la semana, default: hoy) }
+*
+* - updateOfferInstance( id )
+* Marca una oferta como hecha u omitida y registra su freebet
+* Params: id - ID de la oferta
+* Body: { status: string ('pending'|'done'|'skipped'), idFreebet: number, createFreebet: boolean }
+*/
+
+
+import { dbAll, dbGet, dbRun, dbTransaction } from '../utils/helpers.js';
+import { parseOdds, INVALID_ODDS_MESSAGE } from '../utils/betCalculations.js';
+import { add, toMoney } from '../utils/money.js';
+import { findPromotionError } from '../utils/promotions.js';
+import { INACTIVE_ACCOUNT_STATUSES, accountStatusSql } from '../utils/accountStatus.js';
+import {
+    OFFER_INSTANCE_STATUSES,
+    WEEKDAY_NAMES,
+    getOfferDates,
+    parseWeekdays,
+    validateOfferTemplate
+} from '../utils/offers.js';
+import { addDays, isoWeekday, startOfWeek } from '../utils/dates.js';
+
+
+
+/**
+ * Número máximo de días que se pueden generar de una vez
+ */
+const MAX_GENERATE_DAYS = 366;
+
+
+/**
+ * Prepara una plantilla para la respuesta (días como lista)
+ *
+ * @param {Object} template - Fila de offerTemplates
+ * @returns {Object} Plantilla con weekdays como array
+ */
+const formatTemplate = ( template ) => ({
+    ...template,
+    weekdays: parseWeekdays( template.weekdays ),
+    active: Boolean( template.active )
+});
+
+
+/**
+ * Genera las ofertas de las plantillas activas en un periodo
+ * Las fechas ya generadas no se duplican y se omiten las casas de apuestas
+ * cuya cuenta está cerrada o sin promociones
+ *
+ * @param {string} from - Primer día (YYYY-MM-DD)
+ * @param {string} to - Último día (YYYY-MM-DD)
+ * @returns {Promise<number>} Número de ofertas nuevas
+ */
+const generateInstances = async ( from, to ) => {
+    const templates = await dbAll(
+        `SELECT id, weekdays, startDate, endDate
+         FROM offerTemplates
+         WHERE active = TRUE
+         AND ( startDate IS NULL OR startDate <= ? )
+         AND ( endDate IS NULL OR endDate >= ? )
+         AND ${ accountStatusSql( 'offerTemplates.idBookMaker' ) } NOT IN (?)`,
+        [ to, from, INACTIVE_ACCOUNT_STATUSES ]
+    );
+
+    const rows = templates.flatMap( template =>
+        getOfferDates( template, from, to ).map( date => [ template.id, date ] ) );
+
+    if ( !rows.length ) {
+        return 0;
+    }
+
+    const { affectedRows } = await dbRun(
+        'INSERT IGNORE INTO offerInstances (idTemplate, date) VALUES ?',
+        [ rows ]
+    );
+
+    return affectedRows;
+};
+
+
+/**
+ * getOfferTemplates
+ *
+ * Obtiene las plantillas de ofertas recurrentes
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {string} [req.query.active] - 'true' o 'false' para filtrar por estado
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de plantillas
+ */
+const getOfferTemplates = async ( req, res ) => {
+    try {
+        const { idBookMaker, active } = req.query;
+
+        let sql = `
+            SELECT t.*, bm.name as bookMakerName
+            FROM offerTemplates t
+            JOIN bookMakers bm ON t.idBookMaker = bm.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND t.idBookMaker = ?';
+            params.push( idBookMaker );
+        }
+
+        if ( active === 'true' || active === 'false' ) {
+            sql += ' AND t.active = ?';
+            params.push( active === 'true' );
+        }
+
+        sql += ' ORDER BY bm.name, t.name';
+
+        const templates = await dbAll( sql, params );
+
+        if ( !templates.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( templates.map( formatTemplate ) );
+
+    } catch (error) {
+        console.error('Error al obtener plantillas de ofertas:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las plantillas de ofertas',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createOfferTemplate
+ *
+ * Crea una plantilla de oferta recurrente
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la plantilla
+ * @param {number} req.body.idBookMaker - ID de la casa de apuestas
+ * @param {string} req.body.name - Nombre de la oferta
+ * @param {Array<number>} req.body.weekdays - Días en que se repite (1 = lunes ... 7 = domingo)
+ * @param {string} [req.body.freebetType='bet-and-get'] - Tipo de la freebet que se obtiene
+ * @param {number} [req.body.idPromotion] - ID de la promoción
+ * @param {number} [req.body.qualifyingStake] - Stake de la apuesta de calificación
+ * @param {number|string} [req.body.minOdds] - Cuota mínima (cualquier formato)
+ * @param {number} [req.body.rewardAmount] - Importe de la freebet que se obtiene
+ * @param {string} [req.body.startDate] - Primer día de la oferta (YYYY-MM-DD)
+ * @param {string} [req.body.endDate] - Último día de la oferta (YYYY-MM-DD)
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la plantilla creada
+ *
+ * @example
+ * POST /api/offers/templates
+ * Body: { "idBookMaker": 1, "name": "Sábado de carreras", "weekdays": [6],
+ *         "qualifyingStake": 10, "minOdds": "1/1", "rewardAmount": 5 }
+ */
+const createOfferTemplate = async ( req, res ) => {
+    try {
+        const {
+            idBookMaker, idPromotion, name, freebetType = 'bet-and-get', weekdays,
+            qualifyingStake, minOdds, rewardAmount, startDate, endDate, info
+        } = req.body;
+
+        if ( !idBookMaker || !name || !weekdays ) {
+            return res.status(400).json( {
+                message: 'Los campos idBookMaker, name y weekdays son obligatorios'
+            } );
+        }
+
+        const validationError = validateOfferTemplate( {
+            name, freebetType, weekdays, qualifyingStake, rewardAmount, startDate, endDate
+        } );
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        const parsedOdds = minOdds ? parseOdds( minOdds ) : null;
+        if ( minOdds && !parsedOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT id FROM bookMakers WHERE id = ?', [ idBookMaker ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas especificada no existe'
+            } );
+        }
+
+        if ( idPromotion ) {
+            const promotionError = await findPromotionError( idPromotion, idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        const template = {
+            idBookMaker,
+            idPromotion: idPromotion || null,
+            name,
+            freebetType,
+            weekdays: parseWeekdays( weekdays ).join( ',' ),
+            qualifyingStake: qualifyingStake ? toMoney( qualifyingStake ) : null,
+            minOdds: parsedOdds?.decimal ?? null,
+            rewardAmount: rewardAmount ? toMoney( rewardAmount ) : null,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            info: info || null
+        };
+
+        const result = await dbRun(
+            `INSERT INTO offerTemplates (
+                idBookMaker, idPromotion, name, freebetType, weekdays, qualifyingStake,
+                minOdds, rewardAmount, startDate, endDate, info
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            Object.values( template )
+        );
+
+        res.status(201).json( {
+            message: 'Plantilla de oferta creada con éxito',
+            data: formatTemplate( { id: result.insertId, ...template, active: true } )
+        } );
+
+    } catch (error) {
+        console.error('Error al crear plantilla de oferta:', error);
+        res.status(500).json( {
+            message: 'Error al crear la plantilla de oferta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * updateOfferTemplate
+ *
+ * Actualiza una plantilla de oferta
+ * Los cambios afectan a las ofertas que se generen después; las ya generadas se mantienen
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la plantilla
+ * @param {Object} req.body - Datos a actualizar (incluido active)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la plantilla actualizada
+ */
+const updateOfferTemplate = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const {
+            idPromotion, name, freebetType, weekdays, qualifyingStake,
+            minOdds, rewardAmount, startDate, endDate, active, info
+        } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const existing = await dbGet( 'SELECT * FROM offerTemplates WHERE id = ?', [ id ] );
+
+        if ( !existing ) {
+            return res.status(404).json( {
+                message: `No se encontró la plantilla de oferta con ID ${ id }`
+            } );
+        }
+
+        const validationError = validateOfferTemplate( {
+            name, freebetType, weekdays, qualifyingStake, rewardAmount, startDate, endDate
+        } );
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        if ( active !== undefined && typeof active !== 'boolean' ) {
+            return res.status(400).json( {
+                message: 'El campo active debe ser true o false'
+            } );
+        }
+
+        const parsedOdds = minOdds ? parseOdds( minOdds ) : null;
+        if ( minOdds && !parsedOdds ) {
+            return res.status(400).json( {
+                message: INVALID_ODDS_MESSAGE
+            } );
+        }
+
+        if ( idPromotion ) {
+            const promotionError = await findPromotionError( idPromotion, existing.idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        await dbRun(
+            `UPDATE offerTemplates
+             SET idPromotion = COALESCE(?, idPromotion),
+                 name = COALESCE(?, name),
+                 freebetType = COALESCE(?, freebetType),
+                 weekdays = COALESCE(?, weekdays),
+                 qualifyingStake = COALESCE(?, qualifyingStake),
+                 minOdds = COALESCE(?, minOdds),
+                 rewardAmount = COALESCE(?, rewardAmount),
+                 startDate = COALESCE(?, startDate),
+                 endDate = COALESCE(?, endDate),
+                 active = COALESCE(?, active),
+                 info = COALESCE(?, info)
+             WHERE id = ?`,
+            [
+                idPromotion, name, freebetType, weekdays ? parseWeekdays( weekdays ).join( ',' ) : null,
+                qualifyingStake ? toMoney( qualifyingStake ) : null, parsedOdds?.decimal ?? null,
+                rewardAmount ? toMoney( rewardAmount ) : null, startDate, endDate, active, info, id
+            ]
+        );
+
+        const updated = await dbGet( 'SELECT * FROM offerTemplates WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Plantilla de oferta actualizada con éxito',
+            data: formatTemplate( updated )
+        } );
+
+    } catch (error) {
+        console.error('Error al actualizar plantilla de oferta:', error);
+        res.status(500).json( {
+            message: 'Error al actualizar la plantilla de oferta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteOfferTemplate
+ *
+ * Elimina una plantilla junto con sus ofertas pendientes
+ * Si alguna oferta ya está hecha u omitida, la plantilla debe desactivarse en su lugar
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la plantilla
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteOfferTemplate = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const { count } = await dbGet(
+            `SELECT COUNT(*) as count FROM offerInstances WHERE idTemplate = ? AND status != 'pending'`,
+            [ id ]
+        );
+
+        if ( count > 0 ) {
+            return res.status(409).json( {
+                message: 'La plantilla tiene ofertas ya hechas u omitidas; desactívala con active: false',
+                completedOffers: count
+            } );
+        }
+
+        const deleteResult = await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM offerInstances WHERE idTemplate = ?', [ id ] );
+            return tx.dbRun( 'DELETE FROM offerTemplates WHERE id = ?', [ id ] );
+        } );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró la plantilla de oferta con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Plantilla de oferta eliminada con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar plantilla de oferta:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar la plantilla de oferta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * generateOfferInstances
+ *
+ * Genera las ofertas de las plantillas activas entre dos fechas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Periodo
+ * @param {string} req.body.startDate - Primer día (YYYY-MM-DD)
+ * @param {string} req.body.endDate - Último día (YYYY-MM-DD)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Número de ofertas nuevas
+ */
+const generateOfferInstances = async ( req, res ) => {
+    try {
+        const { startDate, endDate } = req.body;
+
+        if ( ![ startDate, endDate ].every( date => /^\d{4}-\d{2}-\d{2}$/.test( date || '' ) ) || endDate < startDate ) {
+            return res.status(400).json( {
+                message: 'Las fechas startDate y endDate (YYYY-MM-DD) son obligatorias y endDate no puede ser anterior'
+            } );
+        }
+
+        if ( addDays( startDate, MAX_GENERATE_DAYS ) <= endDate ) {
+            return res.status(400).json( {
+                message: `No se pueden generar más de ${ MAX_GENERATE_DAYS } días de una vez`
+            } );
+        }
+
+        const created = await generateInstances( startDate, endDate );
+
+        res.status(201).json( {
+            message: 'Ofertas generadas con éxito',
+            data: { startDate, endDate, created }
+        } );
+
+    } catch (error) {
+        console.error('Error al generar ofertas:', error);
+        res.status(500).json( {
+            message: 'Error al generar las ofertas',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getOfferCalendar
+ *
+ * Obtiene las ofertas de una semana (lunes a domingo) agrupadas por día
+ * Antes de consultar genera las ofertas de la semana que falten
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.date] - Cualquier día de la semana (YYYY-MM-DD, default: hoy)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Días de la semana con sus ofertas y resumen
+ */
+const getOfferCalendar = async ( req, res ) => {
+    try {
+        const { date } = req.query;
+
+        if ( date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) {
+            return res.status(400).json( {
+                message: 'La fecha debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        const weekStart = startOfWeek( date || new Date() );
+        const weekEnd = addDays( weekStart, 6 );
+
+        await generateInstances( weekStart, weekEnd );
+
+        const offers = await dbAll(
+            `SELECT
+                i.id, i.idTemplate, DATE_FORMAT(i.date, '%Y-%m-%d') as date, i.status, i.idFreebet,
+                t.name, t.freebetType, t.qualifyingStake, t.minOdds, t.rewardAmount, t.info,
+                t.idBookMaker, bm.name as bookMakerName, bm.currency,
+                ${ accountStatusSql( 'bm.id' ) } as accountStatus
+             FROM offerInstances i
+             JOIN offerTemplates t ON i.idTemplate = t.id
+             JOIN bookMakers bm ON t.idBookMaker = bm.id
+             WHERE i.date BETWEEN ? AND ?
+             ORDER BY i.date, bm.name, t.name`,
+            [ weekStart, weekEnd ]
+        );
+
+        const days = Array.from( { length: 7 }, ( _, index ) => {
+            const day = addDays( weekStart, index );
+            return {
+                date: day,
+                weekday: WEEKDAY_NAMES[ isoWeekday( day ) ],
+                offers: offers.filter( offer => offer.date === day )
+            };
+        } );
+
+        const pending = offers.filter( offer => offer.status === 'pending' );
+
+        res.status(200).json( {
+            weekStart,
+            weekEnd,
+            days,
+            summary: {
+                total: offers.length,
+                pending: pending.length,
+                done: offers.filter( offer => offer.status === 'done' ).length,
+                skipped: offers.filter( offer => offer.status === 'skipped' ).length,
+                pendingStake: toMoney( add( ...pending.map( offer => offer.qualifyingStake ) ) ),
+                pendingReward: toMoney( add( ...pending.map( offer => offer.rewardAmount ) ) )
+            }
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener calendario de ofertas:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el calendario de ofertas',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * updateOfferInstance
+ *
+ * Cambia el estado de una oferta del calendario
+ * Con createFreebet: true y status 'done' registra la freebet de la recompensa
+ * (tipo e importe de la plantilla, estado 'pending' hasta que llegue)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la oferta
+ * @param {Object} req.body - Datos a actualizar
+ * @param {string} [req.body.status] - Estado ('pending'|'done'|'skipped')
+ * @param {number} [req.body.idFreebet] - ID de una freebet ya registrada
+ * @param {boolean} [req.body.createFreebet=false] - Crear la freebet de la recompensa
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Oferta actualizada
+ */
+const updateOfferInstance = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { status, idFreebet, createFreebet = false } = req.body;
+
+        if ( status && !OFFER_INSTANCE_STATUSES.includes( status ) ) {
+            return res.status(400).json( {
+                message: `Estado no válido. Estados: ${ OFFER_INSTANCE_STATUSES.join( ', ' ) }`
+            } );
+        }
+
+        const instance = await dbGet(
+            `SELECT i.*, t.idBookMaker, t.idPromotion, t.name, t.freebetType, t.rewardAmount
+             FROM offerInstances i
+             JOIN offerTemplates t ON i.idTemplate = t.id
+             WHERE i.id = ?`,
+            [ id ]
+        );
+
+        if ( !instance ) {
+            return res.status(404).json( {
+                message: `No se encontró la oferta con ID ${ id }`
+            } );
+        }
+
+        if ( createFreebet && ( ( status || instance.status ) !== 'done' || idFreebet || instance.idFreebet ) ) {
+            return res.status(400).json( {
+                message: 'Solo se puede crear la freebet de una oferta hecha que aún no tenga freebet'
+            } );
+        }
+
+        if ( createFreebet && !instance.rewardAmount ) {
+            return res.status(400).json( {
+                message: 'La plantilla no indica el importe de la recompensa'
+            } );
+        }
+
+        if ( idFreebet ) {
+            const freebet = await dbGet( 'SELECT id, idBookMaker FROM freebets WHERE id = ?', [ idFreebet ] );
+
+            if ( !freebet ) {
+                return res.status(404).json( {
+                    message: 'La freebet especificada no existe'
+                } );
+            }
+
+            if ( Number( freebet.idBookMaker ) !== Number( instance.idBookMaker ) ) {
+                return res.status(400).json( {
+                    message: 'La freebet debe ser de la misma casa de apuestas que la oferta'
+                } );
+            }
+        }
+
+        const updated = await dbTransaction( async ( tx ) => {
+            let finalFreebet = idFreebet;
+
+            if ( createFreebet ) {
+                const { insertId } = await tx.dbRun(
+                    `INSERT INTO freebets (idBookMaker, type, amount, date, event, status, idPromotion)
+                     VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+                    [
+                        instance.idBookMaker, instance.freebetType, instance.rewardAmount,
+                        instance.date, instance.name, instance.idPromotion
+                    ]
+                );
+                finalFreebet = insertId;
+            }
+
+            await tx.dbRun(
+                `UPDATE offerInstances
+                 SET status = COALESCE(?, status),
+                     idFreebet = COALESCE(?, idFreebet)
+                 WHERE id = ?`,
+                [ status, finalFreebet, id ]
+            );
+
+            return tx.dbGet( 'SELECT * FROM offerInstances WHERE id = ?', [ id ] );
+        } );
+
+        res.status(200).json( {
+            message: 'Oferta actualizada con éxito',
+            data: updated
+        } );
+
+    } catch (error) {
+        console.error('Error al actualizar oferta:', error);
+        res.status(500).json( {
+            message: 'Error al actualizar la oferta',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getOfferTemplates,
+    createOfferTemplate,
+    updateOfferTemplate,
+    deleteOfferTemplate,
+    generateOfferInstances,
+    getOfferCalendar,
+    updateOfferInstance
+};
@@ -0,0 +1,708 @@
+/**
+* Controlador para la gestión del catálogo de promociones
+*
+* Cada promoción pertenece a una casa de apuestas. Las apuestas, freebets y
+* requisitos de apuesta la referencian por su ID (idPromotion).
+*
+* Índice de funciones:
+*
+* Operaciones CRUD:
+* - getPromotions()
+* Obtiene las promociones
+* Query: {
+*   idBookMaker: number,
+*   type: string ('sign-up'|'reload'|'acca-insurance'|'price-boost'|'bog'|'2up'|'other'),
+*   active: boolean (solo las vigentes hoy)
+* }
+*
+* - getPromotionById( id )
+* Obtiene una promoción con sus apuestas, freebets y requisitos de apuesta
+* Params: id - ID de la promoción
+*
+* - createPromotion()
+* Crea una promoción
+* Body: {
+*   idBookMaker: number,
+*   name: string,
+*   type: string,
+*   startDate: string (YYYY-MM-DD),
+*   endDate: string (YYYY-MM-DD),
+*   terms: string,
+*   timeSpent: number (minutos dedicados),
+*   info: string
+* }
+*
+* - updatePromotion( id )
+* Actualiza una promoción existente
+* Params: id - ID de la promoción
+* Body: campos a actualizar (todos opcionales)
+*
+* - deletePromotion( id )
+* Elimina una promoción sin apuestas, freebets, requisitos ni ofertas asociadas
+* Params: id - ID de la promoción
+*
+* Operaciones adicionales:
+* - addPromotionTime( id )
+* Suma minutos al tiempo dedicado a una promoción
+* Params: id - ID de la promoción
+* Body: { minutes: number }
+*
+* - getPromotionsReport()
+* Beneficio, acierto y tiempo dedicado por promoción
+* Query: { idBookMaker: number, type: string, startDate: string, endDate: string }
+*/
+
+
+import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
+import { PROMOTION_TYPES } from '../utils/promotions.js';
+import { calculateStatusRates, stakedSql, statusAggregateColumns } from '../utils/betStats.js';
+import { betsInCurrencySql, getBaseCurrency, getFxConversionError } from '../utils/currency.js';
+import { divide, multiply, round, toMoney } from '../utils/money.js';
+
+
+
+/**
+ * Valida los campos de una promoción
+ *
+ * @param {Object} promotion - Datos de la promoción (los ausentes no se validan)
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+const validatePromotion = ( { name, type, startDate, endDate, terms, timeSpent, info } ) => {
+    if ( name !== undefined && ( !name || String( name ).length > 100 ) ) {
+        return 'El nombre es obligatorio (máximo 100 caracteres)';
+    }
+    if ( type !== undefined && !PROMOTION_TYPES.includes( type ) ) {
+        return `Tipo de promoción no válido. Tipos: ${ PROMOTION_TYPES.join( ', ' ) }`;
+    }
+    if ( [ startDate, endDate ].some( date => date && Number.isNaN( new Date( date ).getTime() ) ) ) {
+        return 'Las fechas deben tener el formato YYYY-MM-DD';
+    }
+    if ( startDate && endDate && new Date( endDate ) < new Date( startDate ) ) {
+        return 'La fecha de fin no puede ser anterior a la de inicio';
+    }
+    if ( terms && String( terms ).length > 1000 ) {
+        return 'Las condiciones no pueden exceder los 1000 caracteres';
+    }
+    if ( timeSpent !== undefined && !( Number.isInteger( Number( timeSpent ) ) && Number( timeSpent ) >= 0 ) ) {
+        return 'El tiempo dedicado debe ser un número entero de minutos mayor o igual que 0';
+    }
+    if ( info && String( info ).length > 500 ) {
+        return 'La información no puede exceder los 500 caracteres';
+    }
+    return null;
+};
+
+
+/**
+ * getPromotions
+ *
+ * Obtiene las promociones con filtros opcionales
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {string} [req.query.type] - Tipo de promoción
+ * @param {string} [req.query.active] - 'true' para ver solo las vigentes hoy
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de promociones
+ */
+const getPromotions = async ( req, res ) => {
+    try {
+        const { idBookMaker, type, active } = req.query;
+
+        let sql = `
+            SELECT p.*, bm.name as bookMakerName
+            FROM promotions p
+            JOIN bookMakers bm ON p.idBookMaker = bm.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND p.idBookMaker = ?';
+            params.push( idBookMaker );
+        }
+
+        if ( type ) {
+            sql += ' AND p.type = ?';
+            params.push( type );
+        }
+
+        if ( active === 'true' ) {
+            sql += `
+                AND ( p.startDate IS NULL OR p.startDate <= CURDATE() )
+                AND ( p.endDate IS NULL OR p.endDate >= CURDATE() )`;
+        }
+
+        sql += ' ORDER BY p.startDate DESC, p.id DESC';
+
+        const promotions = await dbAll( sql, params );
+
+        if ( !promotions.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( promotions );
+
+    } catch (error) {
+        console.error('Error al obtener promociones:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las promociones',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getPromotionById
+ *
+ * Obtiene una promoción con sus apuestas, freebets y requisitos de apuesta
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la promoción
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la promoción
+ */
+const getPromotionById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const promotion = await dbGet(
+            `SELECT p.*, bm.name as bookMakerName, bm.currency
+             FROM promotions p
+             JOIN bookMakers bm ON p.idBookMaker = bm.id
+             WHERE p.id = ?`,
+            [ id ]
+        );
+
+        if ( !promotion ) {
+            return res.status(404).json( {
+                message: `No se encontró la promoción con ID ${ id }`
+            } );
+        }
+
+        const bets = await dbAll(
+            `SELECT id, betDate, betType, event, bet, stake, odds, status, result, idMB
+             FROM bets
+             WHERE idPromotion = ?
+             ORDER BY betDate, id`,
+            [ id ]
+        );
+
+        const freebets = await dbAll(
+            'SELECT id, date, type, amount, status, expiresAt FROM freebets WHERE idPromotion = ? ORDER BY date, id',
+            [ id ]
+        );
+
+        const wageringRequirements = await dbAll(
+            'SELECT id, idFreebet, amount, rolloverMultiple, deadline FROM wageringRequirements WHERE idPromotion = ?',
+            [ id ]
+        );
+
+        res.status(200).json( {
+            ...promotion,
+            bets,
+            freebets,
+            wageringRequirements
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener promoción:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la promoción',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createPromotion
+ *
+ * Crea una nueva promoción
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la promoción
+ * @param {number} req.body.idBookMaker - ID de la casa de apuestas
+ * @param {string} req.body.name - Nombre (único en la casa de apuestas)
+ * @param {string} req.body.type - Tipo de promoción
+ * @param {string} [req.body.startDate] - Fecha de inicio (YYYY-MM-DD)
+ * @param {string} [req.body.endDate] - Fecha de fin (YYYY-MM-DD)
+ * @param {string} [req.body.terms] - Condiciones
+ * @param {number} [req.body.timeSpent=0] - Minutos dedicados
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la promoción creada
+ *
+ * @example
+ * POST /api/promotions
+ * Body: { "idBookMaker": 1, "name": "Bienvenida 30€", "type": "sign-up", "startDate": "2024-03-01" }
+ */
+const createPromotion = async ( req, res ) => {
+    try {
+        const { idBookMaker, name, type, startDate, endDate, terms, timeSpent = 0, info } = req.body;
+
+        if ( !idBookMaker || !name || !type ) {
+            return res.status(400).json( {
+                message: 'Los campos idBookMaker, name y type son obligatorios'
+            } );
+        }
+
+        const validationError = validatePromotion( { name, type, startDate, endDate, terms, timeSpent, info } );
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT id FROM bookMakers WHERE id = ?', [ idBookMaker ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas especificada no existe'
+            } );
+        }
+
+        const existing = await dbGet(
+            'SELECT id FROM promotions WHERE idBookMaker = ? AND name = ?',
+            [ idBookMaker, name ]
+        );
+
+        if ( existing ) {
+            return res.status(409).json( {
+                message: `Ya existe una promoción con el nombre: ${ name }`
+            } );
+        }
+
+        const result = await dbRun(
+            `INSERT INTO promotions (idBookMaker, name, type, startDate, endDate, terms, timeSpent, info)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                idBookMaker, name, type, startDate || null, endDate || null,
+                terms || null, Number( timeSpent ), info || null
+            ]
+        );
+
+        res.status(201).json( {
+            message: 'Promoción creada con éxito',
+            data: {
+                id: result.insertId,
+                idBookMaker,
+                name,
+                type,
+                startDate: startDate || null,
+                endDate: endDate || null,
+                terms: terms || null,
+                timeSpent: Number( timeSpent ),
+                info: info || null
+            }
+        } );
+
+    } catch (error) {
+        console.error('Error al crear promoción:', error);
+        res.status(500).json( {
+            message: 'Error al crear la promoción',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * updatePromotion
+ *
+ * Actualiza una promoción existente
+ * La casa de apuestas solo se puede cambiar si la promoción no tiene nada asociado
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la promoción
+ * @param {Object} req.body - Datos a actualizar
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Datos de la promoción actualizada
+ */
+const updatePromotion = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { idBookMaker, name, type, startDate, endDate, terms, timeSpent, info } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const existing = await dbGet( 'SELECT * FROM promotions WHERE id = ?', [ id ] );
+
+        if ( !existing ) {
+            return res.status(404).json( {
+                message: `No se encontró la promoción con ID ${ id }`
+            } );
+        }
+
+        // Validar con las fechas finales
+        const validationError = validatePromotion( {
+            name,
+            type,
+            startDate: startDate || existing.startDate,
+            endDate: endDate || existing.endDate,
+            terms,
+            timeSpent,
+            info
+        } );
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        const finalBookMaker = idBookMaker || existing.idBookMaker;
+
+        if ( Number( finalBookMaker ) !== Number( existing.idBookMaker ) ) {
+            const bookMaker = await dbGet( 'SELECT id FROM bookMakers WHERE id = ?', [ idBookMaker ] );
+
+            if ( !bookMaker ) {
+                return res.status(404).json( {
+                    message: 'La casa de apuestas especificada no existe'
+                } );
+            }
+
+            const { count } = await dbGet(
+                `SELECT
+                    ( SELECT COUNT(*) FROM bets WHERE idPromotion = ? ) +
+                    ( SELECT COUNT(*) FROM freebets WHERE idPromotion = ? ) +
+                    ( SELECT COUNT(*) FROM wageringRequirements WHERE idPromotion = ? ) +
+                    ( SELECT COUNT(*) FROM offerTemplates WHERE idPromotion = ? ) as count`,
+                [ id, id, id, id ]
+            );
+
+            if ( count > 0 ) {
+                return res.status(409).json( {
+                    message: 'No se puede cambiar la casa de apuestas de una promoción con registros asociados'
+                } );
+            }
+        }
+
+        if ( name || idBookMaker ) {
+            const duplicate = await dbGet(
+                'SELECT id FROM promotions WHERE idBookMaker = ? AND name = ? AND id != ?',
+                [ finalBookMaker, name || existing.name, id ]
+            );
+
+            if ( duplicate ) {
+                return res.status(409).json( {
+                    message: `Ya existe una promoción con el nombre: ${ name || existing.name }`
+                } );
+            }
+        }
+
+        await dbRun(
+            `UPDATE promotions
+             SET idBookMaker = COALESCE(?, idBookMaker),
+                 name = COALESCE(?, name),
+                 type = COALESCE(?, type),
+                 startDate = COALESCE(?, startDate),
+                 endDate = COALESCE(?, endDate),
+                 terms = COALESCE(?, terms),
+                 timeSpent = COALESCE(?, timeSpent),
+                 info = COALESCE(?, info)
+             WHERE id = ?`,
+            [ idBookMaker, name, type, startDate, endDate, terms, timeSpent, info, id ]
+        );
+
+        const updated = await dbGet( 'SELECT * FROM promotions WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Promoción actualizada con éxito',
+            data: updated
+        } );
+
+    } catch (error) {
+        console.error('Error al actualizar promoción:', error);
+        res.status(500).json( {
+            message: 'Error al actualizar la promoción',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deletePromotion
+ *
+ * Elimina una promoción sin apuestas, freebets, requisitos de apuesta ni ofertas recurrentes asociadas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la promoción
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deletePromotion = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const associated = await dbGet(
+            `SELECT
+                ( SELECT COUNT(*) FROM bets WHERE idPromotion = ? ) as associatedBets,
+                ( SELECT COUNT(*) FROM freebets WHERE idPromotion = ? ) as associatedFreebets,
+                ( SELECT COUNT(*) FROM wageringRequirements WHERE idPromotion = ? ) as associatedRequirements,
+                ( SELECT COUNT(*) FROM offerTemplates WHERE idPromotion = ? ) as associatedOfferTemplates`,
+            [ id, id, id, id ]
+        );
+
+        if ( Object.values( associated ).some( count => count > 0 ) ) {
+            return res.status(409).json( {
+                message: 'No se puede eliminar la promoción porque tiene registros asociados',
+                ...associated
+            } );
+        }
+
+        const deleteResult = await dbRun( 'DELETE FROM promotions WHERE id = ?', [ id ] );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró la promoción con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Promoción eliminada con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar promoción:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar la promoción',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * addPromotionTime
+ *
+ * Suma minutos al tiempo dedicado a una promoción
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la promoción
+ * @param {Object} req.body - Datos del registro de tiempo
+ * @param {number} req.body.minutes - Minutos a sumar (entero mayor que 0)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Tiempo total dedicado
+ *
+ * @example
+ * POST /api/promotions/3/time
+ * Body: { "minutes": 15 }
+ */
+const addPromotionTime = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { minutes } = req.body;
+
+        if ( !Number.isInteger( Number( minutes ) ) || Number( minutes ) <= 0 ) {
+            return res.status(400).json( {
+                message: 'Los minutos deben ser un número entero mayor que 0'
+            } );
+        }
+
+        const updateResult = await dbRun(
+            'UPDATE promotions SET timeSpent = timeSpent + ? WHERE id = ?',
+            [ Number( minutes ), id ]
+        );
+
+        if ( updateResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró la promoción con ID ${ id }`
+            } );
+        }
+
+        const { timeSpent } = await dbGet( 'SELECT timeSpent FROM promotions WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Tiempo registrado con éxito',
+            data: { id: Number( id ), addedMinutes: Number( minutes ), timeSpent }
+        } );
+
+    } catch (error) {
+        console.error('Error al registrar tiempo de promoción:', error);
+        res.status(500).json( {
+            message: 'Error al registrar el tiempo de la promoción',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getPromotionsReport
+ *
+ * Obtiene el beneficio, el porcentaje de acierto y el tiempo dedicado de cada promoción
+ * El beneficio suma el resultado de las apuestas de la promoción y de las demás
+ * piernas de sus matched bets (las layBet de cobertura), que pueden estar en otras
+ * casas de apuestas. Stake y beneficio se convierten a la divisa base (?currency=GBP);
+ * freebetAmount es el valor nominal en la divisa de la casa de la promoción.
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {string} [req.query.type] - Tipo de promoción
+ * @param {string} [req.query.startDate] - Promociones que empiezan desde (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Promociones que empiezan hasta (YYYY-MM-DD)
+ * @param {string} [req.query.currency] - Divisa base del informe
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Promociones ordenadas por beneficio
+ */
+const getPromotionsReport = async ( req, res ) => {
+    try {
+        const { idBookMaker, type, startDate, endDate } = req.query;
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, betsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
+        let sql = `
+            SELECT p.id, p.name, p.type, p.startDate, p.endDate, p.timeSpent,
+                   p.idBookMaker, bm.name as bookMakerName, bm.currency as bookMakerCurrency
+            FROM promotions p
+            JOIN bookMakers bm ON p.idBookMaker = bm.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND p.idBookMaker = ?';
+            params.push( idBookMaker );
+        }
+
+        if ( type ) {
+            sql += ' AND p.type = ?';
+            params.push( type );
+        }
+
+        if ( startDate ) {
+            sql += ' AND p.startDate >= ?';
+            params.push( startDate );
+        }
+
+        if ( endDate ) {
+            sql += ' AND p.startDate <= ?';
+            params.push( endDate );
+        }
+
+        const promotions = await dbAll( sql, params );
+
+        if ( !promotions.length ) {
+            return res.status(204).send();
+        }
+
+        const ids = promotions.map( p => p.id );
+
+        const betStats = await dbAll(
+            `SELECT
+                b.idPromotion,
+                COUNT(*) as totalBets,
+                SUM(${ stakedSql( 'b.' ) }) as totalStaked,
+                ${ statusAggregateColumns( 'b.' ) }
+             FROM ( ${ betsInCurrencySql } ) b
+             WHERE b.idPromotion IN (?)
+             GROUP BY b.idPromotion`,
+            [ baseCurrency, ids ]
+        );
+
+        const profits = await dbAll(
+            `SELECT p.id as idPromotion, COALESCE(SUM(b.result), 0) as profit
+             FROM promotions p
+             JOIN ( ${ betsInCurrencySql } ) b ON b.idPromotion = p.id OR b.idMB IN (
+                 SELECT t.idMB FROM bets t WHERE t.idPromotion = p.id AND t.idMB IS NOT NULL
+             )
+             WHERE p.id IN (?)
+             GROUP BY p.id`,
+            [ baseCurrency, ids ]
+        );
+
+        const freebetStats = await dbAll(
+            `SELECT idPromotion, COUNT(*) as totalFreebets, COALESCE(SUM(amount), 0) as freebetAmount
+             FROM freebets
+             WHERE idPromotion IN (?) AND status != 'rejected'
+             GROUP BY idPromotion`,
+            [ ids ]
+        );
+
+        const byPromotion = ( rows ) => Object.fromEntries( rows.map( row => [ row.idPromotion, row ] ) );
+        const statsById = byPromotion( betStats );
+        const profitById = byPromotion( profits );
+        const freebetsById = byPromotion( freebetStats );
+
+        const report = promotions.map( promotion => {
+            const stats = statsById[ promotion.id ];
+            const profit = toMoney( profitById[ promotion.id ]?.profit ?? 0 );
+            const { winRate, roi } = stats
+                ? calculateStatusRates( { ...stats, totalResult: profit } )
+                : { winRate: 0, roi: 0 };
+
+            return {
+                ...promotion,
+                currency: baseCurrency,
+                totalBets: Number( stats?.totalBets ?? 0 ),
+                totalStaked: toMoney( stats?.totalStaked ?? 0 ),
+                hitRate: winRate,
+                profit,
+                roi,
+                totalFreebets: Number( freebetsById[ promotion.id ]?.totalFreebets ?? 0 ),
+                freebetAmount: toMoney( freebetsById[ promotion.id ]?.freebetAmount ?? 0 ),
+                hoursSpent: round( divide( promotion.timeSpent, 60 ), 2 ),
+                profitPerHour: promotion.timeSpent > 0
+                    ? toMoney( divide( multiply( profit, 60 ), promotion.timeSpent ) )
+                    : null
+            };
+        } );
+
+        report.sort( ( a, b ) => b.profit - a.profit );
+
+        res.status(200).json( report );
+
+    } catch (error) {
+        console.error('Error al obtener informe de promociones:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el informe de promociones',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    addPromotionTime,
+    getPromotionsReport
+};
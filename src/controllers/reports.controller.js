@@ -0,0 +1,359 @@
+/**
+* Controlador para los informes consolidados
+*
+* La cuenta de resultados (P&L) junta el resultado de las apuestas resueltas por
+* categoría (calificación, extracción de freebets, mug bets, personales y otros
+* ingresos) y las comisiones de las transacciones, en la divisa base. Las
+* categorías y la agrupación por periodo están en utils/reports.js.
+*
+* Índice de funciones:
+*
+* - getPnlReport()
+* Obtiene la cuenta de resultados total, por periodo y por casa de apuestas
+* Query: {
+*   groupBy: string (day, week, month o year, default: month),
+*   startDate: string (YYYY-MM-DD),
+*   endDate: string (YYYY-MM-DD),
+*   idBookMaker: number (solo una casa de apuestas),
+*   currency: string (divisa base)
+* }
+*
+* - getTaxReport()
+* Obtiene el informe fiscal de un ejercicio por casa de apuestas en JSON o CSV
+* Query: {
+*   year: number (año en que empieza el ejercicio, default: el actual),
+*   fiscalYearStart: string (MM-DD, default: FISCAL_YEAR_START o 01-01),
+*   format: string (json o csv, default: json; también cabecera Accept: text/csv),
+*   delimiter: string (delimitador del CSV), decimalSeparator: string (separador decimal del CSV),
+*   currency: string (divisa base)
+* }
+*/
+
+
+import { dbAll, dbGet } from '../utils/helpers.js';
+import { wantsCsv, parseCsvOptions, streamCsv } from '../utils/csv.js';
+import { today } from '../utils/dates.js';
+import {
+    betsInCurrencySql,
+    transactionsInCurrencySql,
+    getBaseCurrency,
+    getFxConversionError
+} from '../utils/currency.js';
+import {
+    REPORT_GROUPINGS,
+    periodSql,
+    settledDateSql,
+    betCategorySql,
+    buildPnlStatement,
+    parseFiscalYearStart,
+    fiscalYearPeriod,
+    currentFiscalYear,
+    buildTaxReport
+} from '../utils/reports.js';
+
+
+/**
+ * Columnas del informe fiscal en CSV (una fila por casa de apuestas y otra de totales)
+ */
+const TAX_REPORT_COLUMNS = [
+    { key: 'bookMakerName', header: 'bookMaker' },
+    { key: 'matchedBets', header: 'matchedBettingSettledBets' },
+    { key: 'matchedWinnings', header: 'matchedBettingWinnings' },
+    { key: 'matchedLosses', header: 'matchedBettingLosses' },
+    { key: 'matchedCommission', header: 'matchedBettingCommissionPaid' },
+    { key: 'matchedNet', header: 'matchedBettingNetResult' },
+    { key: 'personalBets', header: 'personalSettledBets' },
+    { key: 'personalWinnings', header: 'personalWinnings' },
+    { key: 'personalLosses', header: 'personalLosses' },
+    { key: 'personalCommission', header: 'personalCommissionPaid' },
+    { key: 'personalNet', header: 'personalNetResult' },
+    { key: 'deposits', header: 'deposits' },
+    { key: 'withdrawals', header: 'withdrawals' },
+    { key: 'fees', header: 'transactionFees' },
+    { key: 'currency', header: 'currency' }
+];
+
+/**
+ * Convierte una línea del informe fiscal en una fila del CSV
+ *
+ * @param {Object} line - Línea de buildTaxReport (total o de una casa)
+ * @param {string} currency - Divisa base
+ * @returns {Object} Fila con las claves de TAX_REPORT_COLUMNS
+ */
+const toTaxReportRow = ( line, currency ) => ({
+    bookMakerName: line.bookMakerName ?? 'TOTAL',
+    matchedBets: line.matchedBetting.settledBets,
+    matchedWinnings: line.matchedBetting.winnings,
+    matchedLosses: line.matchedBetting.losses,
+    matchedCommission: line.matchedBetting.commissionPaid,
+    matchedNet: line.matchedBetting.netResult,
+    personalBets: line.personal.settledBets,
+    personalWinnings: line.personal.winnings,
+    personalLosses: line.personal.losses,
+    personalCommission: line.personal.commissionPaid,
+    personalNet: line.personal.netResult,
+    deposits: line.deposits,
+    withdrawals: line.withdrawals,
+    fees: line.fees,
+    currency
+});
+
+
+/**
+ * getPnlReport
+ *
+ * Obtiene la cuenta de resultados en la divisa base: resultado de las apuestas
+ * resueltas por categoría, comisiones de depósitos, retiros y transferencias
+ * (sin las revertidas) y beneficio neto, en total, por periodo y por casa
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.groupBy='month'] - Agrupación: day, week, month o year
+ * @param {string} [req.query.startDate] - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Fecha final (YYYY-MM-DD)
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {string} [req.query.currency] - Divisa base
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Cuenta de resultados con totals, byPeriod y byBookMaker
+ *
+ * @example
+ * GET /api/reports/pnl?groupBy=week&startDate=2024-01-01&endDate=2024-03-31&currency=GBP
+ */
+const getPnlReport = async ( req, res ) => {
+    try {
+        const { groupBy = 'month', startDate, endDate, idBookMaker } = req.query;
+        const baseCurrency = getBaseCurrency( req );
+
+        if ( !REPORT_GROUPINGS.includes( groupBy ) ) {
+            return res.status(400).json({
+                message: 'Agrupación no válida',
+                validGroupings: REPORT_GROUPINGS
+            });
+        }
+
+        if ( [ startDate, endDate ].some( date => date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) ) {
+            return res.status(400).json({
+                message: 'Las fechas deben tener el formato YYYY-MM-DD'
+            });
+        }
+
+        if ( startDate && endDate && startDate > endDate ) {
+            return res.status(400).json({
+                message: 'La fecha inicial no puede ser posterior a la final'
+            });
+        }
+
+        if ( idBookMaker ) {
+            const bookMaker = await dbGet( 'SELECT id FROM bookMakers WHERE id = ?', [ idBookMaker ] );
+            if ( !bookMaker ) {
+                return res.status(404).json({
+                    message: 'Casa de apuestas no encontrada'
+                });
+            }
+        }
+
+        for ( const sourceSql of [ betsInCurrencySql, transactionsInCurrencySql ] ) {
+            const fxError = await getFxConversionError( baseCurrency, sourceSql );
+            if ( fxError ) {
+                return res.status( fxError.status ).json( fxError.body );
+            }
+        }
+
+        const filters = [
+            startDate || null, startDate || null,
+            endDate || null, endDate || null,
+            idBookMaker || null, idBookMaker || null
+        ];
+
+        const resultsSql = `
+            SELECT
+                ${ periodSql( settledDateSql(), groupBy ) } as period,
+                b.idBookMaker, b.bookMakerName,
+                ${ betCategorySql() } as category,
+                COUNT(*) as bets,
+                SUM(b.result) as result
+            FROM ( ${ betsInCurrencySql } ) b
+            WHERE b.status <> 'pending'
+            AND ( ? IS NULL OR ${ settledDateSql() } >= ? )
+            AND ( ? IS NULL OR ${ settledDateSql() } <= ? )
+            AND ( ? IS NULL OR b.idBookMaker = ? )
+            GROUP BY period, b.idBookMaker, b.bookMakerName, category
+        `;
+
+        const feesSql = `
+            SELECT
+                ${ periodSql( 't.date', groupBy ) } as period,
+                t.idBookMaker, t.bookMakerName,
+                SUM(t.fee) as fees
+            FROM ( ${ transactionsInCurrencySql } ) t
+            WHERE t.status <> 'reversed'
+            AND t.fee > 0
+            AND ( ? IS NULL OR t.date >= ? )
+            AND ( ? IS NULL OR t.date <= ? )
+            AND ( ? IS NULL OR t.idBookMaker = ? )
+            GROUP BY period, t.idBookMaker, t.bookMakerName
+        `;
+
+        const [ results, fees ] = await Promise.all([
+            dbAll( resultsSql, [ baseCurrency, ...filters ] ),
+            dbAll( feesSql, [ baseCurrency, ...filters ] )
+        ]);
+
+        if ( !results.length && !fees.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json({
+            period: { startDate: startDate || 'All time', endDate: endDate || 'All time' },
+            groupBy,
+            currency: baseCurrency,
+            ...buildPnlStatement( results, fees )
+        });
+
+    } catch (error) {
+        console.error('Error al obtener la cuenta de resultados:', error);
+        res.status(500).json({
+            message: 'Error al obtener la cuenta de resultados',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * getTaxReport
+ *
+ * Obtiene el informe fiscal de un ejercicio en la divisa base: ganancias,
+ * pérdidas y comisiones de los exchanges de las apuestas resueltas (las
+ * personales aparte del matched betting), depósitos, retiros y comisiones de
+ * las transacciones por casa de apuestas. Las ganancias ya descuentan la
+ * comisión del exchange; los depósitos y retiros no incluyen las
+ * transferencias entre casas ni los retiros revertidos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.year] - Año en que empieza el ejercicio (default: el actual)
+ * @param {string} [req.query.fiscalYearStart] - Día de inicio del ejercicio (MM-DD)
+ * @param {string} [req.query.format='json'] - Formato: json o csv (o cabecera Accept: text/csv)
+ * @param {string} [req.query.delimiter] - Delimitador del CSV (ver utils/csv.js)
+ * @param {string} [req.query.decimalSeparator] - Separador decimal del CSV
+ * @param {string} [req.query.currency] - Divisa base
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object|string} Informe con totals y byBookMaker, o el CSV como descarga
+ *
+ * @example
+ * GET /api/reports/tax?year=2024&fiscalYearStart=04-06&format=csv&currency=GBP
+ */
+const getTaxReport = async ( req, res ) => {
+    try {
+        const { format } = req.query;
+        const baseCurrency = getBaseCurrency( req );
+        const fiscalYearStart = parseFiscalYearStart( req.query.fiscalYearStart );
+
+        if ( !fiscalYearStart ) {
+            return res.status(400).json({
+                message: 'El inicio del ejercicio fiscal debe tener el formato MM-DD (sin 29 de febrero)'
+            });
+        }
+
+        const year = req.query.year === undefined
+            ? currentFiscalYear( today(), fiscalYearStart )
+            : Number( req.query.year );
+
+        if ( !Number.isInteger( year ) || year < 1900 || year > 9998 ) {
+            return res.status(400).json({
+                message: 'El año del ejercicio no es válido'
+            });
+        }
+
+        if ( format && ![ 'json', 'csv' ].includes( format ) ) {
+            return res.status(400).json({
+                message: 'Formato no válido',
+                validFormats: [ 'json', 'csv' ]
+            });
+        }
+
+        const csvOptions = parseCsvOptions( req );
+        if ( wantsCsv( req ) && csvOptions.error ) {
+            return res.status(400).json({
+                message: csvOptions.error
+            });
+        }
+
+        for ( const sourceSql of [ betsInCurrencySql, transactionsInCurrencySql ] ) {
+            const fxError = await getFxConversionError( baseCurrency, sourceSql );
+            if ( fxError ) {
+                return res.status( fxError.status ).json( fxError.body );
+            }
+        }
+
+        const { startDate, endDate } = fiscalYearPeriod( year, fiscalYearStart );
+
+        // Las ganancias ya descuentan la comisión: ganancia bruta = result / (1 - comisión)
+        const resultsSql = `
+            SELECT
+                b.idBookMaker, b.bookMakerName,
+                CASE WHEN b.betType = 'personal' THEN 'personal' ELSE 'matchedBetting' END as section,
+                COUNT(*) as settledBets,
+                SUM(CASE WHEN b.result > 0 THEN b.result ELSE 0 END) as winnings,
+                SUM(CASE WHEN b.result < 0 THEN -b.result ELSE 0 END) as losses,
+                SUM(CASE
+                    WHEN b.result > 0 AND b.comission > 0 AND b.comission < 100
+                    THEN b.result * b.comission / (100 - b.comission)
+                    ELSE 0
+                END) as commissionPaid
+            FROM ( ${ betsInCurrencySql } ) b
+            WHERE b.status <> 'pending'
+            AND ${ settledDateSql() } BETWEEN ? AND ?
+            GROUP BY b.idBookMaker, b.bookMakerName, section
+        `;
+
+        const transactionsSql = `
+            SELECT
+                t.idBookMaker, t.bookMakerName,
+                SUM(CASE WHEN t.type = 'deposit' AND t.idTransfer IS NULL THEN t.amount ELSE 0 END) as deposits,
+                SUM(CASE WHEN t.type = 'withdrawal' AND t.idTransfer IS NULL THEN t.amount ELSE 0 END) as withdrawals,
+                SUM(t.fee) as fees
+            FROM ( ${ transactionsInCurrencySql } ) t
+            WHERE t.status <> 'reversed'
+            AND t.date BETWEEN ? AND ?
+            GROUP BY t.idBookMaker, t.bookMakerName
+        `;
+
+        const [ results, transactions ] = await Promise.all([
+            dbAll( resultsSql, [ baseCurrency, startDate, endDate ] ),
+            dbAll( transactionsSql, [ baseCurrency, startDate, endDate ] )
+        ]);
+
+        const report = buildTaxReport( results, transactions );
+
+        if ( wantsCsv( req ) ) {
+            const rows = [ ...report.byBookMaker, report.totals ]
+                .map( line => toTaxReportRow( line, baseCurrency ) );
+
+            res.status(200);
+            res.set( 'Content-Type', 'text/csv; charset=utf-8' );
+            res.attachment( `tax-report-${ startDate }-${ endDate }.csv` );
+            return await streamCsv( res, rows, TAX_REPORT_COLUMNS, csvOptions );
+        }
+
+        res.status(200).json({
+            fiscalYear: { year, fiscalYearStart, startDate, endDate },
+            currency: baseCurrency,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Error al obtener el informe fiscal:', error);
+        res.status(500).json({
+            message: 'Error al obtener el informe fiscal',
+            error: error.message
+        });
+    }
+};
+
+export {
+    getPnlReport,
+    getTaxReport
+};
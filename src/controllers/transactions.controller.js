@@ -11,9 +11,15 @@
 *   limit: number (default: 10),
 *   startDate: string (YYYY-MM-DD),
 *   endDate: string (YYYY-MM-DD),
-*   type: string ('deposit'|'withdrawal')
+*   type: string ('deposit'|'withdrawal'),
+*   status: string ('requested'|'processing'|'completed'|'reversed'),
+*   idFundingSource: number
 * }
 *
+* - getTransactionById( id )
+* Obtiene una transacción por su ID
+* Params: id - ID de la transacción
+*
 * - createTransaction()
 * Crea una nueva transacción
 * Body: {
@@ -21,6 +27,10 @@
 *   type: string ('deposit'|'withdrawal'),
 *   amount: number,
 *   date: string (YYYY-MM-DD),
+*   idFundingSource: number,
+*   fee: number (comisión o margen de cambio, default: 0),
+*   status: string (solo retiros: 'requested'|'processing'|'completed', default: 'completed'),
+*   expectedDate: string (YYYY-MM-DD, llegada prevista de un retiro en curso),
 *   info: string
 * }
 *
@@ -33,11 +43,28 @@
 * Elimina una transacción
 * Params: id - ID de la transacción
 *
+* Ciclo de los retiros:
+* - updateTransactionStatus( id )
+* Cambia el estado de un retiro (requested → processing → completed | reversed)
+* Params: id - ID de la transacción
+* Body: { status: string, date: string (YYYY-MM-DD, default: hoy) }
+*
+* - getInFlightWithdrawals()
+* Obtiene los retiros en curso con su llegada prevista y si van con retraso
+* Query: { idBookMaker: number, idFundingSource: number }
+*
 * Operaciones adicionales:
 * - getTransactionsByBookMaker( idBookMaker )
 * Obtiene transacciones de una casa de apuestas específica
 * Params: idBookMaker - ID de la casa de apuestas
 *
+* - getTransactionsByType( type )
+* Obtiene las transacciones de un tipo
+* Params: type - 'deposit'|'withdrawal'
+*
+* - getTransactionsByDateRange( startDate, endDate )
+* Obtiene las transacciones entre dos fechas (YYYY-MM-DD, ambas incluidas)
+*
 * - getTransactionStats()
 * Obtiene estadísticas generales de transacciones
 * Returns: {
@@ -48,10 +75,31 @@
 *   firstTransaction: string (YYYY-MM-DD),
 *   lastTransaction: string (YYYY-MM-DD)
 * }
+*
+* - getFeesSummary()
+* Comisiones y beneficio neto de comisiones por casa de apuestas y por fuente de fondos
+* Query: { startDate: string, endDate: string, currency: string }
+*
+* Los resúmenes (stats, balance, cashflow, deposits, withdrawals, fees) convierten
+* los importes a la divisa base indicada en ?currency (por defecto BASE_CURRENCY o EUR)
+*
+* Las transacciones de una transferencia entre casas de apuestas (idTransfer)
+* se gestionan desde /api/transfers y no cuentan como depósitos o retiros
+* reales en cashflow, deposits ni withdrawals
 */
 
 
-import { dbAll, dbGet, dbRun } from '../utils/helpers.js'
+import { dbAll, dbGet, dbRun, dbStream } from '../utils/helpers.js'
+import {
+    betsInCurrencySql,
+    getBaseCurrency,
+    getFxConversionError,
+    transactionsInCurrencySql
+} from '../utils/currency.js'
+import { add, average, percentage, subtract, toMoney } from '../utils/money.js'
+import { TRANSACTION_STATUSES, WITHDRAWAL_TRANSITIONS, settledTransactionSql } from '../utils/transactions.js'
+import { addDays } from '../utils/dates.js'
+import { periodSql } from '../utils/reports.js'
 
 
 
@@ -63,10 +111,13 @@ import { dbAll, dbGet, dbRun } from '../utils/helpers.js'
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.query - Parámetros de consulta
  * @param {number} [req.query.page=1] - Número de página
- * @param {number} [req.query.limit=10] - Límite de resultados por página
+ * @param {number} [req.query.limit=10] - Límite de resultados por página (en CSV se exporta
+ *                                        la lista completa salvo que se indique)
  * @param {string} [req.query.startDate] - Fecha inicial para filtrar (YYYY-MM-DD)
  * @param {string} [req.query.endDate] - Fecha final para filtrar (YYYY-MM-DD)
  * @param {string} [req.query.type] - Tipo de transacción (deposit/withdrawal)
+ * @param {string} [req.query.status] - Estado de la transacción
+ * @param {number} [req.query.idFundingSource] - ID de la fuente de fondos
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Lista de transacciones
@@ -76,10 +127,14 @@ import { dbAll, dbGet, dbRun } from '../utils/helpers.js'
  */
 const getTransactions = async ( req, res ) => {
     try {
-        const { page = 1, limit = 10, startDate, endDate, type } = req.query;
+        const { page = 1, limit = 10, startDate, endDate, type, status, idFundingSource } = req.query;
         const offset = (page - 1) * limit;
         
-        let sql = 'SELECT t.*, b.name as bookMakerName FROM transactions t JOIN bookMakers b ON t.idBookMaker = b.id WHERE 1=1';
+        let sql = `SELECT t.*, b.name as bookMakerName, fs.name as fundingSourceName
+            FROM transactions t
+            JOIN bookMakers b ON t.idBookMaker = b.id
+            LEFT JOIN fundingSources fs ON t.idFundingSource = fs.id
+            WHERE 1=1`;
         const params = [];
 
         if ( startDate ) {
@@ -97,8 +152,27 @@ const getTransactions = async ( req, res ) => {
             params.push( type );
         }
 
-        sql += ' ORDER BY date DESC LIMIT ? OFFSET ?';
-        params.push(parseInt( limit ), parseInt( offset ));
+        if ( status ) {
+            sql += ' AND t.status = ?';
+            params.push( status );
+        }
+
+        if ( idFundingSource ) {
+            sql += ' AND t.idFundingSource = ?';
+            params.push( idFundingSource );
+        }
+
+        sql += ' ORDER BY date DESC';
+
+        // En CSV se exporta la lista completa, salvo que se pida un límite
+        if ( !res.csvRows || req.query.limit !== undefined ) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(parseInt( limit ), parseInt( offset ));
+        }
+
+        if ( res.csvRows ) {
+            return await res.csvRows( dbStream( sql, params ) );
+        }
 
         const transactions = await dbAll(sql, params);
 
@@ -161,12 +235,163 @@ const getTransactionsByBookMaker = async ( req, res ) => {
     }
 };
 
+/**
+ * getTransactionById
+ * 
+ * Obtiene una transacción específica por su ID
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la transacción
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Transacción con el nombre de su casa de apuestas y de su fuente de fondos
+ *
+ * @example
+ * GET /api/transactions/1
+ */
+const getTransactionById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const transaction = await dbGet(
+            `SELECT t.*, b.name as bookMakerName, fs.name as fundingSourceName
+             FROM transactions t
+             JOIN bookMakers b ON t.idBookMaker = b.id
+             LEFT JOIN fundingSources fs ON t.idFundingSource = fs.id
+             WHERE t.id = ?`,
+            [ id ]
+        );
+
+        if ( !transaction ) {
+            return res.status(404).json( {
+                message: `No se encontró la transacción con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( transaction );
+    } catch (error) {
+        console.error('Error al obtener transacción:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la transacción',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * getTransactionsByType
+ * 
+ * Obtiene todas las transacciones de un tipo (depósitos o retiros)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {string} req.params.type - Tipo de transacción (deposit/withdrawal)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de transacciones del tipo indicado
+ *
+ * @example
+ * GET /api/transactions/type/deposit
+ */
+const getTransactionsByType = async ( req, res ) => {
+    try {
+        const { type } = req.params;
+
+        const validTypes = [ 'deposit', 'withdrawal' ];
+        if ( !validTypes.includes( type ) ) {
+            return res.status(400).json( {
+                message: 'Tipo de transacción no válido',
+                validTypes
+            } );
+        }
+
+        const transactions = await dbAll(
+            `SELECT t.*, b.name as bookMakerName
+             FROM transactions t
+             JOIN bookMakers b ON t.idBookMaker = b.id
+             WHERE t.type = ?
+             ORDER BY t.date DESC`,
+            [ type ]
+        );
+
+        if ( !transactions.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( transactions );
+    } catch (error) {
+        console.error('Error al obtener transacciones por tipo:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las transacciones',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * getTransactionsByDateRange
+ * 
+ * Obtiene todas las transacciones en un rango de fechas (ambas incluidas)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {string} req.params.startDate - Fecha inicial (YYYY-MM-DD)
+ * @param {string} req.params.endDate - Fecha final (YYYY-MM-DD)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de transacciones del período
+ *
+ * @example
+ * GET /api/transactions/range/2024-01-01/2024-03-31
+ */
+const getTransactionsByDateRange = async ( req, res ) => {
+    try {
+        const { startDate, endDate } = req.params;
+
+        if ( [ startDate, endDate ].some( date => !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) ) {
+            return res.status(400).json( {
+                message: 'Las fechas deben tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        const transactions = await dbAll(
+            `SELECT t.*, b.name as bookMakerName
+             FROM transactions t
+             JOIN bookMakers b ON t.idBookMaker = b.id
+             WHERE t.date BETWEEN ? AND ?
+             ORDER BY t.date DESC`,
+            [ startDate, endDate ]
+        );
+
+        if ( !transactions.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( transactions );
+    } catch (error) {
+        console.error('Error al obtener transacciones por período:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las transacciones',
+            error: error.message
+        } );
+    }
+};
+
 /**
  * getTransactionStats
  * 
  * Obtiene estadísticas generales de transacciones por casa de apuestas
+ * con los importes convertidos a la divisa base
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Estadísticas de transacciones agrupadas por casa de apuestas
@@ -182,20 +407,31 @@ const getTransactionsByBookMaker = async ( req, res ) => {
  */
 const getTransactionStats = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, transactionsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
-                b.name as bookMakerName,
+                t.bookMakerName,
                 COUNT(*) as totalTransactions,
                 SUM(CASE WHEN t.type = 'deposit' THEN amount ELSE 0 END) as totalDeposits,
                 SUM(CASE WHEN t.type = 'withdrawal' THEN amount ELSE 0 END) as totalWithdrawals,
                 MIN(t.date) as firstTransaction,
                 MAX(t.date) as lastTransaction
-            FROM transactions t
-            JOIN bookMakers b ON t.idBookMaker = b.id
-            GROUP BY b.id, b.name`;
+            FROM ( ${ transactionsInCurrencySql } ) t
+            WHERE t.status <> 'reversed'
+            GROUP BY t.idBookMaker, t.bookMakerName`;
 
-        const stats = await dbAll( sql );
-        res.status(200).json( stats );
+        const stats = await dbAll( sql, [ baseCurrency ] );
+        res.status(200).json( stats.map( stat => ({
+            ...stat,
+            currency: baseCurrency,
+            totalDeposits: toMoney( stat.totalDeposits ),
+            totalWithdrawals: toMoney( stat.totalWithdrawals )
+        }) ) );
     } 
     catch (error) {
         console.error('Error al obtener estadísticas:', error);
@@ -217,6 +453,11 @@ const getTransactionStats = async ( req, res ) => {
  * @param {string} req.body.type - Tipo de transacción (deposit/withdrawal)
  * @param {number} req.body.amount - Monto de la transacción
  * @param {string} req.body.date - Fecha de la transacción (YYYY-MM-DD)
+ * @param {number} [req.body.idFundingSource] - ID de la fuente de fondos
+ * @param {number} [req.body.fee=0] - Comisión o margen de cambio (no cambia el saldo de la casa)
+ * @param {string} [req.body.status='completed'] - Estado (solo retiros: requested, processing, completed)
+ * @param {string} [req.body.expectedDate] - Llegada prevista de un retiro en curso
+ *   (por defecto date + withdrawalDays de la fuente de fondos, o 3 días)
  * @param {string} [req.body.info] - Información adicional
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
@@ -236,10 +477,11 @@ const getTransactionStats = async ( req, res ) => {
  * - Los campos idBookMaker, type, amount y date son obligatorios
  * - El type debe ser "deposit" o "withdrawal"
  * - La casa de apuestas debe existir en la base de datos
+ * - Los depósitos siempre están completados
  */
 const createTransaction = async ( req, res ) => {
     try {
-        const { idBookMaker, type, amount, date, info } = req.body;
+        const { idBookMaker, type, amount, date, idFundingSource, fee = 0, status = 'completed', expectedDate, info } = req.body;
 
         // Validaciones
         if ( !idBookMaker || !type || !amount || !date ) {
@@ -255,6 +497,32 @@ const createTransaction = async ( req, res ) => {
             } );
         }
 
+        // Validar comisión
+        if ( !( Number( fee ) >= 0 ) ) {
+            return res.status(400).json( {
+                message: 'La comisión debe ser un número mayor o igual que 0'
+            } );
+        }
+
+        // Validar estado (un retiro no se crea ya revertido)
+        if ( !TRANSACTION_STATUSES.includes( status ) || status === 'reversed' ) {
+            return res.status(400).json( {
+                message: 'El estado debe ser "requested", "processing" o "completed"'
+            } );
+        }
+
+        if ( type === 'deposit' && status !== 'completed' ) {
+            return res.status(400).json( {
+                message: 'Los depósitos siempre están completados'
+            } );
+        }
+
+        if ( expectedDate && !/^\d{4}-\d{2}-\d{2}$/.test( expectedDate ) ) {
+            return res.status(400).json( {
+                message: 'La fecha prevista debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
         // Validar casa de apuestas existe
         const bookMaker = await dbGet(
             'SELECT id FROM bookMakers WHERE id = ?', 
@@ -265,14 +533,33 @@ const createTransaction = async ( req, res ) => {
             } );
         }
 
+        // Validar fuente de fondos si se proporciona
+        let fundingSource = null;
+        if ( idFundingSource ) {
+            fundingSource = await dbGet(
+                'SELECT id, withdrawalDays FROM fundingSources WHERE id = ?',
+                [ idFundingSource ] );
+            if ( !fundingSource ) {
+                return res.status(404).json( {
+                    message: 'La fuente de fondos especificada no existe'
+                } );
+            }
+        }
+
+        // Llegada prevista de los retiros en curso
+        const inFlight = status !== 'completed';
+        const expected = inFlight
+            ? expectedDate || addDays( date, fundingSource ? fundingSource.withdrawalDays : 3 )
+            : null;
+
         const sql = `
-            INSERT INTO transactions (idBookMaker, type, amount, date, info)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO transactions (idBookMaker, type, amount, fee, date, idFundingSource, status, expectedDate, completedDate, info)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const result = await dbRun(
             sql, 
-            [ idBookMaker, type, amount, date, info ] 
+            [ idBookMaker, type, amount, toMoney( fee ), date, idFundingSource || null, status, expected, inFlight ? null : date, info ] 
         );
 
         res.status(201).json( {
@@ -282,7 +569,11 @@ const createTransaction = async ( req, res ) => {
                 idBookMaker,
                 type,
                 amount,
+                fee: toMoney( fee ),
                 date,
+                idFundingSource: idFundingSource || null,
+                status,
+                expectedDate: expected,
                 info
             }
         } );
@@ -310,6 +601,9 @@ const createTransaction = async ( req, res ) => {
 * @param {string} [req.body.type] - Tipo de transacción (deposit/withdrawal)
 * @param {number} [req.body.amount] - Monto de la transacción
 * @param {string} [req.body.date] - Fecha de la transacción (YYYY-MM-DD) 
+* @param {number} [req.body.idFundingSource] - ID de la fuente de fondos
+* @param {number} [req.body.fee] - Comisión o margen de cambio
+* @param {string} [req.body.expectedDate] - Llegada prevista de un retiro en curso
 * @param {string} [req.body.info] - Información adicional
 * @param {Object} res - Objeto de respuesta HTTP
 * @throws {Error} Si ocurre un error interno en el servidor
@@ -326,11 +620,13 @@ const createTransaction = async ( req, res ) => {
 * - La transacción debe existir
 * - Si se especifica type, debe ser "deposit" o "withdrawal"
 * - Si se especifica idBookMaker, la casa de apuestas debe existir
+* - El estado se cambia con updateTransactionStatus
+* - Una transacción no completada no puede pasar a ser un depósito
 */
 const updateTransaction = async ( req, res ) => {
     try {
         const { id } = req.params;
-        const { idBookMaker, type, amount, date, info } = req.body;
+        const { idBookMaker, type, amount, date, idFundingSource, fee, expectedDate, info } = req.body;
  
         // Validar que id sea un número
         if ( !Number.isInteger( Number( id ) ) ) {
@@ -350,6 +646,12 @@ const updateTransaction = async ( req, res ) => {
                 message: `No se encontró la transacción con ID ${ id }`
             } );
         }
+
+        if ( existingTransaction.idTransfer ) {
+            return res.status(409).json( {
+                message: `La transacción forma parte de la transferencia ${ existingTransaction.idTransfer }; modifíquela desde /api/transfers`
+            } );
+        }
  
         // Validar tipo si se proporciona
         if ( type && !['deposit', 'withdrawal'].includes( type ) ) {
@@ -358,6 +660,24 @@ const updateTransaction = async ( req, res ) => {
             } );
         }
  
+        if ( type === 'deposit' && existingTransaction.status !== 'completed' ) {
+            return res.status(400).json( {
+                message: 'Los depósitos siempre están completados'
+            } );
+        }
+ 
+        if ( expectedDate && !/^\d{4}-\d{2}-\d{2}$/.test( expectedDate ) ) {
+            return res.status(400).json( {
+                message: 'La fecha prevista debe tener el formato YYYY-MM-DD'
+            } );
+        }
+ 
+        if ( fee !== undefined && !( Number( fee ) >= 0 ) ) {
+            return res.status(400).json( {
+                message: 'La comisión debe ser un número mayor o igual que 0'
+            } );
+        }
+ 
         // Validar casa de apuestas si se proporciona
         if ( idBookMaker ) {
             const bookMaker = await dbGet(
@@ -371,19 +691,35 @@ const updateTransaction = async ( req, res ) => {
             }
         }
  
+        // Validar fuente de fondos si se proporciona
+        if ( idFundingSource ) {
+            const fundingSource = await dbGet(
+                'SELECT id FROM fundingSources WHERE id = ?',
+                [ idFundingSource ]
+            );
+            if ( !fundingSource ) {
+                return res.status(404).json( {
+                    message: 'La fuente de fondos especificada no existe'
+                } );
+            }
+        }
+ 
         const sql = `
             UPDATE transactions 
             SET idBookMaker = COALESCE(?, idBookMaker),
                 type = COALESCE(?, type),
                 amount = COALESCE(?, amount),
+                fee = COALESCE(?, fee),
                 date = COALESCE(?, date),
+                idFundingSource = COALESCE(?, idFundingSource),
+                expectedDate = COALESCE(?, expectedDate),
                 info = COALESCE(?, info)
             WHERE id = ?
         `;
  
         await dbRun(
             sql,
-            [ idBookMaker, type, amount, date, info, id ]
+            [ idBookMaker, type, amount, fee === undefined ? null : toMoney( fee ), date, idFundingSource, expectedDate, info, id ]
         );
  
         // Obtener la transacción actualizada
@@ -447,6 +783,12 @@ const updateTransaction = async ( req, res ) => {
                 message: `No se encontró la transacción con ID ${ id }`
             } );
         }
+
+        if ( transaction.idTransfer ) {
+            return res.status(409).json( {
+                message: `La transacción forma parte de la transferencia ${ transaction.idTransfer }; elimínela desde /api/transfers`
+            } );
+        }
  
         // Proceder con la eliminación
         const deleteResult = await dbRun(
@@ -476,7 +818,10 @@ const updateTransaction = async ( req, res ) => {
  
  export {
     getTransactions,
+    getTransactionById,
     getTransactionsByBookMaker,
+    getTransactionsByType,
+    getTransactionsByDateRange,
     getTransactionStats,
     createTransaction,
     updateTransaction,
@@ -488,11 +833,14 @@ const updateTransaction = async ( req, res ) => {
  * getBalanceByPeriod
  * 
  * Obtiene el balance en un período específico incluyendo transacciones y resultados de apuestas
+ * con los importes convertidos a la divisa base
+ * Las comisiones no cambian el saldo de las casas, pero se restan del beneficio (netProfit)
  *
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} req.params - Parámetros de la solicitud
  * @param {string} req.params.startDate - Fecha inicial (YYYY-MM-DD)
  * @param {string} req.params.endDate - Fecha final (YYYY-MM-DD)
+ * @param {string} [req.query.currency] - Divisa base
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Object} Balance del período
@@ -500,69 +848,96 @@ const updateTransaction = async ( req, res ) => {
 const getBalanceByPeriod = async ( req, res ) => {
     try {
         const { startDate, endDate } = req.params;
+        const baseCurrency = getBaseCurrency( req );
+
+        for ( const sourceSql of [ transactionsInCurrencySql, betsInCurrencySql ] ) {
+            const fxError = await getFxConversionError( baseCurrency, sourceSql );
+            if ( fxError ) {
+                return res.status( fxError.status ).json( fxError.body );
+            }
+        }
 
         // Consulta para transacciones
         const transactionsSql = `
             SELECT 
-                bm.name as bookMakerName,
+                t.bookMakerName,
                 SUM(CASE WHEN type = 'deposit' THEN amount ELSE 0 END) as totalDeposits,
-                SUM(CASE WHEN type = 'withdrawal' THEN amount ELSE 0 END) as totalWithdrawals
-            FROM transactions t
-            JOIN bookMakers bm ON t.idBookMaker = bm.id
+                SUM(CASE WHEN type = 'withdrawal' THEN amount ELSE 0 END) as totalWithdrawals,
+                SUM(CASE WHEN type = 'deposit' THEN fee ELSE 0 END) as depositFees,
+                SUM(CASE WHEN type = 'withdrawal' THEN fee ELSE 0 END) as withdrawalFees
+            FROM ( ${ transactionsInCurrencySql } ) t
             WHERE t.date BETWEEN ? AND ?
-            GROUP BY bm.id, bm.name
+            AND ${ settledTransactionSql( 't' ) }
+            GROUP BY t.idBookMaker, t.bookMakerName
         `;
 
         // Consulta para resultados de apuestas
         const betsSql = `
             SELECT 
-                bm.name as bookMakerName,
+                b.bookMakerName,
                 SUM(result) as totalResults,
                 SUM(CASE WHEN status = 'pending' THEN liability ELSE 0 END) as totalLiability
-            FROM bets b
-            JOIN bookMakers bm ON b.idBookMaker = bm.id
+            FROM ( ${ betsInCurrencySql } ) b
             WHERE b.betDate BETWEEN ? AND ?
-            GROUP BY bm.id, bm.name
+            GROUP BY b.idBookMaker, b.bookMakerName
         `;
 
         const [transactions, bets] = await Promise.all([
-            dbAll( transactionsSql, [ startDate, endDate ] ),
-            dbAll( betsSql, [ startDate, endDate ] )
+            dbAll( transactionsSql, [ baseCurrency, startDate, endDate ] ),
+            dbAll( betsSql, [ baseCurrency, startDate, endDate ] )
         ]);
 
         // Combinar resultados por casa de apuestas
         const balanceByBookMaker = {};
 
+        const emptyBookMaker = () => ({
+            deposits: 0,
+            withdrawals: 0,
+            results: 0,
+            liability: 0,
+            fees: { deposits: 0, withdrawals: 0, total: 0 }
+        });
+
         transactions.forEach( t => {
             balanceByBookMaker[t.bookMakerName] = {
-                deposits: Number(t.totalDeposits.toFixed(2)),
-                withdrawals: Number(t.totalWithdrawals.toFixed(2)),
-                results: 0,
-                liability: 0
+                ...emptyBookMaker(),
+                deposits: toMoney( t.totalDeposits ),
+                withdrawals: toMoney( t.totalWithdrawals ),
+                fees: {
+                    deposits: toMoney( t.depositFees ),
+                    withdrawals: toMoney( t.withdrawalFees ),
+                    total: toMoney( add( t.depositFees, t.withdrawalFees ) )
+                }
             };
         });
 
         bets.forEach( b => {
             if ( !balanceByBookMaker[b.bookMakerName] ) {
-                balanceByBookMaker[b.bookMakerName] = {
-                    deposits: 0,
-                    withdrawals: 0,
-                };
+                balanceByBookMaker[b.bookMakerName] = emptyBookMaker();
             }
-            balanceByBookMaker[b.bookMakerName].results = Number(b.totalResults.toFixed(2));
-            balanceByBookMaker[b.bookMakerName].liability = Number(b.totalLiability.toFixed(2));
+            balanceByBookMaker[b.bookMakerName].results = toMoney( b.totalResults );
+            balanceByBookMaker[b.bookMakerName].liability = toMoney( b.totalLiability );
         });
 
         // Calcular totales
-        let totalBalance = 0;
+        let totalBalance = 0n;
+        let totalFees = 0n;
+        let totalProfit = 0n;
         Object.values(balanceByBookMaker).forEach(bm => {
-            bm.balance = bm.deposits - bm.withdrawals + bm.results - bm.liability;
-            totalBalance += bm.balance;
+            bm.balance = toMoney( subtract( add( bm.deposits, bm.results ), add( bm.withdrawals, bm.liability ) ) );
+            bm.netProfit = toMoney( subtract( bm.results, bm.fees.total ) );
+            totalBalance = add( totalBalance, bm.balance );
+            totalFees = add( totalFees, bm.fees.total );
+            totalProfit = add( totalProfit, bm.results );
         });
 
         res.status(200).json({
             period: { startDate, endDate },
-            totalBalance: Number(totalBalance.toFixed(2)),
+            currency: baseCurrency,
+            totalBalance: toMoney( totalBalance ),
+            totalProfit: toMoney( totalProfit ),
+            totalFees: toMoney( totalFees ),
+            totalNetProfit: toMoney( subtract( totalProfit, totalFees ) ),
             byBookMaker: balanceByBookMaker
         });
 
@@ -578,41 +953,95 @@ const getBalanceByPeriod = async ( req, res ) => {
 /**
  * getMonthlyCashflow
  * 
- * Obtiene el flujo de caja mensual
+ * Obtiene el flujo de caja mensual en la divisa base
+ * Las transferencias entre casas no son depósitos ni retiros reales: se
+ * muestran aparte con su coste (lo que sale menos lo que llega, solo las completadas)
+ * Las comisiones de depósitos y retiros se desglosan y netFlowWithFees es lo
+ * que realmente ha salido del bolsillo (depósitos + comisiones - retiros)
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Array<Object>} Flujo de caja por mes
  */
 const getMonthlyCashflow = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, transactionsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
-                strftime('%Y-%m', date) as month,
+                ${ periodSql( 'date' ) } as month,
                 SUM(CASE WHEN type = 'deposit' THEN amount ELSE 0 END) as deposits,
                 SUM(CASE WHEN type = 'withdrawal' THEN amount ELSE 0 END) as withdrawals,
                 COUNT(CASE WHEN type = 'deposit' THEN 1 END) as totalDeposits,
-                COUNT(CASE WHEN type = 'withdrawal' THEN 1 END) as totalWithdrawals
-            FROM transactions
-            GROUP BY strftime('%Y-%m', date)
+                COUNT(CASE WHEN type = 'withdrawal' THEN 1 END) as totalWithdrawals,
+                SUM(CASE WHEN type = 'deposit' THEN fee ELSE 0 END) as depositFees,
+                SUM(CASE WHEN type = 'withdrawal' THEN fee ELSE 0 END) as withdrawalFees
+            FROM ( ${ transactionsInCurrencySql } ) t
+            WHERE t.idTransfer IS NULL
+            AND t.status <> 'reversed'
+            GROUP BY month
             ORDER BY month DESC
         `;
 
-        const cashflow = await dbAll( sql );
+        const transfersSql = `
+            SELECT
+                ${ periodSql( 'tr.date' ) } as month,
+                COUNT(DISTINCT tr.id) as transfers,
+                SUM(CASE WHEN t.type = 'withdrawal' THEN t.amount ELSE -t.amount END) as transferCost
+            FROM ( ${ transactionsInCurrencySql } ) t
+            JOIN transfers tr ON tr.id = t.idTransfer
+            WHERE tr.status = 'completed'
+            GROUP BY month
+        `;
+
+        const [ realCashflow, transfers ] = await Promise.all([
+            dbAll( sql, [ baseCurrency ] ),
+            dbAll( transfersSql, [ baseCurrency ] )
+        ]);
+
+        // Meses con solo transferencias
+        const cashflow = [
+            ...realCashflow,
+            ...transfers
+                .filter( t => !realCashflow.some( month => month.month === t.month ) )
+                .map( t => ({
+                    month: t.month, deposits: 0, withdrawals: 0, totalDeposits: 0, totalWithdrawals: 0,
+                    depositFees: 0, withdrawalFees: 0
+                }) )
+        ].sort( ( a, b ) => b.month.localeCompare( a.month ) );
 
         if ( !cashflow.length ) {
             return res.status(204).send();
         }
 
-        const enrichedCashflow = cashflow.map( month => ({
-            ...month,
-            deposits: Number(month.deposits.toFixed(2)),
-            withdrawals: Number(month.withdrawals.toFixed(2)),
-            netFlow: Number((month.deposits - month.withdrawals).toFixed(2)),
-            avgDepositAmount: Number((month.deposits / month.totalDeposits || 0).toFixed(2)),
-            avgWithdrawalAmount: Number((month.withdrawals / month.totalWithdrawals || 0).toFixed(2))
-        }));
+        const enrichedCashflow = cashflow.map( month => {
+            const monthTransfers = transfers.find( t => t.month === month.month );
+            return {
+                ...month,
+                currency: baseCurrency,
+                deposits: toMoney( month.deposits ),
+                withdrawals: toMoney( month.withdrawals ),
+                netFlow: toMoney( subtract( month.deposits, month.withdrawals ) ),
+                avgDepositAmount: average( month.deposits, month.totalDeposits ),
+                avgWithdrawalAmount: average( month.withdrawals, month.totalWithdrawals ),
+                transfers: monthTransfers ? monthTransfers.transfers : 0,
+                transferCost: toMoney( monthTransfers?.transferCost ),
+                fees: {
+                    deposits: toMoney( month.depositFees ),
+                    withdrawals: toMoney( month.withdrawalFees ),
+                    total: toMoney( add( month.depositFees, month.withdrawalFees ) )
+                },
+                netFlowWithFees: toMoney(
+                    subtract( add( month.deposits, month.depositFees, month.withdrawalFees ), month.withdrawals )
+                )
+            };
+        });
 
         res.status(200).json( enrichedCashflow );
 
@@ -625,36 +1054,86 @@ const getMonthlyCashflow = async ( req, res ) => {
     }
 };
 
+/**
+ * Resume depósitos, retiros y comisiones por fuente de fondos en la divisa base
+ * (sin transferencias entre casas ni retiros revertidos)
+ *
+ * @param {string} baseCurrency - Divisa base
+ * @param {string|null} [type=null] - 'deposit', 'withdrawal' o null para ambos
+ * @param {string} [startDate] - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [endDate] - Fecha final (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Totales por fuente de fondos (null = sin fuente)
+ */
+const summarizeByFundingSource = async ( baseCurrency, type = null, startDate, endDate ) => {
+    const rows = await dbAll(
+        `SELECT
+            t.idFundingSource, fs.name as fundingSourceName, fs.type as fundingSourceType,
+            COUNT(*) as totalTransactions,
+            SUM(CASE WHEN t.type = 'deposit' THEN t.amount ELSE 0 END) as deposited,
+            SUM(CASE WHEN t.type = 'withdrawal' THEN t.amount ELSE 0 END) as withdrawn,
+            SUM(t.fee) as totalFees
+         FROM ( ${ transactionsInCurrencySql } ) t
+         LEFT JOIN fundingSources fs ON t.idFundingSource = fs.id
+         WHERE t.idTransfer IS NULL
+         AND t.status <> 'reversed'
+         AND ( ? IS NULL OR t.type = ? )
+         AND ( ? IS NULL OR t.date >= ? )
+         AND ( ? IS NULL OR t.date <= ? )
+         GROUP BY t.idFundingSource, fs.name, fs.type
+         ORDER BY totalFees DESC`,
+        [ baseCurrency, type, type, startDate || null, startDate || null, endDate || null, endDate || null ]
+    );
+
+    return rows.map( row => ({
+        ...row,
+        deposited: toMoney( row.deposited ),
+        withdrawn: toMoney( row.withdrawn ),
+        totalFees: toMoney( row.totalFees ),
+        feeRate: percentage( row.totalFees, add( row.deposited, row.withdrawn ) )
+    }));
+};
+
 /**
  * getDepositsSummary
  * 
- * Obtiene un resumen de los depósitos
+ * Obtiene un resumen de los depósitos en la divisa base (sin las transferencias entre casas)
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Object} Resumen de depósitos
  */
 const getDepositsSummary = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, transactionsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
-                bm.name as bookMakerName,
+                t.bookMakerName,
                 COUNT(*) as totalDeposits,
                 SUM(t.amount) as totalAmount,
                 AVG(t.amount) as avgAmount,
                 MIN(t.amount) as minAmount,
                 MAX(t.amount) as maxAmount,
+                SUM(t.fee) as totalFees,
                 MIN(t.date) as firstDeposit,
                 MAX(t.date) as lastDeposit
-            FROM transactions t
-            JOIN bookMakers bm ON t.idBookMaker = bm.id
+            FROM ( ${ transactionsInCurrencySql } ) t
             WHERE t.type = 'deposit'
-            GROUP BY bm.id, bm.name
+            AND t.idTransfer IS NULL
+            GROUP BY t.idBookMaker, t.bookMakerName
             ORDER BY totalAmount DESC
         `;
 
-        const summary = await dbAll( sql );
+        const [ summary, byFundingSource ] = await Promise.all([
+            dbAll( sql, [ baseCurrency ] ),
+            summarizeByFundingSource( baseCurrency, 'deposit' )
+        ]);
 
         if ( !summary.length ) {
             return res.status(204).send();
@@ -663,24 +1142,31 @@ const getDepositsSummary = async ( req, res ) => {
         // Calcular totales generales
         const totalStats = summary.reduce((acc, curr) => ({
             totalDeposits: acc.totalDeposits + curr.totalDeposits,
-            totalAmount: acc.totalAmount + curr.totalAmount
-        }), { totalDeposits: 0, totalAmount: 0 });
+            totalAmount: add( acc.totalAmount, curr.totalAmount ),
+            totalFees: add( acc.totalFees, curr.totalFees )
+        }), { totalDeposits: 0, totalAmount: 0n, totalFees: 0n });
 
         const enrichedSummary = summary.map( s => ({
             ...s,
-            totalAmount: Number(s.totalAmount.toFixed(2)),
-            avgAmount: Number(s.avgAmount.toFixed(2)),
-            minAmount: Number(s.minAmount.toFixed(2)),
-            maxAmount: Number(s.maxAmount.toFixed(2)),
-            percentageOfTotal: Number(((s.totalAmount / totalStats.totalAmount) * 100).toFixed(2))
+            totalAmount: toMoney( s.totalAmount ),
+            avgAmount: toMoney( s.avgAmount ),
+            minAmount: toMoney( s.minAmount ),
+            maxAmount: toMoney( s.maxAmount ),
+            totalFees: toMoney( s.totalFees ),
+            feeRate: percentage( s.totalFees, s.totalAmount ),
+            percentageOfTotal: percentage( s.totalAmount, totalStats.totalAmount )
         }));
 
         res.status(200).json({
+            currency: baseCurrency,
             totals: {
                 totalDeposits: totalStats.totalDeposits,
-                totalAmount: Number(totalStats.totalAmount.toFixed(2))
+                totalAmount: toMoney( totalStats.totalAmount ),
+                totalFees: toMoney( totalStats.totalFees ),
+                feeRate: percentage( totalStats.totalFees, totalStats.totalAmount )
             },
-            byBookMaker: enrichedSummary
+            byBookMaker: enrichedSummary,
+            byFundingSource
         });
 
     } catch (error) {
@@ -695,33 +1181,45 @@ const getDepositsSummary = async ( req, res ) => {
 /**
  * getWithdrawalsSummary
  * 
- * Obtiene un resumen de los retiros
+ * Obtiene un resumen de los retiros en la divisa base (sin las transferencias entre casas)
  *
  * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base
  * @param {Object} res - Objeto de respuesta HTTP
  * @throws {Error} Si ocurre un error interno en el servidor
  * @returns {Object} Resumen de retiros
  */
 const getWithdrawalsSummary = async ( req, res ) => {
     try {
+        const baseCurrency = getBaseCurrency( req );
+        const fxError = await getFxConversionError( baseCurrency, transactionsInCurrencySql );
+        if ( fxError ) {
+            return res.status( fxError.status ).json( fxError.body );
+        }
+
         const sql = `
             SELECT 
-                bm.name as bookMakerName,
+                t.bookMakerName,
                 COUNT(*) as totalWithdrawals,
                 SUM(t.amount) as totalAmount,
                 AVG(t.amount) as avgAmount,
                 MIN(t.amount) as minAmount,
                 MAX(t.amount) as maxAmount,
+                SUM(t.fee) as totalFees,
                 MIN(t.date) as firstWithdrawal,
                 MAX(t.date) as lastWithdrawal
-            FROM transactions t
-            JOIN bookMakers bm ON t.idBookMaker = bm.id
+            FROM ( ${ transactionsInCurrencySql } ) t
             WHERE t.type = 'withdrawal'
-            GROUP BY bm.id, bm.name
+            AND t.idTransfer IS NULL
+            AND t.status <> 'reversed'
+            GROUP BY t.idBookMaker, t.bookMakerName
             ORDER BY totalAmount DESC
         `;
 
-        const summary = await dbAll( sql );
+        const [ summary, byFundingSource ] = await Promise.all([
+            dbAll( sql, [ baseCurrency ] ),
+            summarizeByFundingSource( baseCurrency, 'withdrawal' )
+        ]);
 
         if ( !summary.length ) {
             return res.status(204).send();
@@ -730,24 +1228,31 @@ const getWithdrawalsSummary = async ( req, res ) => {
         // Calcular totales generales
         const totalStats = summary.reduce((acc, curr) => ({
             totalWithdrawals: acc.totalWithdrawals + curr.totalWithdrawals,
-            totalAmount: acc.totalAmount + curr.totalAmount
-        }), { totalWithdrawals: 0, totalAmount: 0 });
+            totalAmount: add( acc.totalAmount, curr.totalAmount ),
+            totalFees: add( acc.totalFees, curr.totalFees )
+        }), { totalWithdrawals: 0, totalAmount: 0n, totalFees: 0n });
 
         const enrichedSummary = summary.map( s => ({
             ...s,
-            totalAmount: Number(s.totalAmount.toFixed(2)),
-            avgAmount: Number(s.avgAmount.toFixed(2)),
-            minAmount: Number(s.minAmount.toFixed(2)),
-            maxAmount: Number(s.maxAmount.toFixed(2)),
-            percentageOfTotal: Number(((s.totalAmount / totalStats.totalAmount) * 100).toFixed(2))
+            totalAmount: toMoney( s.totalAmount ),
+            avgAmount: toMoney( s.avgAmount ),
+            minAmount: toMoney( s.minAmount ),
+            maxAmount: toMoney( s.maxAmount ),
+            totalFees: toMoney( s.totalFees ),
+            feeRate: percentage( s.totalFees, s.totalAmount ),
+            percentageOfTotal: percentage( s.totalAmount, totalStats.totalAmount )
         }));
 
         res.status(200).json({
+            currency: baseCurrency,
             totals: {
                 totalWithdrawals: totalStats.totalWithdrawals,
-                totalAmount: Number(totalStats.totalAmount.toFixed(2))
+                totalAmount: toMoney( totalStats.totalAmount ),
+                totalFees: toMoney( totalStats.totalFees ),
+                feeRate: percentage( totalStats.totalFees, totalStats.totalAmount )
             },
-            byBookMaker: enrichedSummary
+            byBookMaker: enrichedSummary,
+            byFundingSource
         });
 
     } catch (error) {
@@ -759,4 +1264,297 @@ const getWithdrawalsSummary = async ( req, res ) => {
     }
 };
 
+/**
+ * updateTransactionStatus
+ *
+ * Cambia el estado de un retiro siguiendo su ciclo:
+ * requested → processing → completed, o reversed si la casa lo devuelve al saldo
+ * (un retiro revertido deja de restar en el saldo de la casa de apuestas)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la transacción
+ * @param {Object} req.body - Datos del cambio
+ * @param {string} req.body.status - Nuevo estado
+ * @param {string} [req.body.date] - Fecha de llegada si se completa (YYYY-MM-DD, por defecto hoy)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Transacción actualizada
+ *
+ * @example
+ * PUT /api/transactions/12/status
+ * Body: { "status": "completed", "date": "2024-03-18" }
+ */
+const updateTransactionStatus = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { status, date } = req.body;
+
+        if ( !TRANSACTION_STATUSES.includes( status ) ) {
+            return res.status(400).json( {
+                message: `El estado debe ser uno de: ${ TRANSACTION_STATUSES.join( ', ' ) }`
+            } );
+        }
+
+        if ( date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) {
+            return res.status(400).json( {
+                message: 'La fecha debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        const transaction = await dbGet( 'SELECT * FROM transactions WHERE id = ?', [ id ] );
+
+        if ( !transaction ) {
+            return res.status(404).json( {
+                message: `No se encontró la transacción con ID ${ id }`
+            } );
+        }
+
+        if ( transaction.type !== 'withdrawal' || transaction.idTransfer ) {
+            return res.status(409).json( {
+                message: 'Solo los retiros que no son parte de una transferencia tienen ciclo de estados'
+            } );
+        }
+
+        if ( !WITHDRAWAL_TRANSITIONS[ transaction.status ].includes( status ) ) {
+            return res.status(409).json( {
+                message: `Un retiro en estado ${ transaction.status } no puede pasar a ${ status }`
+            } );
+        }
+
+        // Solo se actualiza si el estado sigue siendo el leído: si otra petición lo
+        // ha cambiado entretanto la transición validada ya no es válida
+        const { affectedRows } = await dbRun(
+            `UPDATE transactions
+             SET status = ?,
+                 completedDate = CASE WHEN ? = 'completed' THEN COALESCE(?, CURDATE()) ELSE completedDate END
+             WHERE id = ? AND status = ?`,
+            [ status, status, date || null, id, transaction.status ]
+        );
+
+        if ( affectedRows === 0 ) {
+            return res.status(409).json( {
+                message: 'El estado del retiro ha cambiado mientras se actualizaba, vuelve a intentarlo'
+            } );
+        }
+
+        const updated = await dbGet( 'SELECT * FROM transactions WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Estado del retiro actualizado con éxito',
+            data: updated
+        } );
+
+    } catch (error) {
+        console.error('Error al actualizar estado del retiro:', error);
+        res.status(500).json( {
+            message: 'Error al actualizar el estado del retiro',
+            error: error.message
+        } );
+    }
+};
+
+/**
+ * getInFlightWithdrawals
+ *
+ * Obtiene los retiros solicitados o en proceso con su llegada prevista
+ * Un retiro va con retraso (overdue) si su fecha prevista ya ha pasado
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {number} [req.query.idFundingSource] - ID de la fuente de fondos
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Retiros en curso y totales por divisa
+ *
+ * @example
+ * GET /api/transactions/withdrawals/in-flight?idFundingSource=2
+ */
+const getInFlightWithdrawals = async ( req, res ) => {
+    try {
+        const { idBookMaker, idFundingSource } = req.query;
+
+        let sql = `
+            SELECT
+                t.id, t.idBookMaker, b.name as bookMakerName, b.currency,
+                t.idFundingSource, fs.name as fundingSourceName,
+                t.amount, t.status, t.info,
+                DATE_FORMAT(t.date, '%Y-%m-%d') as date,
+                DATE_FORMAT(t.expectedDate, '%Y-%m-%d') as expectedDate,
+                DATEDIFF(CURDATE(), t.date) as daysPending,
+                GREATEST(DATEDIFF(CURDATE(), t.expectedDate), 0) as daysOverdue
+            FROM transactions t
+            JOIN bookMakers b ON t.idBookMaker = b.id
+            LEFT JOIN fundingSources fs ON t.idFundingSource = fs.id
+            WHERE t.type = 'withdrawal'
+            AND t.status IN ('requested', 'processing')
+        `;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND t.idBookMaker = ?';
+            params.push( idBookMaker );
+        }
+
+        if ( idFundingSource ) {
+            sql += ' AND t.idFundingSource = ?';
+            params.push( idFundingSource );
+        }
+
+        sql += ' ORDER BY t.expectedDate, t.date';
+
+        const withdrawals = await dbAll( sql, params );
+
+        if ( !withdrawals.length ) {
+            return res.status(204).send();
+        }
+
+        const enrichedWithdrawals = withdrawals.map( w => ({
+            ...w,
+            amount: toMoney( w.amount ),
+            overdue: w.daysOverdue > 0
+        }));
+
+        // Totales por divisa (los importes están en la divisa de cada casa)
+        const totalsByCurrency = enrichedWithdrawals.reduce( ( totals, w ) => ({
+            ...totals,
+            [ w.currency ]: toMoney( add( totals[ w.currency ] || 0, w.amount ) )
+        }), {} );
+
+        res.status(200).json({
+            withdrawals: enrichedWithdrawals,
+            summary: {
+                total: enrichedWithdrawals.length,
+                overdue: enrichedWithdrawals.filter( w => w.overdue ).length,
+                totalsByCurrency
+            }
+        });
+
+    } catch (error) {
+        console.error('Error al obtener retiros en curso:', error);
+        res.status(500).json({
+            message: 'Error al obtener los retiros en curso',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * getFeesSummary
+ *
+ * Obtiene las comisiones del periodo y el beneficio neto de comisiones por casa
+ * de apuestas (resultados de las apuestas - comisiones de sus depósitos, retiros
+ * y transferencias salientes) y las comisiones por fuente de fondos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.startDate] - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Fecha final (YYYY-MM-DD)
+ * @param {string} [req.query.currency] - Divisa base
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Comisiones y beneficio neto por casa de apuestas y por fuente de fondos
+ *
+ * @example
+ * GET /api/transactions/summary/fees?startDate=2024-01-01&endDate=2024-12-31&currency=GBP
+ */
+const getFeesSummary = async ( req, res ) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const baseCurrency = getBaseCurrency( req );
+
+        for ( const sourceSql of [ transactionsInCurrencySql, betsInCurrencySql ] ) {
+            const fxError = await getFxConversionError( baseCurrency, sourceSql );
+            if ( fxError ) {
+                return res.status( fxError.status ).json( fxError.body );
+            }
+        }
+
+        const period = [ startDate || null, startDate || null, endDate || null, endDate || null ];
+
+        const feesSql = `
+            SELECT
+                t.idBookMaker, t.bookMakerName,
+                SUM(CASE WHEN t.type = 'deposit' AND t.idTransfer IS NULL THEN t.fee ELSE 0 END) as depositFees,
+                SUM(CASE WHEN t.type = 'withdrawal' AND t.idTransfer IS NULL THEN t.fee ELSE 0 END) as withdrawalFees,
+                SUM(CASE WHEN t.idTransfer IS NOT NULL THEN t.fee ELSE 0 END) as transferFees
+            FROM ( ${ transactionsInCurrencySql } ) t
+            WHERE t.status <> 'reversed'
+            AND ( ? IS NULL OR t.date >= ? )
+            AND ( ? IS NULL OR t.date <= ? )
+            GROUP BY t.idBookMaker, t.bookMakerName
+        `;
+
+        const resultsSql = `
+            SELECT b.idBookMaker, b.bookMakerName, SUM(b.result) as results
+            FROM ( ${ betsInCurrencySql } ) b
+            WHERE b.status <> 'pending'
+            AND ( ? IS NULL OR b.betDate >= ? )
+            AND ( ? IS NULL OR b.betDate <= ? )
+            GROUP BY b.idBookMaker, b.bookMakerName
+        `;
+
+        const [ fees, results, byFundingSource ] = await Promise.all([
+            dbAll( feesSql, [ baseCurrency, ...period ] ),
+            dbAll( resultsSql, [ baseCurrency, ...period ] ),
+            summarizeByFundingSource( baseCurrency, null, startDate, endDate )
+        ]);
 
+        if ( !fees.length && !results.length ) {
+            return res.status(204).send();
+        }
+
+        // Combinar comisiones y resultados por casa de apuestas
+        const ids = [ ...new Set( [ ...fees, ...results ].map( row => row.idBookMaker ) ) ];
+        const byBookMaker = ids.map( idBookMaker => {
+            const fee = fees.find( row => row.idBookMaker === idBookMaker ) || {};
+            const result = results.find( row => row.idBookMaker === idBookMaker ) || {};
+            const totalFees = add( fee.depositFees, fee.withdrawalFees, fee.transferFees );
+
+            return {
+                idBookMaker,
+                bookMakerName: fee.bookMakerName || result.bookMakerName,
+                results: toMoney( result.results ),
+                depositFees: toMoney( fee.depositFees ),
+                withdrawalFees: toMoney( fee.withdrawalFees ),
+                transferFees: toMoney( fee.transferFees ),
+                totalFees: toMoney( totalFees ),
+                netProfit: toMoney( subtract( result.results, totalFees ) )
+            };
+        }).sort( ( a, b ) => b.netProfit - a.netProfit );
+
+        const totalResults = add( ...byBookMaker.map( bm => bm.results ) );
+        const totalFees = add( ...byBookMaker.map( bm => bm.totalFees ) );
+
+        res.status(200).json({
+            period: { startDate: startDate || 'All time', endDate: endDate || 'All time' },
+            currency: baseCurrency,
+            totals: {
+                results: toMoney( totalResults ),
+                totalFees: toMoney( totalFees ),
+                netProfit: toMoney( subtract( totalResults, totalFees ) ),
+                feesPercentageOfResults: percentage( totalFees, totalResults )
+            },
+            byBookMaker,
+            byFundingSource
+        });
+
+    } catch (error) {
+        console.error('Error al obtener resumen de comisiones:', error);
+        res.status(500).json({
+            message: 'Error al obtener el resumen de comisiones',
+            error: error.message
+        });
+    }
+};
+
+export {
+    getBalanceByPeriod,
+    getMonthlyCashflow,
+    getDepositsSummary,
+    getWithdrawalsSummary,
+    getFeesSummary,
+    updateTransactionStatus,
+    getInFlightWithdrawals
+};
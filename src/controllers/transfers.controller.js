@@ -0,0 +1,493 @@
+/**
+* Controlador para las transferencias entre casas de apuestas
+*
+* Una transferencia crea de forma atómica dos transacciones enlazadas por
+* idTransfer: la retirada en la casa de origen (amount, con la comisión en su
+* fee) y el depósito en la de destino (receivedAmount, ya descontada la
+* comisión). Mientras está en tránsito, el depósito no cuenta en el saldo de destino.
+*
+* Índice de funciones:
+*
+* - getTransfers()
+* Obtiene las transferencias
+* Query: {
+*   idBookMaker: number (origen o destino),
+*   status: string ('in-transit'|'completed'),
+*   startDate: string (YYYY-MM-DD),
+*   endDate: string (YYYY-MM-DD)
+* }
+*
+* - getTransferById( id )
+* Obtiene una transferencia con sus dos transacciones
+* Params: id - ID de la transferencia
+*
+* - createTransfer()
+* Crea una transferencia y sus transacciones
+* Body: {
+*   idFromBookMaker: number,
+*   idToBookMaker: number,
+*   amount: number (sale del origen),
+*   fee: number (comisión en la divisa de origen, default: 0),
+*   receivedAmount: number (llega a destino; obligatorio si las divisas son distintas),
+*   date: string (YYYY-MM-DD),
+*   status: string ('in-transit'|'completed', default: 'completed'),
+*   arrivalDate: string (YYYY-MM-DD, llegada prevista o real),
+*   info: string
+* }
+*
+* - completeTransfer( id )
+* Marca como recibida una transferencia en tránsito
+* Params: id - ID de la transferencia
+* Body: { arrivalDate: string (default: hoy), receivedAmount: number }
+*
+* - deleteTransfer( id )
+* Elimina una transferencia y sus dos transacciones
+* Params: id - ID de la transferencia
+*/
+
+
+import { dbAll, dbGet, dbTransaction } from '../utils/helpers.js';
+import { TRANSFER_STATUSES } from '../utils/transfers.js';
+import { compare, subtract, toMoney } from '../utils/money.js';
+
+
+/**
+ * Consulta base de transferencias con los nombres y divisas de las casas
+ */
+const transferSelectSql = `
+    SELECT
+        tr.id, DATE_FORMAT(tr.date, '%Y-%m-%d') as date,
+        tr.idFromBookMaker, bmFrom.name as fromBookMakerName, bmFrom.currency as fromCurrency,
+        tr.idToBookMaker, bmTo.name as toBookMakerName, bmTo.currency as toCurrency,
+        tr.amount, tr.fee, tr.receivedAmount, tr.status,
+        DATE_FORMAT(tr.arrivalDate, '%Y-%m-%d') as arrivalDate, tr.info
+    FROM transfers tr
+    JOIN bookMakers bmFrom ON tr.idFromBookMaker = bmFrom.id
+    JOIN bookMakers bmTo ON tr.idToBookMaker = bmTo.id`;
+
+/**
+ * Comprueba si un valor es una fecha YYYY-MM-DD
+ *
+ * @param {string} date - Valor a comprobar
+ * @returns {boolean} true si tiene el formato correcto
+ */
+const isDate = ( date ) => /^\d{4}-\d{2}-\d{2}$/.test( date );
+
+
+/**
+ * getTransfers
+ *
+ * Obtiene las transferencias entre casas de apuestas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - Casa de apuestas de origen o destino
+ * @param {string} [req.query.status] - Estado de la transferencia
+ * @param {string} [req.query.startDate] - Fecha inicial (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Fecha final (YYYY-MM-DD)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Lista de transferencias
+ *
+ * @example
+ * GET /api/transfers?idBookMaker=1&status=in-transit
+ */
+const getTransfers = async ( req, res ) => {
+    try {
+        const { idBookMaker, status, startDate, endDate } = req.query;
+
+        if ( status && !TRANSFER_STATUSES.includes( status ) ) {
+            return res.status(400).json( {
+                message: `El estado debe ser uno de: ${ TRANSFER_STATUSES.join( ', ' ) }`
+            } );
+        }
+
+        let sql = `${ transferSelectSql } WHERE 1=1`;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND ( tr.idFromBookMaker = ? OR tr.idToBookMaker = ? )';
+            params.push( idBookMaker, idBookMaker );
+        }
+
+        if ( status ) {
+            sql += ' AND tr.status = ?';
+            params.push( status );
+        }
+
+        if ( startDate ) {
+            sql += ' AND tr.date >= ?';
+            params.push( startDate );
+        }
+
+        if ( endDate ) {
+            sql += ' AND tr.date <= ?';
+            params.push( endDate );
+        }
+
+        sql += ' ORDER BY tr.date DESC, tr.id DESC';
+
+        const transfers = await dbAll( sql, params );
+
+        if ( !transfers.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( transfers );
+
+    } catch (error) {
+        console.error('Error al obtener transferencias:', error);
+        res.status(500).json( {
+            message: 'Error al obtener las transferencias',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getTransferById
+ *
+ * Obtiene una transferencia con su retirada y su depósito
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la transferencia
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Transferencia con sus transacciones
+ */
+const getTransferById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const transfer = await dbGet( `${ transferSelectSql } WHERE tr.id = ?`, [ id ] );
+
+        if ( !transfer ) {
+            return res.status(404).json( {
+                message: `No se encontró la transferencia con ID ${ id }`
+            } );
+        }
+
+        const transactions = await dbAll(
+            'SELECT * FROM transactions WHERE idTransfer = ? ORDER BY type DESC',
+            [ id ]
+        );
+
+        res.status(200).json( {
+            ...transfer,
+            transactions
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener transferencia:', error);
+        res.status(500).json( {
+            message: 'Error al obtener la transferencia',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createTransfer
+ *
+ * Crea una transferencia entre dos casas de apuestas junto con su retirada
+ * en origen y su depósito en destino, en una sola transacción de base de datos
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Datos de la transferencia
+ * @param {number} req.body.idFromBookMaker - Casa de apuestas de origen
+ * @param {number} req.body.idToBookMaker - Casa de apuestas de destino
+ * @param {number} req.body.amount - Importe que sale del origen
+ * @param {number} [req.body.fee=0] - Comisión en la divisa de origen
+ * @param {number} [req.body.receivedAmount] - Importe que llega a destino
+ *   (por defecto amount - fee; obligatorio si las divisas son distintas)
+ * @param {string} req.body.date - Fecha de la transferencia (YYYY-MM-DD)
+ * @param {string} [req.body.status='completed'] - 'in-transit' o 'completed'
+ * @param {string} [req.body.arrivalDate] - Fecha de llegada (prevista si está en tránsito)
+ * @param {string} [req.body.info] - Información adicional
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Transferencia creada
+ *
+ * @example
+ * POST /api/transfers
+ * Body: {
+ *   "idFromBookMaker": 1,
+ *   "idToBookMaker": 2,
+ *   "amount": 100,
+ *   "fee": 1.5,
+ *   "date": "2024-03-15",
+ *   "status": "in-transit",
+ *   "arrivalDate": "2024-03-18"
+ * }
+ */
+const createTransfer = async ( req, res ) => {
+    try {
+        const {
+            idFromBookMaker, idToBookMaker, amount, fee = 0, receivedAmount,
+            date, status = 'completed', arrivalDate, info
+        } = req.body;
+
+        if ( !idFromBookMaker || !idToBookMaker || !amount || !date ) {
+            return res.status(400).json( {
+                message: 'Los campos idFromBookMaker, idToBookMaker, amount y date son obligatorios'
+            } );
+        }
+
+        if ( Number( idFromBookMaker ) === Number( idToBookMaker ) ) {
+            return res.status(400).json( {
+                message: 'Las casas de apuestas de origen y destino deben ser distintas'
+            } );
+        }
+
+        if ( !( Number( amount ) > 0 ) || !( Number( fee ) >= 0 ) ) {
+            return res.status(400).json( {
+                message: 'El importe debe ser mayor que 0 y la comisión no puede ser negativa'
+            } );
+        }
+
+        if ( !isDate( date ) || ( arrivalDate && !isDate( arrivalDate ) ) ) {
+            return res.status(400).json( {
+                message: 'Las fechas deben tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        if ( arrivalDate && arrivalDate < date ) {
+            return res.status(400).json( {
+                message: 'La fecha de llegada no puede ser anterior a la de la transferencia'
+            } );
+        }
+
+        if ( !TRANSFER_STATUSES.includes( status ) ) {
+            return res.status(400).json( {
+                message: `El estado debe ser uno de: ${ TRANSFER_STATUSES.join( ', ' ) }`
+            } );
+        }
+
+        if ( info && info.length > 500 ) {
+            return res.status(400).json( {
+                message: 'La información adicional no puede exceder los 500 caracteres'
+            } );
+        }
+
+        const bookMakers = await dbAll(
+            'SELECT id, name, currency FROM bookMakers WHERE id IN (?)',
+            [ [ idFromBookMaker, idToBookMaker ] ]
+        );
+        const from = bookMakers.find( bm => bm.id === Number( idFromBookMaker ) );
+        const to = bookMakers.find( bm => bm.id === Number( idToBookMaker ) );
+
+        if ( !from || !to ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas de origen o destino no existe'
+            } );
+        }
+
+        if ( from.currency !== to.currency && !receivedAmount ) {
+            return res.status(400).json( {
+                message: `Las divisas son distintas (${ from.currency } → ${ to.currency }); indique receivedAmount`
+            } );
+        }
+
+        const received = toMoney( receivedAmount ?? subtract( amount, fee ) );
+
+        if ( compare( received, 0 ) <= 0 ) {
+            return res.status(400).json( {
+                message: 'El importe recibido debe ser mayor que 0'
+            } );
+        }
+
+        const idTransfer = await dbTransaction( async ( tx ) => {
+            const { insertId } = await tx.dbRun(
+                `INSERT INTO transfers (
+                    date, idFromBookMaker, idToBookMaker, amount, fee,
+                    receivedAmount, status, arrivalDate, info
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    date, idFromBookMaker, idToBookMaker, toMoney( amount ), toMoney( fee ),
+                    received, status, arrivalDate || ( status === 'completed' ? date : null ), info || null
+                ]
+            );
+
+            await tx.dbRun(
+                `INSERT INTO transactions (idBookMaker, type, amount, fee, date, idTransfer, info)
+                 VALUES (?, 'withdrawal', ?, ?, ?, ?, ?), (?, 'deposit', ?, 0, ?, ?, ?)`,
+                [
+                    idFromBookMaker, toMoney( amount ), toMoney( fee ), date, insertId, `Transferencia a ${ to.name }`,
+                    idToBookMaker, received, arrivalDate || date, insertId, `Transferencia desde ${ from.name }`
+                ]
+            );
+
+            return insertId;
+        } );
+
+        const created = await dbGet( `${ transferSelectSql } WHERE tr.id = ?`, [ idTransfer ] );
+
+        res.status(201).json( {
+            message: 'Transferencia creada con éxito',
+            data: created
+        } );
+
+    } catch (error) {
+        console.error('Error al crear transferencia:', error);
+        res.status(500).json( {
+            message: 'Error al crear la transferencia',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * completeTransfer
+ *
+ * Marca como recibida una transferencia en tránsito; su depósito pasa a
+ * contar en el saldo de destino con la fecha de llegada
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la transferencia
+ * @param {Object} req.body - Datos de la llegada
+ * @param {string} [req.body.arrivalDate] - Fecha de llegada (YYYY-MM-DD, por defecto hoy)
+ * @param {number} [req.body.receivedAmount] - Importe recibido si difiere del previsto
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Transferencia completada
+ */
+const completeTransfer = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { arrivalDate, receivedAmount } = req.body;
+
+        if ( arrivalDate && !isDate( arrivalDate ) ) {
+            return res.status(400).json( {
+                message: 'La fecha de llegada debe tener el formato YYYY-MM-DD'
+            } );
+        }
+
+        if ( receivedAmount !== undefined && !( Number( receivedAmount ) > 0 ) ) {
+            return res.status(400).json( {
+                message: 'El importe recibido debe ser mayor que 0'
+            } );
+        }
+
+        const transfer = await dbGet(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') as date FROM transfers WHERE id = ?`,
+            [ id ]
+        );
+
+        if ( !transfer ) {
+            return res.status(404).json( {
+                message: `No se encontró la transferencia con ID ${ id }`
+            } );
+        }
+
+        if ( transfer.status === 'completed' ) {
+            return res.status(409).json( {
+                message: 'La transferencia ya está completada'
+            } );
+        }
+
+        if ( arrivalDate && arrivalDate < transfer.date ) {
+            return res.status(400).json( {
+                message: 'La fecha de llegada no puede ser anterior a la de la transferencia'
+            } );
+        }
+
+        const received = receivedAmount !== undefined ? toMoney( receivedAmount ) : transfer.receivedAmount;
+
+        await dbTransaction( async ( tx ) => {
+            await tx.dbRun(
+                `UPDATE transfers
+                 SET status = 'completed', arrivalDate = COALESCE(?, CURDATE()), receivedAmount = ?
+                 WHERE id = ?`,
+                [ arrivalDate || null, received, id ]
+            );
+            await tx.dbRun(
+                `UPDATE transactions
+                 SET date = COALESCE(?, CURDATE()), amount = ?
+                 WHERE idTransfer = ? AND type = 'deposit'`,
+                [ arrivalDate || null, received, id ]
+            );
+        } );
+
+        const updated = await dbGet( `${ transferSelectSql } WHERE tr.id = ?`, [ id ] );
+
+        res.status(200).json( {
+            message: 'Transferencia completada con éxito',
+            data: updated
+        } );
+
+    } catch (error) {
+        console.error('Error al completar transferencia:', error);
+        res.status(500).json( {
+            message: 'Error al completar la transferencia',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteTransfer
+ *
+ * Elimina una transferencia junto con su retirada y su depósito
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID de la transferencia
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteTransfer = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const deleteResult = await dbTransaction( async ( tx ) => {
+            await tx.dbRun( 'DELETE FROM transactions WHERE idTransfer = ?', [ id ] );
+            return tx.dbRun( 'DELETE FROM transfers WHERE id = ?', [ id ] );
+        } );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró la transferencia con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Transferencia eliminada con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar transferencia:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar la transferencia',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getTransfers,
+    getTransferById,
+    createTransfer,
+    completeTransfer,
+    deleteTransfer
+};
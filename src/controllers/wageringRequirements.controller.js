@@ -0,0 +1,470 @@
+/**
+* Controlador para la gestión de requisitos de apuesta (rollover)
+*
+* Un requisito se aplica a un bono o a una freebet (idFreebet) y cuenta las
+* apuestas etiquetadas con su promoción (bets.idPromotion).
+*
+* Índice de funciones:
+*
+* - getWageringRequirements()
+* Obtiene los requisitos con su progreso
+* Query: {
+*   idBookMaker: number,
+*   idPromotion: number,
+*   active: boolean (solo los no completados ni vencidos)
+* }
+*
+* - getWageringRequirementById( id )
+* Obtiene un requisito con el detalle de las apuestas que cuentan y las que no
+* Params: id - ID del requisito
+*
+* - createWageringRequirement()
+* Crea un requisito
+* Body: {
+*   idBookMaker: number,
+*   idFreebet: number (opcional),
+*   idPromotion: number (promoción de la misma casa de apuestas),
+*   amount: number (por defecto, el importe de la freebet),
+*   rolloverMultiple: number (default: 1),
+*   minOdds: number|string,
+*   minStake: number,
+*   markets: Array<string> ('win'|'place'),
+*   deadline: string (YYYY-MM-DD HH:mm:ss),
+*   info: string
+* }
+*
+* - updateWageringRequirement( id )
+* Actualiza las reglas de un requisito
+* Params: id - ID del requisito
+* Body: campos a actualizar (todos opcionales)
+*
+* - deleteWageringRequirement( id )
+* Elimina un requisito
+* Params: id - ID del requisito
+*/
+
+
+import { dbAll, dbGet, dbRun } from '../utils/helpers.js';
+import { findPromotionError } from '../utils/promotions.js';
+import {
+    calculateWageringProgress,
+    findWageringProgress,
+    normalizeWageringRequirement,
+    parseMarkets,
+    validateWageringRequirement
+} from '../utils/wagering.js';
+
+
+
+/**
+ * Prepara un requisito para la respuesta (mercados como lista)
+ *
+ * @param {Object} requirement - Fila de wageringRequirements
+ * @returns {Object} Requisito con markets como array
+ */
+const formatRequirement = ( requirement ) => ({
+    ...requirement,
+    markets: parseMarkets( requirement.markets )
+});
+
+
+/**
+ * getWageringRequirements
+ *
+ * Obtiene los requisitos de apuesta con el progreso de cada uno
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.idBookMaker] - ID de la casa de apuestas
+ * @param {number} [req.query.idPromotion] - ID de la promoción
+ * @param {string} [req.query.active] - 'true' para ver solo los pendientes de completar y no vencidos
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Array<Object>} Requisitos con su progreso (sin el detalle de apuestas)
+ */
+const getWageringRequirements = async ( req, res ) => {
+    try {
+        const { idBookMaker, idPromotion, active } = req.query;
+
+        let sql = `
+            SELECT w.*, bm.name as bookMakerName, bm.currency, p.name as promotionName
+            FROM wageringRequirements w
+            JOIN bookMakers bm ON w.idBookMaker = bm.id
+            JOIN promotions p ON w.idPromotion = p.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if ( idBookMaker ) {
+            sql += ' AND w.idBookMaker = ?';
+            params.push( idBookMaker );
+        }
+
+        if ( idPromotion ) {
+            sql += ' AND w.idPromotion = ?';
+            params.push( idPromotion );
+        }
+
+        sql += ' ORDER BY w.deadline IS NULL, w.deadline, w.id';
+
+        const requirements = await dbAll( sql, params );
+
+        if ( !requirements.length ) {
+            return res.status(204).send();
+        }
+
+        // Cargar de una vez las apuestas de todas las promociones
+        const bets = await dbAll(
+            `SELECT id, idPromotion, betDate, event, betType, bank, status, stake, odds, market, eachWay
+             FROM bets
+             WHERE idPromotion IN (?)
+             ORDER BY betDate, id`,
+            [ [ ...new Set( requirements.map( w => w.idPromotion ) ) ] ]
+        );
+
+        let withProgress = requirements.map( w => {
+            const { qualifyingBets, nonQualifyingBets, ...progress } = calculateWageringProgress(
+                w,
+                bets.filter( bet => bet.idPromotion === w.idPromotion ),
+                w.currency
+            );
+
+            return {
+                ...formatRequirement( w ),
+                progress: {
+                    ...progress,
+                    qualifyingBets: qualifyingBets.length,
+                    nonQualifyingBets: nonQualifyingBets.length
+                }
+            };
+        } );
+
+        if ( active === 'true' ) {
+            withProgress = withProgress.filter( w => !w.progress.completed && !w.progress.expired );
+        }
+
+        if ( !withProgress.length ) {
+            return res.status(204).send();
+        }
+
+        res.status(200).json( withProgress );
+
+    } catch (error) {
+        console.error('Error al obtener requisitos de apuesta:', error);
+        res.status(500).json( {
+            message: 'Error al obtener los requisitos de apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * getWageringRequirementById
+ *
+ * Obtiene un requisito con su progreso y el detalle de las apuestas
+ * que cuentan y de las que no (con los motivos)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID del requisito
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Requisito con su progreso
+ */
+const getWageringRequirementById = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const requirement = await dbGet(
+            `SELECT w.*, bm.name as bookMakerName, bm.currency, p.name as promotionName
+             FROM wageringRequirements w
+             JOIN bookMakers bm ON w.idBookMaker = bm.id
+             JOIN promotions p ON w.idPromotion = p.id
+             WHERE w.id = ?`,
+            [ id ]
+        );
+
+        if ( !requirement ) {
+            return res.status(404).json( {
+                message: `No se encontró el requisito de apuesta con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            ...formatRequirement( requirement ),
+            progress: await findWageringProgress( requirement, requirement.currency )
+        } );
+
+    } catch (error) {
+        console.error('Error al obtener requisito de apuesta:', error);
+        res.status(500).json( {
+            message: 'Error al obtener el requisito de apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * createWageringRequirement
+ *
+ * Crea un requisito de apuesta para un bono o una freebet
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.body - Reglas del requisito (ver validateWageringRequirement)
+ * @param {number} req.body.idBookMaker - ID de la casa de apuestas
+ * @param {number} [req.body.idFreebet] - ID de la freebet a la que se aplica
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Requisito creado
+ *
+ * @example
+ * POST /api/wagering-requirements
+ * Body: { "idBookMaker": 1, "idPromotion": 3, "amount": 50, "rolloverMultiple": 2, "minOdds": 1.5 }
+ */
+const createWageringRequirement = async ( req, res ) => {
+    try {
+        const { idBookMaker, idFreebet, ...rules } = req.body;
+
+        if ( !idBookMaker ) {
+            return res.status(400).json( {
+                message: 'El campo idBookMaker es obligatorio'
+            } );
+        }
+
+        const bookMaker = await dbGet( 'SELECT id FROM bookMakers WHERE id = ?', [ idBookMaker ] );
+
+        if ( !bookMaker ) {
+            return res.status(404).json( {
+                message: 'La casa de apuestas especificada no existe'
+            } );
+        }
+
+        // Una freebet solo puede tener un requisito y de su misma casa
+        if ( idFreebet ) {
+            const freebet = await dbGet( 'SELECT id, idBookMaker, amount FROM freebets WHERE id = ?', [ idFreebet ] );
+
+            if ( !freebet ) {
+                return res.status(404).json( {
+                    message: 'La freebet especificada no existe'
+                } );
+            }
+
+            if ( Number( freebet.idBookMaker ) !== Number( idBookMaker ) ) {
+                return res.status(400).json( {
+                    message: 'La freebet debe ser de la misma casa de apuestas'
+                } );
+            }
+
+            const existing = await dbGet( 'SELECT id FROM wageringRequirements WHERE idFreebet = ?', [ idFreebet ] );
+
+            if ( existing ) {
+                return res.status(409).json( {
+                    message: 'La freebet ya tiene un requisito de apuesta',
+                    idRequirement: existing.id
+                } );
+            }
+
+            rules.amount ??= freebet.amount;
+        }
+
+        const validationError = validateWageringRequirement( rules );
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        const promotionError = await findPromotionError( rules.idPromotion, idBookMaker );
+        if ( promotionError ) {
+            return res.status( promotionError.status ).json( {
+                message: promotionError.message
+            } );
+        }
+
+        const requirement = normalizeWageringRequirement( rules );
+
+        const result = await dbRun(
+            `INSERT INTO wageringRequirements (
+                idBookMaker, idFreebet, idPromotion, amount, rolloverMultiple,
+                minOdds, minStake, markets, deadline, info
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                idBookMaker, idFreebet || null, requirement.idPromotion, requirement.amount,
+                requirement.rolloverMultiple, requirement.minOdds, requirement.minStake,
+                requirement.markets, requirement.deadline, requirement.info
+            ]
+        );
+
+        res.status(201).json( {
+            message: 'Requisito de apuesta creado con éxito',
+            data: formatRequirement( {
+                id: result.insertId,
+                idBookMaker,
+                idFreebet: idFreebet || null,
+                ...requirement
+            } )
+        } );
+
+    } catch (error) {
+        console.error('Error al crear requisito de apuesta:', error);
+        res.status(500).json( {
+            message: 'Error al crear el requisito de apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * updateWageringRequirement
+ *
+ * Actualiza las reglas de un requisito de apuesta
+ * La casa de apuestas y la freebet no se pueden cambiar
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID del requisito
+ * @param {Object} req.body - Reglas a actualizar
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Requisito actualizado
+ */
+const updateWageringRequirement = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+        const { idPromotion, amount, rolloverMultiple, minOdds, minStake, markets, deadline, info } = req.body;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const existing = await dbGet( 'SELECT * FROM wageringRequirements WHERE id = ?', [ id ] );
+
+        if ( !existing ) {
+            return res.status(404).json( {
+                message: `No se encontró el requisito de apuesta con ID ${ id }`
+            } );
+        }
+
+        // Validar las reglas finales
+        const rules = {
+            idPromotion: idPromotion ?? existing.idPromotion,
+            amount: amount ?? existing.amount,
+            rolloverMultiple: rolloverMultiple ?? existing.rolloverMultiple,
+            minOdds: minOdds !== undefined ? minOdds : existing.minOdds,
+            minStake: minStake !== undefined ? minStake : existing.minStake,
+            markets: markets !== undefined ? markets : parseMarkets( existing.markets ),
+            deadline: deadline !== undefined ? deadline : existing.deadline,
+            info: info ?? existing.info
+        };
+
+        const validationError = validateWageringRequirement( rules );
+        if ( validationError ) {
+            return res.status(400).json( {
+                message: validationError
+            } );
+        }
+
+        if ( idPromotion ) {
+            const promotionError = await findPromotionError( idPromotion, existing.idBookMaker );
+            if ( promotionError ) {
+                return res.status( promotionError.status ).json( {
+                    message: promotionError.message
+                } );
+            }
+        }
+
+        const requirement = normalizeWageringRequirement( rules );
+
+        await dbRun(
+            `UPDATE wageringRequirements
+             SET idPromotion = ?, amount = ?, rolloverMultiple = ?, minOdds = ?,
+                 minStake = ?, markets = ?, deadline = ?, info = ?
+             WHERE id = ?`,
+            [
+                requirement.idPromotion, requirement.amount, requirement.rolloverMultiple,
+                requirement.minOdds, requirement.minStake, requirement.markets,
+                requirement.deadline, requirement.info, id
+            ]
+        );
+
+        const updated = await dbGet( 'SELECT * FROM wageringRequirements WHERE id = ?', [ id ] );
+
+        res.status(200).json( {
+            message: 'Requisito de apuesta actualizado con éxito',
+            data: formatRequirement( updated )
+        } );
+
+    } catch (error) {
+        console.error('Error al actualizar requisito de apuesta:', error);
+        res.status(500).json( {
+            message: 'Error al actualizar el requisito de apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+/**
+ * deleteWageringRequirement
+ *
+ * Elimina un requisito de apuesta (las apuestas conservan su promoción)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} req.params - Parámetros de la solicitud
+ * @param {number} req.params.id - ID del requisito
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @throws {Error} Si ocurre un error interno en el servidor
+ * @returns {Object} Mensaje de confirmación de eliminación
+ */
+const deleteWageringRequirement = async ( req, res ) => {
+    try {
+        const { id } = req.params;
+
+        if ( !Number.isInteger( Number( id ) ) ) {
+            return res.status(400).json( {
+                message: 'El ID debe ser un número entero'
+            } );
+        }
+
+        const deleteResult = await dbRun( 'DELETE FROM wageringRequirements WHERE id = ?', [ id ] );
+
+        if ( deleteResult.affectedRows === 0 ) {
+            return res.status(404).json( {
+                message: `No se encontró el requisito de apuesta con ID ${ id }`
+            } );
+        }
+
+        res.status(200).json( {
+            message: 'Requisito de apuesta eliminado con éxito',
+            deletedId: id
+        } );
+
+    } catch (error) {
+        console.error('Error al eliminar requisito de apuesta:', error);
+        res.status(500).json( {
+            message: 'Error al eliminar el requisito de apuesta',
+            error: error.message
+        } );
+    }
+};
+
+
+export {
+    getWageringRequirements,
+    getWageringRequirementById,
+    createWageringRequirement,
+    updateWageringRequirement,
+    deleteWageringRequirement
+};
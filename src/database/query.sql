@@ -5,8 +5,62 @@ CREATE TABLE bookMakers(
     id INTEGER PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(100) NOT NULL UNIQUE,
     type VARCHAR(20) NOT NULL CHECK (type IN ('regular', 'exchange')),
-    comission NUMERIC NOT NULL CHECK (comission >= 0 AND comission <= 100),
-    initialBalance NUMERIC NOT NULL DEFAULT 0,
+    comission NUMERIC(5,2) NOT NULL CHECK (comission >= 0 AND comission <= 100),
+    initialBalance NUMERIC(10,2) NOT NULL DEFAULT 0,
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    info VARCHAR(500)
+);
+
+-- Historial de estado de cada cuenta (maxStake: stake máximo si está limitada)
+CREATE TABLE bookMakerStatuses(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBookMaker INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('active', 'promo-restricted', 'stake-limited', 'closed')),
+    date DATE NOT NULL,
+    maxStake NUMERIC(10,2) CHECK (maxStake > 0),
+    reason VARCHAR(500),
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id)
+);
+
+-- Saldos reales leídos en la web de cada casa de apuestas (uno por día)
+CREATE TABLE bookMakerBalances(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBookMaker INTEGER NOT NULL,
+    date DATE NOT NULL,
+    balance NUMERIC(10,2) NOT NULL,
+    info VARCHAR(500),
+    UNIQUE (idBookMaker, date),
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id)
+);
+
+-- Unidades de cada divisa por 1 EUR (divisa de referencia) en cada fecha
+CREATE TABLE fxRates(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    date DATE NOT NULL,
+    currency CHAR(3) NOT NULL,
+    rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+    UNIQUE (date, currency)
+);
+
+-- Promociones de cada casa de apuestas (timeSpent en minutos)
+CREATE TABLE promotions(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBookMaker INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('sign-up', 'reload', 'acca-insurance', 'price-boost', 'bog', '2up', 'other')),
+    startDate DATE,
+    endDate DATE,
+    terms VARCHAR(1000),
+    timeSpent INTEGER NOT NULL DEFAULT 0 CHECK (timeSpent >= 0),
+    info VARCHAR(500),
+    UNIQUE (idBookMaker, name),
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id)
+);
+
+CREATE TABLE matchedBets(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    date DATE NOT NULL,
+    event VARCHAR(200) NOT NULL,
     info VARCHAR(500)
 );
 
@@ -19,24 +73,106 @@ CREATE TABLE bets(
     eventDate DATE NOT NULL,
     event VARCHAR(200) NOT NULL,
     bet VARCHAR(200) NOT NULL,
-    stake NUMERIC NOT NULL CHECK (stake > 0),
-    odds NUMERIC NOT NULL CHECK (odds > 1),
-    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'won', 'lost')),
-    liability NUMERIC NOT NULL,
-    result NUMERIC NOT NULL,
-    idMB INTEGER NOT NULL,
-    promo VARCHAR(100),
+    stake NUMERIC(10,2) NOT NULL CHECK (stake > 0),
+    odds NUMERIC(10,4) NOT NULL CHECK (odds > 1),
+    oddsFraction VARCHAR(20),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'won', 'lost', 'placed', 'void', 'push', 'half-won', 'half-lost')),
+    liability NUMERIC(10,2) NOT NULL,
+    result NUMERIC(10,2) NOT NULL,
+    eachWay BOOLEAN NOT NULL DEFAULT FALSE,
+    placeFraction NUMERIC(5,4) CHECK (placeFraction > 0 AND placeFraction < 1),
+    places INTEGER CHECK (places > 0),
+    market VARCHAR(10) NOT NULL DEFAULT 'win' CHECK (market IN ('win', 'place')),
+    winResult NUMERIC(10,2),
+    placeResult NUMERIC(10,2),
+    isMultiple BOOLEAN NOT NULL DEFAULT FALSE,
+    matchStatus VARCHAR(20) NOT NULL DEFAULT 'matched' CHECK (matchStatus IN ('unmatched', 'partially-matched', 'matched')),
+    matchedStake NUMERIC(10,2),
+    unmatchedStake NUMERIC(10,2),
+    idSelection INTEGER,
+    idMB INTEGER,
+    idPromotion INTEGER,
     info VARCHAR(500),
-    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id)
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id),
+    FOREIGN KEY (idMB) REFERENCES matchedBets(id),
+    FOREIGN KEY (idPromotion) REFERENCES promotions(id)
+);
+
+CREATE TABLE betSelections(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBet INTEGER NOT NULL,
+    eventDate DATE NOT NULL,
+    event VARCHAR(200) NOT NULL,
+    bet VARCHAR(200) NOT NULL,
+    odds NUMERIC(10,4) NOT NULL CHECK (odds > 1),
+    oddsFraction VARCHAR(20),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'won', 'lost', 'void')),
+    FOREIGN KEY (idBet) REFERENCES bets(id)
+);
+
+CREATE TABLE betFills(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBet INTEGER NOT NULL,
+    fillDate DATE NOT NULL,
+    stake NUMERIC(10,2) NOT NULL CHECK (stake > 0),
+    odds NUMERIC(10,4) NOT NULL CHECK (odds > 1),
+    oddsFraction VARCHAR(20),
+    FOREIGN KEY (idBet) REFERENCES bets(id)
+);
+
+-- Las layBet de cada selección (lay-as-you-go) apuntan a la selección que cubren
+ALTER TABLE bets ADD FOREIGN KEY (idSelection) REFERENCES betSelections(id);
+
+-- Transferencias entre casas de apuestas (fee en la divisa de origen;
+-- receivedAmount es lo que llega a destino, ya descontada la comisión)
+CREATE TABLE transfers(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    date DATE NOT NULL,
+    idFromBookMaker INTEGER NOT NULL,
+    idToBookMaker INTEGER NOT NULL,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fee >= 0),
+    receivedAmount NUMERIC(10,2) NOT NULL CHECK (receivedAmount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('in-transit', 'completed')),
+    arrivalDate DATE,
+    info VARCHAR(500),
+    CHECK (idFromBookMaker <> idToBookMaker),
+    FOREIGN KEY (idFromBookMaker) REFERENCES bookMakers(id),
+    FOREIGN KEY (idToBookMaker) REFERENCES bookMakers(id)
 );
 
+-- Cuentas bancarias, monederos electrónicos y tarjetas desde las que se
+-- deposita o a las que se retira (withdrawalDays: días habituales de un retiro)
+CREATE TABLE fundingSources(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('bank', 'e-wallet', 'card', 'other')),
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    withdrawalDays INTEGER NOT NULL DEFAULT 3 CHECK (withdrawalDays >= 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    info VARCHAR(500)
+);
+
+-- status: ciclo de los retiros (requested → processing → completed | reversed);
+-- expectedDate: llegada prevista del retiro, completedDate: llegada real;
+-- fee: comisiones o margen de cambio del monedero/banco (no cambian el saldo de la casa)
 CREATE TABLE transactions(
     id INTEGER PRIMARY KEY AUTO_INCREMENT,
     date DATE NOT NULL ,
     idBookMaker INTEGER NOT NULL,
     type VARCHAR(20) NOT NULL CHECK (type IN ('deposit', 'withdrawal')),
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fee >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('requested', 'processing', 'completed', 'reversed')),
+    expectedDate DATE,
+    completedDate DATE,
+    idFundingSource INTEGER,
+    idTransfer INTEGER,
     info VARCHAR(500),
-    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id)
+    CHECK (type = 'withdrawal' OR status = 'completed'),
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id),
+    FOREIGN KEY (idFundingSource) REFERENCES fundingSources(id),
+    FOREIGN KEY (idTransfer) REFERENCES transfers(id)
 );
 
 CREATE TABLE freebets(
@@ -44,18 +180,109 @@ CREATE TABLE freebets(
     idBookMaker INTEGER NOT NULL,
     date DATE NOT NULL,
     type VARCHAR(20) NOT NULL CHECK (type IN ('freebet-on-win', 'freebet-on-loss', 'bet-and-get', 'loyalty', 'other')),
-    amount NUMERIC,
+    amount NUMERIC(10,2),
     event VARCHAR(200) NOT NULL,
     bet VARCHAR(200),
-    requirements VARCHAR(500),
-    status VARCHAR(20) NOT NULL CHECK (status IN ('received', 'pending', 'rejected', 'claiming', 'other')),
-    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id)
+    status VARCHAR(20) NOT NULL CHECK (status IN ('received', 'pending', 'rejected', 'claiming', 'expired', 'other')),
+    expiresAt DATETIME,
+    idQualifyingBet INTEGER,
+    idPromotion INTEGER,
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id),
+    FOREIGN KEY (idQualifyingBet) REFERENCES bets(id),
+    FOREIGN KEY (idPromotion) REFERENCES promotions(id)
+);
+
+-- Requisitos de apuesta (rollover) de un bono o de una freebet
+-- Cuentan las apuestas etiquetadas con la promoción (bets.idPromotion)
+CREATE TABLE wageringRequirements(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBookMaker INTEGER NOT NULL,
+    idFreebet INTEGER UNIQUE,
+    idPromotion INTEGER NOT NULL,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    rolloverMultiple NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (rolloverMultiple > 0),
+    minOdds NUMERIC(10,4) CHECK (minOdds > 1),
+    minStake NUMERIC(10,2) CHECK (minStake > 0),
+    markets VARCHAR(100),
+    deadline DATETIME,
+    info VARCHAR(500),
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id),
+    FOREIGN KEY (idFreebet) REFERENCES freebets(id),
+    FOREIGN KEY (idPromotion) REFERENCES promotions(id)
+);
+
+-- Apuestas que consumen (total o parcialmente) cada freebet
+CREATE TABLE freebetUsages(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idFreebet INTEGER NOT NULL,
+    idBet INTEGER NOT NULL,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    UNIQUE (idFreebet, idBet),
+    FOREIGN KEY (idFreebet) REFERENCES freebets(id),
+    FOREIGN KEY (idBet) REFERENCES bets(id)
+);
+
+-- Ofertas que se repiten cada semana (weekdays: "6,7", 1 = lunes ... 7 = domingo)
+CREATE TABLE offerTemplates(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idBookMaker INTEGER NOT NULL,
+    idPromotion INTEGER,
+    name VARCHAR(100) NOT NULL,
+    freebetType VARCHAR(20) NOT NULL CHECK (freebetType IN ('bet-and-get', 'loyalty')),
+    weekdays VARCHAR(20) NOT NULL,
+    qualifyingStake NUMERIC(10,2) CHECK (qualifyingStake > 0),
+    minOdds NUMERIC(10,4) CHECK (minOdds > 1),
+    rewardAmount NUMERIC(10,2) CHECK (rewardAmount > 0),
+    startDate DATE,
+    endDate DATE,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    info VARCHAR(500),
+    FOREIGN KEY (idBookMaker) REFERENCES bookMakers(id),
+    FOREIGN KEY (idPromotion) REFERENCES promotions(id)
+);
+
+-- Cada fecha concreta de una oferta recurrente (idFreebet: recompensa obtenida)
+CREATE TABLE offerInstances(
+    id INTEGER PRIMARY KEY AUTO_INCREMENT,
+    idTemplate INTEGER NOT NULL,
+    date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'skipped')),
+    idFreebet INTEGER,
+    UNIQUE (idTemplate, date),
+    FOREIGN KEY (idTemplate) REFERENCES offerTemplates(id),
+    FOREIGN KEY (idFreebet) REFERENCES freebets(id)
 );
 
 SELECT * FROM bookMakers;
 
+SELECT * FROM bookMakerStatuses;
+
+SELECT * FROM bookMakerBalances;
+
+SELECT * FROM fxRates;
+
+SELECT * FROM promotions;
+
+SELECT * FROM matchedBets;
+
 SELECT * FROM bets;
 
+SELECT * FROM betSelections;
+
+SELECT * FROM betFills;
+
+SELECT * FROM fundingSources;
+
+SELECT * FROM transfers;
+
 SELECT * FROM transactions;
 
-SELECT * FROM freebets;
\ No newline at end of file
+SELECT * FROM freebets;
+
+SELECT * FROM freebetUsages;
+
+SELECT * FROM wageringRequirements;
+
+SELECT * FROM offerTemplates;
+
+SELECT * FROM offerInstances;
\ No newline at end of file
@@ -4,6 +4,7 @@ import morgan from 'morgan';
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url';
 import 'dotenv/config';
+import { startFreebetExpiryJob } from './jobs/freebetExpiry.js';
 // import cors from 'cors'   
 
 
@@ -30,7 +31,18 @@ app.use( express.json() );
 // app.use( '/api/bookies', bookMakersRoutes );
 // app.use( '/api/bets', betsRoutes );
 // app.use( '/api/transactions', transactionsRoutes );
+// app.use( '/api/transfers', transfersRoutes );
+// app.use( '/api/funding-sources', fundingSourcesRoutes );
 // app.use( '/api/freebets', freebetsRoutes );
+// app.use( '/api/matched-bets', matchedBetsRoutes );
+// app.use( '/api/calculators', calculatorsRoutes );
+// app.use( '/api/multiples', multiplesRoutes );
+// app.use( '/api/fx-rates', fxRatesRoutes );
+// app.use( '/api/wagering-requirements', wageringRequirementsRoutes );
+// app.use( '/api/promotions', promotionsRoutes );
+// app.use( '/api/offers', offersRoutes );
+// app.use( '/api/account-health', accountHealthRoutes );
+// app.use( '/api/reports', reportsRoutes );
 
 
 // Public files
@@ -39,5 +51,9 @@ app.use( express.static( join( __dirname, 'public' ) ) );
 
 
 // Run Server
-app.listen(app.get('port'), ()=>
-    console.log('Server listening on port', app.get('port')));
+app.listen(app.get('port'), ()=> {
+    console.log('Server listening on port', app.get('port'));
+
+    // Jobs
+    startFreebetExpiryJob();
+});
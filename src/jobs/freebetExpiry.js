@@ -0,0 +1,71 @@
+// jobs/freebetExpiry.js
+/**
+ * Tarea periódica de caducidad de freebets
+ *
+ * Marca como 'expired' las freebets activas cuya fecha de caducidad
+ * (expiresAt) ya ha pasado. Las freebets recibidas que ya se han usado
+ * por completo no caducan: no les queda saldo que perder.
+ * - expireFreebets: Ejecuta una pasada de caducidad
+ * - startFreebetExpiryJob: Programa la tarea cada FREEBET_EXPIRY_INTERVAL_MINUTES (60 por defecto)
+ */
+import { dbRun } from '../utils/helpers.js';
+
+/**
+ * Estados de una freebet que todavía puede usarse o recibirse y por tanto caducar
+ */
+const EXPIRABLE_FREEBET_STATUSES = [ 'received', 'pending', 'claiming' ];
+
+/**
+ * Marca como caducadas las freebets activas con la fecha de caducidad vencida
+ *
+ * @returns {Promise<number>} Número de freebets caducadas
+ */
+const expireFreebets = async () => {
+    const { affectedRows } = await dbRun(
+        `UPDATE freebets f
+         SET f.status = 'expired'
+         WHERE f.status IN (?)
+         AND f.expiresAt <= NOW()
+         AND f.amount > COALESCE((
+             SELECT SUM(u.amount) FROM freebetUsages u WHERE u.idFreebet = f.id
+         ), 0)`,
+        [ EXPIRABLE_FREEBET_STATUSES ]
+    );
+
+    return affectedRows;
+};
+
+/**
+ * Programa la caducidad periódica de freebets
+ * La primera pasada se ejecuta al arrancar; los errores se registran sin detener la tarea
+ *
+ * @param {number} [intervalMinutes] - Minutos entre pasadas (FREEBET_EXPIRY_INTERVAL_MINUTES o 60)
+ * @returns {NodeJS.Timeout} Temporizador de la tarea (para poder detenerla con clearInterval)
+ *
+ * @example
+ * startFreebetExpiryJob( 15 );
+ */
+const startFreebetExpiryJob = ( intervalMinutes = Number( process.env.FREEBET_EXPIRY_INTERVAL_MINUTES ) || 60 ) => {
+    const run = async () => {
+        try {
+            const expired = await expireFreebets();
+            if ( expired ) {
+                console.log(`Freebets caducadas: ${ expired }`);
+            }
+        } catch (error) {
+            console.error('Error al caducar freebets:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval( run, intervalMinutes * 60 * 1000 );
+    timer.unref();
+
+    return timer;
+};
+
+export {
+    EXPIRABLE_FREEBET_STATUSES,
+    expireFreebets,
+    startFreebetExpiryJob
+};
@@ -0,0 +1,151 @@
+// middlewares/csvExport.js
+/**
+ * Middleware de exportación a CSV
+ *
+ * Si una solicitud GET pide CSV (?format=csv o cabecera Accept: text/csv),
+ * adapta res.json para devolver el cuerpo como un documento CSV descargable
+ * en lugar de JSON. Las respuestas de error (4xx/5xx) se siguen devolviendo
+ * en JSON. En los resúmenes (objetos) ?rows elige la lista a exportar (ej.
+ * ?rows=byBookMaker); sin ella el objeto se exporta en una única fila.
+ * Los resúmenes se calculan enteros en memoria y solo su escritura va por
+ * bloques. Los listados (apuestas, transacciones, freebets y casas de
+ * apuestas) usan res.csvRows para enviar las filas a medida que llegan de la
+ * base de datos, sin cargar la lista entera.
+ * Se registra antes que oddsFormat para que las cuotas ya lleguen convertidas.
+ */
+import {
+    wantsCsv,
+    parseCsvOptions,
+    csvRowsFromBody,
+    csvColumns,
+    streamCsv
+} from '../utils/csv.js';
+
+/**
+ * Nombre del fichero descargado a partir de la ruta de la solicitud
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @returns {string} Nombre del fichero (ej. bets-summary-monthly.csv)
+ */
+const csvFileName = ( req ) => {
+    const name = `${ req.baseUrl }${ req.path }`
+        .replace( /[^a-zA-Z0-9]+/g, '-' )
+        .replace( /^-+|-+$/g, '' )
+        .replace( /^api-/, '' );
+    return `${ name || 'export' }.csv`;
+};
+
+/**
+ * Filas de un generador asíncrono cuya primera fila ya se ha leído, con una
+ * conversión aplicada a cada una
+ * Si se dejan de recorrer antes de tiempo se cierra el generador de origen
+ * (ej. dbStream devuelve su conexión)
+ *
+ * @param {Object} first - Primera fila
+ * @param {AsyncGenerator<Object>} rest - Resto de filas
+ * @param {Function} mapRow - Conversión de cada fila
+ * @returns {AsyncGenerator<Object>} Filas convertidas
+ */
+const rowsFrom = async function* ( first, rest, mapRow ) {
+    try {
+        yield mapRow( first );
+        for await ( const row of rest ) {
+            yield mapRow( row );
+        }
+    } finally {
+        await rest.return();
+    }
+};
+
+/**
+ * Valida las opciones del CSV y adapta res.json para devolverlo
+ * Añade res.csvRows( rows, mapRow ) para exportar un listado por streaming:
+ * recibe las filas de dbStream y, como la versión JSON, responde 204 si no hay
+ * ninguna. Las columnas salen de la primera fila
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.format] - Formato de la respuesta (json/csv)
+ * @param {string} [req.query.delimiter] - Delimitador de campos (por defecto CSV_DELIMITER o ',')
+ * @param {string} [req.query.decimalSeparator] - Separador decimal (por defecto CSV_DECIMAL_SEPARATOR o '.')
+ * @param {string} [req.query.rows] - Parte del resumen a exportar (ej. byBookMaker)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ *
+ * @example
+ * GET /api/bets?format=csv&delimiter=;&decimalSeparator=,
+ * GET /api/transactions/summary/deposits?rows=byBookMaker (cabecera Accept: text/csv)
+ */
+const csvExport = ( req, res, next ) => {
+    if ( req.method !== 'GET' ) {
+        return next();
+    }
+
+    if ( req.query.format && ![ 'json', 'csv' ].includes( req.query.format ) ) {
+        return res.status(400).json( {
+            message: 'El formato debe ser uno de: json, csv'
+        } );
+    }
+
+    if ( !wantsCsv( req ) ) {
+        return next();
+    }
+
+    const options = parseCsvOptions( req );
+    if ( options.error ) {
+        return res.status(400).json( {
+            message: options.error
+        } );
+    }
+
+    const json = res.json.bind( res );
+    res.json = ( body ) => {
+        if ( res.statusCode >= 400 ) {
+            return json( body );
+        }
+
+        const rows = csvRowsFromBody( body, req.query.rows );
+        if ( !rows ) {
+            res.status(400);
+            return json( {
+                message: `La respuesta no contiene ${ req.query.rows }`
+            } );
+        }
+
+        res.set( 'Content-Type', 'text/csv; charset=utf-8' );
+        if ( !res.get( 'Content-Disposition' ) ) {
+            res.attachment( csvFileName( req ) );
+        }
+
+        streamCsv( res, rows, csvColumns( rows ), options ).catch( error => {
+            console.error('Error al exportar a CSV:', error);
+            res.destroy( error );
+        } );
+
+        return res;
+    };
+
+    res.csvRows = async ( rows, mapRow = ( row ) => row ) => {
+        // Un error en la consulta llega aquí, antes de escribir nada, y lo responde el controlador
+        const first = await rows.next();
+        if ( first.done ) {
+            return res.status(204).send();
+        }
+
+        res.set( 'Content-Type', 'text/csv; charset=utf-8' );
+        if ( !res.get( 'Content-Disposition' ) ) {
+            res.attachment( csvFileName( req ) );
+        }
+
+        try {
+            await streamCsv( res, rowsFrom( first.value, rows, mapRow ), csvColumns( [ first.value ] ), options );
+        } catch (error) {
+            // Con la descarga empezada ya no se puede responder con un error en JSON
+            console.error('Error al exportar a CSV:', error);
+            res.destroy( error );
+        }
+    };
+
+    next();
+};
+
+export { csvExport };
@@ -0,0 +1,77 @@
+// middlewares/oddsFormat.js
+/**
+ * Middleware de formato de cuotas
+ * 
+ * Lee el formato de cuota preferido del parámetro de consulta oddsFormat
+ * o de la cabecera X-Odds-Format (decimal por defecto) y convierte las
+ * cuotas de la respuesta JSON (o de cada fila de un listado exportado a
+ * CSV por streaming, ver csvExport) a ese formato. Las cuotas se guardan
+ * siempre en decimal; la fracción exacta (oddsFraction) se usa cuando existe.
+ */
+import { ODDS_FORMATS, formatOdds } from '../utils/betCalculations.js';
+
+/**
+ * Campos de la respuesta que contienen cuotas decimales
+ */
+const ODDS_FIELDS = [ 'odds', 'averageOdds', 'backOdds', 'layOdds', 'combinedOdds' ];
+
+/**
+ * Convierte recursivamente las cuotas de un cuerpo de respuesta
+ * 
+ * @param {*} value - Cuerpo de la respuesta o parte de él
+ * @param {string} format - Formato de salida (fractional/american)
+ * @returns {*} Copia del valor con las cuotas convertidas
+ */
+const convertOdds = ( value, format ) => {
+    if ( Array.isArray( value ) ) {
+        return value.map( item => convertOdds( item, format ) );
+    }
+
+    if ( !value || typeof value !== 'object' || value instanceof Date ) {
+        return value;
+    }
+
+    return Object.fromEntries( Object.entries( value ).map( ( [ key, field ] ) => [
+        key,
+        ODDS_FIELDS.includes( key ) && field !== null && field !== undefined
+            ? formatOdds( field, format, key === 'odds' ? value.oddsFraction : null )
+            : convertOdds( field, format )
+    ] ) );
+};
+
+/**
+ * Valida el formato de cuota solicitado y adapta res.json para devolverlo
+ * 
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.oddsFormat] - Formato de cuota (decimal/fractional/american)
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ * 
+ * @example
+ * GET /api/bets?oddsFormat=fractional
+ * GET /api/bets (cabecera X-Odds-Format: american)
+ */
+const oddsFormat = ( req, res, next ) => {
+    const format = req.query.oddsFormat || req.get( 'X-Odds-Format' ) || 'decimal';
+
+    if ( !ODDS_FORMATS.includes( format ) ) {
+        return res.status(400).json( {
+            message: `El formato de cuota debe ser uno de: ${ ODDS_FORMATS.join(', ') }`
+        } );
+    }
+
+    if ( format !== 'decimal' ) {
+        const json = res.json.bind( res );
+        res.json = ( body ) => json( convertOdds( body, format ) );
+
+        if ( res.csvRows ) {
+            const csvRows = res.csvRows;
+            res.csvRows = ( rows, mapRow = ( row ) => row ) =>
+                csvRows( rows, ( row ) => convertOdds( mapRow( row ), format ) );
+        }
+    }
+
+    next();
+};
+
+export { oddsFormat };
@@ -0,0 +1,32 @@
+/**
+ * Router para la salud de las cuentas y la planificación de mug bets
+ * @module routes/accountHealth
+ */
+import { Router } from 'express';
+import {
+    getAccountHealth,
+    getAccountHealthById,
+    getMugBetPlan
+} from '../controllers/accountHealth.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene la puntuación de salud de las casas de apuestas
+ * @route GET /api/account-health
+ */
+router.get('/', getAccountHealth);
+
+/**
+ * Sugiere las mug bets de la semana por cuenta
+ * @route GET /api/account-health/mug-plan
+ */
+router.get('/mug-plan', getMugBetPlan);
+
+/**
+ * Obtiene la puntuación de salud de una casa de apuestas
+ * @route GET /api/account-health/:idBookMaker
+ */
+router.get('/:idBookMaker', getAccountHealthById);
+
+export default router;
@@ -8,14 +8,32 @@ import {
     getBetById,
     createBet,
     updateBet,
+    settleBet,
+    settleBets,
+    getBetFills,
+    createBetFill,
+    deleteBetFill,
+    cancelUnmatched,
     deleteBet,
     getBetsByBookMaker,
     getBetsByType,
-    getBetStats
+    getBetStats,
+    getBetsByStatus,
+    getBetsByPeriod,
+    getDailyBetsSummary,
+    getMonthlyBetsSummary
 } from '../controllers/bets.controller.js';
+import { csvExport } from '../middlewares/csvExport.js';
+import { oddsFormat } from '../middlewares/oddsFormat.js';
 
 const router = Router();
 
+// Devuelve los GET en CSV si se piden (?format=csv o cabecera Accept: text/csv)
+router.use(csvExport);
+
+// Devuelve las cuotas en el formato solicitado (?oddsFormat o cabecera X-Odds-Format)
+router.use(oddsFormat);
+
 // Rutas CRUD
 /**
  * Obtiene todas las apuestas
@@ -41,6 +59,42 @@ router.post('/', createBet);
  */
 router.put('/:id', updateBet);
 
+/**
+ * Resuelve varias apuestas (por lista o por evento) en una transacción
+ * @route POST /api/bets/settle
+ */
+router.post('/settle', settleBets);
+
+/**
+ * Resuelve una apuesta con su estado final
+ * @route POST /api/bets/:id/settle
+ */
+router.post('/:id/settle', settleBet);
+
+/**
+ * Obtiene los tramos casados de una layBet
+ * @route GET /api/bets/:id/fills
+ */
+router.get('/:id/fills', getBetFills);
+
+/**
+ * Registra un tramo casado de una layBet
+ * @route POST /api/bets/:id/fills
+ */
+router.post('/:id/fills', createBetFill);
+
+/**
+ * Elimina un tramo casado de una layBet
+ * @route DELETE /api/bets/:id/fills/:idFill
+ */
+router.delete('/:id/fills/:idFill', deleteBetFill);
+
+/**
+ * Cancela la parte no casada de una layBet
+ * @route POST /api/bets/:id/cancel-unmatched
+ */
+router.post('/:id/cancel-unmatched', cancelUnmatched);
+
 /**
  * Elimina una apuesta
  * @route DELETE /api/bets/:id
@@ -53,7 +107,7 @@ router.get('/type/:betType', getBetsByType);
 router.get('/stats/summary', getBetStats);
 
 // Obtener apuestas por estado
-router.get('/status/:status', getBetsByStatus);  // pending/won/lost
+router.get('/status/:status', getBetsByStatus);  // pending/won/lost/placed/void/push/half-won/half-lost
 
 // Obtener apuestas por período
 router.get('/period/:startDate/:endDate', getBetsByPeriod);
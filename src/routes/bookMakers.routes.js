@@ -8,17 +8,39 @@ import {
     getBookMakerById,
     createBookMaker,
     updateBookMaker,
-    deleteBookMaker
+    deleteBookMaker,
+    getBookMakerActivity,
+    getBookMakerPerformance,
+    getBookMakerBalance,
+    getBookMakerBalanceHistory,
+    getBalanceHistory,
+    getBookMakerBalanceSnapshots,
+    createBookMakerBalanceSnapshot,
+    deleteBookMakerBalanceSnapshot,
+    getBookMakerReconciliation,
+    getBookMakerStatusHistory,
+    createBookMakerStatus,
+    deleteBookMakerStatus
 } from '../controllers/bookMakers.controller.js';
+import { csvExport } from '../middlewares/csvExport.js';
 
 const router = Router();
 
+// Devuelve los GET en CSV si se piden (?format=csv o cabecera Accept: text/csv)
+router.use(csvExport);
+
 /**
  * @swagger
  * /api/bookMakers:
  *   get:
  *     summary: Obtiene todas las casas de apuestas
  *     tags: [BookMakers]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Estados de la cuenta separados por comas (active, promo-restricted, stake-limited, closed)
  *     responses:
  *       200:
  *         description: Lista de casas de apuestas
@@ -27,6 +49,12 @@ const router = Router();
  */
 router.get('/', getBookMakers);
 
+/**
+ * Obtiene la serie diaria del saldo de todas las casas de apuestas
+ * @route GET /api/bookMakers/balance-history
+ */
+router.get('/balance-history', getBalanceHistory);
+
 /**
  * @swagger
  * /api/bookMakers/{id}:
@@ -73,6 +101,9 @@ router.get('/:id', getBookMakerById);
  *                 type: number
  *                 minimum: 0
  *                 maximum: 100
+ *               currency:
+ *                 type: string
+ *                 example: EUR
  *               info:
  *                 type: string
  *     responses:
@@ -108,6 +139,8 @@ router.post('/', createBookMaker);
  *                 enum: [regular, exchange]
  *               comission:
  *                 type: number
+ *               currency:
+ *                 type: string
  *               info:
  *                 type: string
  *     responses:
@@ -149,10 +182,65 @@ router.get('/:id/activity', getBookMakerActivity);
 
 /**
  * Obtiene análisis de rendimiento de una casa de apuestas
+ * Query: status - solo apuestas hechas con la cuenta en esos estados
  * @route GET /api/bookMakers/:id/performance
  */
 router.get('/:id/performance', getBookMakerPerformance);
 
+/**
+ * Obtiene el saldo calculado (actual o en ?date) y el último saldo real
+ * @route GET /api/bookMakers/:id/balance
+ */
+router.get('/:id/balance', getBookMakerBalance);
+
+/**
+ * Obtiene la serie diaria del saldo y la responsabilidad abierta
+ * @route GET /api/bookMakers/:id/balance-history
+ */
+router.get('/:id/balance-history', getBookMakerBalanceHistory);
+
+/**
+ * Obtiene los saldos reales registrados
+ * @route GET /api/bookMakers/:id/balance/snapshots
+ */
+router.get('/:id/balance/snapshots', getBookMakerBalanceSnapshots);
+
+/**
+ * Registra el saldo real leído en la web de la casa de apuestas
+ * @route POST /api/bookMakers/:id/balance/snapshots
+ */
+router.post('/:id/balance/snapshots', createBookMakerBalanceSnapshot);
+
+/**
+ * Elimina un saldo real registrado
+ * @route DELETE /api/bookMakers/:id/balance/snapshots/:idSnapshot
+ */
+router.delete('/:id/balance/snapshots/:idSnapshot', deleteBookMakerBalanceSnapshot);
+
+/**
+ * Compara los saldos reales con los calculados y marca las discrepancias
+ * @route GET /api/bookMakers/:id/reconciliation
+ */
+router.get('/:id/reconciliation', getBookMakerReconciliation);
+
+/**
+ * Obtiene el historial de estados de la cuenta
+ * @route GET /api/bookMakers/:id/status-history
+ */
+router.get('/:id/status-history', getBookMakerStatusHistory);
+
+/**
+ * Registra un cambio de estado de la cuenta (restricción, límite de stake, cierre)
+ * @route POST /api/bookMakers/:id/status
+ */
+router.post('/:id/status', createBookMakerStatus);
+
+/**
+ * Elimina un registro del historial de estados
+ * @route DELETE /api/bookMakers/:id/status/:idStatus
+ */
+router.delete('/:id/status/:idStatus', deleteBookMakerStatus);
+
 
 
 
@@ -0,0 +1,36 @@
+/**
+ * Router para las calculadoras de matched betting
+ * @module routes/calculators
+ */
+import { Router } from 'express';
+import {
+    calculateQualifyingBet,
+    calculateSnrFreebet,
+    calculateSrFreebet
+} from '../controllers/calculators.controller.js';
+import { oddsFormat } from '../middlewares/oddsFormat.js';
+
+const router = Router();
+
+// Devuelve las cuotas en el formato solicitado (?oddsFormat o cabecera X-Odds-Format)
+router.use(oddsFormat);
+
+/**
+ * Calcula la apuesta lay de una apuesta de calificación
+ * @route POST /api/calculators/qualifying
+ */
+router.post('/qualifying', calculateQualifyingBet);
+
+/**
+ * Calcula la apuesta lay de una freebet sin devolución del stake
+ * @route POST /api/calculators/snr
+ */
+router.post('/snr', calculateSnrFreebet);
+
+/**
+ * Calcula la apuesta lay de una freebet con devolución del stake
+ * @route POST /api/calculators/sr
+ */
+router.post('/sr', calculateSrFreebet);
+
+export default router;
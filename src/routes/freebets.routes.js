@@ -11,11 +11,43 @@ import {
     deleteFreebet,
     getFreebetsByBookMaker,
     getFreebetsByStatus,
-    getFreebetStats
+    getFreebetStats,
+    getExpiringFreebets,
+    runFreebetExpiry,
+    getFreebetsByValue,
+    getFreebetConversionRate,
+    getFreebetUsages,
+    createFreebetUsage,
+    deleteFreebetUsage,
+    getUnusedFreebets
 } from '../controllers/freebets.controller.js';
+import { csvExport } from '../middlewares/csvExport.js';
 
 const router = Router();
 
+// Devuelve los GET en CSV si se piden (?format=csv o cabecera Accept: text/csv)
+router.use(csvExport);
+
+// Rutas de un solo segmento (antes de /:id para que no se interpreten como un ID)
+/**
+ * Obtiene las freebets que caducan pronto, por tiempo restante y valor
+ * @route GET /api/freebets/expiring
+ */
+router.get('/expiring', getExpiringFreebets);
+router.get('/conversion-rate', getFreebetConversionRate);
+
+/**
+ * Caduca en el momento las freebets vencidas
+ * @route POST /api/freebets/expire
+ */
+router.post('/expire', runFreebetExpiry);
+
+/**
+ * Obtiene el saldo de freebets sin usar por casa de apuestas
+ * @route GET /api/freebets/unused
+ */
+router.get('/unused', getUnusedFreebets);
+
 // Rutas CRUD
 /**
  * Obtiene todas las freebets
@@ -47,14 +79,31 @@ router.put('/:id', updateFreebet);
  */
 router.delete('/:id', deleteFreebet);
 
+// Rutas de uso de la freebet
+/**
+ * Obtiene las apuestas que han usado una freebet
+ * @route GET /api/freebets/:id/usages
+ */
+router.get('/:id/usages', getFreebetUsages);
+
+/**
+ * Vincula una apuesta que usa la freebet
+ * @route POST /api/freebets/:id/usages
+ */
+router.post('/:id/usages', createFreebetUsage);
+
+/**
+ * Desvincula una apuesta de la freebet
+ * @route DELETE /api/freebets/:id/usages/:idUsage
+ */
+router.delete('/:id/usages/:idUsage', deleteFreebetUsage);
+
 // Rutas adicionales
 router.get('/bookmaker/:idBookMaker', getFreebetsByBookMaker);
 router.get('/status/:status', getFreebetsByStatus);
 router.get('/stats/summary', getFreebetStats);
 
 // Rutas adicionales para análisis de freebets
-router.get('/expiring', getExpiringFreebets);
 router.get('/value/:minAmount', getFreebetsByValue);
-router.get('/conversion-rate', getFreebetConversionRate);
 
 export default router;
\ No newline at end of file
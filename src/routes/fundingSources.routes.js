@@ -0,0 +1,46 @@
+/**
+ * Router para las fuentes de fondos
+ * @module routes/fundingSources
+ */
+import { Router } from 'express';
+import {
+    getFundingSources,
+    getFundingSourceById,
+    createFundingSource,
+    updateFundingSource,
+    deleteFundingSource
+} from '../controllers/fundingSources.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene las fuentes de fondos con sus totales
+ * @route GET /api/funding-sources
+ */
+router.get('/', getFundingSources);
+
+/**
+ * Obtiene una fuente de fondos con sus retiros en curso
+ * @route GET /api/funding-sources/:id
+ */
+router.get('/:id', getFundingSourceById);
+
+/**
+ * Crea una fuente de fondos
+ * @route POST /api/funding-sources
+ */
+router.post('/', createFundingSource);
+
+/**
+ * Actualiza una fuente de fondos
+ * @route PUT /api/funding-sources/:id
+ */
+router.put('/:id', updateFundingSource);
+
+/**
+ * Elimina una fuente de fondos sin transacciones
+ * @route DELETE /api/funding-sources/:id
+ */
+router.delete('/:id', deleteFundingSource);
+
+export default router;
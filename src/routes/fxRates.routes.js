@@ -0,0 +1,39 @@
+/**
+ * Router para la gestión de tipos de cambio
+ * @module routes/fxRates
+ */
+import { Router } from 'express';
+import {
+    getFxRates,
+    createFxRates,
+    importFxRates,
+    deleteFxRate
+} from '../controllers/fxRates.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene los tipos de cambio
+ * @route GET /api/fx-rates
+ */
+router.get('/', getFxRates);
+
+/**
+ * Guarda uno o varios tipos de cambio
+ * @route POST /api/fx-rates
+ */
+router.post('/', createFxRates);
+
+/**
+ * Importa los tipos de cambio de la fuente configurada (FX_RATES_SOURCE)
+ * @route POST /api/fx-rates/import
+ */
+router.post('/import', importFxRates);
+
+/**
+ * Elimina un tipo de cambio
+ * @route DELETE /api/fx-rates/:id
+ */
+router.delete('/:id', deleteFxRate);
+
+export default router;
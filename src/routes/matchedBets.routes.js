@@ -0,0 +1,43 @@
+/**
+ * Router para la gestión de apuestas emparejadas (matched bets)
+ * @module routes/matchedBets
+ */
+import { Router } from 'express';
+import {
+    getMatchedBets,
+    getMatchedBetById,
+    createMatchedBet,
+    deleteMatchedBet
+} from '../controllers/matchedBets.controller.js';
+import { oddsFormat } from '../middlewares/oddsFormat.js';
+
+const router = Router();
+
+// Devuelve las cuotas en el formato solicitado (?oddsFormat o cabecera X-Odds-Format)
+router.use(oddsFormat);
+
+/**
+ * Obtiene todos los matched bets con sus piernas y su resumen
+ * @route GET /api/matched-bets
+ */
+router.get('/', getMatchedBets);
+
+/**
+ * Obtiene un matched bet específico por su ID
+ * @route GET /api/matched-bets/:id
+ */
+router.get('/:id', getMatchedBetById);
+
+/**
+ * Crea un matched bet con sus piernas en una única transacción
+ * @route POST /api/matched-bets
+ */
+router.post('/', createMatchedBet);
+
+/**
+ * Elimina un matched bet y sus piernas
+ * @route DELETE /api/matched-bets/:id
+ */
+router.delete('/:id', deleteMatchedBet);
+
+export default router;
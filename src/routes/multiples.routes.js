@@ -0,0 +1,59 @@
+/**
+ * Router para la gestión de apuestas múltiples (acumuladas)
+ * @module routes/multiples
+ */
+import { Router } from 'express';
+import {
+    getMultiples,
+    getMultipleById,
+    createMultiple,
+    settleSelection,
+    createSelectionLay,
+    deleteMultiple
+} from '../controllers/multiples.controller.js';
+import { oddsFormat } from '../middlewares/oddsFormat.js';
+
+const router = Router();
+
+// Devuelve las cuotas en el formato solicitado (?oddsFormat o cabecera X-Odds-Format)
+router.use(oddsFormat);
+
+// Rutas CRUD
+/**
+ * Obtiene todas las múltiples con sus selecciones
+ * @route GET /api/multiples
+ */
+router.get('/', getMultiples);
+
+/**
+ * Obtiene una múltiple con sus selecciones y sus layBet
+ * @route GET /api/multiples/:id
+ */
+router.get('/:id', getMultipleById);
+
+/**
+ * Crea una múltiple con sus selecciones
+ * @route POST /api/multiples
+ */
+router.post('/', createMultiple);
+
+/**
+ * Elimina una múltiple pendiente
+ * @route DELETE /api/multiples/:id
+ */
+router.delete('/:id', deleteMultiple);
+
+// Rutas de selecciones
+/**
+ * Resuelve una selección y recalcula la múltiple
+ * @route POST /api/multiples/:id/selections/:idSelection/settle
+ */
+router.post('/:id/selections/:idSelection/settle', settleSelection);
+
+/**
+ * Registra una layBet que cubre una selección (lay-as-you-go)
+ * @route POST /api/multiples/:id/selections/:idSelection/lay
+ */
+router.post('/:id/selections/:idSelection/lay', createSelectionLay);
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * Router para las ofertas recurrentes y su calendario semanal
+ * @module routes/offers
+ */
+import { Router } from 'express';
+import {
+    getOfferTemplates,
+    createOfferTemplate,
+    updateOfferTemplate,
+    deleteOfferTemplate,
+    generateOfferInstances,
+    getOfferCalendar,
+    updateOfferInstance
+} from '../controllers/offers.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene las plantillas de ofertas recurrentes
+ * @route GET /api/offers/templates
+ */
+router.get('/templates', getOfferTemplates);
+
+/**
+ * Crea una plantilla de oferta recurrente
+ * @route POST /api/offers/templates
+ */
+router.post('/templates', createOfferTemplate);
+
+/**
+ * Actualiza una plantilla de oferta
+ * @route PUT /api/offers/templates/:id
+ */
+router.put('/templates/:id', updateOfferTemplate);
+
+/**
+ * Elimina una plantilla de oferta y sus ofertas pendientes
+ * @route DELETE /api/offers/templates/:id
+ */
+router.delete('/templates/:id', deleteOfferTemplate);
+
+/**
+ * Genera las ofertas de las plantillas activas en un periodo
+ * @route POST /api/offers/generate
+ */
+router.post('/generate', generateOfferInstances);
+
+/**
+ * Obtiene las ofertas de la semana agrupadas por día
+ * @route GET /api/offers/calendar
+ */
+router.get('/calendar', getOfferCalendar);
+
+/**
+ * Marca una oferta como hecha u omitida
+ * @route PUT /api/offers/instances/:id
+ */
+router.put('/instances/:id', updateOfferInstance);
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * Router para la gestión del catálogo de promociones
+ * @module routes/promotions
+ */
+import { Router } from 'express';
+import {
+    getPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    addPromotionTime,
+    getPromotionsReport
+} from '../controllers/promotions.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene las promociones
+ * @route GET /api/promotions
+ */
+router.get('/', getPromotions);
+
+/**
+ * Beneficio, acierto y tiempo dedicado por promoción
+ * @route GET /api/promotions/report
+ */
+router.get('/report', getPromotionsReport);
+
+/**
+ * Obtiene una promoción con sus apuestas, freebets y requisitos
+ * @route GET /api/promotions/:id
+ */
+router.get('/:id', getPromotionById);
+
+/**
+ * Crea una promoción
+ * @route POST /api/promotions
+ */
+router.post('/', createPromotion);
+
+/**
+ * Suma minutos al tiempo dedicado a una promoción
+ * @route POST /api/promotions/:id/time
+ */
+router.post('/:id/time', addPromotionTime);
+
+/**
+ * Actualiza una promoción
+ * @route PUT /api/promotions/:id
+ */
+router.put('/:id', updatePromotion);
+
+/**
+ * Elimina una promoción
+ * @route DELETE /api/promotions/:id
+ */
+router.delete('/:id', deletePromotion);
+
+export default router;
@@ -0,0 +1,25 @@
+/**
+ * Router para los informes consolidados
+ * @module routes/reports
+ */
+import { Router } from 'express';
+import {
+    getPnlReport,
+    getTaxReport
+} from '../controllers/reports.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene la cuenta de resultados por periodo y por casa de apuestas
+ * @route GET /api/reports/pnl
+ */
+router.get('/pnl', getPnlReport);
+
+/**
+ * Obtiene el informe fiscal de un ejercicio (JSON o CSV)
+ * @route GET /api/reports/tax
+ */
+router.get('/tax', getTaxReport);
+
+export default router;
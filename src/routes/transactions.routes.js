@@ -13,11 +13,24 @@ import {
     getTransactionsByBookMaker,
     getTransactionsByType,
     getTransactionsByDateRange,
-    getTransactionStats
+    getTransactionStats,
+    // Análisis financiero
+    getBalanceByPeriod,
+    getMonthlyCashflow,
+    getDepositsSummary,
+    getWithdrawalsSummary,
+    getFeesSummary,
+    // Ciclo de los retiros
+    updateTransactionStatus,
+    getInFlightWithdrawals
 } from '../controllers/transactions.controller.js';
+import { csvExport } from '../middlewares/csvExport.js';
 
 const router = Router();
 
+// Devuelve los GET en CSV si se piden (?format=csv o cabecera Accept: text/csv)
+router.use(csvExport);
+
 // Rutas CRUD básicas
 router.get('/', getTransactions);
 router.get('/:id', getTransactionById);
@@ -36,5 +49,10 @@ router.get('/balance/:startDate/:endDate', getBalanceByPeriod);
 router.get('/cashflow/monthly', getMonthlyCashflow);
 router.get('/summary/deposits', getDepositsSummary);
 router.get('/summary/withdrawals', getWithdrawalsSummary);
+router.get('/summary/fees', getFeesSummary);
+
+// Rutas del ciclo de los retiros
+router.get('/withdrawals/in-flight', getInFlightWithdrawals);
+router.put('/:id/status', updateTransactionStatus);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Router para las transferencias entre casas de apuestas
+ * @module routes/transfers
+ */
+import { Router } from 'express';
+import {
+    getTransfers,
+    getTransferById,
+    createTransfer,
+    completeTransfer,
+    deleteTransfer
+} from '../controllers/transfers.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene las transferencias
+ * @route GET /api/transfers
+ */
+router.get('/', getTransfers);
+
+/**
+ * Obtiene una transferencia con sus dos transacciones
+ * @route GET /api/transfers/:id
+ */
+router.get('/:id', getTransferById);
+
+/**
+ * Crea una transferencia con su retirada y su depósito
+ * @route POST /api/transfers
+ */
+router.post('/', createTransfer);
+
+/**
+ * Marca como recibida una transferencia en tránsito
+ * @route PUT /api/transfers/:id/complete
+ */
+router.put('/:id/complete', completeTransfer);
+
+/**
+ * Elimina una transferencia y sus dos transacciones
+ * @route DELETE /api/transfers/:id
+ */
+router.delete('/:id', deleteTransfer);
+
+export default router;
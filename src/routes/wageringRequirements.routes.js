@@ -0,0 +1,46 @@
+/**
+ * Router para la gestión de requisitos de apuesta (rollover)
+ * @module routes/wageringRequirements
+ */
+import { Router } from 'express';
+import {
+    getWageringRequirements,
+    getWageringRequirementById,
+    createWageringRequirement,
+    updateWageringRequirement,
+    deleteWageringRequirement
+} from '../controllers/wageringRequirements.controller.js';
+
+const router = Router();
+
+/**
+ * Obtiene los requisitos de apuesta con su progreso
+ * @route GET /api/wagering-requirements
+ */
+router.get('/', getWageringRequirements);
+
+/**
+ * Obtiene un requisito con el detalle de las apuestas que cuentan y las que no
+ * @route GET /api/wagering-requirements/:id
+ */
+router.get('/:id', getWageringRequirementById);
+
+/**
+ * Crea un requisito de apuesta
+ * @route POST /api/wagering-requirements
+ */
+router.post('/', createWageringRequirement);
+
+/**
+ * Actualiza un requisito de apuesta
+ * @route PUT /api/wagering-requirements/:id
+ */
+router.put('/:id', updateWageringRequirement);
+
+/**
+ * Elimina un requisito de apuesta
+ * @route DELETE /api/wagering-requirements/:id
+ */
+router.delete('/:id', deleteWageringRequirement);
+
+export default router;
@@ -0,0 +1,139 @@
+// utils/accountHealth.js
+/**
+ * Helpers para la salud de las cuentas en las casas de apuestas
+ *
+ * Una cuenta que solo apuesta en ofertas, con stakes exactos y sin apuestas
+ * "normales" (mug bets) acaba limitada. La puntuación (0-100) combina:
+ * - Ratio de mug bets sobre el total de apuestas (30 puntos)
+ * - Ratio de apuestas con freebets, cuanto menor mejor (25 puntos)
+ * - Ratio de stakes redondos, múltiplos de 5 (20 puntos)
+ * - Días desde la última mug bet (25 puntos)
+ *
+ * - HEALTH_TARGETS: Objetivos usados para puntuar
+ * - calculateHealthScore: Puntuación, nivel y avisos de una cuenta
+ * - suggestMugBets: Número de mug bets y stake sugeridos para la semana
+ */
+import { min, percentage, toMoney } from './money.js';
+
+/**
+ * Objetivos de una cuenta sana
+ */
+const HEALTH_TARGETS = {
+    mugRatio: 30,          // % de mug bets a partir del que se obtiene la puntuación máxima
+    maxFreebetRatio: 50,   // % de apuestas con freebets con el que se pierde toda la puntuación
+    mugIntervalDays: 7,    // Días máximos entre mug bets sin penalización
+    staleDays: 30,         // Días sin mug bets con los que se pierde toda la puntuación
+    healthyScore: 70,      // Puntuación mínima de una cuenta sana
+    maxWeeklyMugBets: 3    // Máximo de mug bets sugeridas por semana
+};
+
+/**
+ * Limita un valor entre 0 y 1
+ *
+ * @param {number} value - Valor
+ * @returns {number} Valor limitado
+ */
+const clamp = ( value ) => Math.min( Math.max( value, 0 ), 1 );
+
+/**
+ * Calcula la puntuación de salud de una cuenta
+ *
+ * @param {Object} stats - Estadísticas de la cuenta en el periodo analizado
+ * @param {number} stats.totalBets - Apuestas (sin contar las lay)
+ * @param {number} stats.mugBets - Mug bets
+ * @param {number} stats.freebetBets - Apuestas hechas con freebets
+ * @param {number} stats.roundStakeBets - Apuestas con stake múltiplo de 5
+ * @param {number|null} stats.daysSinceLastMug - Días desde la última mug bet (null si nunca)
+ * @returns {Object} { score, level, factors, warnings, needsMugBets }
+ *
+ * @example
+ * calculateHealthScore( { totalBets: 10, mugBets: 3, freebetBets: 2, roundStakeBets: 8, daysSinceLastMug: 3 } )
+ * // { score: 86, level: 'good', ... }
+ */
+const calculateHealthScore = ( { totalBets, mugBets, freebetBets, roundStakeBets, daysSinceLastMug } ) => {
+    const total = Number( totalBets ) || 0;
+    const days = daysSinceLastMug === null || daysSinceLastMug === undefined ? null : Number( daysSinceLastMug );
+
+    const factors = {
+        mugRatio: percentage( Number( mugBets ) || 0, total ),
+        freebetRatio: percentage( Number( freebetBets ) || 0, total ),
+        roundStakeRatio: percentage( Number( roundStakeBets ) || 0, total ),
+        daysSinceLastMug: days
+    };
+
+    if ( !total ) {
+        return { score: null, level: 'new', factors, warnings: [ 'Sin apuestas en el periodo' ], needsMugBets: true };
+    }
+
+    const recency = days === null
+        ? 0
+        : clamp( ( HEALTH_TARGETS.staleDays - days ) / ( HEALTH_TARGETS.staleDays - HEALTH_TARGETS.mugIntervalDays ) );
+
+    const score = Math.round(
+        30 * clamp( factors.mugRatio / HEALTH_TARGETS.mugRatio ) +
+        25 * ( 1 - clamp( factors.freebetRatio / HEALTH_TARGETS.maxFreebetRatio ) ) +
+        20 * clamp( factors.roundStakeRatio / 100 ) +
+        25 * recency
+    );
+
+    const warnings = [];
+    if ( days === null ) {
+        warnings.push( 'Nunca se ha hecho una mug bet' );
+    } else if ( days > HEALTH_TARGETS.mugIntervalDays ) {
+        warnings.push( `${ days } días sin mug bets` );
+    }
+    if ( factors.mugRatio < HEALTH_TARGETS.mugRatio ) {
+        warnings.push( `Ratio de mug bets bajo (${ factors.mugRatio }%)` );
+    }
+    if ( factors.freebetRatio >= HEALTH_TARGETS.maxFreebetRatio / 2 ) {
+        warnings.push( `Muchas apuestas con freebets (${ factors.freebetRatio }%)` );
+    }
+    if ( factors.roundStakeRatio < 50 ) {
+        warnings.push( `Pocos stakes redondos (${ factors.roundStakeRatio }%)` );
+    }
+
+    return {
+        score,
+        level: score >= HEALTH_TARGETS.healthyScore ? 'good' : score >= 40 ? 'fair' : 'poor',
+        factors,
+        warnings,
+        needsMugBets: score < HEALTH_TARGETS.healthyScore || days === null || days > HEALTH_TARGETS.mugIntervalDays
+    };
+};
+
+/**
+ * Sugiere las mug bets de una semana para una cuenta
+ * Las necesarias para acercarse al ratio objetivo (al menos una, como máximo
+ * maxWeeklyMugBets) menos las ya hechas esa semana, con un stake redondo
+ * parecido al stake medio de la cuenta y que no supere el stake máximo
+ *
+ * @param {Object} stats - Estadísticas de la cuenta
+ * @param {number} stats.totalBets - Apuestas en el periodo (sin contar las lay)
+ * @param {number} stats.mugBets - Mug bets en el periodo
+ * @param {number} stats.mugBetsThisWeek - Mug bets ya hechas en la semana
+ * @param {number|string|null} stats.averageStake - Stake medio con dinero real
+ * @param {number|string|null} [stats.maxStake] - Stake máximo si la cuenta está limitada
+ * @returns {Object} { count, stake }
+ *
+ * @example
+ * suggestMugBets( { totalBets: 10, mugBets: 1, mugBetsThisWeek: 0, averageStake: '23.40' } ) // { count: 3, stake: 25 }
+ */
+const suggestMugBets = ( { totalBets, mugBets, mugBetsThisWeek = 0, averageStake, maxStake = null } ) => {
+    const target = HEALTH_TARGETS.mugRatio / 100;
+    const needed = Math.ceil( ( target * ( Number( totalBets ) || 0 ) - ( Number( mugBets ) || 0 ) ) / ( 1 - target ) );
+    const count = Math.max(
+        Math.min( Math.max( needed, 1 ), HEALTH_TARGETS.maxWeeklyMugBets ) - ( Number( mugBetsThisWeek ) || 0 ),
+        0
+    );
+
+    const roundStake = Math.max( Math.round( ( Number( averageStake ) || 10 ) / 5 ) * 5, 5 );
+    const stake = maxStake ? min( roundStake, Math.floor( Number( maxStake ) ) || maxStake ) : roundStake;
+
+    return { count, stake: toMoney( stake ) };
+};
+
+export {
+    HEALTH_TARGETS,
+    calculateHealthScore,
+    suggestMugBets
+};
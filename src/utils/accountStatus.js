@@ -0,0 +1,87 @@
+// utils/accountStatus.js
+/**
+ * Helpers para el estado de las cuentas en las casas de apuestas
+ *
+ * El historial (tabla bookMakerStatuses) guarda cada cambio de estado con su
+ * fecha. El estado de una cuenta en un día es el último registrado hasta ese
+ * día; sin historial la cuenta está 'active':
+ * - ACCOUNT_STATUSES / INACTIVE_ACCOUNT_STATUSES: Estados admitidos y los que impiden hacer ofertas
+ * - accountStatusSql / accountMaxStakeSql: Subconsultas con el estado y el stake máximo en una fecha
+ * - parseAccountStatuses: Lee un filtro de estados ("active,stake-limited")
+ */
+
+/**
+ * Estados de una cuenta
+ * (activa, sin promociones, con stake limitado, cerrada)
+ */
+const ACCOUNT_STATUSES = [ 'active', 'promo-restricted', 'stake-limited', 'closed' ];
+
+/**
+ * Estados en los que ya no tiene sentido hacer ofertas en la cuenta
+ */
+const INACTIVE_ACCOUNT_STATUSES = [ 'promo-restricted', 'closed' ];
+
+/**
+ * Subconsulta del último registro del historial hasta una fecha
+ *
+ * @param {string} column - Columna de bookMakerStatuses a devolver
+ * @param {string} idBookMakerSql - Expresión SQL con el ID de la casa de apuestas
+ * @param {string} dateSql - Expresión SQL con la fecha
+ * @returns {string} Subconsulta SQL
+ */
+const latestStatusSql = ( column, idBookMakerSql, dateSql ) => `(
+    SELECT s.${ column } FROM bookMakerStatuses s
+    WHERE s.idBookMaker = ${ idBookMakerSql } AND s.date <= ${ dateSql }
+    ORDER BY s.date DESC, s.id DESC
+    LIMIT 1
+)`;
+
+/**
+ * Expresión SQL con el estado de una cuenta en una fecha ('active' si no hay historial)
+ *
+ * @param {string} idBookMakerSql - Expresión SQL con el ID de la casa de apuestas (ej. 'bm.id')
+ * @param {string} [dateSql='CURDATE()'] - Expresión SQL con la fecha (ej. 'b.betDate')
+ * @returns {string} Expresión SQL
+ */
+const accountStatusSql = ( idBookMakerSql, dateSql = 'CURDATE()' ) =>
+    `COALESCE( ${ latestStatusSql( 'status', idBookMakerSql, dateSql ) }, 'active' )`;
+
+/**
+ * Expresión SQL con el stake máximo de una cuenta en una fecha (NULL si no tiene límite)
+ *
+ * @param {string} idBookMakerSql - Expresión SQL con el ID de la casa de apuestas
+ * @param {string} [dateSql='CURDATE()'] - Expresión SQL con la fecha
+ * @returns {string} Expresión SQL
+ */
+const accountMaxStakeSql = ( idBookMakerSql, dateSql = 'CURDATE()' ) =>
+    latestStatusSql( 'maxStake', idBookMakerSql, dateSql );
+
+/**
+ * Lee un filtro de estados de cuenta separados por comas
+ *
+ * @param {string} [status] - Filtro recibido (ej. 'active,stake-limited')
+ * @returns {Object} { statuses: Array<string>|null, error: string|null }
+ *
+ * @example
+ * parseAccountStatuses( 'active,stake-limited' ) // { statuses: ['active', 'stake-limited'], error: null }
+ */
+const parseAccountStatuses = ( status ) => {
+    if ( !status ) {
+        return { statuses: null, error: null };
+    }
+
+    const statuses = String( status ).split( ',' ).map( value => value.trim() ).filter( Boolean );
+    const invalid = statuses.find( value => !ACCOUNT_STATUSES.includes( value ) );
+
+    return invalid
+        ? { statuses: null, error: `Estado de cuenta no válido: ${ invalid }. Estados: ${ ACCOUNT_STATUSES.join( ', ' ) }` }
+        : { statuses, error: null };
+};
+
+export {
+    ACCOUNT_STATUSES,
+    INACTIVE_ACCOUNT_STATUSES,
+    accountStatusSql,
+    accountMaxStakeSql,
+    parseAccountStatuses
+};
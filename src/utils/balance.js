@@ -0,0 +1,174 @@
+// utils/balance.js
+/**
+ * Helpers para el saldo calculado de una casa de apuestas
+ *
+ * El saldo se calcula como: saldo inicial + depósitos - retiros + resultados -
+ * responsabilidades pendientes. Calculado en una fecha pasada, solo cuentan las
+ * transacciones y apuestas hasta ese día, y las apuestas cuyo evento todavía no
+ * se había jugado cuentan como pendientes (su responsabilidad, no su resultado).
+ * Los retiros revertidos no cuentan y los depósitos de transferencias en
+ * tránsito no cuentan hasta que llegan:
+ * - calculateBookMakerBalance: Saldo calculado y desglose en una fecha
+ * - buildBalanceSeries: Serie diaria del saldo reproduciendo los movimientos
+ * - BALANCE_TOLERANCE: Diferencia admitida al conciliar con el saldo real
+ */
+import { dbGet } from './helpers.js';
+import { add, subtract, toMoney } from './money.js';
+import { addDays } from './dates.js';
+import { settledTransactionSql } from './transactions.js';
+
+/**
+ * Diferencia máxima (en la divisa de la casa) para considerar que un saldo
+ * real coincide con el calculado
+ */
+const BALANCE_TOLERANCE = 0.01;
+
+/**
+ * Calcula el saldo de una casa de apuestas en una fecha
+ * En las layBet solo cuenta la responsabilidad de la parte casada; el stake
+ * sin casar se muestra aparte en el desglose
+ *
+ * @param {Object} bookMaker - Casa de apuestas ({ id, initialBalance })
+ * @param {string|null} [date=null] - Fecha (YYYY-MM-DD); null para el saldo actual
+ * @param {Function} [get=dbGet] - Función de consulta (dbGet o tx.dbGet)
+ * @returns {Promise<Object>} { balance, breakdown } con importes redondeados
+ *
+ * @example
+ * const { balance } = await calculateBookMakerBalance( bookMaker, '2024-03-31' );
+ */
+const calculateBookMakerBalance = async ( bookMaker, date = null, get = dbGet ) => {
+    const { totalDeposits, totalWithdrawals } = await get(
+        `SELECT
+            SUM(CASE WHEN type = 'deposit' THEN amount ELSE 0 END) as totalDeposits,
+            SUM(CASE WHEN type = 'withdrawal' THEN amount ELSE 0 END) as totalWithdrawals
+         FROM transactions
+         WHERE idBookMaker = ?
+         AND ( ? IS NULL OR date <= ? )
+         AND ${ settledTransactionSql() }`,
+        [ bookMaker.id, date, date ]
+    );
+
+    // Una apuesta está abierta si sigue pendiente o si su evento era posterior a la fecha
+    const open = "( status = 'pending' OR ( ? IS NOT NULL AND eventDate > ? ) )";
+    const { totalResults, totalLiability, totalUnmatchedStake } = await get(
+        `SELECT
+            SUM(CASE WHEN ${ open } THEN 0 ELSE result END) as totalResults,
+            SUM(CASE WHEN ${ open } THEN liability ELSE 0 END) as totalLiability,
+            SUM(CASE WHEN ${ open } THEN COALESCE(unmatchedStake, 0) ELSE 0 END) as totalUnmatchedStake
+         FROM bets
+         WHERE idBookMaker = ?
+         AND ( ? IS NULL OR betDate <= ? )`,
+        [ date, date, date, date, date, date, bookMaker.id, date, date ]
+    );
+
+    const balance = subtract(
+        add( bookMaker.initialBalance, totalDeposits, totalResults ),
+        add( totalWithdrawals, totalLiability )
+    );
+
+    return {
+        balance: toMoney( balance ),
+        breakdown: {
+            initialBalance: toMoney( bookMaker.initialBalance ),
+            totalDeposits: toMoney( totalDeposits ),
+            totalWithdrawals: toMoney( totalWithdrawals ),
+            totalResults: toMoney( totalResults ),
+            totalLiability: toMoney( totalLiability ),
+            totalUnmatchedStake: toMoney( totalUnmatchedStake )
+        }
+    };
+};
+
+/**
+ * Construye la serie diaria del saldo de una casa de apuestas
+ * Reproduce día a día el saldo inicial, las transacciones y las apuestas con el
+ * mismo criterio que calculateBookMakerBalance: una apuesta retiene su
+ * responsabilidad desde betDate y suma su resultado el día del evento (las
+ * pendientes siguen retenidas). Los movimientos anteriores a startDate forman
+ * el saldo de partida y no aparecen en los movimientos del primer día
+ *
+ * @param {Object} data - Movimientos de la casa de apuestas
+ * @param {number|string} data.initialBalance - Saldo inicial
+ * @param {Array<Object>} data.transactions - { date, type, amount } con fechas YYYY-MM-DD
+ * @param {Array<Object>} data.bets - { betDate, eventDate, status, result, liability, unmatchedStake }
+ * @param {string} data.startDate - Primer día de la serie (YYYY-MM-DD)
+ * @param {string} data.endDate - Último día de la serie (YYYY-MM-DD)
+ * @returns {Array<Object>} Días con { date, balance, openLiability, unmatchedStake, deposits, withdrawals, results }
+ *
+ * @example
+ * buildBalanceSeries( {
+ *     initialBalance: 0,
+ *     transactions: [ { date: '2024-03-01', type: 'deposit', amount: '100.00' } ],
+ *     bets: [ { betDate: '2024-03-01', eventDate: '2024-03-02', status: 'won', result: '15.00', liability: '10.00' } ],
+ *     startDate: '2024-03-01',
+ *     endDate: '2024-03-02'
+ * } )
+ * // [ { date: '2024-03-01', balance: 90, openLiability: 10, ... }, { date: '2024-03-02', balance: 115, openLiability: 0, ... } ]
+ */
+const buildBalanceSeries = ( { initialBalance, transactions, bets, startDate, endDate } ) => {
+    const emptyDay = () => ( { deposits: 0n, withdrawals: 0n, results: 0n, liability: 0n, unmatched: 0n } );
+
+    // Cambios de cada día; los anteriores a startDate se acumulan en opening
+    const opening = emptyDay();
+    const changes = new Map();
+    const change = ( date, field, amount ) => {
+        if ( date > endDate ) {
+            return;
+        }
+        const entry = date < startDate ? opening : changes.get( date ) || emptyDay();
+        entry[ field ] = add( entry[ field ], amount );
+        if ( entry !== opening ) {
+            changes.set( date, entry );
+        }
+    };
+
+    for ( const transaction of transactions ) {
+        change( transaction.date, transaction.type === 'deposit' ? 'deposits' : 'withdrawals', transaction.amount );
+    }
+
+    for ( const bet of bets ) {
+        change( bet.betDate, 'liability', bet.liability );
+        change( bet.betDate, 'unmatched', bet.unmatchedStake );
+
+        if ( bet.status !== 'pending' ) {
+            const settledDate = bet.eventDate > bet.betDate ? bet.eventDate : bet.betDate;
+            change( settledDate, 'liability', subtract( 0, bet.liability ?? 0 ) );
+            change( settledDate, 'unmatched', subtract( 0, bet.unmatchedStake ?? 0 ) );
+            change( settledDate, 'results', bet.result );
+        }
+    }
+
+    const series = [];
+    let balance = subtract(
+        add( initialBalance, opening.deposits, opening.results ),
+        add( opening.withdrawals, opening.liability )
+    );
+    let openLiability = opening.liability;
+    let unmatchedStake = opening.unmatched;
+
+    for ( let date = startDate; date <= endDate; date = addDays( date, 1 ) ) {
+        const day = changes.get( date ) || emptyDay();
+
+        balance = subtract( add( balance, day.deposits, day.results ), add( day.withdrawals, day.liability ) );
+        openLiability = add( openLiability, day.liability );
+        unmatchedStake = add( unmatchedStake, day.unmatched );
+
+        series.push( {
+            date,
+            balance: toMoney( balance ),
+            openLiability: toMoney( openLiability ),
+            unmatchedStake: toMoney( unmatchedStake ),
+            deposits: toMoney( day.deposits ),
+            withdrawals: toMoney( day.withdrawals ),
+            results: toMoney( day.results )
+        } );
+    }
+
+    return series;
+};
+
+export {
+    BALANCE_TOLERANCE,
+    calculateBookMakerBalance,
+    buildBalanceSeries
+};
@@ -1,24 +1,88 @@
+import {
+    add,
+    subtract,
+    multiply,
+    divide,
+    compare,
+    min,
+    max,
+    percentage,
+    round,
+    toDecimal,
+    toMoney,
+    toOdds
+} from './money.js';
+
+/**
+ * Estados posibles de una apuesta
+ */
+const BET_STATUSES = [ 'pending', 'won', 'lost', 'placed', 'void', 'push', 'half-won', 'half-lost' ];
+
+/**
+ * Estados de una apuesta resuelta
+ */
+const SETTLED_STATUSES = BET_STATUSES.filter( status => status !== 'pending' );
+
+/**
+ * Estados en los que se devuelve el stake íntegro
+ */
+const RETURNED_STATUSES = [ 'void', 'push' ];
+
+/**
+ * Estados posibles de una apuesta each-way
+ */
+const EACH_WAY_STATUSES = [ 'pending', 'won', 'placed', 'lost', 'void' ];
+
+/**
+ * Mercados de exchange en los que se cubre una apuesta each-way
+ */
+const LAY_MARKETS = [ 'win', 'place' ];
+
+/**
+ * Formatos de cuota admitidos en la entrada y la salida
+ */
+const ODDS_FORMATS = [ 'decimal', 'fractional', 'american' ];
+
+/**
+ * Mensaje de error para cuotas no válidas en cualquier formato
+ */
+const INVALID_ODDS_MESSAGE = 'La cuota debe ser decimal mayor que 1 (3.5), fraccionaria ("5/2") o americana ("+250", "-200")';
+
+/**
+ * Estados de ejecución de una orden en el exchange
+ */
+const MATCH_STATUSES = [ 'unmatched', 'partially-matched', 'matched' ];
+
+/**
+ * Estados posibles de una selección de una apuesta múltiple
+ */
+const SELECTION_STATUSES = [ 'pending', 'won', 'lost', 'void' ];
+
 /**
  * Calcula la responsabilidad (liability) de una apuesta
  * 
+ * En una apuesta each-way el stake es el de cada parte (ganador y colocado),
+ * por lo que la responsabilidad es el doble del stake.
+ * 
  * @param {string} status - Estado de la apuesta
  * @param {string} betType - Tipo de apuesta
  * @param {number} stake - Cantidad apostada
  * @param {number} odds - Cuota de la apuesta
+ * @param {boolean} [eachWay=false] - Si la apuesta es each-way
  * @returns {number} Responsabilidad calculada
  */
-const calculateLiability = ( status, betType, stake, odds ) => {
+const calculateLiability = ( status, betType, stake, odds, eachWay = false ) => {
     if ( status !== 'pending' ) {
         return 0;
     }
 
     switch ( betType ) {
         case 'layBet':
-            return Number(( stake * ( odds - 1 ) ).toFixed(2));
+            return toMoney( multiply( stake, subtract( odds, 1 ) ) );
         case 'freeBet':
             return 0;
         default:
-            return Number(stake.toFixed(2));
+            return toMoney( eachWay ? multiply( stake, 2 ) : stake );
     }
 };
 
@@ -30,7 +94,7 @@ const calculateLiability = ( status, betType, stake, odds ) => {
  * @returns {number} Comisión calculada
  */
 const calculateCommission = ( profit, commission ) => {
-    return Number(( profit * ( commission / 100 ) ).toFixed(2));
+    return toMoney( multiply( profit, divide( commission, 100 ) ) );
 };
 
 
@@ -38,56 +102,648 @@ const calculateCommission = ( profit, commission ) => {
 /**
  * Calcula el resultado de una apuesta incluyendo comisiones
  * 
+ * Los estados void y push devuelven el stake (resultado 0). Los estados
+ * half-won y half-lost (hándicap asiático) liquidan la mitad del stake
+ * como ganada o perdida y devuelven la otra mitad.
+ * 
+ * Si se indican condiciones de colocado la apuesta es each-way y se devuelve
+ * el resultado de cada parte por separado: la parte ganador a la cuota
+ * completa y la parte colocado a la cuota reducida por la fracción.
+ * 
  * @param {string} status - Estado de la apuesta
  * @param {string} betType - Tipo de apuesta
- * @param {number} stake - Cantidad apostada
+ * @param {number} stake - Cantidad apostada (por parte si es each-way)
  * @param {number} odds - Cuota de la apuesta
  * @param {number} liability - Responsabilidad de la apuesta
  * @param {number} commission - Porcentaje de comisión del bookmaker
- * @returns {number} Resultado calculado
+ * @param {Object} [placeTerms] - Condiciones de colocado de una apuesta each-way
+ * @param {number} placeTerms.placeFraction - Fracción de la cuota para el colocado (ej. 0.2)
+ * @returns {number|Object} Resultado calculado, o { winResult, placeResult, result } si es each-way
  */
-const calculateResult = ( status, betType, stake, odds, liability, commission = 0 ) => {
-    if ( status === 'pending' ) {
+const calculateResult = ( status, betType, stake, odds, liability, commission = 0, placeTerms = null ) => {
+    if ( placeTerms ) {
+        // Cuota de colocado exacta: el redondeo se aplica solo al resultado
+        const placeOdds = add( 1, multiply( subtract( odds, 1 ), placeTerms.placeFraction ) );
+        const partStatuses = {
+            'won': [ 'won', 'won' ],
+            'placed': [ 'lost', 'won' ],
+            'lost': [ 'lost', 'lost' ]
+        }[ status ] || [ status, status ];
+
+        const winResult = calculateResult( partStatuses[0], betType, stake, odds, liability, commission );
+        const placeResult = calculateResult( partStatuses[1], betType, stake, placeOdds, liability, commission );
+
+        return {
+            winResult,
+            placeResult,
+            result: toMoney( add( winResult, placeResult ) )
+        };
+    }
+
+    if ( !SETTLED_STATUSES.includes( status ) || RETURNED_STATUSES.includes( status ) ) {
         return 0;
     }
 
+    const isWin = status === 'won' || status === 'half-won';
+    const share = status.startsWith( 'half-' ) ? '0.5' : 1;
+
     switch ( betType ) {
         case 'backBet':
-            if ( status === 'won' ) {
-                const profit = stake * ( odds - 1 );
-                const commissionAmount = calculateCommission( profit, commission );
-                return Number(( profit - commissionAmount ).toFixed(2));
+            if ( isWin ) {
+                const profit = multiply( stake, share, subtract( odds, 1 ) );
+                return toMoney( subtract( profit, calculateCommission( profit, commission ) ) );
             }
-            return -Number(stake.toFixed(2));
+            return toMoney( multiply( stake, share, -1 ) );
 
         case 'layBet':
-            if ( status === 'won' ) {
-                const profit = stake;
-                const commissionAmount = calculateCommission( profit, commission );
-                return Number(( profit - commissionAmount ).toFixed(2));
+            if ( isWin ) {
+                const profit = multiply( stake, share );
+                return toMoney( subtract( profit, calculateCommission( profit, commission ) ) );
             }
-            return -Number(liability.toFixed(2));
+            return toMoney( multiply( liability, share, -1 ) );
 
         case 'freeBet':
-            if ( status === 'won' ) {
-                const profit = stake * ( odds - 1 );
-                const commissionAmount = calculateCommission( profit, commission );
-                return Number(( profit - commissionAmount ).toFixed(2));
+            if ( isWin ) {
+                const profit = multiply( stake, share, subtract( odds, 1 ) );
+                return toMoney( subtract( profit, calculateCommission( profit, commission ) ) );
             }
             return 0;
 
         default:
-            if ( status === 'won' ) {
-                const profit = stake * ( odds - 1 );
-                const commissionAmount = calculateCommission( profit, commission );
-                return Number(( profit - commissionAmount ).toFixed(2));
+            if ( isWin ) {
+                const profit = multiply( stake, share, subtract( odds, 1 ) );
+                return toMoney( subtract( profit, calculateCommission( profit, commission ) ) );
             }
-            return -Number(stake.toFixed(2));
+            return toMoney( multiply( stake, share, -1 ) );
+    }
+};
+
+/**
+ * Obtiene el estado equivalente para la parte contraria de una apuesta
+ * (por ejemplo, la layBet que cubre una apuesta a favor)
+ * 
+ * En carreras, una selección colocada ('placed') pierde en el mercado
+ * ganador y gana en el mercado de colocado, por lo que la layBet del
+ * mercado ganador se gana y la del mercado de colocado se pierde.
+ * 
+ * @param {string} status - Estado de la apuesta a favor
+ * @param {string} [market='win'] - Mercado de la apuesta en contra ('win'|'place')
+ * @returns {string} Estado de la apuesta en contra
+ */
+const getOppositeStatus = ( status, market = 'win' ) => {
+    if ( market === 'place' ) {
+        return ({
+            'won': 'lost',
+            'placed': 'lost',
+            'lost': 'won'
+        })[ status ] || status;
+    }
+
+    return ({
+        'won': 'lost',
+        'placed': 'won',
+        'lost': 'won',
+        'half-won': 'half-lost',
+        'half-lost': 'half-won'
+    })[ status ] || status;
+};
+
+/**
+ * Obtiene el estado de una apuesta a partir del resultado de su selección
+ * 
+ * @param {string} outcome - Resultado de la selección
+ * @param {Object} bet - Apuesta a resolver
+ * @param {string} bet.betType - Tipo de apuesta
+ * @param {boolean} [bet.eachWay] - Si la apuesta es each-way
+ * @param {string} [bet.market] - Mercado de la apuesta ('win'|'place')
+ * @returns {string} Estado de la apuesta
+ */
+const getStatusForOutcome = ( outcome, { betType, eachWay, market } ) => {
+    if ( betType === 'layBet' ) {
+        return getOppositeStatus( outcome, market || 'win' );
+    }
+
+    if ( outcome === 'placed' ) {
+        if ( eachWay ) {
+            return 'placed';
+        }
+        return market === 'place' ? 'won' : 'lost';
+    }
+
+    return outcome;
+};
+
+/**
+ * Convierte las condiciones de colocado a una fracción decimal
+ * Acepta un número entre 0 y 1 (0.2) o una fracción en texto ("1/5")
+ * 
+ * @param {number|string} placeFraction - Fracción de colocado
+ * @returns {number|null} Fracción decimal o null si no es válida
+ */
+const parsePlaceFraction = ( placeFraction ) => {
+    let value;
+
+    try {
+        if ( typeof placeFraction === 'string' && placeFraction.includes( '/' ) ) {
+            const [ numerator, denominator ] = placeFraction.split( '/' );
+            value = divide( numerator.trim(), denominator.trim() );
+        } else {
+            value = toDecimal( placeFraction );
+        }
+    } catch {
+        return null;
+    }
+
+    if ( placeFraction === null || placeFraction === undefined || placeFraction === ''
+        || compare( value, 0 ) <= 0 || compare( value, 1 ) >= 0 ) {
+        return null;
+    }
+
+    return toOdds( value );
+};
+
+
+/**
+ * Máximo común divisor de dos enteros
+ * 
+ * @param {number} a - Primer entero
+ * @param {number} b - Segundo entero
+ * @returns {number} Máximo común divisor
+ */
+const greatestCommonDivisor = ( a, b ) => b ? greatestCommonDivisor( b, a % b ) : a;
+
+/**
+ * Interpreta una cuota en cualquiera de los formatos admitidos:
+ * - decimal: 3.5 o "3.5"
+ * - fraccionario: "5/2" o "evens"
+ * - americano: "+250", "-200" o -200 (mínimo 100 en valor absoluto)
+ * Los números positivos se interpretan siempre como cuota decimal
+ * 
+ * @param {number|string} odds - Cuota en cualquier formato
+ * @returns {Object|null} { decimal, fraction } con la cuota decimal canónica y la
+ *   fracción exacta (tal y como se introdujo, o reducida si es americana; null si
+ *   es decimal), o null si la cuota no es válida
+ */
+const parseOdds = ( odds ) => {
+    if ( typeof odds === 'number' && odds > 0 ) {
+        return Number.isFinite( odds ) && odds > 1
+            ? { decimal: toOdds( odds ), fraction: null }
+            : null;
+    }
+
+    if ( typeof odds !== 'string' && typeof odds !== 'number' ) {
+        return null;
+    }
+
+    const value = String( odds ).trim().toLowerCase();
+
+    if ( [ 'evens', 'evs' ].includes( value ) ) {
+        return { decimal: 2, fraction: '1/1' };
+    }
+
+    const fractional = value.match( /^(\d+)\s*\/\s*(\d+)$/ );
+    if ( fractional ) {
+        const [ numerator, denominator ] = fractional.slice( 1 ).map( Number );
+        if ( !numerator || !denominator ) {
+            return null;
+        }
+        return {
+            decimal: toOdds( add( 1, divide( numerator, denominator ) ) ),
+            fraction: `${ numerator }/${ denominator }`
+        };
+    }
+
+    const american = value.match( /^([+-])(\d+(?:\.\d+)?)$/ );
+    if ( american ) {
+        const amount = Number( american[2] );
+        if ( amount < 100 ) {
+            return null;
+        }
+
+        // Trabajar con enteros para obtener la fracción exacta (+250 -> 5/2, -200 -> 1/2)
+        const scale = 10 ** ( american[2].split( '.' )[1]?.length || 0 );
+        const [ numerator, denominator ] = american[1] === '+'
+            ? [ Math.round( amount * scale ), 100 * scale ]
+            : [ 100 * scale, Math.round( amount * scale ) ];
+        const divisor = greatestCommonDivisor( numerator, denominator );
+
+        return {
+            decimal: toOdds( add( 1, divide( numerator, denominator ) ) ),
+            fraction: `${ numerator / divisor }/${ denominator / divisor }`
+        };
+    }
+
+    const decimal = Number( value );
+    if ( value === '' || !Number.isFinite( decimal ) || decimal <= 1 ) {
+        return null;
+    }
+
+    return { decimal: toOdds( decimal ), fraction: null };
+};
+
+/**
+ * Obtiene la fracción más sencilla equivalente a una cuota decimal
+ * (fracciones continuas con denominador máximo de 10000, suficiente para
+ * representar cualquier cuota de 4 decimales, incluso las próximas a 1)
+ * 
+ * @param {number|string} odds - Cuota decimal
+ * @returns {string} Cuota fraccionaria ("5/2")
+ *
+ * @example
+ * decimalToFraction( 3.5 ) // '5/2'
+ * decimalToFraction( 1.0001 ) // '1/10000'
+ */
+const decimalToFraction = ( odds ) => {
+    const target = Number( odds ) - 1;
+    let [ previousNumerator, numerator ] = [ 0, 1 ];
+    let [ previousDenominator, denominator ] = [ 1, 0 ];
+    let remainder = target;
+
+    while ( true ) {
+        const whole = Math.floor( remainder );
+        const nextNumerator = whole * numerator + previousNumerator;
+        const nextDenominator = whole * denominator + previousDenominator;
+
+        if ( nextDenominator > 10000 ) {
+            break;
+        }
+
+        [ previousNumerator, numerator ] = [ numerator, nextNumerator ];
+        [ previousDenominator, denominator ] = [ denominator, nextDenominator ];
+
+        // La cuota decimal se guarda con 4 decimales
+        if ( Math.abs( target - numerator / denominator ) < 0.00005 || remainder === whole ) {
+            break;
+        }
+        remainder = 1 / ( remainder - whole );
+    }
+
+    return `${ numerator }/${ denominator }`;
+};
+
+/**
+ * Convierte una cuota decimal al formato indicado
+ * Si se conoce la fracción exacta con la que se introdujo y sigue
+ * correspondiendo a la cuota, se usa en lugar de aproximarla
+ * 
+ * @param {number|string} odds - Cuota decimal
+ * @param {string} [format='decimal'] - Formato de salida (decimal/fractional/american)
+ * @param {string} [fraction=null] - Fracción exacta guardada con la cuota
+ * @returns {number|string} Cuota en el formato indicado
+ *
+ * @example
+ * formatOdds( 3.5, 'american' ) // '+250'
+ * formatOdds( 1.0001, 'fractional' ) // '1/10000'
+ */
+const formatOdds = ( odds, format = 'decimal', fraction = null ) => {
+    const decimal = Number( odds );
+
+    if ( format === 'decimal' || !( decimal > 1 ) ) {
+        return decimal;
+    }
+
+    const exactFraction = fraction && parseOdds( fraction )?.decimal === toOdds( odds )
+        ? fraction
+        : decimalToFraction( decimal );
+
+    if ( format === 'fractional' ) {
+        return exactFraction;
+    }
+
+    const [ numerator, denominator ] = exactFraction.split( '/' ).map( Number );
+    const american = numerator >= denominator
+        ? round( divide( 100 * numerator, denominator ), 2 )
+        : round( divide( -100 * denominator, numerator ), 2 );
+
+    return `${ american > 0 ? '+' : '' }${ american }`;
+};
+
+
+/**
+ * Valida los datos each-way y de mercado de una apuesta
+ * 
+ * @param {Object} bet - Datos finales de la apuesta
+ * @param {boolean} [bet.eachWay] - Si la apuesta es each-way
+ * @param {string} bet.betType - Tipo de apuesta
+ * @param {string} bet.status - Estado de la apuesta
+ * @param {number|string} [bet.placeFraction] - Fracción de colocado
+ * @param {number} [bet.places] - Número de plazas pagadas
+ * @param {string} [bet.market] - Mercado de la apuesta ('win'|'place')
+ * @returns {string|null} Mensaje de error o null si son válidos
+ */
+const validateEachWay = ( { eachWay, betType, status, placeFraction, places, market } ) => {
+    if ( market && !LAY_MARKETS.includes( market ) ) {
+        return 'El mercado debe ser "win" o "place"';
+    }
+
+    if ( !eachWay ) {
+        return status === 'placed'
+            ? 'El estado "placed" solo es válido en apuestas each-way'
+            : null;
+    }
+
+    if ( betType === 'layBet' ) {
+        return 'Una layBet no puede ser each-way: cada mercado se cubre con su propia layBet';
+    }
+
+    if ( !EACH_WAY_STATUSES.includes( status ) ) {
+        return `Estado no válido para una apuesta each-way. Debe ser: ${ EACH_WAY_STATUSES.join(', ') }`;
+    }
+
+    if ( parsePlaceFraction( placeFraction ) === null ) {
+        return 'La fracción de colocado debe estar entre 0 y 1 (ej. 0.2 o "1/5")';
+    }
+
+    if ( !Number.isInteger( Number( places ) ) || Number( places ) < 1 ) {
+        return 'El número de plazas debe ser un entero mayor que 0';
+    }
+
+    return null;
+};
+
+/**
+ * Calcula la responsabilidad y el resultado de una apuesta a partir de sus datos finales
+ * 
+ * El resultado de una layBet perdida se calcula sobre la responsabilidad
+ * asumida al colocarla, no sobre la responsabilidad pendiente (que es 0
+ * una vez resuelta).
+ * 
+ * @param {string} status - Estado de la apuesta
+ * @param {string} betType - Tipo de apuesta
+ * @param {number|string} stake - Cantidad apostada
+ * @param {number|string} odds - Cuota de la apuesta
+ * @param {number|string} [commission=0] - Porcentaje de comisión del bookmaker
+ * @param {Object} [placeTerms] - Condiciones de colocado si la apuesta es each-way
+ * @param {number|string} placeTerms.placeFraction - Fracción de la cuota para el colocado
+ * @returns {Object} { liability, result, winResult, placeResult } (winResult y placeResult null si no es each-way)
+ */
+const calculateBetFigures = ( status, betType, stake, odds, commission = 0, placeTerms = null ) => {
+    const eachWay = Boolean( placeTerms );
+    const exposure = calculateLiability( 'pending', betType, stake, odds );
+
+    const figures = calculateResult(
+        status,
+        betType,
+        stake,
+        odds,
+        exposure,
+        commission || 0,
+        eachWay ? { placeFraction: placeTerms.placeFraction } : null
+    );
+
+    return {
+        liability: calculateLiability( status, betType, stake, odds, eachWay ),
+        result: eachWay ? figures.result : figures,
+        winResult: eachWay ? figures.winResult : null,
+        placeResult: eachWay ? figures.placeResult : null
+    };
+};
+
+/**
+ * Calcula el resumen de un grupo de apuestas emparejadas (matched bet)
+ * 
+ * Todas las piernas se consideran sobre la misma selección: las apuestas
+ * a favor ganan cuando la selección gana y las layBet ganan cuando pierde.
+ * Si alguna pierna es each-way o del mercado de colocado se añade el
+ * escenario en el que la selección queda colocada sin ganar.
+ * 
+ * @param {Array<Object>} legs - Piernas del grupo
+ * @param {string} legs[].status - Estado de la pierna
+ * @param {string} legs[].betType - Tipo de apuesta de la pierna
+ * @param {number} legs[].stake - Cantidad apostada
+ * @param {number} legs[].odds - Cuota
+ * @param {number} [legs[].commission=0] - Porcentaje de comisión del bookmaker
+ * @param {boolean} [legs[].eachWay] - Si la pierna es each-way
+ * @param {number} [legs[].placeFraction] - Fracción de colocado de la pierna each-way
+ * @param {string} [legs[].market] - Mercado de la pierna ('win'|'place')
+ * @returns {Object} Responsabilidad, resultado por escenario, pérdida de calificación y beneficio realizado
+ */
+const calculateMatchedBetSummary = ( legs ) => {
+    const legFigures = ( leg, status ) => calculateBetFigures(
+        status,
+        leg.betType,
+        leg.stake,
+        leg.odds,
+        leg.commission,
+        leg.eachWay ? { placeFraction: leg.placeFraction } : null
+    );
+
+    const outcomeResult = ( outcome ) => toMoney( add( ...legs.map( leg =>
+        legFigures( leg, getStatusForOutcome( outcome, leg ) ).result ) ) );
+
+    const liability = add( ...legs.map( leg => legFigures( leg, leg.status ).liability ) );
+
+    const realisedProfit = add( ...legs.map( leg => legFigures( leg, leg.status ).result ) );
+
+    const hasPlaceOutcome = legs.some( leg => leg.eachWay || leg.market === 'place' );
+
+    const ifSelectionWins = outcomeResult( 'won' );
+    const ifSelectionLoses = outcomeResult( 'lost' );
+    const ifSelectionPlaces = hasPlaceOutcome ? outcomeResult( 'placed' ) : null;
+
+    const scenarios = [ ifSelectionWins, ifSelectionLoses ];
+    if ( hasPlaceOutcome ) {
+        scenarios.push( ifSelectionPlaces );
+    }
+
+    return {
+        liability: toMoney( liability ),
+        ifSelectionWins,
+        ifSelectionLoses,
+        ...( hasPlaceOutcome && { ifSelectionPlaces } ),
+        qualifyingLoss: toMoney( min( ...scenarios ) ),
+        realisedProfit: toMoney( realisedProfit ),
+        settled: legs.every( leg => leg.status !== 'pending' )
+    };
+};
+
+/**
+ * Calcula las cifras de una orden del exchange ejecutada en varios tramos (fills)
+ * La responsabilidad y el resultado se calculan por tramo y se suman, de modo
+ * que la parte no casada de la orden no genera responsabilidad.
+ * 
+ * @param {string} status - Estado de la apuesta
+ * @param {string} betType - Tipo de apuesta
+ * @param {Array<Object>} fills - Tramos casados ({ stake, odds })
+ * @param {number|string} [commission=0] - Porcentaje de comisión del exchange
+ * @returns {Object} { matchedStake, averageOdds, liability, result }
+ */
+const calculateFillFigures = ( status, betType, fills, commission = 0 ) => {
+    const totals = fills.reduce( ( acc, fill ) => {
+        const { liability, result } = calculateBetFigures( status, betType, fill.stake, fill.odds, commission );
+        return {
+            matchedStake: add( acc.matchedStake, fill.stake ),
+            weightedOdds: add( acc.weightedOdds, multiply( fill.stake, fill.odds ) ),
+            liability: add( acc.liability, liability ),
+            result: add( acc.result, result )
+        };
+    }, { matchedStake: 0n, weightedOdds: 0n, liability: 0n, result: 0n } );
+
+    return {
+        matchedStake: toMoney( totals.matchedStake ),
+        averageOdds: totals.matchedStake
+            ? toOdds( divide( totals.weightedOdds, totals.matchedStake ) )
+            : null,
+        liability: toMoney( totals.liability ),
+        result: toMoney( totals.result )
+    };
+};
+
+/**
+ * Obtiene el estado de ejecución de una orden según la cantidad casada
+ * 
+ * @param {number|string} requestedStake - Stake solicitado en la orden
+ * @param {number|string} matchedStake - Stake casado
+ * @returns {string} Estado de ejecución (unmatched/partially-matched/matched)
+ */
+const getMatchStatus = ( requestedStake, matchedStake ) => {
+    if ( compare( matchedStake, 0 ) <= 0 ) {
+        return 'unmatched';
+    }
+    return compare( matchedStake, requestedStake ) >= 0 ? 'matched' : 'partially-matched';
+};
+
+/**
+ * Calcula la cuota combinada de una apuesta múltiple
+ * Las selecciones anuladas (void) cuentan con cuota 1
+ * 
+ * @param {Array<Object>} selections - Selecciones de la múltiple ({ odds, status })
+ * @returns {number} Cuota combinada
+ */
+const calculateMultipleOdds = ( selections ) => {
+    return toOdds( multiply( ...selections
+        .filter( selection => selection.status !== 'void' )
+        .map( selection => selection.odds ) ) );
+};
+
+/**
+ * Obtiene el estado de una apuesta múltiple a partir de sus selecciones
+ * - lost: alguna selección perdida
+ * - pending: ninguna perdida y alguna pendiente
+ * - void: todas las selecciones anuladas
+ * - won: el resto de casos (ganadas y anuladas)
+ * 
+ * @param {Array<Object>} selections - Selecciones de la múltiple ({ status })
+ * @returns {string} Estado de la múltiple
+ */
+const getMultipleStatus = ( selections ) => {
+    const statuses = selections.map( selection => selection.status );
+
+    if ( statuses.includes( 'lost' ) ) {
+        return 'lost';
+    }
+    if ( statuses.includes( 'pending' ) ) {
+        return 'pending';
+    }
+    if ( statuses.every( status => status === 'void' ) ) {
+        return 'void';
     }
+    return 'won';
+};
+
+/**
+ * Calcula la apuesta en contra (lay) óptima para cubrir una apuesta a favor
+ * 
+ * Modos:
+ * - qualifying: apuesta de calificación con dinero real
+ * - snr: freebet sin devolución del stake (stake not returned)
+ * - sr: freebet con devolución del stake (stake returned)
+ * 
+ * @param {string} mode - Modo de cálculo ('qualifying'|'snr'|'sr')
+ * @param {number} backStake - Cantidad apostada a favor
+ * @param {number} backOdds - Cuota a favor
+ * @param {number} layOdds - Cuota en contra en el exchange
+ * @param {number} commission - Porcentaje de comisión del exchange
+ * @returns {Object} Stake lay, responsabilidad y beneficio por resultado
+ */
+const calculateLayStake = ( mode, backStake, backOdds, layOdds, commission = 0 ) => {
+    const commissionRate = divide( commission, 100 );
+
+    // Ganancia bruta si gana la apuesta a favor y dinero propio arriesgado
+    const backReturn = {
+        qualifying: { win: multiply( backStake, subtract( backOdds, 1 ) ), cost: backStake },
+        snr: { win: multiply( backStake, subtract( backOdds, 1 ) ), cost: 0 },
+        sr: { win: multiply( backStake, backOdds ), cost: 0 }
+    }[ mode ];
+
+    // Los beneficios se calculan sobre el stake lay redondeado, que es el que se coloca
+    const layStake = toMoney( divide( add( backReturn.win, backReturn.cost ), subtract( layOdds, commissionRate ) ) );
+    const liability = calculateLiability( 'pending', 'layBet', layStake, layOdds );
+    const layProfit = subtract( layStake, calculateCommission( layStake, commission ) );
+
+    const profitIfBackWins = toMoney( subtract( backReturn.win, liability ) );
+    const profitIfLayWins = toMoney( subtract( layProfit, backReturn.cost ) );
+
+    return {
+        layStake,
+        liability,
+        profitIfBackWins,
+        profitIfLayWins,
+        minProfit: Math.min( profitIfBackWins, profitIfLayWins )
+    };
+};
+
+/**
+ * Calcula el uso y la conversión de una freebet a partir de las apuestas que la consumen
+ * 
+ * Cada apuesta aporta la parte de su resultado proporcional al importe de la
+ * freebet que usa. Si la apuesta forma parte de un matched bet, se suma además
+ * la parte del resultado de sus layBet que le corresponde según el importe de
+ * freebets usado en todo el grupo.
+ * 
+ * @param {number|string} amount - Importe de la freebet
+ * @param {Array<Object>} usages - Usos de la freebet
+ * @param {number|string} usages[].amount - Importe de la freebet usado en la apuesta
+ * @param {number|string} usages[].stake - Stake de la apuesta
+ * @param {number|string} usages[].result - Resultado de la apuesta
+ * @param {string} usages[].status - Estado de la apuesta
+ * @param {number} [usages[].idMB] - Matched bet de la apuesta
+ * @param {number|string} [usages[].layResult] - Resultado de las layBet del matched bet
+ * @param {number|string} [usages[].groupFreebetAmount] - Importe de freebets usado en el matched bet
+ * @returns {Object} { usedAmount, remainingAmount, profit, conversionRate, settled }
+ */
+const calculateFreebetConversion = ( amount, usages ) => {
+    const usedAmount = add( ...usages.map( usage => usage.amount ) );
+
+    const profit = add( ...usages.map( usage => add(
+        multiply( divide( usage.amount, usage.stake ), usage.result ),
+        usage.idMB ? multiply( divide( usage.amount, usage.groupFreebetAmount ), usage.layResult ) : 0
+    ) ) );
+
+    return {
+        usedAmount: toMoney( usedAmount ),
+        remainingAmount: toMoney( max( subtract( amount, usedAmount ), 0 ) ),
+        profit: toMoney( profit ),
+        conversionRate: percentage( profit, usedAmount ),
+        settled: usages.length > 0 && usages.every( usage => usage.status !== 'pending' )
+    };
 };
 
 export {
+    BET_STATUSES,
+    SETTLED_STATUSES,
+    RETURNED_STATUSES,
+    EACH_WAY_STATUSES,
+    LAY_MARKETS,
+    SELECTION_STATUSES,
+    MATCH_STATUSES,
+    ODDS_FORMATS,
+    INVALID_ODDS_MESSAGE,
     calculateLiability,
     calculateResult,
-    calculateCommission
+    calculateCommission,
+    getOppositeStatus,
+    getStatusForOutcome,
+    parsePlaceFraction,
+    parseOdds,
+    formatOdds,
+    validateEachWay,
+    calculateBetFigures,
+    calculateMatchedBetSummary,
+    calculateFillFigures,
+    getMatchStatus,
+    calculateMultipleOdds,
+    getMultipleStatus,
+    calculateLayStake,
+    calculateFreebetConversion
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+// utils/betStats.js
+/**
+ * Helpers para estadísticas de apuestas agregadas por estado
+ *
+ * - stakedSql: Stake total de una apuesta (las each-way apuestan el stake en cada parte)
+ * - statusAggregateColumns: Columnas SQL con los contadores por estado y el stake liquidado
+ * - calculateStatusRates: Porcentaje de acierto y ROI de un grupo agregado
+ */
+import { percentage } from './money.js';
+
+/**
+ * Expresión SQL con el stake total de una apuesta
+ * En las each-way el stake es por parte (ganador y colocado), así que se apuesta el doble
+ *
+ * @param {string} [prefix=''] - Alias de la tabla bets (ej. 'b.')
+ * @returns {string} Expresión SQL
+ *
+ * @example
+ * `SELECT SUM(${ stakedSql( 'b.' ) }) as totalStaked FROM bets b`
+ */
+const stakedSql = ( prefix = '' ) =>
+    `CASE WHEN ${ prefix }eachWay THEN ${ prefix }stake * 2 ELSE ${ prefix }stake END`;
+
+/**
+ * Columnas SQL comunes para agregar apuestas por estado
+ * El stake liquidado excluye void/push y cuenta la mitad en half-won/half-lost.
+ * Una each-way 'placed' (pierde el ganador y gana el colocado) está liquidada por completo
+ *
+ * @param {string} [prefix=''] - Alias de la tabla bets (ej. 'b.')
+ * @returns {string} Fragmento SELECT con los contadores por estado
+ */
+const statusAggregateColumns = ( prefix = '' ) => `
+    SUM(CASE WHEN ${ prefix }status = 'won' THEN 1 ELSE 0 END) as wonBets,
+    SUM(CASE WHEN ${ prefix }status = 'lost' THEN 1 ELSE 0 END) as lostBets,
+    SUM(CASE WHEN ${ prefix }status = 'placed' THEN 1 ELSE 0 END) as placedBets,
+    SUM(CASE WHEN ${ prefix }status = 'half-won' THEN 1 ELSE 0 END) as halfWonBets,
+    SUM(CASE WHEN ${ prefix }status = 'half-lost' THEN 1 ELSE 0 END) as halfLostBets,
+    SUM(CASE WHEN ${ prefix }status IN ('void', 'push') THEN 1 ELSE 0 END) as voidBets,
+    SUM(CASE
+        WHEN ${ prefix }status IN ('won', 'lost', 'placed') THEN ${ stakedSql( prefix ) }
+        WHEN ${ prefix }status IN ('half-won', 'half-lost') THEN ${ stakedSql( prefix ) } / 2
+        ELSE 0
+    END) as settledStaked`;
+
+/**
+ * Calcula el porcentaje de acierto y el ROI de un grupo agregado
+ * Las apuestas void/push no cuentan y las half-won/half-lost cuentan como media.
+ * Una 'placed' cuenta como decidida y acierta la mitad (una de sus dos partes)
+ *
+ * @param {Object} row - Fila con las columnas de statusAggregateColumns y totalResult
+ * @returns {Object} { winRate, roi }
+ */
+const calculateStatusRates = ( row ) => {
+    const wonBets = Number( row.wonBets );
+    const halfWonBets = Number( row.halfWonBets );
+    const placedBets = Number( row.placedBets );
+    const decided = wonBets + Number( row.lostBets ) + placedBets +
+        ( halfWonBets + Number( row.halfLostBets ) ) / 2;
+    const wins = wonBets + ( halfWonBets + placedBets ) / 2;
+
+    return {
+        winRate: percentage( wins, decided ),
+        roi: percentage( row.totalResult, row.settledStaked )
+    };
+};
+
+export {
+    stakedSql,
+    statusAggregateColumns,
+    calculateStatusRates
+};
@@ -0,0 +1,291 @@
+// utils/csv.js
+/**
+ * Helpers para exportar datos a CSV
+ *
+ * Los campos que contienen el separador, comillas o saltos de línea se
+ * escriben entre comillas dobles (duplicando las comillas internas). Los
+ * números (también los DECIMAL, que llegan como texto) usan el separador
+ * decimal indicado, para que las hojas de cálculo configuradas en español
+ * (delimitador ';' y coma decimal) los lean bien. Las fechas se escriben en
+ * hora local (YYYY-MM-DD, con la hora si no es medianoche).
+ * Los textos que empiezan por =, +, -, @, tabulador o retorno de carro se
+ * escriben precedidos de una comilla simple para que la hoja de cálculo no
+ * los ejecute como fórmulas.
+ * El documento empieza con la marca BOM para que Excel lo lea como UTF-8:
+ * - CSV_DELIMITERS / CSV_DECIMAL_SEPARATORS: Separadores admitidos
+ * - wantsCsv / parseCsvOptions: Formato y opciones pedidos en la solicitud
+ * - formatCsvValue: Convierte un valor en un campo CSV
+ * - flattenCsvRow / csvRowsFromBody / csvColumns: Filas y columnas de un cuerpo JSON
+ * - streamCsv: Escribe un documento CSV en la respuesta por bloques (de una lista o de un iterable asíncrono)
+ */
+
+/**
+ * Delimitadores de campo admitidos
+ */
+const CSV_DELIMITERS = [ ',', ';', '\t', '|' ];
+
+/**
+ * Separadores decimales admitidos
+ */
+const CSV_DECIMAL_SEPARATORS = [ '.', ',' ];
+
+/**
+ * Filas que se escriben en cada bloque de la respuesta
+ */
+const CSV_CHUNK_ROWS = 500;
+
+/**
+ * Indica si la solicitud pide la respuesta en CSV (?format=csv o cabecera
+ * Accept: text/csv; ?format=json fuerza JSON)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @returns {boolean} true si hay que responder en CSV
+ */
+const wantsCsv = ( req ) => {
+    if ( req.query.format ) {
+        return req.query.format === 'csv';
+    }
+    return req.accepts( [ 'application/json', 'text/csv' ] ) === 'text/csv';
+};
+
+/**
+ * Lee las opciones de formato del CSV de la solicitud
+ * (?delimiter y ?decimalSeparator, o CSV_DELIMITER y CSV_DECIMAL_SEPARATOR)
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @returns {Object} { delimiter, decimalSeparator } o { error } si no son válidas
+ *
+ * @example
+ * GET /api/bets?format=csv&delimiter=;&decimalSeparator=,
+ */
+const parseCsvOptions = ( req ) => {
+    const delimiter = req.query.delimiter ?? process.env.CSV_DELIMITER ?? ',';
+    const decimalSeparator = req.query.decimalSeparator ?? process.env.CSV_DECIMAL_SEPARATOR ?? '.';
+
+    if ( !CSV_DELIMITERS.includes( delimiter ) ) {
+        return { error: `El delimitador debe ser uno de: ${ CSV_DELIMITERS.map( value => JSON.stringify( value ) ).join(', ') }` };
+    }
+
+    if ( !CSV_DECIMAL_SEPARATORS.includes( decimalSeparator ) ) {
+        return { error: `El separador decimal debe ser uno de: ${ CSV_DECIMAL_SEPARATORS.join(' ') }` };
+    }
+
+    if ( delimiter === decimalSeparator ) {
+        return { error: 'El separador decimal no puede ser el mismo que el delimitador' };
+    }
+
+    return { delimiter, decimalSeparator };
+};
+
+/**
+ * Texto de un número decimal (mysql2 devuelve las columnas DECIMAL como texto)
+ */
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Inicio de un texto que una hoja de cálculo interpretaría como fórmula
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Formatea una fecha en hora local: YYYY-MM-DD si es medianoche (columnas DATE)
+ * o YYYY-MM-DD HH:mm:ss (columnas DATETIME)
+ *
+ * @param {Date} date - Fecha a formatear
+ * @returns {string} Fecha formateada
+ */
+const formatCsvDate = ( date ) => {
+    const pad = ( value ) => String( value ).padStart( 2, '0' );
+    const day = `${ date.getFullYear() }-${ pad( date.getMonth() + 1 ) }-${ pad( date.getDate() ) }`;
+    const time = `${ pad( date.getHours() ) }:${ pad( date.getMinutes() ) }:${ pad( date.getSeconds() ) }`;
+    return time === '00:00:00' ? day : `${ day } ${ time }`;
+};
+
+/**
+ * Convierte un valor en un campo CSV
+ * Los números y los textos numéricos usan el separador decimal indicado y el
+ * resto de textos que parecen una fórmula se neutralizan con una comilla simple
+ *
+ * @param {*} value - Valor del campo (null y undefined quedan vacíos)
+ * @param {Object} [options] - Opciones de formato
+ * @param {string} [options.delimiter=','] - Separador de campos
+ * @param {string} [options.decimalSeparator='.'] - Separador decimal de los números
+ * @returns {string} Campo CSV
+ *
+ * @example
+ * formatCsvValue( 'Bet "365", UK' ) // '"Bet ""365"", UK"'
+ * formatCsvValue( 12.5, { delimiter: ';', decimalSeparator: ',' } ) // '12,5'
+ * formatCsvValue( '10.50', { delimiter: ';', decimalSeparator: ',' } ) // '10,50'
+ * formatCsvValue( '=SUM(A1:A9)' ) // "'=SUM(A1:A9)"
+ * formatCsvValue( '-5.25' ) // '-5.25'
+ */
+const formatCsvValue = ( value, { delimiter = ',', decimalSeparator = '.' } = {} ) => {
+    if ( value === null || value === undefined ) {
+        return '';
+    }
+
+    let text;
+    if ( typeof value === 'number' || typeof value === 'bigint' || ( typeof value === 'string' && NUMERIC_TEXT.test( value ) ) ) {
+        text = String( value ).replace( '.', decimalSeparator );
+    } else if ( value instanceof Date ) {
+        text = Number.isNaN( value.getTime() ) ? '' : formatCsvDate( value );
+    } else if ( typeof value === 'object' ) {
+        text = JSON.stringify( value );
+    } else {
+        text = String( value );
+        if ( FORMULA_START.test( text ) ) {
+            text = `'${ text }`;
+        }
+    }
+
+    const needsQuotes = text.includes( delimiter ) || /["\r\n]/.test( text );
+    return needsQuotes ? `"${ text.replace( /"/g, '""' ) }"` : text;
+};
+
+/**
+ * Indica si un valor es un objeto plano (ni lista, ni fecha, ni null)
+ *
+ * @param {*} value - Valor a comprobar
+ * @returns {boolean} true si es un objeto plano
+ */
+const isPlainObject = ( value ) =>
+    value !== null && typeof value === 'object' && !Array.isArray( value ) && !( value instanceof Date );
+
+/**
+ * Aplana un objeto en una fila con claves separadas por puntos
+ * Las listas se quedan en un único campo (como JSON)
+ *
+ * @param {Object} value - Objeto a aplanar
+ * @param {string} [prefix=''] - Prefijo de las claves
+ * @returns {Object} Fila plana
+ *
+ * @example
+ * flattenCsvRow( { month: '2024-03', fees: { deposits: 1, total: 2 } } )
+ * // { month: '2024-03', 'fees.deposits': 1, 'fees.total': 2 }
+ */
+const flattenCsvRow = ( value, prefix = '' ) => Object.entries( value ).reduce( ( row, [ key, field ] ) => (
+    isPlainObject( field )
+        ? { ...row, ...flattenCsvRow( field, `${ prefix }${ key }.` ) }
+        : { ...row, [ `${ prefix }${ key }` ]: field }
+), {} );
+
+/**
+ * Obtiene las filas del CSV de un cuerpo de respuesta JSON
+ * - Una lista da una fila por elemento
+ * - Un objeto da una única fila, salvo que se elija una de sus partes con path
+ * - Una parte que es un mapa de objetos (ej. byBookMaker por nombre) da una
+ *   fila por entrada, con su clave en la columna key
+ *
+ * @param {*} body - Cuerpo de la respuesta
+ * @param {string} [path] - Ruta con puntos de la parte a exportar (ej. 'byBookMaker')
+ * @returns {Array<Object>|null} Filas planas o null si la ruta no existe
+ *
+ * @example
+ * csvRowsFromBody( { currency: 'EUR', byBookMaker: [ { name: 'Bet365' } ] }, 'byBookMaker' )
+ * // [ { name: 'Bet365' } ]
+ */
+const csvRowsFromBody = ( body, path ) => {
+    const data = path
+        ? path.split( '.' ).reduce( ( value, key ) => isPlainObject( value ) ? value[ key ] : undefined, body )
+        : body;
+
+    if ( data === undefined ) {
+        return null;
+    }
+
+    const toRow = ( item ) => isPlainObject( item ) ? flattenCsvRow( item ) : { value: item };
+
+    if ( Array.isArray( data ) ) {
+        return data.map( toRow );
+    }
+
+    if ( path && isPlainObject( data ) && Object.values( data ).every( isPlainObject ) ) {
+        return Object.entries( data ).map( ( [ key, item ] ) => ( { key, ...flattenCsvRow( item ) } ) );
+    }
+
+    return [ toRow( data ) ];
+};
+
+/**
+ * Obtiene las columnas de un conjunto de filas (todas las claves, en el
+ * orden en que aparecen)
+ *
+ * @param {Array<Object>} rows - Filas planas
+ * @returns {Array<Object>} Columnas { key, header }
+ */
+const csvColumns = ( rows ) => {
+    const keys = new Set();
+    rows.forEach( row => Object.keys( row ).forEach( key => keys.add( key ) ) );
+    return [ ...keys ].map( key => ( { key, header: key } ) );
+};
+
+/**
+ * Escribe un documento CSV en la respuesta por bloques de filas, esperando a
+ * que se vacíe el buffer de la conexión antes de seguir, y la termina
+ * Las filas pueden ser una lista o un iterable asíncrono (ej. dbStream), que
+ * se va leyendo al ritmo al que el cliente descarga
+ *
+ * @param {Object} res - Objeto de respuesta HTTP (con las cabeceras ya puestas)
+ * @param {Array<Object>|AsyncIterable<Object>} rows - Filas a exportar
+ * @param {Array<Object>} columns - Columnas { key, header } en orden
+ * @param {Object} [options] - Opciones de formato (ver formatCsvValue)
+ * @returns {Promise<void>} Se resuelve al terminar la respuesta
+ *
+ * @example
+ * await streamCsv( res, [ { name: 'Bet365', total: 10.5 } ], [ { key: 'name', header: 'Casa' }, { key: 'total', header: 'Total' } ] );
+ * // Escribe '\uFEFFCasa,Total\r\nBet365,10.5\r\n'
+ */
+const streamCsv = async ( res, rows, columns, options = {} ) => {
+    const { delimiter = ',' } = options;
+    const line = ( values ) => values.map( value => formatCsvValue( value, options ) ).join( delimiter ) + '\r\n';
+    // Si el buffer está lleno se espera a que se vacíe o a que se cierre la conexión
+    const write = ( text ) => res.write( text ) ? Promise.resolve() : new Promise( ( resolve ) => {
+        const done = () => {
+            res.off( 'drain', done );
+            res.off( 'close', done );
+            resolve();
+        };
+        res.on( 'drain', done );
+        res.on( 'close', done );
+    } );
+
+    await write( '\uFEFF' + line( columns.map( column => column.header ) ) );
+
+    let chunk = '';
+    let chunkRows = 0;
+
+    for await ( const row of rows ) {
+        // La conexión se ha cerrado: no tiene sentido seguir escribiendo
+        // (al salir del bucle se cierra también el origen de las filas)
+        if ( res.destroyed ) {
+            return;
+        }
+
+        chunk += line( columns.map( column => row[ column.key ] ) );
+        chunkRows++;
+
+        if ( chunkRows === CSV_CHUNK_ROWS ) {
+            await write( chunk );
+            chunk = '';
+            chunkRows = 0;
+        }
+    }
+
+    if ( chunk && !res.destroyed ) {
+        await write( chunk );
+    }
+
+    res.end();
+};
+
+export {
+    CSV_DELIMITERS,
+    CSV_DECIMAL_SEPARATORS,
+    wantsCsv,
+    parseCsvOptions,
+    formatCsvValue,
+    flattenCsvRow,
+    csvRowsFromBody,
+    csvColumns,
+    streamCsv
+};
@@ -0,0 +1,270 @@
+// utils/currency.js
+/**
+ * Helpers para divisas y tipos de cambio
+ *
+ * Los tipos de la tabla fxRates indican cuántas unidades de cada divisa
+ * equivalen a 1 EUR (divisa de referencia) en una fecha. Un importe se
+ * convierte con el último tipo publicado hasta la fecha del movimiento:
+ * - getBaseCurrency: Divisa de informe solicitada (?currency=GBP)
+ * - betsInCurrencySql / transactionsInCurrencySql: Subconsultas con los importes convertidos
+ * - getFxConversionError: Valida la divisa base y que existan los tipos necesarios
+ * - normalizeFxRates / parseFxRates / readFxRatesSource: Carga de tipos desde un fichero local o una URL
+ */
+import { readFile } from 'fs/promises';
+import { dbAll } from './helpers.js';
+import { divide, toRate } from './money.js';
+
+/**
+ * Divisa de referencia de la tabla fxRates
+ */
+const REFERENCE_CURRENCY = 'EUR';
+
+/**
+ * Comprueba si un valor es un código de divisa ISO 4217 (EUR, GBP, USD...)
+ *
+ * @param {*} currency - Valor a comprobar
+ * @returns {boolean} true si es un código de 3 letras mayúsculas
+ */
+const isCurrencyCode = ( currency ) => typeof currency === 'string' && /^[A-Z]{3}$/.test( currency );
+
+/**
+ * Obtiene la divisa en la que se quiere el informe
+ * Por defecto BASE_CURRENCY del entorno o la divisa de referencia
+ *
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {string} [req.query.currency] - Divisa base solicitada
+ * @returns {string} Código de divisa en mayúsculas (sin validar)
+ */
+const getBaseCurrency = ( req ) =>
+    String( req.query.currency || process.env.BASE_CURRENCY || REFERENCE_CURRENCY ).toUpperCase();
+
+/**
+ * Fragmento SQL con el tipo de una divisa en una fecha
+ *
+ * @param {string} currencySql - Expresión SQL con la divisa
+ * @param {string} dateSql - Expresión SQL con la fecha
+ * @returns {string} Expresión SQL (NULL si no hay tipo publicado)
+ */
+const fxRateSql = ( currencySql, dateSql ) => `
+    CASE WHEN ${ currencySql } = '${ REFERENCE_CURRENCY }' THEN 1 ELSE (
+        SELECT fx.rate FROM fxRates fx
+        WHERE fx.currency = ${ currencySql } AND fx.date <= ${ dateSql }
+        ORDER BY fx.date DESC
+        LIMIT 1
+    ) END`;
+
+/**
+ * Fragmento SQL con el factor para pasar un importe de la divisa de su
+ * casa de apuestas (bm.currency) a la divisa base (base.currency)
+ *
+ * @param {string} dateSql - Expresión SQL con la fecha del movimiento
+ * @returns {string} Expresión SQL del factor de conversión
+ */
+const fxFactorSql = ( dateSql ) =>
+    `( ${ fxRateSql( 'base.currency', dateSql ) } ) / ( ${ fxRateSql( 'bm.currency', dateSql ) } )`;
+
+/**
+ * Subconsulta de apuestas con stake, liability y result en la divisa base
+ * Requiere un parámetro: la divisa base. Se usa como "FROM ( ... ) b"
+ */
+const betsInCurrencySql = `
+    SELECT
+        b.id, b.idBookMaker, bm.name as bookMakerName, bm.currency, bm.comission,
+        b.bank, b.betType, b.betDate, b.eventDate, b.event, b.bet,
+        b.odds, b.status, b.eachWay, b.isMultiple, b.idMB, b.idPromotion,
+        b.stake * ${ fxFactorSql( 'b.betDate' ) } as stake,
+        b.liability * ${ fxFactorSql( 'b.betDate' ) } as liability,
+        b.result * ${ fxFactorSql( 'b.betDate' ) } as result,
+        ${ fxFactorSql( 'b.betDate' ) } as fxFactor,
+        ${ fxRateSql( 'bm.currency', 'b.betDate' ) } as fxRate
+    FROM bets b
+    JOIN bookMakers bm ON b.idBookMaker = bm.id
+    CROSS JOIN ( SELECT ? as currency ) base`;
+
+/**
+ * Subconsulta de transacciones con amount en la divisa base
+ * Requiere un parámetro: la divisa base. Se usa como "FROM ( ... ) t"
+ */
+const transactionsInCurrencySql = `
+    SELECT
+        t.id, t.idBookMaker, bm.name as bookMakerName, bm.currency,
+        t.type, t.date, t.info, t.idTransfer, t.idFundingSource, t.status,
+        t.amount * ${ fxFactorSql( 't.date' ) } as amount,
+        t.fee * ${ fxFactorSql( 't.date' ) } as fee,
+        ${ fxFactorSql( 't.date' ) } as fxFactor,
+        ${ fxRateSql( 'bm.currency', 't.date' ) } as fxRate
+    FROM transactions t
+    JOIN bookMakers bm ON t.idBookMaker = bm.id
+    CROSS JOIN ( SELECT ? as currency ) base`;
+
+/**
+ * Busca las divisas sin tipo de cambio para convertir los movimientos a la divisa base
+ * (la de la cuenta si falta su tipo o la divisa base si falta el suyo)
+ *
+ * @param {string} sourceSql - betsInCurrencySql o transactionsInCurrencySql
+ * @param {string} baseCurrency - Divisa base
+ * @returns {Promise<Array<string>>} Divisas sin tipo de cambio (vacío si todo se puede convertir)
+ */
+const findMissingFxRates = async ( sourceSql, baseCurrency ) => {
+    const rows = await dbAll(
+        `SELECT DISTINCT CASE WHEN src.fxRate IS NULL THEN src.currency ELSE ? END as currency
+         FROM ( ${ sourceSql } ) src
+         WHERE src.fxFactor IS NULL`,
+        [ baseCurrency, baseCurrency ]
+    );
+
+    return rows.map( row => row.currency );
+};
+
+/**
+ * Comprueba que los movimientos de una subconsulta se pueden convertir a la divisa base
+ *
+ * @param {string} baseCurrency - Divisa base solicitada
+ * @param {string} sourceSql - betsInCurrencySql o transactionsInCurrencySql
+ * @returns {Promise<Object|null>} { status, body } con la respuesta de error o null si es válida
+ *
+ * @example
+ * const fxError = await getFxConversionError( baseCurrency, betsInCurrencySql );
+ * if ( fxError ) {
+ *     return res.status( fxError.status ).json( fxError.body );
+ * }
+ */
+const getFxConversionError = async ( baseCurrency, sourceSql ) => {
+    if ( !isCurrencyCode( baseCurrency ) ) {
+        return {
+            status: 400,
+            body: { message: 'La divisa debe ser un código ISO de 3 letras (EUR, GBP, USD...)' }
+        };
+    }
+
+    const missingCurrencies = await findMissingFxRates( sourceSql, baseCurrency );
+
+    if ( missingCurrencies.length ) {
+        return {
+            status: 422,
+            body: {
+                message: `Faltan tipos de cambio para convertir a ${ baseCurrency }`,
+                missingCurrencies
+            }
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Valida una lista de tipos de cambio y la expresa en la divisa de referencia
+ * Si la base no es EUR, los tipos se recalculan con el de EUR de la misma fecha
+ *
+ * @param {Array<Object>} rates - Tipos de cambio ({ date, currency, rate })
+ * @param {string} [base='EUR'] - Divisa en la que están expresados los tipos
+ * @returns {Array<Object>} Tipos normalizados ({ date, currency, rate })
+ * @throws {Error} Si alguno de los tipos no es válido
+ */
+const normalizeFxRates = ( rates, base = REFERENCE_CURRENCY ) => {
+    let normalized = rates.map( ( { date, currency, rate } ) => ({
+        date: String( date ).slice( 0, 10 ),
+        currency: String( currency ).toUpperCase(),
+        rate: Number( rate )
+    }) );
+
+    const invalid = normalized.find( ( { date, currency, rate } ) =>
+        !/^\d{4}-\d{2}-\d{2}$/.test( date ) || !isCurrencyCode( currency ) ||
+        !Number.isFinite( rate ) || rate <= 0 );
+    if ( invalid ) {
+        throw new Error( `Tipo de cambio no válido: ${ JSON.stringify( invalid ) }` );
+    }
+
+    if ( base !== REFERENCE_CURRENCY ) {
+        // tipo(divisa por EUR) = tipo(divisa por base) / tipo(EUR por base)
+        const referenceRates = Object.fromEntries( normalized
+            .filter( ( { currency } ) => currency === REFERENCE_CURRENCY )
+            .map( ( { date, rate } ) => [ date, rate ] ) );
+        const dates = [ ...new Set( normalized.map( ( { date } ) => date ) ) ];
+
+        const missingDate = dates.find( date => !referenceRates[ date ] );
+        if ( missingDate ) {
+            throw new Error( `Falta el tipo de ${ REFERENCE_CURRENCY } del ${ missingDate } para convertir desde ${ base }` );
+        }
+
+        normalized = normalized
+            .concat( dates.map( date => ({ date, currency: base, rate: 1 }) ) )
+            .map( ( { date, currency, rate } ) => ({
+                date,
+                currency,
+                rate: toRate( divide( rate, referenceRates[ date ] ) )
+            }) );
+    }
+
+    return normalized.filter( ( { currency } ) => currency !== REFERENCE_CURRENCY );
+};
+
+/**
+ * Interpreta el contenido de una fuente de tipos de cambio
+ * Admite:
+ * - CSV con líneas "date,currency,rate" (cabecera opcional)
+ * - JSON con un array [{ date, currency, rate }]
+ * - JSON { base, date, rates: { GBP: 0.85 } } (un día)
+ * - JSON { base, rates: { '2024-03-15': { GBP: 0.85 } } } (serie temporal)
+ *
+ * @param {string} content - Contenido del fichero o de la respuesta
+ * @returns {Array<Object>} Tipos normalizados ({ date, currency, rate })
+ * @throws {Error} Si el formato o alguno de los tipos no es válido
+ */
+const parseFxRates = ( content ) => {
+    const text = content.trim();
+    let rates;
+    let base = REFERENCE_CURRENCY;
+
+    if ( text.startsWith( '[' ) || text.startsWith( '{' ) ) {
+        const data = JSON.parse( text );
+
+        if ( Array.isArray( data ) ) {
+            rates = data;
+        } else {
+            base = String( data.base || REFERENCE_CURRENCY ).toUpperCase();
+            const byDate = data.date ? { [ data.date ]: data.rates } : data.rates;
+
+            rates = Object.entries( byDate || {} ).flatMap( ( [ date, dayRates ] ) =>
+                Object.entries( dayRates ).map( ( [ currency, rate ] ) => ({ date, currency, rate }) ) );
+        }
+    } else {
+        rates = text.split( /\r?\n/ )
+            .map( line => line.split( ',' ).map( field => field.trim() ) )
+            .filter( ( [ date ] ) => /^\d{4}-\d{2}-\d{2}$/.test( date ) )
+            .map( ( [ date, currency, rate ] ) => ({ date, currency, rate }) );
+    }
+
+    return normalizeFxRates( rates, base );
+};
+
+/**
+ * Lee el contenido de una fuente de tipos de cambio
+ *
+ * @param {string} source - Ruta de un fichero local o URL http(s)
+ * @returns {Promise<string>} Contenido de la fuente
+ * @throws {Error} Si no se puede leer la fuente
+ */
+const readFxRatesSource = async ( source ) => {
+    if ( /^https?:\/\//i.test( source ) ) {
+        const response = await fetch( source );
+        if ( !response.ok ) {
+            throw new Error( `La fuente de tipos de cambio respondió ${ response.status }` );
+        }
+        return response.text();
+    }
+
+    return readFile( source, 'utf8' );
+};
+
+export {
+    REFERENCE_CURRENCY,
+    isCurrencyCode,
+    getBaseCurrency,
+    betsInCurrencySql,
+    transactionsInCurrencySql,
+    getFxConversionError,
+    normalizeFxRates,
+    parseFxRates,
+    readFxRatesSource
+};
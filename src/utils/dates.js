@@ -0,0 +1,75 @@
+// utils/dates.js
+/**
+ * Helpers para fechas de calendario
+ *
+ * Las fechas se tratan como días naturales (YYYY-MM-DD) sin zona horaria:
+ * - toUtcDate / formatDate: Conversión entre YYYY-MM-DD y Date a medianoche UTC
+ * - today / addDays: Fecha de hoy y suma de días
+ * - isoWeekday / startOfWeek: Día de la semana y lunes de la semana
+ */
+
+/**
+ * Convierte una fecha YYYY-MM-DD (o Date) en un Date a medianoche UTC
+ *
+ * @param {string|Date} date - Fecha
+ * @returns {Date} Fecha en UTC
+ */
+const toUtcDate = ( date ) => date instanceof Date
+    ? new Date( Date.UTC( date.getFullYear(), date.getMonth(), date.getDate() ) )
+    : new Date( `${ String( date ).slice( 0, 10 ) }T00:00:00Z` );
+
+/**
+ * Formatea un Date UTC como YYYY-MM-DD
+ *
+ * @param {Date} date - Fecha
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+const formatDate = ( date ) => date.toISOString().slice( 0, 10 );
+
+/**
+ * Fecha de hoy (hora local del servidor)
+ *
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+const today = () => formatDate( toUtcDate( new Date() ) );
+
+/**
+ * Suma días a una fecha
+ *
+ * @param {string|Date} date - Fecha de partida
+ * @param {number} days - Días a sumar (negativo para restar)
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+const addDays = ( date, days ) => {
+    const result = toUtcDate( date );
+    result.setUTCDate( result.getUTCDate() + days );
+    return formatDate( result );
+};
+
+/**
+ * Día ISO de la semana de una fecha
+ *
+ * @param {string|Date} date - Fecha
+ * @returns {number} 1 = lunes ... 7 = domingo
+ */
+const isoWeekday = ( date ) => toUtcDate( date ).getUTCDay() || 7;
+
+/**
+ * Lunes de la semana de una fecha
+ *
+ * @param {string|Date} [date=new Date()] - Fecha
+ * @returns {string} Fecha YYYY-MM-DD del lunes
+ *
+ * @example
+ * startOfWeek( '2024-03-16' ) // '2024-03-11'
+ */
+const startOfWeek = ( date = new Date() ) => addDays( date, 1 - isoWeekday( date ) );
+
+export {
+    toUtcDate,
+    formatDate,
+    today,
+    addDays,
+    isoWeekday,
+    startOfWeek
+};
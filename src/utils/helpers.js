@@ -6,8 +6,10 @@
  * - dbGet: Para obtener un único registro
  * - dbAll: Para obtener múltiples registros
  * - dbRun: Para ejecutar comandos (INSERT, UPDATE, DELETE)
+ * - dbTransaction: Para ejecutar varias operaciones en una transacción
+ * - dbStream: Para recorrer registros a medida que llegan (exportaciones grandes)
  */
-import pool from '../config/database.js';
+import pool from '../../database.js';
 
 /**
  * Obtiene un único registro de la base de datos
@@ -75,8 +77,95 @@ const dbRun = async (sql, params = []) => {
     }
 };
 
+/**
+ * Ejecuta varias operaciones dentro de una única transacción
+ * Si el callback lanza un error se hace rollback de todas las operaciones
+ * 
+ * @param {Function} callback - Función asíncrona que recibe { dbGet, dbAll, dbRun }
+ *                              ligados a la conexión de la transacción
+ * @returns {Promise<*>} Valor devuelto por el callback
+ * @throws {Error} Si hay un error en alguna de las operaciones
+ * 
+ * @example
+ * const id = await dbTransaction( async ( tx ) => {
+ *     const { insertId } = await tx.dbRun('INSERT INTO matchedBets (date, event) VALUES (?, ?)', [date, event]);
+ *     await tx.dbRun('INSERT INTO bets (idMB, ...) VALUES (?, ...)', [insertId, ...]);
+ *     return insertId;
+ * });
+ */
+const dbTransaction = async (callback) => {
+    const connection = await pool.getConnection();
+
+    const tx = {
+        dbGet: async (sql, params = []) => {
+            const [rows] = await connection.query(sql, params);
+            return rows[0];
+        },
+        dbAll: async (sql, params = []) => {
+            const [rows] = await connection.query(sql, params);
+            return rows;
+        },
+        dbRun: async (sql, params = []) => {
+            const [result] = await connection.query(sql, params);
+            return {
+                insertId: result.insertId,
+                affectedRows: result.affectedRows,
+                changedRows: result.changedRows
+            };
+        }
+    };
+
+    try {
+        await connection.beginTransaction();
+        const result = await callback(tx);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw new Error(`Error en dbTransaction: ${error.message}`);
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Recorre los registros de una consulta a medida que llegan del servidor,
+ * sin cargar el resultado entero en memoria
+ * La conexión se devuelve al pool al terminar; si se deja de recorrer antes
+ * (ej. el cliente corta la descarga) se cierra, porque queda con filas pendientes
+ * 
+ * @param {string} sql - Consulta SQL
+ * @param {Array} params - Parámetros para la consulta
+ * @returns {AsyncGenerator<Object>} Registros de la consulta
+ * @throws {Error} Si hay un error en la consulta
+ * 
+ * @example
+ * for await ( const bet of dbStream('SELECT * FROM bets WHERE status = ?', ['won']) ) {
+ *     console.log(bet.id);
+ * }
+ */
+const dbStream = async function* (sql, params = []) {
+    const connection = await pool.getConnection();
+    let finished = false;
+
+    try {
+        yield* connection.connection.query(sql, params).stream();
+        finished = true;
+    } catch (error) {
+        throw new Error(`Error en dbStream: ${error.message}`);
+    } finally {
+        if (finished) {
+            connection.release();
+        } else {
+            connection.destroy();
+        }
+    }
+};
+
 export {
     dbGet,
     dbAll,
-    dbRun
+    dbRun,
+    dbTransaction,
+    dbStream
 };
\ No newline at end of file
@@ -0,0 +1,239 @@
+// utils/money.js
+/**
+ * Aritmética decimal exacta para importes, cuotas y tipos de cambio
+ *
+ * Los valores se representan como enteros BigInt escalados a 18 decimales,
+ * así que sumas, restas y productos de importes no acumulan errores de coma
+ * flotante. Acepta números, cadenas decimales (como las que devuelve MySQL
+ * para DECIMAL) o valores intermedios devueltos por estas mismas funciones.
+ *
+ * Política de redondeo:
+ * - Los cálculos intermedios se mantienen exactos (las divisiones, a 18 decimales)
+ * - Solo se redondea al final, al guardar o devolver un valor
+ * - Importes a 2 decimales, cuotas a 4 y tipos de cambio a 8 (igual que el esquema)
+ * - Redondeo "half away from zero": 2.345 → 2.35 y -2.345 → -2.35
+ */
+
+/**
+ * Decimales de cada tipo de valor (coinciden con las columnas de query.sql)
+ */
+const MONEY_DECIMALS = 2;
+const ODDS_DECIMALS = 4;
+const RATE_DECIMALS = 8;
+
+/**
+ * Escala interna de los valores exactos
+ */
+const SCALE = 18;
+const ONE = 10n ** BigInt( SCALE );
+
+const abs = ( value ) => value < 0n ? -value : value;
+
+/**
+ * Divide dos enteros redondeando la mitad lejos del cero
+ *
+ * @param {bigint} numerator - Dividendo
+ * @param {bigint} denominator - Divisor (distinto de 0)
+ * @returns {bigint} Cociente redondeado
+ */
+const divideRounded = ( numerator, denominator ) => {
+    const quotient = ( 2n * abs( numerator ) + abs( denominator ) ) / ( 2n * abs( denominator ) );
+    return ( numerator < 0n ) !== ( denominator < 0n ) ? -quotient : quotient;
+};
+
+/**
+ * Convierte un valor a su representación exacta
+ *
+ * @param {number|string|bigint|null} value - Importe, cuota o valor exacto ya convertido
+ * @returns {bigint} Valor escalado (null, undefined y '' se tratan como 0)
+ * @throws {Error} Si el valor no es un número decimal
+ *
+ * @example
+ * toDecimal( '10.50' ) // 10500000000000000000n
+ */
+const toDecimal = ( value ) => {
+    if ( typeof value === 'bigint' ) {
+        return value;
+    }
+    if ( value === null || value === undefined || value === '' ) {
+        return 0n;
+    }
+    if ( typeof value === 'number' && !Number.isFinite( value ) ) {
+        throw new Error( `Valor numérico no válido: ${ value }` );
+    }
+
+    // String( 0.1 ) da la representación más corta ("0.1"), no la binaria
+    const text = String( value ).trim();
+    const match = text.match( /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i );
+    if ( !match || !( match[2] || match[3] ) ) {
+        throw new Error( `Valor numérico no válido: ${ value }` );
+    }
+
+    const [ , sign, integerPart = '', fractionPart = '', exponent = '0' ] = match;
+    const digits = BigInt( integerPart + fractionPart || '0' );
+    const shift = SCALE - fractionPart.length + Number( exponent );
+
+    const scaled = shift >= 0
+        ? digits * 10n ** BigInt( shift )
+        : divideRounded( digits, 10n ** BigInt( -shift ) );
+
+    return sign === '-' ? -scaled : scaled;
+};
+
+/**
+ * Suma valores de forma exacta
+ *
+ * @param {...(number|string|bigint)} values - Valores a sumar
+ * @returns {bigint} Suma exacta
+ */
+const add = ( ...values ) => values.reduce( ( total, value ) => total + toDecimal( value ), 0n );
+
+/**
+ * Resta dos valores de forma exacta
+ *
+ * @param {number|string|bigint} minuend - Minuendo
+ * @param {number|string|bigint} subtrahend - Sustraendo
+ * @returns {bigint} Diferencia exacta
+ */
+const subtract = ( minuend, subtrahend ) => toDecimal( minuend ) - toDecimal( subtrahend );
+
+/**
+ * Multiplica valores (exacto mientras el resultado quepa en 18 decimales)
+ *
+ * @param {...(number|string|bigint)} values - Factores
+ * @returns {bigint} Producto
+ */
+const multiply = ( ...values ) => values.reduce(
+    ( product, value ) => divideRounded( product * toDecimal( value ), ONE ),
+    ONE
+);
+
+/**
+ * Divide dos valores con 18 decimales de precisión
+ *
+ * @param {number|string|bigint} dividend - Dividendo
+ * @param {number|string|bigint} divisor - Divisor
+ * @returns {bigint} Cociente
+ * @throws {Error} Si el divisor es 0
+ */
+const divide = ( dividend, divisor ) => {
+    const denominator = toDecimal( divisor );
+    if ( denominator === 0n ) {
+        throw new Error( 'División por cero' );
+    }
+    return divideRounded( toDecimal( dividend ) * ONE, denominator );
+};
+
+/**
+ * Compara dos valores
+ *
+ * @param {number|string|bigint} a - Primer valor
+ * @param {number|string|bigint} b - Segundo valor
+ * @returns {number} -1 si a < b, 0 si son iguales, 1 si a > b
+ */
+const compare = ( a, b ) => {
+    const difference = subtract( a, b );
+    return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+};
+
+/**
+ * Menor de varios valores
+ *
+ * @param {...(number|string|bigint)} values - Valores
+ * @returns {bigint} Valor mínimo
+ */
+const min = ( ...values ) => values.map( toDecimal ).reduce( ( a, b ) => b < a ? b : a );
+
+/**
+ * Mayor de varios valores
+ *
+ * @param {...(number|string|bigint)} values - Valores
+ * @returns {bigint} Valor máximo
+ */
+const max = ( ...values ) => values.map( toDecimal ).reduce( ( a, b ) => b > a ? b : a );
+
+/**
+ * Redondea un valor a un número de decimales según la política del módulo
+ *
+ * @param {number|string|bigint} value - Valor a redondear
+ * @param {number} decimals - Decimales (0 a 18)
+ * @returns {number} Valor redondeado listo para guardar o devolver
+ *
+ * @example
+ * round( '2.345', 2 ) // 2.35
+ */
+const round = ( value, decimals ) => {
+    const units = divideRounded( toDecimal( value ), 10n ** BigInt( SCALE - decimals ) );
+    const digits = abs( units ).toString().padStart( decimals + 1, '0' );
+    const integerPart = digits.slice( 0, digits.length - decimals );
+    const fractionPart = decimals ? `.${ digits.slice( -decimals ) }` : '';
+
+    return Number( `${ units < 0n ? '-' : '' }${ integerPart }${ fractionPart }` );
+};
+
+/**
+ * Redondea un importe a céntimos
+ *
+ * @param {number|string|bigint} value - Importe
+ * @returns {number} Importe con 2 decimales
+ */
+const toMoney = ( value ) => round( value, MONEY_DECIMALS );
+
+/**
+ * Redondea una cuota a 4 decimales
+ *
+ * @param {number|string|bigint} value - Cuota
+ * @returns {number} Cuota con 4 decimales
+ */
+const toOdds = ( value ) => round( value, ODDS_DECIMALS );
+
+/**
+ * Redondea un tipo de cambio a 8 decimales
+ *
+ * @param {number|string|bigint} value - Tipo de cambio
+ * @returns {number} Tipo con 8 decimales
+ */
+const toRate = ( value ) => round( value, RATE_DECIMALS );
+
+/**
+ * Porcentaje de una parte sobre un total, a 2 decimales
+ *
+ * @param {number|string|bigint} part - Parte
+ * @param {number|string|bigint} total - Total
+ * @returns {number} Porcentaje (0 si el total es 0)
+ *
+ * @example
+ * percentage( 25, 200 ) // 12.5
+ */
+const percentage = ( part, total ) =>
+    toDecimal( total ) === 0n ? 0 : round( multiply( divide( part, total ), 100 ), 2 );
+
+/**
+ * Media de un total entre un número de elementos, a 2 decimales
+ *
+ * @param {number|string|bigint} total - Total
+ * @param {number|string} count - Número de elementos
+ * @returns {number} Media (0 si no hay elementos)
+ */
+const average = ( total, count ) =>
+    toDecimal( count ) === 0n ? 0 : toMoney( divide( total, count ) );
+
+export {
+    MONEY_DECIMALS,
+    ODDS_DECIMALS,
+    RATE_DECIMALS,
+    toDecimal,
+    add,
+    subtract,
+    multiply,
+    divide,
+    compare,
+    min,
+    max,
+    round,
+    toMoney,
+    toOdds,
+    toRate,
+    percentage,
+    average
+};
@@ -0,0 +1,108 @@
+// utils/offers.js
+/**
+ * Helpers para las ofertas recurrentes
+ *
+ * Una plantilla de oferta se repite cada semana en los días indicados
+ * (weekdays: 1 = lunes ... 7 = domingo, guardados como "6,7"). Las fechas son
+ * días naturales YYYY-MM-DD (ver utils/dates.js):
+ * - RECURRING_FREEBET_TYPES / OFFER_INSTANCE_STATUSES: Valores admitidos
+ * - parseWeekdays / validateOfferTemplate: Lectura y validación de plantillas
+ * - getOfferDates: Cálculo de las fechas de cada oferta
+ */
+import { addDays, formatDate, isoWeekday, toUtcDate } from './dates.js';
+
+/**
+ * Tipos de freebet que se repiten cada semana
+ */
+const RECURRING_FREEBET_TYPES = [ 'bet-and-get', 'loyalty' ];
+
+/**
+ * Estados de una oferta concreta del calendario
+ */
+const OFFER_INSTANCE_STATUSES = [ 'pending', 'done', 'skipped' ];
+
+/**
+ * Nombres de los días de la semana (índice = día ISO)
+ */
+const WEEKDAY_NAMES = [ null, 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo' ];
+
+/**
+ * Convierte los días guardados ("6,7") en una lista de días ISO
+ *
+ * @param {string|Array<number>|null} weekdays - Días de la semana
+ * @returns {Array<number>} Días ordenados (1 = lunes ... 7 = domingo)
+ */
+const parseWeekdays = ( weekdays ) => ( Array.isArray( weekdays ) ? weekdays : String( weekdays || '' ).split( ',' ) )
+    .map( Number )
+    .filter( day => day >= 1 && day <= 7 )
+    .sort();
+
+/**
+ * Valida los datos de una plantilla de oferta
+ *
+ * @param {Object} template - Datos de la plantilla (los ausentes no se validan)
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+const validateOfferTemplate = ( { name, freebetType, weekdays, qualifyingStake, rewardAmount, startDate, endDate } ) => {
+    if ( name !== undefined && ( !name || String( name ).length > 100 ) ) {
+        return 'El nombre es obligatorio (máximo 100 caracteres)';
+    }
+    if ( freebetType !== undefined && !RECURRING_FREEBET_TYPES.includes( freebetType ) ) {
+        return `El tipo de freebet debe ser uno de: ${ RECURRING_FREEBET_TYPES.join( ', ' ) }`;
+    }
+    if ( weekdays !== undefined && ( !Array.isArray( weekdays ) || !weekdays.length ||
+        parseWeekdays( weekdays ).length !== weekdays.length ) ) {
+        return 'Los días deben ser una lista de números del 1 (lunes) al 7 (domingo)';
+    }
+    if ( qualifyingStake && !( Number( qualifyingStake ) > 0 ) ) {
+        return 'El stake de calificación debe ser mayor que 0';
+    }
+    if ( rewardAmount && !( Number( rewardAmount ) > 0 ) ) {
+        return 'El importe de la recompensa debe ser mayor que 0';
+    }
+    if ( [ startDate, endDate ].some( date => date && !/^\d{4}-\d{2}-\d{2}$/.test( date ) ) ) {
+        return 'Las fechas deben tener el formato YYYY-MM-DD';
+    }
+    if ( startDate && endDate && endDate < startDate ) {
+        return 'La fecha de fin no puede ser anterior a la de inicio';
+    }
+    return null;
+};
+
+/**
+ * Obtiene las fechas en las que se repite una plantilla dentro de un periodo
+ *
+ * @param {Object} template - Plantilla ({ weekdays, startDate, endDate })
+ * @param {string} from - Primer día del periodo (YYYY-MM-DD)
+ * @param {string} to - Último día del periodo (YYYY-MM-DD)
+ * @returns {Array<string>} Fechas YYYY-MM-DD de la oferta
+ *
+ * @example
+ * getOfferDates( { weekdays: '6' }, '2024-03-11', '2024-03-24' ) // ['2024-03-16', '2024-03-23']
+ */
+const getOfferDates = ( template, from, to ) => {
+    const weekdays = parseWeekdays( template.weekdays );
+    const first = template.startDate && formatDate( toUtcDate( template.startDate ) ) > from
+        ? formatDate( toUtcDate( template.startDate ) )
+        : from;
+    const last = template.endDate && formatDate( toUtcDate( template.endDate ) ) < to
+        ? formatDate( toUtcDate( template.endDate ) )
+        : to;
+
+    const dates = [];
+    for ( let date = first; date <= last; date = addDays( date, 1 ) ) {
+        if ( weekdays.includes( isoWeekday( date ) ) ) {
+            dates.push( date );
+        }
+    }
+    return dates;
+};
+
+export {
+    RECURRING_FREEBET_TYPES,
+    OFFER_INSTANCE_STATUSES,
+    WEEKDAY_NAMES,
+    parseWeekdays,
+    validateOfferTemplate,
+    getOfferDates
+};
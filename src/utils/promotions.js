@@ -0,0 +1,53 @@
+// utils/promotions.js
+/**
+ * Helpers para el catálogo de promociones
+ *
+ * Las apuestas, freebets y requisitos de apuesta referencian la promoción
+ * por su ID (idPromotion), que debe ser de su misma casa de apuestas:
+ * - PROMOTION_TYPES: Tipos de promoción admitidos
+ * - findPromotionError: Comprueba que una promoción existe y es de la casa indicada
+ */
+import { dbGet } from './helpers.js';
+
+/**
+ * Tipos de promoción
+ * (bienvenida, recarga, seguro de combinada, cuota mejorada, best odds guaranteed, 2 goles arriba)
+ */
+const PROMOTION_TYPES = [ 'sign-up', 'reload', 'acca-insurance', 'price-boost', 'bog', '2up', 'other' ];
+
+/**
+ * Comprueba que una promoción existe y pertenece a la casa de apuestas indicada
+ *
+ * @param {number} idPromotion - ID de la promoción
+ * @param {number} idBookMaker - ID de la casa de apuestas del registro que la referencia
+ * @param {Function} [get=dbGet] - Función de consulta (dbGet o tx.dbGet)
+ * @returns {Promise<Object|null>} { status, message } con el error o null si es válida
+ *
+ * @example
+ * const promotionError = await findPromotionError( idPromotion, idBookMaker );
+ * if ( promotionError ) {
+ *     return res.status( promotionError.status ).json( { message: promotionError.message } );
+ * }
+ */
+const findPromotionError = async ( idPromotion, idBookMaker, get = dbGet ) => {
+    if ( !Number.isInteger( Number( idPromotion ) ) ) {
+        return { status: 400, message: 'El ID de la promoción debe ser un número entero' };
+    }
+
+    const promotion = await get( 'SELECT id, idBookMaker FROM promotions WHERE id = ?', [ idPromotion ] );
+
+    if ( !promotion ) {
+        return { status: 404, message: `No se encontró la promoción con ID ${ idPromotion }` };
+    }
+
+    if ( Number( promotion.idBookMaker ) !== Number( idBookMaker ) ) {
+        return { status: 400, message: 'La promoción debe ser de la misma casa de apuestas' };
+    }
+
+    return null;
+};
+
+export {
+    PROMOTION_TYPES,
+    findPromotionError
+};
@@ -0,0 +1,298 @@
+// utils/reports.js
+/**
+ * Helpers para los informes agregados por periodo
+ *
+ * La cuenta de resultados (P&L) reparte el resultado de las apuestas resueltas
+ * por categoría y le resta las comisiones de las transacciones. Una apuesta
+ * cuenta el día en que se resuelve (la fecha del evento, o la de la apuesta si
+ * es posterior), igual que en la serie de saldos de utils/balance.js:
+ * - REPORT_GROUPINGS / periodSql: Agrupaciones admitidas y su clave SQL
+ * - PNL_CATEGORIES / betCategorySql: Categorías de la cuenta de resultados
+ * - settledDateSql: Fecha en que cuenta el resultado de una apuesta
+ * - buildPnlStatement: Agrega las filas de resultados y comisiones
+ *
+ * El informe fiscal cubre un ejercicio que empieza cada año en el mismo día
+ * (FISCAL_YEAR_START o el indicado, en formato MM-DD) y separa las apuestas
+ * personales del resto (matched betting):
+ * - parseFiscalYearStart / fiscalYearPeriod / currentFiscalYear: Fechas del ejercicio
+ * - buildTaxReport: Agrega resultados, comisiones y transacciones por casa
+ */
+import { add, subtract, toMoney } from './money.js';
+import { addDays } from './dates.js';
+
+/**
+ * Agrupaciones de los informes por periodo
+ */
+const REPORT_GROUPINGS = [ 'day', 'week', 'month', 'year' ];
+
+/**
+ * Formato de la clave de cada agrupación (las semanas son ISO: 2024-W05)
+ */
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%x-W%v',
+    month: '%Y-%m',
+    year: '%Y'
+};
+
+/**
+ * Categorías de la cuenta de resultados:
+ * - qualifying: Apuestas de calificación (back/lay con dinero real)
+ * - freebetExtraction: Grupos en los que se juega una freebet
+ * - mugBets: Mug bets para cuidar la cuenta
+ * - personal: Apuestas personales
+ * - otherIncome: Apuestas de tipo 'other' (bonos, cashback...)
+ */
+const PNL_CATEGORIES = [ 'qualifying', 'freebetExtraction', 'mugBets', 'personal', 'otherIncome' ];
+
+/**
+ * Expresión SQL con la clave del periodo de una fecha
+ *
+ * @param {string} dateSql - Expresión SQL con la fecha
+ * @param {string} [groupBy='month'] - Agrupación (ver REPORT_GROUPINGS)
+ * @returns {string} Expresión SQL (ej. '2024-03' para month)
+ *
+ * @example
+ * `SELECT ${ periodSql( 't.date' ) } as month, SUM(amount) FROM transactions t GROUP BY month`
+ */
+const periodSql = ( dateSql, groupBy = 'month' ) => `DATE_FORMAT(${ dateSql }, '${ PERIOD_FORMATS[ groupBy ] }')`;
+
+/**
+ * Expresión SQL con la fecha en que cuenta el resultado de una apuesta
+ *
+ * @param {string} [alias='b'] - Alias de la tabla bets
+ * @returns {string} Expresión SQL
+ */
+const settledDateSql = ( alias = 'b' ) => `GREATEST(${ alias }.betDate, ${ alias }.eventDate)`;
+
+/**
+ * Expresión SQL con la categoría de la cuenta de resultados de una apuesta
+ * Las piernas lay de un grupo con freebet cuentan como extracción de la freebet
+ *
+ * @param {string} [alias='b'] - Alias de la tabla bets (o de betsInCurrencySql)
+ * @returns {string} Expresión SQL con uno de PNL_CATEGORIES
+ */
+const betCategorySql = ( alias = 'b' ) => `CASE
+    WHEN ${ alias }.betType = 'mugBet' THEN 'mugBets'
+    WHEN ${ alias }.betType = 'personal' THEN 'personal'
+    WHEN ${ alias }.betType = 'other' THEN 'otherIncome'
+    WHEN ${ alias }.bank = 'freebet' OR ${ alias }.betType = 'freeBet' OR EXISTS (
+        SELECT 1 FROM bets fb
+        WHERE fb.idMB = ${ alias }.idMB
+        AND ( fb.bank = 'freebet' OR fb.betType = 'freeBet' )
+    ) THEN 'freebetExtraction'
+    ELSE 'qualifying'
+END`;
+
+/**
+ * Agrega los resultados por categoría y las comisiones en la cuenta de resultados
+ * total, por periodo y por casa de apuestas
+ *
+ * @param {Array<Object>} results - Filas { period, idBookMaker, bookMakerName, category, bets, result }
+ * @param {Array<Object>} fees - Filas { period, idBookMaker, bookMakerName, fees }
+ * @returns {Object} { totals, byPeriod, byBookMaker } con una línea por categoría,
+ * bettingResult (suma de las categorías), fees y netProfit (bettingResult - fees)
+ *
+ * @example
+ * buildPnlStatement(
+ *     [ { period: '2024-03', idBookMaker: 1, bookMakerName: 'Bet365', category: 'qualifying', bets: 2, result: '-1.20' } ],
+ *     [ { period: '2024-03', idBookMaker: 1, bookMakerName: 'Bet365', fees: '0.50' } ]
+ * ).totals
+ * // { settledBets: 2, qualifying: -1.2, freebetExtraction: 0, ..., bettingResult: -1.2, fees: 0.5, netProfit: -1.7 }
+ */
+const buildPnlStatement = ( results, fees ) => {
+    const emptyLine = () => ( {
+        settledBets: 0,
+        ...Object.fromEntries( PNL_CATEGORIES.map( category => [ category, 0n ] ) ),
+        fees: 0n
+    } );
+
+    const totals = emptyLine();
+    const periods = new Map();
+    const bookMakers = new Map();
+
+    // Cada fila suma en el total, en su periodo y en su casa de apuestas
+    const linesOf = ( row ) => {
+        if ( !periods.has( row.period ) ) {
+            periods.set( row.period, { period: row.period, ...emptyLine() } );
+        }
+        if ( !bookMakers.has( row.idBookMaker ) ) {
+            bookMakers.set( row.idBookMaker, {
+                idBookMaker: row.idBookMaker,
+                bookMakerName: row.bookMakerName,
+                ...emptyLine()
+            } );
+        }
+        return [ totals, periods.get( row.period ), bookMakers.get( row.idBookMaker ) ];
+    };
+
+    for ( const row of results ) {
+        for ( const line of linesOf( row ) ) {
+            line.settledBets += Number( row.bets );
+            line[ row.category ] = add( line[ row.category ], row.result );
+        }
+    }
+
+    for ( const row of fees ) {
+        for ( const line of linesOf( row ) ) {
+            line.fees = add( line.fees, row.fees );
+        }
+    }
+
+    const format = ( line ) => {
+        const bettingResult = add( ...PNL_CATEGORIES.map( category => line[ category ] ) );
+        return {
+            ...line,
+            ...Object.fromEntries( PNL_CATEGORIES.map( category => [ category, toMoney( line[ category ] ) ] ) ),
+            bettingResult: toMoney( bettingResult ),
+            fees: toMoney( line.fees ),
+            netProfit: toMoney( subtract( bettingResult, line.fees ) )
+        };
+    };
+
+    return {
+        totals: format( totals ),
+        byPeriod: [ ...periods.values() ]
+            .sort( ( a, b ) => a.period.localeCompare( b.period ) )
+            .map( format ),
+        byBookMaker: [ ...bookMakers.values() ]
+            .map( format )
+            .sort( ( a, b ) => b.netProfit - a.netProfit )
+    };
+};
+
+/**
+ * Lee el día de inicio del ejercicio fiscal
+ *
+ * @param {string} [value] - Día en formato MM-DD (por defecto FISCAL_YEAR_START o 01-01)
+ * @returns {string|null} Día MM-DD o null si no es válido (el 29 de febrero no se admite)
+ *
+ * @example
+ * parseFiscalYearStart( '04-06' ) // '04-06'
+ */
+const parseFiscalYearStart = ( value = process.env.FISCAL_YEAR_START || '01-01' ) => {
+    const text = String( value );
+    if ( !/^\d{2}-\d{2}$/.test( text ) || text === '02-29' ) {
+        return null;
+    }
+    // Un día que no existe (ej. 04-31) cambia o no es válido al convertirlo en fecha
+    const date = new Date( `2001-${ text }T00:00:00Z` );
+    return !isNaN( date ) && date.toISOString().slice( 5, 10 ) === text ? text : null;
+};
+
+/**
+ * Obtiene las fechas de un ejercicio fiscal
+ *
+ * @param {number} year - Año en que empieza el ejercicio
+ * @param {string} fiscalYearStart - Día de inicio (MM-DD)
+ * @returns {Object} { startDate, endDate } en formato YYYY-MM-DD (ambos incluidos)
+ *
+ * @example
+ * fiscalYearPeriod( 2024, '04-06' ) // { startDate: '2024-04-06', endDate: '2025-04-05' }
+ */
+const fiscalYearPeriod = ( year, fiscalYearStart ) => ( {
+    startDate: `${ year }-${ fiscalYearStart }`,
+    endDate: addDays( `${ year + 1 }-${ fiscalYearStart }`, -1 )
+} );
+
+/**
+ * Obtiene el ejercicio fiscal al que pertenece una fecha
+ *
+ * @param {string} date - Fecha (YYYY-MM-DD)
+ * @param {string} fiscalYearStart - Día de inicio (MM-DD)
+ * @returns {number} Año en que empieza el ejercicio
+ */
+const currentFiscalYear = ( date, fiscalYearStart ) => {
+    const year = Number( date.slice( 0, 4 ) );
+    return date.slice( 5 ) >= fiscalYearStart ? year : year - 1;
+};
+
+/**
+ * Agrega el informe fiscal por casa de apuestas, con las apuestas personales
+ * separadas del matched betting
+ * Las ganancias ya descuentan la comisión del exchange, que se informa aparte
+ *
+ * @param {Array<Object>} results - Filas { idBookMaker, bookMakerName, section, settledBets, winnings, losses, commissionPaid }
+ * con section 'matchedBetting' o 'personal' (losses en positivo)
+ * @param {Array<Object>} transactions - Filas { idBookMaker, bookMakerName, deposits, withdrawals, fees }
+ * @returns {Object} { totals, byBookMaker }; cada sección con netResult (winnings - losses)
+ */
+const buildTaxReport = ( results, transactions ) => {
+    const emptySection = () => ( { settledBets: 0, winnings: 0n, losses: 0n, commissionPaid: 0n } );
+    const emptyLine = () => ( {
+        matchedBetting: emptySection(),
+        personal: emptySection(),
+        deposits: 0n,
+        withdrawals: 0n,
+        fees: 0n
+    } );
+
+    const totals = emptyLine();
+    const bookMakers = new Map();
+
+    const linesOf = ( row ) => {
+        if ( !bookMakers.has( row.idBookMaker ) ) {
+            bookMakers.set( row.idBookMaker, {
+                idBookMaker: row.idBookMaker,
+                bookMakerName: row.bookMakerName,
+                ...emptyLine()
+            } );
+        }
+        return [ totals, bookMakers.get( row.idBookMaker ) ];
+    };
+
+    for ( const row of results ) {
+        for ( const line of linesOf( row ) ) {
+            const section = line[ row.section ];
+            section.settledBets += Number( row.settledBets );
+            section.winnings = add( section.winnings, row.winnings );
+            section.losses = add( section.losses, row.losses );
+            section.commissionPaid = add( section.commissionPaid, row.commissionPaid );
+        }
+    }
+
+    for ( const row of transactions ) {
+        for ( const line of linesOf( row ) ) {
+            line.deposits = add( line.deposits, row.deposits );
+            line.withdrawals = add( line.withdrawals, row.withdrawals );
+            line.fees = add( line.fees, row.fees );
+        }
+    }
+
+    const formatSection = ( section ) => ( {
+        settledBets: section.settledBets,
+        winnings: toMoney( section.winnings ),
+        losses: toMoney( section.losses ),
+        commissionPaid: toMoney( section.commissionPaid ),
+        netResult: toMoney( subtract( section.winnings, section.losses ) )
+    } );
+
+    const format = ( line ) => ( {
+        ...line,
+        matchedBetting: formatSection( line.matchedBetting ),
+        personal: formatSection( line.personal ),
+        deposits: toMoney( line.deposits ),
+        withdrawals: toMoney( line.withdrawals ),
+        fees: toMoney( line.fees )
+    } );
+
+    return {
+        totals: format( totals ),
+        byBookMaker: [ ...bookMakers.values() ]
+            .map( format )
+            .sort( ( a, b ) => a.bookMakerName.localeCompare( b.bookMakerName ) )
+    };
+};
+
+export {
+    REPORT_GROUPINGS,
+    PNL_CATEGORIES,
+    periodSql,
+    settledDateSql,
+    betCategorySql,
+    buildPnlStatement,
+    parseFiscalYearStart,
+    fiscalYearPeriod,
+    currentFiscalYear,
+    buildTaxReport
+};
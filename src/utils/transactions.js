@@ -0,0 +1,58 @@
+// utils/transactions.js
+/**
+ * Helpers para las transacciones (depósitos y retiros)
+ *
+ * Cada transacción puede indicar su fuente de fondos (cuenta bancaria,
+ * monedero electrónico, tarjeta). Los retiros pasan por los estados
+ * requested → processing → completed, o reversed si la casa los devuelve al
+ * saldo. Un retiro sale del saldo de la casa en cuanto se solicita:
+ * - TRANSACTION_STATUSES / WITHDRAWAL_TRANSITIONS: Estados y cambios permitidos
+ * - FUNDING_SOURCE_TYPES: Tipos de fuente de fondos
+ * - settledTransactionSql: Condición SQL de las transacciones que cuentan en el saldo
+ */
+
+/**
+ * Estados de una transacción (los depósitos siempre están 'completed')
+ */
+const TRANSACTION_STATUSES = [ 'requested', 'processing', 'completed', 'reversed' ];
+
+/**
+ * Estados a los que puede pasar un retiro desde cada estado
+ */
+const WITHDRAWAL_TRANSITIONS = {
+    requested: [ 'processing', 'completed', 'reversed' ],
+    processing: [ 'completed', 'reversed' ],
+    completed: [],
+    reversed: []
+};
+
+/**
+ * Tipos de fuente de fondos
+ */
+const FUNDING_SOURCE_TYPES = [ 'bank', 'e-wallet', 'card', 'other' ];
+
+/**
+ * Condición SQL de las transacciones que cuentan en el saldo de su casa:
+ * excluye los retiros revertidos y los depósitos de transferencias en tránsito
+ *
+ * @param {string} [alias='transactions'] - Alias de la tabla transactions
+ * @returns {string} Condición SQL
+ *
+ * @example
+ * `SELECT SUM(amount) FROM transactions t WHERE t.idBookMaker = ? AND ${ settledTransactionSql( 't' ) }`
+ */
+const settledTransactionSql = ( alias = 'transactions' ) => `(
+    ${ alias }.status <> 'reversed'
+    AND (
+        ${ alias }.idTransfer IS NULL
+        OR ${ alias }.type = 'withdrawal'
+        OR ( SELECT tr.status FROM transfers tr WHERE tr.id = ${ alias }.idTransfer ) = 'completed'
+    )
+)`;
+
+export {
+    TRANSACTION_STATUSES,
+    WITHDRAWAL_TRANSITIONS,
+    FUNDING_SOURCE_TYPES,
+    settledTransactionSql
+};
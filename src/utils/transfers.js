@@ -0,0 +1,20 @@
+// utils/transfers.js
+/**
+ * Helpers para las transferencias entre casas de apuestas
+ *
+ * Una transferencia se guarda en la tabla transfers y genera dos transacciones
+ * enlazadas por idTransfer: la retirada de la casa de origen y el depósito en
+ * la de destino (importe recibido, ya descontada la comisión). Mientras está
+ * en tránsito el depósito todavía no cuenta en el saldo de destino (ver
+ * settledTransactionSql en utils/transactions.js):
+ * - TRANSFER_STATUSES: Estados de una transferencia
+ */
+
+/**
+ * Estados de una transferencia
+ */
+const TRANSFER_STATUSES = [ 'in-transit', 'completed' ];
+
+export {
+    TRANSFER_STATUSES
+};
@@ -0,0 +1,194 @@
+// utils/wagering.js
+/**
+ * Motor de requisitos de apuesta (rollover) de freebets y bonos
+ *
+ * Cada requisito se aplica a las apuestas etiquetadas con su promoción
+ * (bets.idPromotion). Una apuesta cuenta para el rollover si cumple
+ * la cuota mínima, el stake mínimo, los mercados admitidos y la fecha límite:
+ * - validateWageringRequirement / normalizeWageringRequirement: Validación y valores a guardar
+ * - getWageringViolations: Motivos por los que una apuesta no cuenta
+ * - calculateWageringProgress: Progreso del rollover con las apuestas registradas
+ * - findWageringProgress: Carga las apuestas de la promoción y calcula el progreso
+ */
+import { dbAll } from './helpers.js';
+import { LAY_MARKETS, RETURNED_STATUSES, parseOdds } from './betCalculations.js';
+import { add, compare, max, multiply, percentage, round, subtract, toMoney } from './money.js';
+
+/**
+ * Convierte la lista de mercados guardada ("win,place") en un array
+ *
+ * @param {string|Array<string>|null} markets - Mercados admitidos
+ * @returns {Array<string>} Mercados (vacío si se admiten todos)
+ */
+const parseMarkets = ( markets ) => Array.isArray( markets )
+    ? markets
+    : String( markets || '' ).split( ',' ).map( market => market.trim() ).filter( Boolean );
+
+/**
+ * Valida los datos de un requisito de apuesta
+ *
+ * @param {Object} requirement - Datos del requisito
+ * @param {number} requirement.idPromotion - ID de la promoción con la que se etiquetan las apuestas
+ * @param {number|string} requirement.amount - Importe del bono o freebet
+ * @param {number|string} [requirement.rolloverMultiple=1] - Veces que hay que apostar el importe
+ * @param {number|string} [requirement.minOdds] - Cuota mínima (cualquier formato)
+ * @param {number|string} [requirement.minStake] - Stake mínimo por apuesta
+ * @param {Array<string>} [requirement.markets] - Mercados admitidos (win/place)
+ * @param {string} [requirement.deadline] - Fecha límite para completar el rollover
+ * @returns {string|null} Mensaje de error o null si es válido
+ */
+const validateWageringRequirement = ( { idPromotion, amount, rolloverMultiple = 1, minOdds, minStake, markets, deadline } ) => {
+    if ( !idPromotion || !Number.isInteger( Number( idPromotion ) ) ) {
+        return 'La promoción (idPromotion) es obligatoria';
+    }
+    if ( !( Number( amount ) > 0 ) ) {
+        return 'El importe del requisito debe ser mayor que 0';
+    }
+    if ( !( Number( rolloverMultiple ) > 0 ) ) {
+        return 'El multiplicador de rollover debe ser mayor que 0';
+    }
+    if ( minOdds !== undefined && minOdds !== null && !parseOdds( minOdds ) ) {
+        return 'La cuota mínima no es válida';
+    }
+    if ( minStake !== undefined && minStake !== null && !( Number( minStake ) > 0 ) ) {
+        return 'El stake mínimo debe ser mayor que 0';
+    }
+    if ( markets !== undefined && markets !== null &&
+        ( !Array.isArray( markets ) || markets.some( market => !LAY_MARKETS.includes( market ) ) ) ) {
+        return `Los mercados admitidos deben ser una lista con: ${ LAY_MARKETS.join( ', ' ) }`;
+    }
+    if ( deadline && Number.isNaN( new Date( deadline ).getTime() ) ) {
+        return 'La fecha límite no es válida';
+    }
+    return null;
+};
+
+/**
+ * Prepara los valores de un requisito ya validado para guardarlo
+ *
+ * @param {Object} requirement - Datos del requisito (ver validateWageringRequirement)
+ * @returns {Object} Columnas de wageringRequirements (cuota decimal y mercados como "win,place")
+ */
+const normalizeWageringRequirement = ( { idPromotion, amount, rolloverMultiple = 1, minOdds, minStake, markets, deadline, info } ) => ({
+    idPromotion: Number( idPromotion ),
+    amount: toMoney( amount ),
+    rolloverMultiple: round( rolloverMultiple, 2 ),
+    minOdds: minOdds ? parseOdds( minOdds ).decimal : null,
+    minStake: minStake ? toMoney( minStake ) : null,
+    markets: markets?.length ? markets.join( ',' ) : null,
+    deadline: deadline || null,
+    info: info || null
+});
+
+/**
+ * Obtiene los motivos por los que una apuesta no cuenta para un requisito
+ *
+ * @param {Object} requirement - Requisito (fila de wageringRequirements)
+ * @param {Object} bet - Apuesta ({ betType, bank, status, stake, odds, market, betDate })
+ * @returns {Array<string>} Motivos (vacío si la apuesta cuenta)
+ */
+const getWageringViolations = ( requirement, bet ) => {
+    const reasons = [];
+    const markets = parseMarkets( requirement.markets );
+
+    if ( bet.betType === 'layBet' ) {
+        reasons.push( 'Las layBet no cuentan para el rollover' );
+    }
+    if ( bet.bank === 'freebet' || bet.betType === 'freeBet' ) {
+        reasons.push( 'Las apuestas con freebet no cuentan para el rollover' );
+    }
+    if ( RETURNED_STATUSES.includes( bet.status ) ) {
+        reasons.push( 'Las apuestas anuladas (void/push) no cuentan para el rollover' );
+    }
+    if ( requirement.minOdds && compare( bet.odds, requirement.minOdds ) < 0 ) {
+        reasons.push( `Cuota ${ Number( bet.odds ) } inferior a la mínima (${ Number( requirement.minOdds ) })` );
+    }
+    if ( requirement.minStake && compare( bet.stake, requirement.minStake ) < 0 ) {
+        reasons.push( `Stake ${ Number( bet.stake ) } inferior al mínimo (${ Number( requirement.minStake ) })` );
+    }
+    if ( markets.length && !markets.includes( bet.market || 'win' ) ) {
+        reasons.push( `Mercado ${ bet.market || 'win' } no admitido (${ markets.join( ', ' ) })` );
+    }
+    if ( requirement.deadline && new Date( bet.betDate ) > new Date( requirement.deadline ) ) {
+        reasons.push( 'Apuesta posterior a la fecha límite' );
+    }
+
+    return reasons;
+};
+
+/**
+ * Calcula el progreso del rollover de un requisito
+ * Las apuestas each-way cuentan por el stake de las dos partes
+ *
+ * @param {Object} requirement - Requisito (fila de wageringRequirements)
+ * @param {Array<Object>} bets - Apuestas etiquetadas con la promoción del requisito
+ * @param {string} [currency] - Divisa de la casa de apuestas para el resumen
+ * @returns {Object} Objetivo, importe apostado y pendiente, estado y apuestas que cuentan y que no
+ *
+ * @example
+ * calculateWageringProgress( { amount: 50, rolloverMultiple: 2, minOdds: 1.5 }, bets, 'GBP' ).summary
+ * // "40.00 de 100.00 GBP apostado a cuota ≥ 1.5"
+ */
+const calculateWageringProgress = ( requirement, bets, currency = '' ) => {
+    const target = toMoney( multiply( requirement.amount, requirement.rolloverMultiple || 1 ) );
+
+    const qualifyingBets = [];
+    const nonQualifyingBets = [];
+    bets.forEach( bet => {
+        const reasons = getWageringViolations( requirement, bet );
+        if ( reasons.length ) {
+            nonQualifyingBets.push( { id: bet.id, betDate: bet.betDate, event: bet.event, reasons } );
+        } else {
+            qualifyingBets.push( {
+                id: bet.id,
+                betDate: bet.betDate,
+                event: bet.event,
+                wagered: toMoney( bet.eachWay ? multiply( bet.stake, 2 ) : bet.stake )
+            } );
+        }
+    } );
+
+    const wagered = toMoney( add( ...qualifyingBets.map( bet => bet.wagered ) ) );
+    const completed = compare( wagered, target ) >= 0;
+    const conditions = requirement.minOdds ? ` a cuota ≥ ${ Number( requirement.minOdds ) }` : '';
+
+    return {
+        target,
+        wagered,
+        remaining: toMoney( max( subtract( target, wagered ), 0 ) ),
+        progress: Math.min( percentage( wagered, target ), 100 ),
+        completed,
+        expired: !completed && Boolean( requirement.deadline ) && new Date( requirement.deadline ) < new Date(),
+        summary: `${ wagered.toFixed(2) } de ${ target.toFixed(2) }${ currency ? ` ${ currency }` : '' } apostado${ conditions }`,
+        qualifyingBets,
+        nonQualifyingBets
+    };
+};
+
+/**
+ * Carga las apuestas de la promoción de un requisito y calcula su progreso
+ *
+ * @param {Object} requirement - Requisito (fila de wageringRequirements)
+ * @param {string} [currency] - Divisa de la casa de apuestas para el resumen
+ * @returns {Promise<Object>} Progreso (ver calculateWageringProgress)
+ */
+const findWageringProgress = async ( requirement, currency ) => {
+    const bets = await dbAll(
+        `SELECT id, betDate, event, betType, bank, status, stake, odds, market, eachWay
+         FROM bets
+         WHERE idPromotion = ?
+         ORDER BY betDate, id`,
+        [ requirement.idPromotion ]
+    );
+
+    return calculateWageringProgress( requirement, bets, currency );
+};
+
+export {
+    parseMarkets,
+    validateWageringRequirement,
+    normalizeWageringRequirement,
+    getWageringViolations,
+    calculateWageringProgress,
+    findWageringProgress
+};